@@ -0,0 +1,18 @@
+// Vercel serverless function to offload download job files to Railway backend
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const DEFAULT_BACKEND_URL = 'https://media-harvest-production.up.railway.app';
+  const BACKEND_URL = process.env.RAILWAY_BACKEND_URL || DEFAULT_BACKEND_URL;
+
+  const { id } = req.query || {};
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid job id' });
+  }
+
+  // Files can be large; stream them straight from the backend via 307 redirect
+  res.setHeader('Cache-Control', 'no-store');
+  return res.redirect(307, `${BACKEND_URL}/api/jobs/${encodeURIComponent(id)}/file`);
+}
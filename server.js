@@ -1363,6 +1363,9 @@ import archiver from 'archiver';
 import multer from 'multer';
 import { WebSocketServer } from 'ws';
 import http from 'http';
+import net from 'net';
+import dns from 'dns';
+import { Readable } from 'stream';
 import crypto from 'crypto';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
@@ -1410,12 +1413,12 @@ wss.on('connection', (ws, req) => {
         wsConnections.delete(sessionId);
         console.log(`WebSocket disconnected for session: ${sessionId}`);
 
-        // Clean up any active downloads for this session
-        for (const [downloadUrl, downloadInfo] of activeDownloads.entries()) {
-          if (downloadInfo.sessionId === sessionId) {
-            console.log(`🧹 Cleaning up download for disconnected session: ${sessionId}, URL: ${downloadUrl}`);
-            // Don't terminate the download, just remove the session association
-            downloadInfo.sessionId = null;
+        // Detach download jobs from this session
+        for (const job of downloadJobs.values()) {
+          if (job.sessionId === sessionId) {
+            console.log(`🧹 Detaching download job ${job.id} from disconnected session: ${sessionId}`);
+            // Don't terminate the job, just remove the session association (it can be re-attached via /api/jobs/:id)
+            job.sessionId = null;
           }
         }
         break;
@@ -1512,7 +1515,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  exposedHeaders: ['Content-Disposition', 'X-Loudness-Report']
 };
 
 // Middleware
@@ -1530,6 +1534,18 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 * 1024, // 10GB limit
   },
   fileFilter: (req, file, cb) => {
+    // Subtitle files and watermark images ride along with conversions
+    if (file.fieldname === 'subtitle') {
+      return SUBTITLE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())
+        ? cb(null, true)
+        : cb(new Error(`Subtitle files must be ${SUBTITLE_EXTENSIONS.join(', ')}`));
+    }
+    if (file.fieldname === 'watermarkImage') {
+      return WATERMARK_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())
+        ? cb(null, true)
+        : cb(new Error(`Watermark images must be ${WATERMARK_EXTENSIONS.join(', ')}`));
+    }
+
     // Accept video files including MXF
     // Also accept files without extensions if they have video mimetype
     if (file.mimetype.startsWith('video/') ||
@@ -1683,6 +1699,8 @@ function detectPlatform(url) {
     return 'pornhub';
   } else if (urlLower.includes('xvideos.com')) {
     return 'xvideos';
+  } else if (manifestTypeOf(url)) {
+    return 'stream-manifest';
   } else if (urlLower.match(/\.(mp4|webm|mov|avi|mkv|flv|wmv|m4v)$/i)) {
     return 'direct-video';
   } else {
@@ -1713,6 +1731,272 @@ const alternativeFormats = {
   'audio': ['bestaudio', 'best']
 }
 
+// yt-dlp format IDs are short tokens such as "137", "hls-1080p" or "dash-video=1000"
+const FORMAT_ID_PATTERN = /^[\w.=-]{1,64}$/;
+
+// Format selector for a download request: an explicit format (or video+audio pair) wins over the preset
+function getFormatSelector({ quality, formatId, audioFormatId }) {
+  if (formatId) {
+    return audioFormatId ? `${formatId}+${audioFormatId}` : formatId;
+  }
+  return qualityFormats[quality];
+}
+
+// Normalize yt-dlp's format list (from --dump-json) into the table the format picker shows
+function normalizeFormats(videoInfo) {
+  const duration = videoInfo.duration || 0;
+
+  return (videoInfo.formats || [])
+    .filter(format => format.format_id && !/^sb\d/.test(format.format_id)) // Drop storyboards
+    .map(format => {
+      const hasVideo = format.vcodec && format.vcodec !== 'none';
+      const hasAudio = format.acodec && format.acodec !== 'none';
+      const bitrate = format.tbr || ((format.vbr || 0) + (format.abr || 0)) || null;
+      const exactSize = format.filesize || format.filesize_approx || null;
+
+      return {
+        formatId: format.format_id,
+        ext: format.ext,
+        kind: hasVideo && hasAudio ? 'video+audio' : hasVideo ? 'video' : hasAudio ? 'audio' : 'unknown',
+        vcodec: hasVideo ? format.vcodec : null,
+        acodec: hasAudio ? format.acodec : null,
+        width: format.width || null,
+        height: format.height || null,
+        resolution: hasVideo ? (format.resolution || (format.height ? `${format.width || '?'}x${format.height}` : null)) : 'audio only',
+        fps: format.fps || null,
+        dynamicRange: format.dynamic_range || null,
+        bitrate, // kbit/s
+        audioBitrate: format.abr || null,
+        sampleRate: format.asr || null,
+        // Fall back to bitrate x duration when the site doesn't report a size
+        filesize: exactSize || (bitrate && duration ? Math.round(bitrate * 1000 / 8 * duration) : null),
+        filesizeEstimated: !exactSize,
+        protocol: format.protocol || null,
+        note: format.format_note || null
+      };
+    })
+    .filter(format => format.kind !== 'unknown');
+}
+
+// Caption languages from yt-dlp's subtitles / automatic_captions maps
+function normalizeSubtitleTracks(tracks) {
+  return Object.entries(tracks || {})
+    .filter(([lang, list]) => lang !== 'live_chat' && Array.isArray(list) && list.length > 0)
+    .map(([lang, list]) => ({
+      lang,
+      name: list.find(track => track.name)?.name || lang,
+      formats: [...new Set(list.map(track => track.ext).filter(Boolean))]
+    }));
+}
+
+// Convert a time from seconds, MM:SS or HH:MM:SS to seconds
+function parseTimeValue(timeStr) {
+  if (typeof timeStr === 'number') return timeStr;
+  const parts = String(timeStr).split(':').map(Number);
+  if (parts.length === 2) {
+    return parts[0] * 60 + parts[1]; // MM:SS
+  } else if (parts.length === 3) {
+    return parts[0] * 3600 + parts[1] * 60 + parts[2]; // HH:MM:SS
+  }
+  return parseInt(timeStr) || 0;
+}
+
+// Multi-range clips: [{ start, end }] exported as separate clips (ZIP) or one concatenated reel
+const MAX_CLIP_RANGES = parseInt(process.env.MAX_CLIP_RANGES) || 20;
+const CLIP_RANGE_MODES = ['separate', 'concat'];
+
+// Returns normalized ranges in seconds, or an error message
+function normalizeClipRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_CLIP_RANGES) {
+    return { error: `ranges must be a list of 1 to ${MAX_CLIP_RANGES} { start, end } objects` };
+  }
+  const normalized = [];
+  for (const [index, range] of ranges.entries()) {
+    const start = range ? parseTimeValue(range.start) : NaN;
+    const end = range ? parseTimeValue(range.end) : NaN;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      return { error: `Range ${index + 1} is invalid: start must be before end` };
+    }
+    normalized.push({ start, end });
+  }
+  return { ranges: normalized };
+}
+
+// Clock label for clip names: 75 -> "01m15s", 3700 -> "1h01m40s"
+function formatClipTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}h${minutes}m${secs}s` : `${minutes}m${secs}s`;
+}
+
+// yt-dlp chapters ({ start_time, end_time, title }) -> [{ title, start, end }] in seconds
+function normalizeChapters(chapters) {
+  if (!Array.isArray(chapters)) return [];
+  return chapters
+    .filter(chapter => typeof chapter.start_time === 'number' && typeof chapter.end_time === 'number')
+    .map((chapter, index) => ({
+      title: chapter.title || `Chapter ${index + 1}`,
+      start: chapter.start_time,
+      end: chapter.end_time
+    }));
+}
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+const SUBTITLE_LANG_PATTERN = /^[\w.-]{1,32}$/;
+
+// Filename templates: '{uploader}/{date}-{title}.{ext}' maps to a yt-dlp output template.
+// yt-dlp sanitizes the field values (--restrict-filenames); '/' creates folders, which show up in batch ZIPs.
+const FILENAME_TEMPLATE_FIELDS = {
+  title: '%(title)s',
+  id: '%(id)s',
+  uploader: '%(uploader,channel,uploader_id|Unknown)s',
+  channel: '%(channel,uploader|Unknown)s',
+  date: '%(upload_date>%Y-%m-%d|unknown-date)s',
+  resolution: '%(resolution|audio)s',
+  format: '%(format_id)s',
+  ext: '%(ext)s'
+};
+const DEFAULT_FILENAME_TEMPLATE = '{title}_{id}.{ext}';
+
+// Returns an error message for an unusable template, or null if it's fine
+function validateFilenameTemplate(template) {
+  if (typeof template !== 'string' || template.length === 0 || template.length > 200) {
+    return 'Template must be a non-empty string of at most 200 characters';
+  }
+  if (!template.endsWith('.{ext}')) {
+    return 'Template must end with .{ext}';
+  }
+  const segments = template.split('/');
+  if (segments.length > 4 || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return 'Template folders must be relative, non-empty and at most 3 levels deep';
+  }
+  const unknownField = (template.match(/\{(\w+)\}/g) || [])
+    .map(field => field.slice(1, -1))
+    .find(field => !FILENAME_TEMPLATE_FIELDS[field] && field !== 'index');
+  if (unknownField) {
+    return `Unknown template field {${unknownField}}. Available: ${[...Object.keys(FILENAME_TEMPLATE_FIELDS), 'index'].map(f => `{${f}}`).join(', ')}`;
+  }
+  if (/[^\w\s.{}\/-]/.test(template.replace(/\{\w+\}/g, ''))) {
+    return 'Template text may only contain letters, digits, spaces, dots, dashes, underscores and /';
+  }
+  return null;
+}
+
+// Convert a validated template to a yt-dlp output template; {index} is the entry's position in a batch
+function buildOutputTemplate(template, { index } = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, field) => {
+    if (field === 'index') {
+      return index ? String(index).padStart(3, '0') : '';
+    }
+    return FILENAME_TEMPLATE_FIELDS[field];
+  });
+}
+
+// Embed options: { metadata, chapters, thumbnail }. Every flag is off unless turned on.
+function isValidEmbedOption(embed) {
+  return Boolean(embed) && typeof embed === 'object' &&
+    Object.entries(embed).every(([key, value]) => ['metadata', 'chapters', 'thumbnail'].includes(key) && typeof value === 'boolean');
+}
+
+function getEmbedOptions(request) {
+  const embed = request.embed || {};
+  return {
+    metadata: embed.metadata === true,
+    chapters: embed.chapters === true,
+    thumbnail: embed.thumbnail === true
+  };
+}
+
+// Relative paths of all files under a work directory (templates may create sub-folders)
+function listWorkFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true })
+    .filter(file => fs.statSync(path.join(dir, file)).isFile());
+}
+
+// Audio export targets for the 'audio' preset: yt-dlp fetches the best audio, ffmpeg transcodes and tags it
+// (the Ogg muxer can't carry attached pictures and WAV has no tag support for them, so no cover art there)
+const AUDIO_EXPORT_FORMATS = {
+  mp3: { ext: 'mp3', codec: 'libmp3lame', lossy: true, coverArt: true, contentType: 'audio/mpeg' },
+  aac: { ext: 'm4a', codec: 'aac', lossy: true, coverArt: true, contentType: 'audio/mp4' },
+  opus: { ext: 'opus', codec: 'libopus', lossy: true, coverArt: false, contentType: 'audio/ogg' },
+  flac: { ext: 'flac', codec: 'flac', lossy: false, coverArt: true, contentType: 'audio/flac' },
+  wav: { ext: 'wav', codec: 'pcm_s16le', lossy: false, coverArt: false, contentType: 'audio/wav' }
+};
+const AUDIO_EXPORT_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+
+// EBU R128 loudness normalization, using the common -16 LUFS streaming/podcast target
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+// ffmpeg arguments for an audio export: { input, cover, output, target, bitrate, normalize, tags, segment }
+function buildAudioExportArgs({ input, cover, output, target, bitrate, normalize, tags = {}, segment }) {
+  const preset = AUDIO_EXPORT_FORMATS[target];
+  const args = [];
+
+  if (segment) {
+    args.push('-ss', segment.startSeconds.toString());
+  }
+  args.push('-i', input);
+
+  const withCover = Boolean(cover && preset.coverArt);
+  if (withCover) {
+    args.push('-i', cover);
+  }
+  if (segment) {
+    args.push('-t', segment.duration.toString());
+  }
+
+  args.push('-map', '0:a:0');
+  if (withCover) {
+    args.push('-map', '1:v:0', '-c:v', 'mjpeg', '-disposition:v', 'attached_pic');
+  }
+
+  args.push('-c:a', preset.codec);
+  if (preset.lossy) {
+    args.push('-b:a', `${bitrate || 192}k`);
+  }
+  if (normalize) {
+    // loudnorm upsamples to 192 kHz internally, so pin the output back to a standard rate
+    args.push('-af', LOUDNORM_FILTER, '-ar', '48000');
+  }
+
+  // Replace whatever the source container carried with our own tags
+  args.push('-map_metadata', '-1');
+  for (const [key, value] of Object.entries(tags)) {
+    if (value) {
+      args.push('-metadata', `${key}=${value}`);
+    }
+  }
+  if (target === 'mp3') {
+    args.push('-id3v2_version', '3');
+  }
+
+  args.push('-y', output);
+  return args;
+}
+
+// Response body for /api/video-info
+function buildVideoInfo(videoInfo, url) {
+  return {
+    title: videoInfo.title || 'Unknown Title',
+    duration: videoInfo.duration || 0, // Duration in seconds
+    durationString: videoInfo.duration_string || '0:00',
+    uploader: videoInfo.uploader || videoInfo.channel || 'Unknown',
+    thumbnail: videoInfo.thumbnail,
+    description: videoInfo.description,
+    viewCount: videoInfo.view_count,
+    uploadDate: videoInfo.upload_date,
+    platform: detectPlatform(url),
+    formats: normalizeFormats(videoInfo),
+    chapters: normalizeChapters(videoInfo.chapters),
+    subtitles: {
+      manual: normalizeSubtitleTracks(videoInfo.subtitles),
+      automatic: normalizeSubtitleTracks(videoInfo.automatic_captions)
+    }
+  };
+}
+
 // Get available quality options endpoint
 // Removed manual cookie upload endpoint - using automated extraction instead
 
@@ -1742,664 +2026,2943 @@ app.get('/api/quality-options', (req, res) => {
       { value: 'high', label: 'High Quality (1080p)', description: 'Full HD 1080p maximum' },
       { value: 'medium', label: 'Medium Quality (720p)', description: 'HD 720p maximum' },
       { value: 'low', label: 'Low Quality (480p)', description: 'SD 480p maximum' },
-      { value: 'audio', label: 'Audio Only', description: 'Extract audio only (M4A/MP3)' }
-    ]
+      { value: 'audio', label: 'Audio Only', description: 'Extract audio only (MP3, AAC, Opus, FLAC or WAV)' }
+    ],
+    audioFormats: Object.keys(AUDIO_EXPORT_FORMATS),
+    audioBitrates: AUDIO_EXPORT_BITRATES
+  });
+});
+
+// Choices for the advanced encoder and loudness forms, straight from the tables that validate a conversion
+app.get('/api/encoder-options', (req, res) => {
+  res.json({
+    encoders: {
+      containers: CONTAINER_CODECS,
+      presets: ENCODER_PRESETS,
+      profiles: ENCODER_PROFILES,
+      maxCrf: CRF_RANGES,
+      pixelFormats: PIXEL_FORMATS,
+      sampleRates: SAMPLE_RATES
+    },
+    loudnessPresets: Object.entries(LOUDNESS_PRESETS).map(([value, target]) => ({ value, label: LOUDNESS_PRESET_LABELS[value], ...target }))
   });
 });
 
-// Track active downloads
-const activeDownloads = new Map();
+// Persistent download job store
+// Jobs are journaled to disk so a closed browser tab or a server restart doesn't lose the work.
+// Clients poll /api/jobs/:id and fetch the finished artifact from /api/jobs/:id/file.
+const jobsDir = path.join(process.cwd(), 'jobs');
+const jobsJournalPath = path.join(jobsDir, 'jobs.json');
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
 
-// Cancel download endpoint
-app.post('/api/cancel-download', (req, res) => {
-  const { url } = req.body;
-  if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
+if (!fs.existsSync(jobsDir)) {
+  fs.mkdirSync(jobsDir, { recursive: true });
+}
+
+// Job records (persisted) keyed by job ID
+const downloadJobs = new Map();
+
+// Runtime handles (yt-dlp process, temp dir, cleanup, timeout) for jobs in flight, keyed by job ID
+const runningJobs = new Map();
+
+function getJobDir(jobId) {
+  return path.join(jobsDir, jobId);
+}
+
+// WebSocket operation key the client registered its progress callback under
+function getJobOperationKey(job) {
+  return job.type === 'batch' ? `batch_${job.id}` : `download_${job.request.url}`;
+}
+
+// Write the journal atomically so a crash mid-write never corrupts it
+function saveJobJournal() {
+  try {
+    const tmpPath = `${jobsJournalPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(downloadJobs.values()), null, 2));
+    fs.renameSync(tmpPath, jobsJournalPath);
+  } catch (error) {
+    console.error('❌ Failed to write job journal:', error.message);
   }
+}
 
-  const downloadInfo = activeDownloads.get(url);
-  if (downloadInfo) {
-    const { ytDlp, tempDir, cleanup } = downloadInfo;
+function loadJobJournal() {
+  if (!fs.existsSync(jobsJournalPath)) return;
 
-    if (ytDlp && !ytDlp.killed) {
-      ytDlp.kill('SIGTERM');
-      setTimeout(() => {
-        if (ytDlp && !ytDlp.killed) {
-          ytDlp.kill('SIGKILL');
-        }
-      }, 2000);
+  try {
+    const jobs = JSON.parse(fs.readFileSync(jobsJournalPath, 'utf8'));
+    for (const job of jobs) {
+      // Work that was in flight when the server stopped goes back on the queue
+      // (batch jobs just wait on their children and are re-checked at startup)
+      if (job.status === 'running' && job.type !== 'batch') {
+        job.status = 'queued';
+        job.stage = 'queued';
+        job.progress = 0;
+      }
+      // An archive cut short by the restart is rebuilt from the children's files, which are only removed once it is written
+      if (job.status === 'running' && job.type === 'batch' && job.stage === 'archiving') {
+        job.stage = 'downloading';
+      }
+      // Session IDs belong to WebSocket connections that no longer exist
+      job.sessionId = null;
+      downloadJobs.set(job.id, job);
     }
+    console.log(`📒 Loaded ${jobs.length} download job(s) from journal`);
+  } catch (error) {
+    console.error('❌ Failed to read job journal, starting with an empty queue:', error.message);
+  }
+}
 
-    if (cleanup) cleanup();
-    activeDownloads.delete(url);
+function createDownloadJob(request, sessionId) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    request,
+    sessionId: sessionId || null,
+    attempts: 0,
+    error: null,
+    file: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
 
-    res.json({ success: true, message: 'Download cancelled' });
-  } else {
-    res.status(404).json({ error: 'No active download found for this URL' });
+  fs.mkdirSync(getJobDir(job.id), { recursive: true });
+  downloadJobs.set(job.id, job);
+  saveJobJournal();
+  return job;
+}
+
+// A batch job owns one download job per entry and zips their files once all of them settle
+function createBatchJob(request, entries, sessionId) {
+  const batch = createDownloadJob(request, sessionId);
+  const { quality, embed, filenameTemplate } = request;
+  const children = entries.map(entry => createDownloadJob({ ...entry, quality, embed, filenameTemplate }, null));
+
+  children.forEach((child, index) => {
+    child.parentId = batch.id;
+    child.batchIndex = index + 1;
+  });
+  updateJob(batch, {
+    type: 'batch',
+    status: 'running',
+    stage: 'downloading',
+    children: children.map(child => child.id)
+  });
+  return batch;
+}
+
+function getBatchChildren(batch) {
+  return (batch.children || []).map(id => downloadJobs.get(id)).filter(Boolean);
+}
+
+function getBatchProgress(batch) {
+  const children = getBatchChildren(batch);
+  if (children.length === 0) return batch.progress;
+  const total = children.reduce((sum, child) => sum + (isJobActive(child) ? child.progress : 100), 0);
+  return Math.round((total / children.length) * 0.95); // Last 5% is the archive step
+}
+
+function updateJob(job, updates, persist = true) {
+  Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+  if (persist) saveJobJournal();
+}
+
+function isJobActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+// Shape returned to clients (no filesystem paths or session IDs)
+function toPublicJob(job) {
+  const publicJob = {
+    id: job.id,
+    type: job.type || 'download',
+    status: job.status,
+    stage: job.stage,
+    progress: job.type === 'batch' && isJobActive(job) ? getBatchProgress(job) : job.progress,
+    url: job.request.url,
+    quality: job.request.quality,
+    attempts: job.attempts,
+    error: job.error,
+    file: job.file ? { name: job.file.name, size: job.file.size, contentType: job.file.contentType } : null,
+    // Requested vs. achieved timestamps of each trim, so clients can show keyframe drift
+    ...(job.cuts && { cuts: job.cuts }),
+    // Measured before/after loudness of each audio track when the conversion normalized it
+    ...(job.loudness && { loudness: job.loudness }),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    statusUrl: `/api/jobs/${job.id}`,
+    fileUrl: `/api/jobs/${job.id}/file`
+  };
+
+  if (job.type === 'batch') {
+    // Child jobs are removed once archived, so settled batches report the stored counts
+    const children = getBatchChildren(job);
+    publicJob.entries = job.entrySummary || {
+      total: (job.children || []).length,
+      completed: children.filter(child => child.status === 'completed').length,
+      failed: children.filter(child => child.status === 'failed').length
+    };
+    publicJob.failures = job.failures || [];
   }
-});
 
-// Download video from supported platforms (YouTube, Instagram, Facebook, Twitter)
-app.post('/api/download-video', async (req, res) => {
-  const { url, filename, quality = 'maximum', sessionId, startTime, endTime } = req.body;
+  return publicJob;
+}
 
-  console.log('🎬 SERVER DEBUG: Download request received', { url, filename, quality, sessionId, hasWebSocketConnection: wsConnections.has(sessionId) });
-  console.log('🎬 SERVER DEBUG: Active WebSocket connections:', Array.from(wsConnections.keys()));
+// Mark a job finished with an artifact that lives in the job directory
+// archivePath is the template-rendered path (with folders) used when the file goes into a batch ZIP
+function completeJob(job, artifactName, contentType = 'application/octet-stream', archivePath = null) {
+  if (job.status === 'cancelled') return;
 
-  if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
+  const artifactPath = path.join(getJobDir(job.id), artifactName);
+  const stats = fs.statSync(artifactPath);
+
+  updateJob(job, {
+    status: 'completed',
+    stage: 'completed',
+    progress: 100,
+    file: { name: artifactName, size: stats.size, contentType, ...(archivePath && { archivePath }) },
+    completedAt: new Date().toISOString()
+  });
+  sendProgressUpdate(job.sessionId, getJobOperationKey(job), 100, { stage: 'Download completed', completed: true, jobId: job.id });
+  console.log(`✅ Job ${job.id} completed: ${artifactName} (${stats.size} bytes)`);
+
+  releaseJob(job);
+}
+
+// Mark a job failed, keeping the HTTP status and error payload the old synchronous route would have sent
+function failJob(job, statusCode, payload) {
+  if (job.status === 'cancelled' || job.status === 'failed') return;
+
+  updateJob(job, {
+    status: 'failed',
+    stage: 'failed',
+    error: { statusCode, ...payload },
+    completedAt: new Date().toISOString()
+  });
+  sendProgressUpdate(job.sessionId, getJobOperationKey(job), job.progress, { stage: 'Download failed', failed: true, jobId: job.id, error: payload.error });
+  console.error(`❌ Job ${job.id} failed (${statusCode}): ${payload.error}`);
+
+  releaseJob(job);
+}
+
+function releaseJob(job) {
+  const handles = runningJobs.get(job.id);
+  if (handles && handles.timeout) {
+    clearTimeout(handles.timeout);
   }
+  runningJobs.delete(job.id);
 
-  // Validate quality option
-  if (!qualityFormats[quality]) {
-    return res.status(400).json({ error: 'Invalid quality option' });
+  const workDir = path.join(getJobDir(job.id), 'work');
+  if (fs.existsSync(workDir)) {
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
 
-  // Check if yt-dlp is available
-  // Temporarily disabled to fix 500 error - yt-dlp should be available via nixpacks.toml
-  // const ytDlpAvailable = await checkYtDlp();
-  // if (!ytDlpAvailable) {
-  //   return res.status(500).json({ 
-  //     error: 'yt-dlp is not installed. Please install it with: pip install yt-dlp' 
-  //   });
-  // }
+  pumpJobQueue();
+  if (job.parentId) {
+    updateBatchJobs();
+  }
+}
 
-  let ytDlp = null;
-  let tempDir = null;
+function cancelJob(job) {
+  const handles = runningJobs.get(job.id);
+  updateJob(job, { status: 'cancelled', stage: 'cancelled', completedAt: new Date().toISOString() });
+  if (handles && handles.cleanup) {
+    handles.cleanup();
+  }
+  if (job.type === 'batch') {
+    getBatchChildren(job).filter(isJobActive).forEach(cancelJob);
+  }
+  releaseJob(job);
+}
 
-  // Handle request cancellation
-  const cleanup = () => {
-    // Clear download timeout if it exists
-    const downloadData = activeDownloads.get(url);
-    if (downloadData && downloadData.timeout) {
-      clearTimeout(downloadData.timeout);
+// Run ffmpeg to completion; resolves with its stderr, rejects on a non-zero exit, timeout or abort.
+// stderrLimit keeps only the tail of stderr for long runs whose output is not parsed.
+function runFFmpeg(args, { timeout = 30000, onStderr, signal, stderrLimit = Infinity } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('FFmpeg was cancelled'));
     }
 
-    if (ytDlp && !ytDlp.killed) {
-      ytDlp.kill('SIGTERM');
-      // Force kill if SIGTERM doesn't work
-      setTimeout(() => {
-        if (ytDlp && !ytDlp.killed) {
-          ytDlp.kill('SIGKILL');
-        }
-      }, 5000);
-    }
-    if (tempDir) {
-      try {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      } catch (err) {
-        console.error('Error cleaning up temp directory:', err);
-      }
-    }
-    // Remove from active downloads
-    activeDownloads.delete(url);
-  };
+    const ffmpeg = spawn('ffmpeg', ['-hide_banner', ...args]);
+    let stderr = '';
 
-  req.on('close', cleanup);
-  req.on('aborted', cleanup);
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      reject(new Error(`FFmpeg timed out after ${timeout / 1000} seconds`));
+    }, timeout);
 
-  // Also check if request is already aborted
-  if (req.aborted) {
-    return;
-  }
+    const onAbort = () => {
+      clearTimeout(timer);
+      ffmpeg.kill('SIGKILL');
+      reject(new Error('FFmpeg was cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
-  try {
-    // Create a temporary directory for downloads
-    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytdl-'));
-    const outputTemplate = path.join(tempDir, '%(title)s_%(id)s.%(ext)s');
+    ffmpeg.stderr.on('data', (data) => {
+      const chunk = data.toString();
+      stderr += chunk;
+      if (stderr.length > stderrLimit) stderr = stderr.slice(-stderrLimit);
+      if (onStderr) onStderr(chunk);
+    });
 
-    // For formats that download multiple files, use a more flexible template
-    const flexibleTemplate = path.join(tempDir, '%(title)s_%(id)s_%(format_id)s.%(ext)s');
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(error);
+    });
 
-    // Detect platform and adjust settings accordingly
-    const platform = detectPlatform(url);
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (code === 0) {
+        resolve(stderr);
+      } else {
+        reject(new Error(`FFmpeg failed with code ${code}: ${stderr.slice(-500)}`));
+      }
+    });
+  });
+}
 
-    // Base arguments for all platforms
-    const baseArgs = [
-      '--restrict-filenames', // Use safe filenames
-      '--embed-metadata',
-      '--verbose',
-      '--progress', // Enable progress output
-      '--newline', // Each progress line on new line
-      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36', // Latest Chrome
-      '--extractor-args', 'youtube:player_client=web_creator,ios,web', // Prioritize Creator/iOS over standard Web
-      '--js-runtimes', 'deno', // Use Deno for signature decryption (Node is unsupported/broken in current yt-dlp)
-      '--no-check-formats', // Don't verify format availability
-      '--no-check-certificate', // Bypass SSL certificate checks
-      '--prefer-free-formats', // Prefer free formats when available
-      '-S', 'vcodec:h264,res,acodec:m4a' // Explicitly sort to prefer H.264 video and AAC audio
-    ];
+// Run ffprobe and resolve with its stdout
+function runFFprobe(args, { timeout = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', args);
+    let stdout = '';
+    let stderr = '';
 
-    // Always add format for best quality first
-    baseArgs.unshift('--format', qualityFormats[quality]);
+    const timer = setTimeout(() => {
+      ffprobe.kill('SIGKILL');
+      reject(new Error(`ffprobe timed out after ${timeout / 1000} seconds`));
+    }, timeout);
 
-    // Always use output template to ensure files go to tempDir
-    baseArgs.unshift('--output', outputTemplate);
+    ffprobe.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    ffprobe.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
 
-    // Add merge format for video qualities
-    if (quality !== 'audio') {
-      baseArgs.push('--merge-output-format', 'mp4');
-    }
+    ffprobe.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
 
-    // YouTube-specific bypass strategies
-    if (platform === 'youtube' || url.includes('youtube.com') || url.includes('youtu.be')) {
-      baseArgs.push(
-        '--extractor-retries', '5', // Retry failed extractions
-        '--fragment-retries', '10', // Retry failed fragments
-        '--retry-sleep', 'exp=1:120', // Exponential backoff
-        '--socket-timeout', '30', // Socket timeout
-        '--http-chunk-size', '10485760', // 10MB chunks
-        '--throttled-rate', '100K', // Rate limiting to avoid detection
-        '--write-info-json', // Write metadata
-        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-        '--referer', 'https://www.youtube.com/',
-        '--add-header', 'Accept-Language:en-US,en;q=0.9',
-        '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        '--add-header', 'Sec-Fetch-Mode:navigate'
-      );
-    }
+    ffprobe.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`ffprobe failed with code ${code}: ${stderr.slice(-500)}`));
+      }
+    });
+  });
+}
 
-    // Store segment info for post-processing if needed
-    let segmentInfo = null;
-    if (startTime !== undefined && endTime !== undefined) {
-      // Convert time format from MM:SS or HH:MM:SS to seconds if needed
-      const parseTime = (timeStr) => {
-        if (typeof timeStr === 'number') return timeStr;
-        const parts = timeStr.split(':').map(Number);
-        if (parts.length === 2) {
-          return parts[0] * 60 + parts[1]; // MM:SS
-        } else if (parts.length === 3) {
-          return parts[0] * 3600 + parts[1] * 60 + parts[2]; // HH:MM:SS
-        }
-        return parseInt(timeStr) || 0;
-      };
+// inputArgs go before the input (e.g. a protocol whitelist for URLs)
+async function probeStreams(inputPath, inputArgs = []) {
+  const output = await runFFprobe(['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', ...inputArgs, inputPath]);
+  return JSON.parse(output);
+}
 
-      const startSeconds = parseTime(startTime);
-      const endSeconds = parseTime(endTime);
-      const duration = endSeconds - startSeconds;
+async function probeDuration(inputPath) {
+  const probe = await probeStreams(inputPath);
+  return parseFloat(probe.format && probe.format.duration) || 0;
+}
 
-      segmentInfo = { startSeconds, duration };
-      console.log('🎬 Segment info prepared:', segmentInfo);
-      // Don't add ffmpeg args here - we'll process after download
+// Keyframe timestamps of the first video stream between from and to (seconds)
+async function probeKeyframes(inputPath, from, to) {
+  const output = await runFFprobe([
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-read_intervals', `${Math.max(0, from)}%${to}`,
+    '-show_entries', 'packet=pts_time,flags',
+    '-of', 'csv=p=0',
+    inputPath
+  ], { timeout: 60000 });
+
+  return output.split('\n')
+    .map(line => line.trim().split(','))
+    .filter(([pts, flags]) => flags && flags.includes('K') && pts !== 'N/A')
+    .map(([pts]) => parseFloat(pts))
+    .sort((a, b) => a - b);
+}
+
+// Trim modes: 'fast' stream-copies (cuts snap to keyframes), 'accurate' re-encodes only the partial
+// GOPs at each boundary and stream-copies the middle ("smart cut"), 'reencode' re-encodes everything
+const TRIM_MODES = ['fast', 'accurate', 'reencode'];
+
+const REENCODE_VIDEO_ARGS = [
+  '-c:v', 'libx264',
+  '-preset', 'medium',
+  '-crf', '15', // Very high quality encoding (lower = better)
+  '-pix_fmt', 'yuv420p' // Ensure compatible pixel format
+];
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Parse ffmpeg's "time=HH:MM:SS.xx" progress into a 0-1 fraction of duration
+function reportFFmpegProgress(duration, onProgress) {
+  if (!onProgress || !duration) return undefined;
+  return (chunk) => {
+    const timeMatch = chunk.match(/time=(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (timeMatch) {
+      const currentTime = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseFloat(timeMatch[3]);
+      onProgress(Math.min(1, currentTime / duration));
     }
+  };
+}
 
-    // Platform-specific configurations
-    if (platform === 'instagram') {
-      // Instagram-specific arguments for carousel handling
-      var ytDlpArgs = [
-        ...baseArgs,
-        '--no-check-certificate',
-        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        '--referer', url,
-        '--extractor-retries', '3',
-        '--fragment-retries', '3',
-        '--retry-sleep', 'linear=1::2',
-        '--sleep-interval', '1',
-        '--max-sleep-interval', '5',
-        '--ignore-errors', // Continue on errors for individual items
-        '--write-info-json', // Get metadata for each item
-        '--write-thumbnail', // Download thumbnails
+// Cut [start, start + duration] out of inputPath. Resolves with the mode actually used and the
+// timestamps achieved: { mode, requestedStart, requestedEnd, actualStart, actualEnd }
+async function trimMedia(inputPath, outputPath, { start, duration, mode = 'fast', mapAll = false, onProgress, signal }) {
+  const end = start + duration;
+  const probe = await probeStreams(inputPath);
+  const videoStream = (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const audioStream = (probe.streams || []).find(stream => stream.codec_type === 'audio');
+  const mapArgs = mapAll ? ['-map', '0'] : [];
+  const ffmpegOptions = { timeout: 10 * 60 * 1000, onStderr: reportFFmpegProgress(duration, onProgress), signal };
+  const result = (achievedMode, actualStart, actualDuration) => ({
+    mode: achievedMode,
+    requestedStart: roundTime(start),
+    requestedEnd: roundTime(end),
+    actualStart: roundTime(actualStart),
+    actualEnd: roundTime(actualStart + actualDuration)
+  });
 
-        '--recode-video', 'mp4', // Ensure container is MP4
-        // DO NOT add --no-playlist for Instagram to allow carousel downloads
-        '--yes-playlist' // Explicitly enable playlist/carousel extraction
-      ];
+  // Audio-only media has no GOPs to snap to: stream copy is already accurate enough.
+  // 'fast' means stream copy only, so a failure is returned rather than turned into a re-encode.
+  if (mode === 'fast' || !videoStream) {
+    await runFFmpeg([
+      '-ss', start.toString(), // Seek before input for better stream copy
+      '-i', inputPath,
+      ...mapArgs,
+      '-t', duration.toString(),
+      '-c', 'copy',
+      '-avoid_negative_ts', 'make_zero',
+      '-map_metadata', '0',
+      '-y', outputPath
+    ], ffmpegOptions);
+
+    // Stream copy starts at the last keyframe at or before the requested start
+    const keyframes = videoStream ? await probeKeyframes(inputPath, start - 30, start + 1) : [];
+    const startKeyframe = keyframes.filter(time => time <= start + 0.001).pop();
+    return result('fast', startKeyframe !== undefined ? startKeyframe : start, await probeDuration(outputPath));
+  }
 
-      // Try environment variable for explicit cookie file
-      if (process.env.IG_COOKIES_FILE && fs.existsSync(process.env.IG_COOKIES_FILE)) {
-        ytDlpArgs.push('--cookies', process.env.IG_COOKIES_FILE);
-      } else {
-        // Use alternative anti-bot measures for Instagram
-        ytDlpArgs.push(
-          '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          '--referer', 'https://www.instagram.com/'
-        );
-      }
-    } else if (platform === 'facebook') {
-      // Facebook-specific arguments  
-      var ytDlpArgs = [
-        ...baseArgs,
-        '--no-playlist', // For Facebook, use no-playlist
-        '--no-check-certificate',
-        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        '--referer', url,
-        '--extractor-retries', '3',
-        '--fragment-retries', '3',
-        '--retry-sleep', 'linear=1::2',
-        '--sleep-interval', '1',
-        '--max-sleep-interval', '5',
-        '--retry-sleep', 'linear=1::2',
-        '--sleep-interval', '1',
-        '--max-sleep-interval', '5',
-        '--recode-video', 'mp4' // Ensure container is MP4
-      ];
+  if (mode === 'accurate') {
+    try {
+      await smartCut(inputPath, outputPath, { start, end, videoStream, audioStream, mapAll, ffmpegOptions });
+      return result('accurate', start, await probeDuration(outputPath));
+    } catch (error) {
+      console.warn('⚠️ Smart cut not possible, re-encoding instead:', error.message);
+    }
+  }
 
-      // Continue without authentication for Facebook
-    } else if (platform === 'youtube') {
-      // YouTube-specific arguments with advanced bypass strategies
-      var ytDlpArgs = [
-        ...baseArgs,
-        '--no-playlist',
-        '--no-abort-on-error',
-        '--ignore-errors'
-      ];
+  await runFFmpeg([
+    '-ss', start.toString(), // Input seeking decodes from the previous keyframe and drops frames up to start
+    '-i', inputPath,
+    ...mapArgs,
+    '-t', duration.toString(),
+    ...REENCODE_VIDEO_ARGS,
+    '-c:a', 'aac',
+    ...(mapAll ? ['-c:s', 'copy'] : []),
+    '-avoid_negative_ts', 'make_zero',
+    '-map_metadata', '0',
+    '-y', outputPath
+  ], ffmpegOptions);
+  return result('reencode', start, await probeDuration(outputPath));
+}
 
-      // Use cookies.txt file for YouTube authentication if available
-      const cookiesPath = path.join(__dirname, 'cookies.txt');
-      if (fs.existsSync(cookiesPath)) {
-        ytDlpArgs.push('--cookies', cookiesPath);
-        console.log('🍪 Using cookies.txt for YouTube authentication');
-      } else {
-        // Determine cookie source
-        const cookieOptions = getCookiesPath();
-        const usesBrowserCookies = cookieOptions.includes('--cookies-from-browser');
+// Smart cut: re-encode [start, first keyframe) and [last keyframe, end), stream-copy the GOPs in between,
+// then join the three parts. Only H.264/AAC sources are handled so the parts share codecs. The encoded parts
+// can't reproduce the source's SPS/PPS exactly, so the parts are MPEG-TS (Annex B) with the parameter sets
+// in-band at every keyframe rather than in one container-level avcC that would only fit one of them.
+async function smartCut(inputPath, outputPath, { start, end, videoStream, audioStream, mapAll, ffmpegOptions }) {
+  if (videoStream.codec_name !== 'h264' || (audioStream && audioStream.codec_name !== 'aac') || mapAll) {
+    throw new Error('smart cut needs an H.264/AAC source without extra tracks');
+  }
 
-        // Auto-fallback: try extracting cookies into persistent jar locally, then use jar
-        if (!isProductionEnvironment() && usesBrowserCookies) {
-          try {
-            console.log('🔁 Auto fallback: extracting YouTube cookies via headless browser...');
-            await youtubeBypass.extractAndSaveCookies('https://www.youtube.com');
-            if (fs.existsSync(youtubeBypass.cookieJar)) {
-              ytDlpArgs.push('--cookies', youtubeBypass.cookieJar);
-              console.log('🍪 Auto fallback successful: using persistent cookie jar');
-            } else {
-              ytDlpArgs.push(...cookieOptions);
-              console.log('🍪 Using browser cookies for YouTube authentication');
-            }
-          } catch (error) {
-            console.log('⚠️ Cookie extraction failed, falling back to browser cookies:', error.message);
-            ytDlpArgs.push(...cookieOptions);
-          }
-        } else {
-          // Use whatever getCookiesPath recommended (jar or browser)
-          if (cookieOptions.length > 0) {
-            ytDlpArgs.push(...cookieOptions);
-            if (cookieOptions.includes('--cookies')) {
-              console.log('🍪 Using persistent cookie jar for YouTube authentication');
-            } else {
-              console.log('🍪 Using browser cookies for YouTube authentication');
-            }
-          } else {
-            console.log('⚠️ No cookies available, using basic anti-bot measures');
-            ytDlpArgs.push(
-              '--user-agent', getRandomUserAgent(),
-              '--referer', 'https://www.youtube.com/'
-            );
-          }
-        }
-      }
-    } else {
-      // Default arguments for other platforms
-      var ytDlpArgs = [
-        ...baseArgs,
-        '--no-playlist' // Default behavior for non-Instagram platforms
-      ];
-    }
+  const keyframes = await probeKeyframes(inputPath, start - 1, end + 1);
+  const firstKeyframe = keyframes.find(time => time >= start);
+  const lastKeyframe = [...keyframes].reverse().find(time => time <= end);
+  if (firstKeyframe === undefined || lastKeyframe === undefined || lastKeyframe - firstKeyframe < 1) {
+    throw new Error('the range lies within a single GOP');
+  }
 
-    if (platform === 'twitter') {
-      // Twitter-specific optimizations
-      ytDlpArgs.push('--no-check-certificate');
-    }
+  // Boundary parts must match the copied middle: same profile, pixel format and audio layout
+  const profile = (videoStream.profile || 'high').toLowerCase().replace('constrained ', '');
+  const encodeArgs = [
+    '-c:v', 'libx264',
+    '-preset', 'medium',
+    '-crf', '15',
+    '-profile:v', ['baseline', 'main', 'high'].includes(profile) ? profile : 'high',
+    '-pix_fmt', videoStream.pix_fmt || 'yuv420p',
+    ...(audioStream ? ['-c:a', 'aac', '-ar', String(audioStream.sample_rate || 44100), '-ac', String(audioStream.channels || 2)] : [])
+  ];
 
-    if (platform === 'generic' || platform === 'direct-video') {
-      // For generic websites, add more robust extraction options
-      ytDlpArgs.push(
-        '--no-check-certificate',
-        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        '--referer', url,
-        '--extract-flat', 'false',
-        '--referer', url,
-        '--extract-flat', 'false',
-        '--recode-video', 'mp4'
-      );
+  const ext = path.extname(outputPath);
+  const partBase = outputPath.slice(0, outputPath.length - ext.length);
+  const parts = [];
+  const cutPart = async (partStart, partEnd, codecArgs) => {
+    const partPath = `${partBase}_part${parts.length}.ts`;
+    await runFFmpeg([
+      '-ss', partStart.toString(),
+      '-i', inputPath,
+      '-t', (partEnd - partStart).toString(),
+      ...codecArgs,
+      '-avoid_negative_ts', 'make_zero',
+      '-f', 'mpegts',
+      '-y', partPath
+    ], ffmpegOptions);
+    parts.push(partPath);
+  };
 
-      // For direct video files, try to download directly
-      if (platform === 'direct-video') {
-        ytDlpArgs.push('--no-playlist', '--ignore-errors');
-      }
+  try {
+    if (firstKeyframe - start > 0.01) {
+      await cutPart(start, firstKeyframe, encodeArgs);
     }
-
-    if (platform === 'reddit') {
-      // Reddit-specific optimizations
-      ytDlpArgs.push('--no-check-certificate');
+    await cutPart(firstKeyframe, lastKeyframe, ['-c', 'copy', '-bsf:v', 'h264_mp4toannexb']);
+    if (end - lastKeyframe > 0.01) {
+      await cutPart(lastKeyframe, end, encodeArgs);
     }
 
-    // Segment trimming will be handled in post-processing with FFmpeg
-    if (segmentInfo) {
-      const startTime = segmentInfo.startSeconds;
-      const endTime = startTime + segmentInfo.duration;
-      console.log(`🎬 Segment download requested: ${startTime}-${endTime} seconds (will be trimmed in post-processing)`);
+    const listPath = `${partBase}_parts.txt`;
+    fs.writeFileSync(listPath, parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n'));
+    parts.push(listPath);
+    // Keep the in-band parameter sets when muxing back: ADTS audio needs its MP4 header form again
+    await runFFmpeg([
+      '-f', 'concat', '-safe', '0', '-i', listPath,
+      '-c', 'copy',
+      ...(audioStream ? ['-bsf:a', 'aac_adtstoasc'] : []),
+      '-y', outputPath
+    ], ffmpegOptions);
+  } finally {
+    for (const part of parts) {
+      fs.rmSync(part, { force: true });
     }
+  }
+}
 
-    // Add merge format for video qualities
-    if (quality !== 'audio') {
-      ytDlpArgs.splice(2, 0, '--merge-output-format', 'mp4');
-      ytDlpArgs.push('--write-thumbnail', '--embed-thumbnail');
-    }
+// Conversion options shared by /api/convert-video (uploads) and the convert block of /api/download-video
+const CONVERSION_FORMATS = ['mp4', 'avi', 'mov', 'mkv', 'webm', 'mp3', 'wav', 'gif', 'webp'];
+const CONVERSION_QUALITIES = ['low', 'medium', 'high', 'maximum'];
+const CONVERSION_RESOLUTIONS = ['original', '1920x1080', '1280x720', '854x480'];
+const AUDIO_ONLY_FORMATS = ['mp3', 'wav'];
+// Silent looping images; also the animated previews of /api/thumbnails
+const ANIMATED_IMAGE_FORMATS = ['webp', 'gif'];
+// libwebp -quality per preset (GIF quality comes from the palette, not the preset)
+const ANIMATED_WEBP_QUALITY = { low: 50, medium: 75, high: 90, maximum: 100 };
+
+const CONVERSION_CONTENT_TYPES = {
+  mp4: 'video/mp4',
+  avi: 'video/x-msvideo',
+  mov: 'video/quicktime',
+  mkv: 'video/x-matroska',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
 
-    ytDlpArgs.push(url);
+// Advanced encoder options ({ videoCodec, crf, videoBitrate, twoPass, preset, profile, level, gop, pixelFormat,
+// audioCodec, audioBitrate, sampleRate }); everything left out falls back to the quality preset
+const VIDEO_ENCODERS = { h264: 'libx264', hevc: 'libx265', vp9: 'libvpx-vp9', av1: 'libsvtav1' };
+const AUDIO_ENCODERS = { aac: 'aac', mp3: 'libmp3lame', opus: 'libopus', vorbis: 'libvorbis', flac: 'flac', pcm: 'pcm_s16le' };
+const LOSSLESS_AUDIO_CODECS = ['flac', 'pcm'];
+
+// Codecs each container can carry; the first entry is the default
+const CONTAINER_CODECS = {
+  mp4: { video: ['h264', 'hevc', 'av1', 'vp9'], audio: ['aac', 'mp3', 'opus', 'flac'] },
+  mov: { video: ['h264', 'hevc'], audio: ['aac', 'mp3', 'pcm'] },
+  mkv: { video: ['h264', 'hevc', 'vp9', 'av1'], audio: ['aac', 'mp3', 'opus', 'vorbis', 'flac', 'pcm'] },
+  webm: { video: ['vp9', 'av1'], audio: ['opus', 'vorbis'] },
+  avi: { video: ['h264'], audio: ['aac', 'mp3', 'pcm'] },
+  mp3: { video: [], audio: ['mp3'] },
+  wav: { video: [], audio: ['pcm'] }
+};
 
-    // Prepare command and arguments
-    const ytDlpPath = await getYtDlpPath();
+const X26X_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const ENCODER_PRESETS = {
+  h264: X26X_PRESETS,
+  hevc: X26X_PRESETS,
+  vp9: ['realtime', 'good', 'best'], // libvpx -deadline
+  av1: Array.from({ length: 14 }, (_, i) => String(i)) // SVT-AV1 preset, 0 = slowest
+};
+const ENCODER_PROFILES = {
+  h264: ['baseline', 'main', 'high', 'high10', 'high422', 'high444'],
+  hevc: ['main', 'main10', 'main12'],
+  vp9: ['0', '1', '2', '3'],
+  av1: ['main', 'high', 'professional']
+};
+const CRF_RANGES = { h264: 51, hevc: 51, vp9: 63, av1: 63 };
+const PIXEL_FORMATS = ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le', 'yuv422p10le', 'yuv444p10le'];
+const SAMPLE_RATES = [22050, 32000, 44100, 48000, 96000];
+
+// Quality presets expressed per encoder family: [crf, preset]
+const QUALITY_ENCODER_SETTINGS = {
+  x26x: { low: [28, 'fast'], medium: [23, 'medium'], high: [18, 'slow'], maximum: [15, 'veryslow'] },
+  vp9: { low: [40, 'good'], medium: [33, 'good'], high: [28, 'good'], maximum: [24, 'best'] },
+  av1: { low: [40, '10'], medium: [35, '8'], high: [28, '6'], maximum: [24, '4'] }
+};
 
-    // Handle the case where the path is actually a command with arguments (like "python3 -m yt_dlp")
-    let command, commandArgs;
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
 
-    if (ytDlpPath.includes(' ')) {
-      const parts = ytDlpPath.split(' ');
-      command = parts[0];
-      commandArgs = [...parts.slice(1), ...ytDlpArgs];
-    } else {
-      command = ytDlpPath;
-      commandArgs = ytDlpArgs;
+// Returns an error message for an invalid advanced options object, or null
+function validateAdvancedEncoderOptions(format, advanced) {
+  if (!advanced || typeof advanced !== 'object' || Array.isArray(advanced)) {
+    return 'advanced must be an object';
+  }
+
+  const containerCodecs = CONTAINER_CODECS[format];
+  const { videoCodec, crf, videoBitrate, twoPass, preset, profile, level, gop, pixelFormat, audioCodec, audioBitrate, sampleRate } = advanced;
+  const videoFields = { videoCodec, crf, videoBitrate, twoPass, preset, profile, level, gop, pixelFormat };
+
+  if (containerCodecs.video.length === 0 && Object.values(videoFields).some(value => value !== undefined)) {
+    return `${format.toUpperCase()} is audio-only; video encoder options do not apply`;
+  }
+
+  if (videoCodec !== undefined && !containerCodecs.video.includes(videoCodec)) {
+    return `Video codecs for ${format.toUpperCase()}: ${containerCodecs.video.join(', ')}`;
+  }
+  const codec = videoCodec || containerCodecs.video[0];
+
+  if (crf !== undefined && videoBitrate !== undefined) {
+    return 'Use either crf or videoBitrate, not both';
+  }
+  if (crf !== undefined && !isIntegerIn(crf, 0, CRF_RANGES[codec])) {
+    return `crf for ${codec} must be an integer from 0 to ${CRF_RANGES[codec]}`;
+  }
+  if (videoBitrate !== undefined && !isIntegerIn(videoBitrate, 100, 100000)) {
+    return 'videoBitrate must be an integer from 100 to 100000 (kbps)';
+  }
+  if (twoPass !== undefined && typeof twoPass !== 'boolean') {
+    return 'twoPass must be a boolean';
+  }
+  if (twoPass && videoBitrate === undefined) {
+    return 'Two-pass encoding needs a target videoBitrate';
+  }
+  if (twoPass && codec === 'av1') {
+    return 'Two-pass encoding is supported for h264, hevc and vp9';
+  }
+  if (preset !== undefined && !ENCODER_PRESETS[codec].includes(String(preset))) {
+    return `Presets for ${codec}: ${ENCODER_PRESETS[codec].join(', ')}`;
+  }
+  if (profile !== undefined && !ENCODER_PROFILES[codec].includes(String(profile))) {
+    return `Profiles for ${codec}: ${ENCODER_PROFILES[codec].join(', ')}`;
+  }
+  if (level !== undefined && (!['h264', 'hevc'].includes(codec) || !/^\d(\.\d)?$/.test(String(level)))) {
+    return 'level applies to h264 and hevc and looks like 4.1';
+  }
+  if (gop !== undefined && !isIntegerIn(gop, 1, 1000)) {
+    return 'gop must be an integer from 1 to 1000 (frames)';
+  }
+  if (pixelFormat !== undefined && !PIXEL_FORMATS.includes(pixelFormat)) {
+    return `Pixel formats: ${PIXEL_FORMATS.join(', ')}`;
+  }
+
+  if (audioCodec !== undefined && !containerCodecs.audio.includes(audioCodec)) {
+    return `Audio codecs for ${format.toUpperCase()}: ${containerCodecs.audio.join(', ')}`;
+  }
+  if (audioBitrate !== undefined) {
+    if (LOSSLESS_AUDIO_CODECS.includes(audioCodec || containerCodecs.audio[0])) {
+      return 'audioBitrate does not apply to lossless audio';
     }
+    if (!isIntegerIn(audioBitrate, 32, 512)) {
+      return 'audioBitrate must be an integer from 32 to 512 (kbps)';
+    }
+  }
+  if (sampleRate !== undefined && !SAMPLE_RATES.includes(sampleRate)) {
+    return `Sample rates: ${SAMPLE_RATES.join(', ')}`;
+  }
 
-    console.log('🔍 DEBUG: Executing generic download:', command, commandArgs.join(' '));
+  return null;
+}
 
-    // Debug: Log the complete yt-dlp command
-    console.log('🔍 DEBUG: Full yt-dlp command:', [command, ...commandArgs].join(' '));
-    console.log('🔍 DEBUG: Quality requested:', quality);
-    console.log('🔍 DEBUG: Format string:', qualityFormats[quality]);
+// Encoder arguments for a conversion with advanced options. pass/passLogFile drive two-pass encoding.
+function buildAdvancedEncoderArgs(format, quality, advanced, { pass, passLogFile } = {}) {
+  const containerCodecs = CONTAINER_CODECS[format];
+  const args = [];
 
-    // For YouTube, use alternative format strategies for better quality control
-    let attemptCount = 0;
-    const maxAttempts = platform === 'youtube' ? alternativeFormats[quality]?.length || 1 : 1;
+  if (containerCodecs.video.length === 0) {
+    args.push('-vn');
+  } else {
+    const codec = advanced.videoCodec || containerCodecs.video[0];
+    const family = codec === 'h264' || codec === 'hevc' ? 'x26x' : codec;
+    const [qualityCrf, qualityPreset] = QUALITY_ENCODER_SETTINGS[family][quality];
+    const x265Params = [];
 
-    const tryDownload = async (formatIndex = 0) => {
-      attemptCount++;
+    args.push('-c:v:0', VIDEO_ENCODERS[codec]);
 
-      if (platform === 'youtube' && alternativeFormats[quality]) {
-        // Always use alternative formats for YouTube to have better quality control
-        const formatArgIndex = ytDlpArgs.findIndex(arg => arg === '--format');
-        if (formatArgIndex !== -1 && formatArgIndex + 1 < ytDlpArgs.length) {
-          ytDlpArgs[formatArgIndex + 1] = alternativeFormats[quality][formatIndex];
-          console.log(`🔄 DEBUG: Using YouTube format ${formatIndex + 1}/${maxAttempts} for quality '${quality}':`, alternativeFormats[quality][formatIndex]);
-        }
+    // Rate control: a target bitrate wins, otherwise constant quality
+    if (advanced.videoBitrate !== undefined) {
+      args.push('-b:v', `${advanced.videoBitrate}k`);
+    } else {
+      args.push('-crf', String(advanced.crf ?? qualityCrf));
+      if (codec === 'vp9') {
+        args.push('-b:v', '0'); // constant quality mode for libvpx
       }
+    }
 
-      const ytDlpPath = await getYtDlpPath();
-      let command, commandArgs;
+    const preset = advanced.preset !== undefined ? String(advanced.preset) : qualityPreset;
+    args.push(codec === 'vp9' ? '-deadline' : '-preset', preset);
 
-      if (ytDlpPath.includes(' ')) {
-        const parts = ytDlpPath.split(' ');
-        command = parts[0];
-        commandArgs = [...parts.slice(1), ...ytDlpArgs];
+    if (advanced.profile !== undefined) {
+      args.push('-profile:v', String(advanced.profile));
+    }
+    if (advanced.level !== undefined) {
+      if (codec === 'hevc') {
+        x265Params.push(`level-idc=${advanced.level}`);
       } else {
-        command = ytDlpPath;
-        commandArgs = ytDlpArgs;
+        args.push('-level:v', String(advanced.level));
       }
+    }
+    if (advanced.gop !== undefined) {
+      args.push('-g', String(advanced.gop));
+    }
+    args.push('-pix_fmt', advanced.pixelFormat || 'yuv420p');
 
-      return spawn(command, commandArgs);
-    };
+    if (advanced.twoPass && pass) {
+      // libx265 keeps its own stats file and ignores -pass
+      if (codec === 'hevc') {
+        x265Params.push(`pass=${pass}`, `stats=${passLogFile}.x265`);
+      } else {
+        args.push('-pass', String(pass), '-passlogfile', passLogFile);
+      }
+    }
+    if (x265Params.length > 0) {
+      args.push('-x265-params', x265Params.join(':'));
+    }
 
-    // Wrapper for retry capabilities
-    const executeDownloadSession = async (isRetry = false) => {
-      ytDlp = await tryDownload();
+    // Apple players only recognise HEVC in MP4/MOV with the hvc1 tag
+    if (codec === 'hevc' && ['mp4', 'mov'].includes(format)) {
+      args.push('-tag:v', 'hvc1');
+    }
+  }
 
-      // Update active download reference with new process
-      if (activeDownloads.has(url)) {
-        const ad = activeDownloads.get(url);
-        if (ad) ad.ytDlp = ytDlp;
-      }
+  const audioCodec = advanced.audioCodec || containerCodecs.audio[0];
+  args.push('-c:a', AUDIO_ENCODERS[audioCodec]);
+  if (advanced.audioBitrate !== undefined) {
+    args.push('-b:a', `${advanced.audioBitrate}k`);
+  } else if (audioCodec === 'mp3') {
+    args.push('-b:a', '192k');
+  }
+  if (advanced.sampleRate !== undefined) {
+    args.push('-ar', String(advanced.sampleRate));
+  }
 
-      console.log('🎬 SERVER DEBUG: yt-dlp process started for sessionId:', sessionId);
-      console.log('🎬 SERVER DEBUG: Process PID:', ytDlp.pid);
+  if (['mp4', 'mov'].includes(format)) {
+    args.push('-movflags', '+faststart');
+  }
 
-      // Add timeout mechanism to prevent hanging downloads
-      const downloadTimeout = setTimeout(() => {
-        console.error('⏰ Download timeout reached (5 minutes), killing yt-dlp process');
-        if (ytDlp && !ytDlp.killed) {
-          ytDlp.kill('SIGTERM');
-          setTimeout(() => {
-            if (ytDlp && !ytDlp.killed) {
-              console.error('⏰ Force killing yt-dlp process with SIGKILL');
-              ytDlp.kill('SIGKILL');
-            }
-          }, 5000); // Give 5 seconds for graceful termination
-        }
-        cleanup();
-        if (!res.headersSent) {
-          res.status(408).json({
-            error: 'Download timeout',
-            details: 'The download took too long and was cancelled. This may be due to network issues or the video being very large.'
-          });
-        }
-      }, 5 * 60 * 1000); // 5 minutes timeout
+  return args;
+}
 
-      // Register this download in the active downloads map
-      activeDownloads.set(url, { ytDlp, tempDir, cleanup, sessionId, timeout: downloadTimeout });
+// Picture transforms: resolution is a preset or any even WxH, fit says how the source fills it
+const FIT_MODES = ['pad', 'crop', 'stretch'];
+const ROTATIONS = [0, 90, 180, 270];
+const FLIP_MODES = ['horizontal', 'vertical', 'both'];
+const MAX_VIDEO_DIMENSION = 7680;
+const CUSTOM_RESOLUTION_PATTERN = /^(\d{2,4})x(\d{2,4})$/;
+const FPS_PATTERN = /^(\d{1,3}(\.\d{1,3})?|\d{1,6}\/\d{1,4})$/;
 
-      let stderr = '';
-      let stdout = '';
-      let progressSent = false;
+const isEvenDimension = (value, min = 16) => Number.isInteger(value) && value >= min && value <= MAX_VIDEO_DIMENSION && value % 2 === 0;
 
-      // Unified progress tracking for multi-stage downloads
-      let downloadStage = 'initializing'; // 'initializing', 'video', 'audio', 'merging', 'complete'
-      let stageProgress = {}; // Track progress for each stage
-      let lastUnifiedProgress = 0;
+// Validate { fit, crop, rotate, flip, deinterlace, fps } (numbers and objects may arrive as multipart strings);
+// returns { transform } or { error }
+function validateVideoTransform({ fit, crop, rotate, flip, deinterlace, fps }) {
+  const transform = {};
 
-      // Stage weight mapping for unified progress calculation
-      // Each stage represents the range it covers in the total progress
-      const stageRanges = {
-        initializing: { start: 0, end: 5 },      // 0-5%
-        video: { start: 5, end: 55 },            // 5-55%
-        audio: { start: 55, end: 80 },           // 55-80%
-        merging: { start: 80, end: 95 },         // 80-95%
-        postprocessing: { start: 95, end: 100 }  // 95-100%
-      };
+  if (fit !== undefined && fit !== '') {
+    if (!FIT_MODES.includes(fit)) {
+      return { error: `Fit modes: ${FIT_MODES.join(', ')}` };
+    }
+    transform.fit = fit;
+  }
 
-      const calculateUnifiedProgress = () => {
-        // Calculate progress based on all completed stages plus current stage
-        let totalProgress = 0;
+  if (crop !== undefined && crop !== '') {
+    let rect = crop;
+    if (typeof crop === 'string') {
+      try {
+        rect = JSON.parse(crop);
+      } catch (parseError) {
+        return { error: 'crop must be a JSON object { x, y, width, height }' };
+      }
+    }
+    if (!rect || typeof rect !== 'object' ||
+      !Number.isInteger(rect.x) || !Number.isInteger(rect.y) || rect.x < 0 || rect.y < 0 ||
+      !isEvenDimension(rect.width) || !isEvenDimension(rect.height)) {
+      return { error: 'crop needs non-negative integer x/y and even width/height of at least 16 pixels' };
+    }
+    transform.crop = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+  }
 
-        // Add progress from all completed stages
-        for (const [stageName, progress] of Object.entries(stageProgress)) {
-          const range = stageRanges[stageName];
-          if (!range) continue;
+  if (rotate !== undefined && rotate !== '') {
+    const degrees = Number(rotate);
+    if (!ROTATIONS.includes(degrees)) {
+      return { error: `rotate must be one of ${ROTATIONS.join(', ')} (degrees clockwise)` };
+    }
+    if (degrees) transform.rotate = degrees;
+  }
 
-          if (stageName === downloadStage) {
-            // Current stage: interpolate within its range
-            const rangeSize = range.end - range.start;
-            totalProgress = range.start + (progress / 100) * rangeSize;
-          } else if (progress >= 100) {
-            // Completed stage: use its full range
-            totalProgress = Math.max(totalProgress, range.end);
-          }
-        }
+  if (flip !== undefined && flip !== '') {
+    if (!FLIP_MODES.includes(flip)) {
+      return { error: `Flip modes: ${FLIP_MODES.join(', ')}` };
+    }
+    transform.flip = flip;
+  }
 
-        // Round to whole number (no decimal places)
-        totalProgress = Math.round(totalProgress);
+  if (deinterlace !== undefined) {
+    if (![true, false, 'true', 'false'].includes(deinterlace)) {
+      return { error: 'deinterlace must be a boolean' };
+    }
+    if (deinterlace === true || deinterlace === 'true') transform.deinterlace = true;
+  }
 
-        // Ensure progress stays within bounds and never goes backwards
-        totalProgress = Math.min(100, Math.max(lastUnifiedProgress || 0, totalProgress));
-        lastUnifiedProgress = totalProgress;
+  if (fps !== undefined && fps !== '') {
+    const rate = String(fps);
+    const [numerator, denominator = 1] = rate.split('/').map(Number);
+    if (!FPS_PATTERN.test(rate) || !denominator || numerator / denominator < 1 || numerator / denominator > 240) {
+      return { error: 'fps must be a rate between 1 and 240, e.g. 25, 29.97 or 30000/1001' };
+    }
+    transform.fps = rate;
+  }
 
-        return totalProgress;
+  return { transform };
+}
+
+// GIF/WebP settings { fps, width, loop }: loop 0 repeats forever, otherwise it is the number of plays.
+// Width defaults to 480 unless a resolution already sizes the picture. Returns { animation } or { error }.
+function validateAnimationOptions(animation, resolution) {
+  let options = animation === undefined || animation === '' ? {} : animation;
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (parseError) {
+      return { error: 'animation must be a JSON object { fps, width, loop }' };
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'animation must be an object { fps, width, loop }' };
+  }
+
+  const { fps = 12, width = resolution ? undefined : 480, loop = 0 } = options;
+  if (!isIntegerIn(fps, 1, 30)) {
+    return { error: 'animation.fps must be an integer from 1 to 30' };
+  }
+  if (width !== undefined && !isIntegerIn(width, 16, 1920)) {
+    return { error: 'animation.width must be an integer from 16 to 1920' };
+  }
+  if (!isIntegerIn(loop, 0, 65535)) {
+    return { error: 'animation.loop must be 0 (forever) or a number of plays up to 65535' };
+  }
+  return { animation: { fps, width, loop } };
+}
+
+// Validate { format, quality, resolution, leftChannel, rightChannel, audioRouting, loudness, subtitles, watermark, textOverlay, animation, packaging,
+// advanced, fit, crop, rotate, flip, deinterlace, fps }; returns { options } or { error, details }
+function validateConversionOptions({ format = 'mp4', quality = 'medium', resolution, leftChannel, rightChannel, audioRouting, loudness, subtitles, watermark, textOverlay, animation, packaging, advanced, ...transformFields }) {
+  if (!CONVERSION_FORMATS.includes(format)) {
+    return { error: 'Invalid format', details: `Supported formats: ${CONVERSION_FORMATS.join(', ')}` };
+  }
+
+  if (!CONVERSION_QUALITIES.includes(quality)) {
+    return { error: 'Invalid quality', details: `Supported qualities: ${CONVERSION_QUALITIES.join(', ')}` };
+  }
+
+  if (resolution && !CONVERSION_RESOLUTIONS.includes(resolution)) {
+    const match = CUSTOM_RESOLUTION_PATTERN.exec(resolution);
+    if (!match || !isEvenDimension(Number(match[1])) || !isEvenDimension(Number(match[2]))) {
+      return {
+        error: 'Invalid resolution',
+        details: `Use one of ${CONVERSION_RESOLUTIONS.join(', ')} or a custom WIDTHxHEIGHT with even sides up to ${MAX_VIDEO_DIMENSION}`
       };
+    }
+  }
 
-      const sendUnifiedProgress = (stage, rawProgress, details = {}) => {
-        // Ensure rawProgress is a valid number and within bounds
-        const validProgress = Math.max(0, Math.min(100, parseFloat(rawProgress) || 0));
+  const { transform, error: transformError } = validateVideoTransform(transformFields);
+  if (transformError) {
+    return { error: 'Invalid video transform', details: transformError };
+  }
 
-        // When transitioning to a new stage, preserve completed stages
-        if (stage !== downloadStage) {
-          // Mark the previous stage as completed if it exists
-          if (downloadStage && stageProgress[downloadStage] !== undefined) {
-            stageProgress[downloadStage] = 100;
-          }
-          downloadStage = stage; // Update current stage
-          // Initialize new stage progress if not exists
-          if (stageProgress[stage] === undefined) {
-            stageProgress[stage] = 0;
-          }
-        }
+  // Animated images carry no audio and are encoded by their own muxers, so only picture options apply
+  let animationOptions;
+  if (ANIMATED_IMAGE_FORMATS.includes(format)) {
+    const audioOptions = [leftChannel, rightChannel, audioRouting, loudness].some(value => value !== undefined && value !== '');
+    if (audioOptions || advanced !== undefined) {
+      return { error: 'Invalid animation options', details: `${format.toUpperCase()} output takes no audio or advanced encoder options` };
+    }
+    if (transform.fps) {
+      return { error: 'Invalid animation options', details: 'Set the frame rate with animation.fps' };
+    }
+    const result = validateAnimationOptions(animation, resolution && resolution !== 'original');
+    if (result.error) {
+      return { error: 'Invalid animation options', details: result.error };
+    }
+    animationOptions = result.animation;
+  } else if (animation !== undefined && animation !== '') {
+    return { error: 'Invalid animation options', details: `animation applies to ${ANIMATED_IMAGE_FORMATS.join(' and ')} output only` };
+  }
 
-        // Update only the current stage progress
-        const currentStageProgress = stageProgress[stage] || 0;
-        stageProgress[stage] = validProgress;
+  // Streaming packages encode their own H.264/AAC ladder, so sizing, encoder and audio mapping options don't apply
+  let packagingOptions;
+  if (packaging !== undefined && packaging !== '') {
+    if (format !== 'mp4') {
+      return { error: 'Invalid packaging options', details: 'Packaging produces H.264/AAC renditions; use format mp4' };
+    }
+    const audioOptions = [leftChannel, rightChannel, audioRouting, loudness].some(value => value !== undefined && value !== '');
+    if (audioOptions || advanced !== undefined || (resolution && resolution !== 'original')) {
+      return { error: 'Invalid packaging options', details: 'Packaging takes picture transforms and overlays only; renditions set the resolution and encoding' };
+    }
+    const result = validatePackagingOptions(packaging);
+    if (result.error) {
+      return { error: 'Invalid packaging options', details: result.error };
+    }
+    packagingOptions = result.packaging;
+  }
 
-        const unifiedProgress = calculateUnifiedProgress();
+  // Channel parameters come in pairs (multipart fields arrive as strings)
+  if ((leftChannel !== undefined || rightChannel !== undefined) &&
+    (leftChannel === undefined || rightChannel === undefined)) {
+    return { error: 'Invalid channel mapping', details: 'Both leftChannel and rightChannel must be provided together' };
+  }
 
-        // console.log(`📊 DEBUG: Stage '${stage}' progress: ${validProgress}% (was: ${currentStageProgress}%) -> Unified: ${unifiedProgress}%`);
-        // console.log(`📊 DEBUG: Stage progress state:`, JSON.stringify(stageProgress));
+  let leftCh, rightCh;
+  if (leftChannel !== undefined && rightChannel !== undefined) {
+    leftCh = parseInt(leftChannel);
+    rightCh = parseInt(rightChannel);
 
-        if (sessionId) {
-          const operationKey = `download_${url}`;
-          sendProgressUpdate(sessionId, operationKey, unifiedProgress, {
-            ...details,
-            stage: stage,
-            stageProgress: validProgress,
-            allStages: stageProgress
-          });
-        }
-      };
+    if (isNaN(leftCh) || isNaN(rightCh) || leftCh < 0 || rightCh < 0) {
+      return { error: 'Invalid channel indices', details: 'Channel indices must be non-negative integers' };
+    }
+  }
 
-      // Disable progress simulation - rely only on real yt-dlp progress
-      // The simulation was interfering with real progress updates
-      console.log('📊 DEBUG: Progress simulation disabled - using real yt-dlp progress only');
+  if (advanced !== undefined) {
+    const advancedError = validateAdvancedEncoderOptions(format, advanced);
+    if (advancedError) {
+      return { error: 'Invalid advanced encoder options', details: advancedError };
+    }
+  }
 
-      // Send initial progress to show download has started
-      if (sessionId) {
-        sendUnifiedProgress('initializing', 0, { message: 'Starting download...' });
-      }
+  let routing;
+  if (audioRouting !== undefined && audioRouting !== '') {
+    if (leftCh !== undefined) {
+      return { error: 'Invalid audio routing', details: 'audioRouting replaces leftChannel/rightChannel; send one or the other' };
+    }
+    const result = validateAudioRouting(format, audioRouting, advanced);
+    if (result.error) {
+      return { error: 'Invalid audio routing', details: result.error };
+    }
+    routing = result.routing;
+  }
 
-      // Progress simulation removed - no cleanup needed
+  let loudnessTarget;
+  if (loudness !== undefined && loudness !== '') {
+    const result = validateLoudnessOptions(loudness);
+    if (result.error) {
+      return { error: 'Invalid loudness options', details: result.error };
+    }
+    loudnessTarget = result.loudness;
+  }
 
-      // Periodically check if client is still connected
-      const connectionCheck = setInterval(() => {
-        if (res.destroyed || !res.writable) {
-          clearInterval(connectionCheck);
-          cleanup();
-        }
-      }, 1000); // Check every second
+  // The subtitle file itself is attached by the route (options.subtitles.file)
+  let subtitleOptions;
+  if (subtitles !== undefined && subtitles !== '') {
+    const result = validateSubtitleOptions(format, subtitles);
+    if (result.error) {
+      return { error: 'Invalid subtitle options', details: result.error };
+    }
+    subtitleOptions = result.subtitles;
+    if (packagingOptions && subtitleOptions.mode === 'soft') {
+      return { error: 'Invalid packaging options', details: 'Streaming packages take burned-in subtitles only' };
+    }
+  }
 
-      // Clear interval when process completes
-      const clearConnectionCheck = () => {
-        clearInterval(connectionCheck);
-      };
+  // Likewise the watermark image (options.watermark.file)
+  let watermarkOptions;
+  if (watermark !== undefined && watermark !== '') {
+    const result = validateWatermarkOptions(format, watermark);
+    if (result.error) {
+      return { error: 'Invalid watermark options', details: result.error };
+    }
+    watermarkOptions = result.watermark;
+  }
 
-      ytDlp.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        console.log('🔍 DEBUG: yt-dlp stdout line:', JSON.stringify(output));
+  let textOverlayOptions;
+  if (textOverlay !== undefined && textOverlay !== '') {
+    const result = validateTextOverlayOptions(format, textOverlay);
+    if (result.error) {
+      return { error: 'Invalid text overlay options', details: result.error };
+    }
+    textOverlayOptions = result.textOverlay;
+  }
 
-        // Parse progress from stdout as well
-        if (sessionId) {
-          const lines = output.split('\n');
-          for (const line of lines) {
-            if (line.trim()) {
-              console.log('🔍 DEBUG: yt-dlp stdout line:', JSON.stringify(line));
-            }
+  return {
+    options: {
+      format,
+      quality,
+      resolution: resolution && resolution !== 'original' ? resolution : undefined,
+      leftChannel: leftCh,
+      rightChannel: rightCh,
+      audioRouting: routing,
+      loudness: loudnessTarget,
+      subtitles: subtitleOptions,
+      watermark: watermarkOptions,
+      textOverlay: textOverlayOptions,
+      animation: animationOptions,
+      packaging: packagingOptions,
+      advanced,
+      ...transform
+    }
+  };
+}
 
-            // Look for download progress in stdout with improved patterns
-            const progressMatch = line.match(/\[download\]\s*(\d+(?:\.\d+)?)%/) ||
-              line.match(/\[download\].*?(\d+(?:\.\d+)?)%/) ||
-              line.match(/(\d+(?:\.\d+)?)%\s*of\s*~?[\d.]+\w+/) ||
-              line.match(/\s+(\d+(?:\.\d+)?)%\s+of\s+/) ||
-              line.match(/\s+(\d+(?:\.\d+)?)%\s+at\s+/) ||
-              line.match(/^\s*(\d+(?:\.\d+)?)%/);
-            if (progressMatch) {
-              const progress = parseFloat(progressMatch[1]);
-              console.log('📊 DEBUG: Progress parsed from stdout:', progress + '% from line:', JSON.stringify(line));
-              progressSent = true; // Mark that real progress was detected
+// Display size of a video stream, accounting for rotation metadata that ffmpeg applies automatically
+function getDisplaySize(stream) {
+  const sideRotation = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = Math.abs(Number(sideRotation ? sideRotation.rotation : (stream.tags && stream.tags.rotate)) || 0) % 180;
+  return rotation === 90 ? { width: stream.height, height: stream.width } : { width: stream.width, height: stream.height };
+}
 
-              // Detect download stage from the line content with improved logic
-              let stage = downloadStage; // Use current stage as default
+// -vf graph for the picture transforms: deinterlace -> crop -> rotate/flip -> scale to fit -> burned-in subtitles ->
+// watermark -> text overlay -> frame rate. Returned as pieces to join with ','.
+function buildVideoFilters(options, probe) {
+  const { resolution, fit = 'pad', crop, rotate, flip, deinterlace, fps, subtitles, watermark, textOverlay } = options;
+  const filters = [];
 
-              // Start with video stage when we first see download progress
-              if (downloadStage === 'initializing' && progress > 0) {
-                stage = 'video';
-                downloadStage = 'video';
-                console.log('📊 DEBUG: Transitioning from initializing to video stage');
-              }
-              // Audio detection - look for audio format indicators
-              else if ((line.includes('format 140') || line.includes('m4a') || line.includes('audio only')) &&
-                line.includes('[download]') && progress > 0) {
-                if (downloadStage !== 'audio') {
-                  stage = 'audio';
-                  downloadStage = 'audio';
-                  console.log('📊 DEBUG: Transitioning to audio stage');
-                }
-              }
-              // Video detection - look for video format indicators  
-              else if ((line.includes('format 137') || line.includes('format 136') ||
-                line.includes('format 135') || line.includes('mp4') || line.includes('webm') ||
-                line.includes('video only')) &&
-                line.includes('[download]') && progress > 0) {
-                if (downloadStage !== 'video' && downloadStage === 'initializing') {
-                  stage = 'video';
-                  downloadStage = 'video';
-                  console.log('📊 DEBUG: Transitioning to video stage');
-                }
-              }
-              // Merging stage detection
-              else if (line.includes('Merging formats into') ||
-                line.includes('[Merger]') ||
-                line.includes('Merging') ||
-                (line.includes('ffmpeg') && (line.includes('Merging') || line.includes('-c copy')))) {
-                if (downloadStage !== 'merging') {
-                  stage = 'merging';
-                  downloadStage = 'merging';
-                  console.log('📊 DEBUG: Transitioning to merging stage');
-                  // Start merging with some initial progress
-                  if (progress === 100) {
-                    progress = 10;
-                  }
-                }
-              }
+  if (deinterlace) {
+    // Only frames flagged as interlaced are touched, so progressive sources pass through
+    filters.push('bwdif=mode=send_frame:deint=interlaced');
+  }
 
-              // Extract additional details
-              const sizeMatch = line.match(/of\s*~?([\d.]+\w+)/) || line.match(/([\d.]+\w+)\s*total/);
-              const speedMatch = line.match(/at\s+([\d.]+\w+\/s)/) || line.match(/([\d.]+\w+\/s)/);
-              const etaMatch = line.match(/ETA\s+(\d+:\d+)/) || line.match(/eta\s+(\d+:\d+)/i);
+  if (crop) {
+    const videoStream = probe && (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    if (videoStream && videoStream.width && videoStream.height) {
+      const { width, height } = getDisplaySize(videoStream);
+      if (crop.x + crop.width > width || crop.y + crop.height > height) {
+        throw new Error(`Crop rectangle ${crop.width}x${crop.height}+${crop.x}+${crop.y} falls outside the ${width}x${height} source`);
+      }
+    }
+    filters.push(`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`);
+  }
 
-              sendUnifiedProgress(stage, progress, {
-                size: sizeMatch ? sizeMatch[1] : null,
-                speed: speedMatch ? speedMatch[1] : null,
-                eta: etaMatch ? etaMatch[1] : null
-              });
-            }
-          }
-        }
-      });
+  if (rotate === 90) filters.push('transpose=clock');
+  if (rotate === 180) filters.push('hflip', 'vflip');
+  if (rotate === 270) filters.push('transpose=cclock');
+  if (flip === 'horizontal' || flip === 'both') filters.push('hflip');
+  if (flip === 'vertical' || flip === 'both') filters.push('vflip');
+
+  if (resolution) {
+    const [width, height] = resolution.split('x').map(Number);
+    switch (fit) {
+      case 'crop':
+        // Fill the frame and trim the overflow (e.g. 16:9 -> 9:16 social crops)
+        filters.push(`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`, 'setsar=1');
+        break;
+      case 'stretch':
+        filters.push(`scale=${width}:${height}`, 'setsar=1');
+        break;
+      default: // pad: letterbox/pillarbox with black bars
+        filters.push(`scale=${width}:${height}:force_original_aspect_ratio=decrease`, `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`);
+    }
+  }
 
-      ytDlp.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        console.error(output);
+  // Rendered on the final frame so positions and sizes follow the output picture
+  if (subtitles && subtitles.mode === 'burn') {
+    filters.push(buildSubtitleBurnFilter(subtitles));
+  }
 
-        // Parse progress from yt-dlp output
-        if (sessionId) {
-          const lines = output.split('\n');
-          for (const line of lines) {
-            // Debug: Log ALL stderr lines to see what yt-dlp is actually outputting
-            if (line.trim()) {
-              console.log('🔍 DEBUG: yt-dlp stderr line:', JSON.stringify(line));
-            }
+  if (watermark) {
+    // The logo is a second chain loaded with movie=, so everything so far becomes the overlay's base
+    const base = filters.length > 0 ? filters.splice(0).join(',') : 'null';
+    filters.push(`${base}[base];${buildWatermarkFilter(watermark, getOutputFrameSize(options, probe))}`);
+  }
 
-            // Debug: Log all lines that contain 'download' to see the actual format
-            if (line.includes('[download]')) {
-              console.log('🔍 DEBUG: yt-dlp download line:', JSON.stringify(line));
-            }
+  if (textOverlay) {
+    filters.push(buildTextOverlayFilter(textOverlay));
+  }
 
-            // Look for download progress with multiple possible formats:
-            // [download]  45.2% of 123.45MiB at 1.23MiB/s ETA 00:30
-            // [download] 45.2% of ~123.45MiB at 1.23MiB/s ETA 00:30
-            // [download]   45.2% of 123.45MiB at  1.23MiB/s ETA 00:30
-            // Also look for any percentage pattern in case format changed
-            const progressMatch = line.match(/\[download\]\s*(\d+(?:\.\d+)?)%/) ||
-              line.match(/\[download\].*?(\d+(?:\.\d+)?)%/) ||
-              line.match(/(\d+(?:\.\d+)?)%\s*of\s*~?[\d.]+\w+/) ||
-              line.match(/\s+(\d+(?:\.\d+)?)%\s+of\s+/) ||
-              line.match(/\s+(\d+(?:\.\d+)?)%\s+at\s+/) ||
-              line.match(/^\s*(\d+(?:\.\d+)?)%/);
-            if (progressMatch) {
-              const progress = parseFloat(progressMatch[1]);
-              console.log('📊 DEBUG: Progress parsed from stderr:', progress + '% from line:', JSON.stringify(line));
-              progressSent = true; // Mark that real progress was detected
+  if (fps) {
+    filters.push(`fps=${fps}`);
+  }
 
-              // Detect download stage from the line content with improved logic
-              let stage = downloadStage; // Use current stage as default
+  return filters;
+}
+
+// Subtitles uploaded with a conversion: muxed as a soft track or burned into the picture.
+// { mode: 'soft' | 'burn', language, title, default, fontSize, position, outline, marginV, color }
+const SUBTITLE_MODES = ['soft', 'burn'];
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+const SUBTITLE_POSITIONS = { bottom: 2, middle: 5, top: 8 }; // ASS numpad alignment
+const SUBTITLE_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Soft subtitle codec a container takes for an uploaded file, or null if it can't carry it
+function getSoftSubtitleCodec(format, extension) {
+  switch (format) {
+    case 'mp4':
+    case 'mov':
+      return 'mov_text';
+    case 'mkv':
+      if (extension === '.vtt') return 'webvtt';
+      return extension === '.srt' ? 'srt' : 'ass';
+    case 'webm':
+      return 'webvtt';
+    default:
+      return null;
+  }
+}
+
+// Returns { subtitles } or { error }; the options may arrive as a multipart JSON string
+function validateSubtitleOptions(format, subtitles) {
+  let options = subtitles;
+  if (typeof subtitles === 'string') {
+    try {
+      options = JSON.parse(subtitles);
+    } catch (parseError) {
+      return { error: 'subtitles must be a JSON object { mode, ... }' };
+    }
+  }
+  if (!options || typeof options !== 'object' || !SUBTITLE_MODES.includes(options.mode)) {
+    return { error: `subtitles.mode must be one of ${SUBTITLE_MODES.join(', ')}` };
+  }
+  if (AUDIO_ONLY_FORMATS.includes(format)) {
+    return { error: `${format.toUpperCase()} output has no picture or subtitle tracks` };
+  }
+  if (options.mode === 'soft' && !getSoftSubtitleCodec(format, '.srt')) {
+    return { error: `${format.toUpperCase()} can't carry soft subtitles; use MP4, MOV, MKV or WebM, or burn them in` };
+  }
+
+  if (options.mode === 'soft') {
+    if (options.language !== undefined && !LANGUAGE_CODE_PATTERN.test(options.language)) {
+      return { error: 'subtitles.language must be an ISO 639-2 code such as eng' };
+    }
+    if (options.title !== undefined && (typeof options.title !== 'string' || options.title.length > 100)) {
+      return { error: 'subtitles.title must be a string of up to 100 characters' };
+    }
+    return {
+      subtitles: {
+        mode: 'soft',
+        ...(options.language && { language: options.language }),
+        ...(options.title && { title: options.title }),
+        default: options.default === true || options.default === 'true'
+      }
+    };
+  }
+
+  if (options.fontSize !== undefined && !isIntegerIn(options.fontSize, 8, 200)) {
+    return { error: 'subtitles.fontSize must be an integer from 8 to 200' };
+  }
+  if (options.position !== undefined && !SUBTITLE_POSITIONS[options.position]) {
+    return { error: `subtitles.position must be one of ${Object.keys(SUBTITLE_POSITIONS).join(', ')}` };
+  }
+  if (options.outline !== undefined && !isIntegerIn(options.outline, 0, 10)) {
+    return { error: 'subtitles.outline must be an integer from 0 to 10' };
+  }
+  if (options.marginV !== undefined && !isIntegerIn(options.marginV, 0, 500)) {
+    return { error: 'subtitles.marginV must be an integer from 0 to 500' };
+  }
+  if (options.color !== undefined && !SUBTITLE_COLOR_PATTERN.test(options.color)) {
+    return { error: 'subtitles.color must be a hex color such as #ffffff' };
+  }
+  const { fontSize, position, outline, marginV, color } = options;
+  return { subtitles: { mode: 'burn', fontSize, position, outline, marginV, color } };
+}
+
+// Escape a filter option value for both levels of parsing: the option string, then the filtergraph
+function escapeFilterValue(value) {
+  const optionValue = String(value).replace(/[\\':]/g, '\\$&');
+  return optionValue.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// subtitles filter with any style overrides; ASS files keep their own styles for anything not set
+function buildSubtitleBurnFilter(subtitles) {
+  const style = [];
+  if (subtitles.fontSize !== undefined) style.push(`FontSize=${subtitles.fontSize}`);
+  if (subtitles.position !== undefined) style.push(`Alignment=${SUBTITLE_POSITIONS[subtitles.position]}`);
+  if (subtitles.outline !== undefined) style.push(`Outline=${subtitles.outline}`, 'BorderStyle=1');
+  if (subtitles.marginV !== undefined) style.push(`MarginV=${subtitles.marginV}`);
+  if (subtitles.color !== undefined) {
+    // ASS colours are &HBBGGRR
+    const [, red, green, blue] = /^#(..)(..)(..)$/.exec(subtitles.color);
+    style.push(`PrimaryColour=&H00${`${blue}${green}${red}`.toUpperCase()}`);
+  }
+  const forceStyle = style.length > 0 ? `:force_style=${escapeFilterValue(style.join(','))}` : '';
+  return `subtitles=filename=${escapeFilterValue(subtitles.file)}${forceStyle}`;
+}
+
+// Overlays composited onto the output picture: an uploaded logo image and/or a line of text.
+// watermark: { position, margin, scale, opacity }; textOverlay: { content: 'title' | 'timestamp', text, position, margin, fontSize, color, opacity, box }
+const OVERLAY_POSITIONS = ['top-left', 'top', 'top-right', 'center', 'bottom-left', 'bottom', 'bottom-right'];
+const WATERMARK_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const TEXT_OVERLAY_CONTENTS = ['title', 'timestamp'];
+const MAX_OVERLAY_TEXT_LENGTH = 200;
+
+// Shared position/margin/opacity checks; returns an error message or null
+function validateOverlayPlacement(name, options) {
+  if (options.position !== undefined && !OVERLAY_POSITIONS.includes(options.position)) {
+    return `${name}.position must be one of ${OVERLAY_POSITIONS.join(', ')}`;
+  }
+  if (options.margin !== undefined && !isIntegerIn(options.margin, 0, 500)) {
+    return `${name}.margin must be an integer from 0 to 500 pixels`;
+  }
+  if (options.opacity !== undefined && !(typeof options.opacity === 'number' && options.opacity >= 0 && options.opacity <= 1)) {
+    return `${name}.opacity must be a number from 0 to 1`;
+  }
+  return null;
+}
+
+// Multipart fields arrive as JSON strings; returns { options } or { error }
+function parseOverlayOptions(format, name, value) {
+  let options = value;
+  if (typeof value === 'string') {
+    try {
+      options = JSON.parse(value);
+    } catch (parseError) {
+      return { error: `${name} must be a JSON object` };
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: `${name} must be a JSON object` };
+  }
+  if (AUDIO_ONLY_FORMATS.includes(format)) {
+    return { error: `${format.toUpperCase()} output has no picture to draw on` };
+  }
+  return { options };
+}
+
+// Returns { watermark } or { error }; the image itself is attached by the route
+function validateWatermarkOptions(format, watermark) {
+  const { options, error } = parseOverlayOptions(format, 'watermark', watermark);
+  if (error) return { error };
+
+  const placementError = validateOverlayPlacement('watermark', options);
+  if (placementError) return { error: placementError };
+  if (options.scale !== undefined && !(typeof options.scale === 'number' && options.scale >= 0.01 && options.scale <= 1)) {
+    return { error: 'watermark.scale must be a fraction of the video width from 0.01 to 1' };
+  }
+
+  const { position = 'top-right', margin = 20, scale, opacity = 1 } = options;
+  return { watermark: { position, margin, scale, opacity } };
+}
+
+// Returns { textOverlay } or { error }
+function validateTextOverlayOptions(format, textOverlay) {
+  const { options, error } = parseOverlayOptions(format, 'textOverlay', textOverlay);
+  if (error) return { error };
+
+  if (!TEXT_OVERLAY_CONTENTS.includes(options.content)) {
+    return { error: `textOverlay.content must be one of ${TEXT_OVERLAY_CONTENTS.join(', ')}` };
+  }
+  if (options.content === 'title' && (typeof options.text !== 'string' || !options.text.trim() ||
+    options.text.length > MAX_OVERLAY_TEXT_LENGTH || /[\x00-\x1f]/.test(options.text))) {
+    return { error: `textOverlay.text must be a single line of up to ${MAX_OVERLAY_TEXT_LENGTH} characters` };
+  }
+  const placementError = validateOverlayPlacement('textOverlay', options);
+  if (placementError) return { error: placementError };
+  if (options.fontSize !== undefined && !isIntegerIn(options.fontSize, 8, 200)) {
+    return { error: 'textOverlay.fontSize must be an integer from 8 to 200' };
+  }
+  if (options.color !== undefined && !SUBTITLE_COLOR_PATTERN.test(options.color)) {
+    return { error: 'textOverlay.color must be a hex color such as #ffffff' };
+  }
+
+  const { content, position = 'bottom-left', margin = 20, fontSize = 32, color = '#ffffff', opacity = 1 } = options;
+  return {
+    textOverlay: {
+      content,
+      ...(content === 'title' && { text: options.text }),
+      position,
+      margin,
+      fontSize,
+      color,
+      opacity,
+      box: options.box === true
+    }
+  };
+}
+
+// Width and height of the picture leaving the transform chain, or null when the source size is unknown
+function getOutputFrameSize(options, probe) {
+  if (options.resolution) {
+    const [width, height] = options.resolution.split('x').map(Number);
+    return { width, height };
+  }
+  const videoStream = probe && (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  if (!videoStream || !videoStream.width || !videoStream.height) {
+    return null;
+  }
+  const size = options.crop ? { width: options.crop.width, height: options.crop.height } : getDisplaySize(videoStream);
+  return options.rotate === 90 || options.rotate === 270 ? { width: size.height, height: size.width } : size;
+}
+
+// x/y expressions placing an item of itemWidth x itemHeight inside frameWidth x frameHeight
+function getOverlayCoordinates({ position, margin }, [frameWidth, frameHeight, itemWidth, itemHeight]) {
+  let x = `(${frameWidth}-${itemWidth})/2`;
+  if (position.endsWith('left')) x = `${margin}`;
+  if (position.endsWith('right')) x = `${frameWidth}-${itemWidth}-${margin}`;
+  let y = `(${frameHeight}-${itemHeight})/2`;
+  if (position.startsWith('top')) y = `${margin}`;
+  if (position.startsWith('bottom')) y = `${frameHeight}-${itemHeight}-${margin}`;
+  return `x=${x}:y=${y}`;
+}
+
+// "[base]" is the picture so far; the logo is scaled relative to the output width and faded by its opacity
+function buildWatermarkFilter(watermark, frameSize) {
+  const logo = [`movie=filename=${escapeFilterValue(watermark.file)}`, 'format=rgba'];
+  if (watermark.scale !== undefined) {
+    if (!frameSize) {
+      throw new Error('Watermark scaling needs the source dimensions, but the video stream could not be probed');
+    }
+    // Even width keeps chroma subsampling happy once the logo is blended in
+    logo.push(`scale=${Math.max(2, Math.round(frameSize.width * watermark.scale / 2) * 2)}:-1`);
+  }
+  if (watermark.opacity < 1) {
+    logo.push(`colorchannelmixer=aa=${watermark.opacity}`);
+  }
+  const coordinates = getOverlayCoordinates(watermark, ['main_w', 'main_h', 'overlay_w', 'overlay_h']);
+  return `${logo.join(',')}[logo];[base][logo]overlay=${coordinates}:format=auto`;
+}
+
+// drawtext for a fixed title, or the running timestamp of the source (hh:mm:ss.mmm)
+function buildTextOverlayFilter(textOverlay) {
+  const text = textOverlay.content === 'timestamp'
+    ? `text=${escapeFilterValue('%{pts:hms}')}`
+    : `text=${escapeFilterValue(textOverlay.text)}:expansion=none`;
+  const args = [
+    text,
+    `fontsize=${textOverlay.fontSize}`,
+    `fontcolor=${textOverlay.color}@${textOverlay.opacity}`,
+    getOverlayCoordinates(textOverlay, ['w', 'h', 'text_w', 'text_h'])
+  ];
+  if (textOverlay.box) {
+    args.push(`box=1:boxcolor=black@${Math.round(textOverlay.opacity * 50) / 100}:boxborderw=8`);
+  }
+  return `drawtext=${args.join(':')}`;
+}
+
+// Audio routing matrix: { tracks: [{ layout, channels: [[{ channel, gain }], ...], title, language }] }.
+// Each output channel is the sum of source channels (global indices across all audio streams, as listed
+// by /api/probe-audio) with a gain in dB; an empty list leaves the channel silent.
+const ROUTING_LAYOUTS = { mono: 1, stereo: 2, '5.1': 6 };
+const MAX_ROUTED_TRACKS = 16;
+const MAX_ROUTING_SOURCES = 64;
+const ROUTING_GAIN_RANGE = [-60, 24];
+const LANGUAGE_CODE_PATTERN = /^[a-z]{3}$/;
+
+// Returns { routing } or { error }; the routing may arrive as a multipart JSON string
+function validateAudioRouting(format, audioRouting, advanced) {
+  let routing = audioRouting;
+  if (typeof audioRouting === 'string') {
+    try {
+      routing = JSON.parse(audioRouting);
+    } catch (parseError) {
+      return { error: 'audioRouting must be a JSON object { tracks: [...] }' };
+    }
+  }
+
+  const tracks = routing && routing.tracks;
+  if (!Array.isArray(tracks) || tracks.length === 0 || tracks.length > MAX_ROUTED_TRACKS) {
+    return { error: `audioRouting.tracks must list 1 to ${MAX_ROUTED_TRACKS} output tracks` };
+  }
+  if (AUDIO_ONLY_FORMATS.includes(format) && tracks.length > 1) {
+    return { error: `${format.toUpperCase()} holds a single audio track` };
+  }
+
+  const audioCodec = (advanced && advanced.audioCodec) || CONTAINER_CODECS[format].audio[0];
+  const [minGain, maxGain] = ROUTING_GAIN_RANGE;
+
+  for (const [index, track] of tracks.entries()) {
+    const label = `Track ${index + 1}`;
+    if (!track || !ROUTING_LAYOUTS[track.layout]) {
+      return { error: `${label}: layout must be one of ${Object.keys(ROUTING_LAYOUTS).join(', ')}` };
+    }
+    if (audioCodec === 'mp3' && ROUTING_LAYOUTS[track.layout] > 2) {
+      return { error: `${label}: MP3 audio carries at most two channels` };
+    }
+    if (!Array.isArray(track.channels) || track.channels.length !== ROUTING_LAYOUTS[track.layout]) {
+      return { error: `${label}: a ${track.layout} track needs ${ROUTING_LAYOUTS[track.layout]} output channel(s)` };
+    }
+    for (const sources of track.channels) {
+      if (!Array.isArray(sources) || sources.length > MAX_ROUTING_SOURCES ||
+        !sources.every(source => source && Number.isInteger(source.channel) && source.channel >= 0 &&
+          (source.gain === undefined || (typeof source.gain === 'number' && source.gain >= minGain && source.gain <= maxGain)))) {
+        return { error: `${label}: each output channel lists sources as { channel, gain } with gain from ${minGain} to ${maxGain} dB` };
+      }
+    }
+    if (track.title !== undefined && (typeof track.title !== 'string' || track.title.length > 100)) {
+      return { error: `${label}: title must be a string of up to 100 characters` };
+    }
+    if (track.language !== undefined && !LANGUAGE_CODE_PATTERN.test(track.language)) {
+      return { error: `${label}: language must be an ISO 639-2 code such as eng` };
+    }
+  }
+
+  return {
+    routing: {
+      tracks: tracks.map(track => ({
+        layout: track.layout,
+        channels: track.channels.map(sources => sources.map(source => ({ channel: source.channel, gain: source.gain || 0 }))),
+        ...(track.title && { title: track.title }),
+        ...(track.language && { language: track.language })
+      }))
+    }
+  };
+}
+
+// Linear factor for a pan filter term
+const dbToGain = (db) => Math.round(Math.pow(10, db / 20) * 10000) / 10000;
+
+// -filter_complex graph, output labels and per-track metadata for a routing matrix.
+// trackFilter(index) may return a ",filter" suffix for a track's chain (loudness normalization).
+function buildAudioRoutingArgs(routing, audioStreams, trackFilter = () => '') {
+  const totalChannels = audioStreams.reduce((total, stream) => total + (stream.channels || 1), 0);
+  for (const track of routing.tracks) {
+    for (const sources of track.channels) {
+      const outOfRange = sources.find(source => source.channel >= totalChannels);
+      if (outOfRange) {
+        throw new Error(`Audio routing uses channel ${outOfRange.channel}, but the source has channels 0-${totalChannels - 1}`);
+      }
+    }
+  }
+
+  // Merge every audio stream into one wide stream so channels can be addressed by global index
+  const graph = [];
+  let merged = '[0:a:0]';
+  if (audioStreams.length > 1) {
+    graph.push(`${audioStreams.map((_, index) => `[0:a:${index}]`).join('')}amerge=inputs=${audioStreams.length}[merged]`);
+    merged = '[merged]';
+  }
+
+  const trackInputs = routing.tracks.map((_, index) => `[route${index}]`);
+  graph.push(routing.tracks.length > 1
+    ? `${merged}asplit=${routing.tracks.length}${trackInputs.join('')}`
+    : `${merged}anull${trackInputs[0]}`);
+
+  const args = [];
+  routing.tracks.forEach((track, index) => {
+    const terms = track.channels
+      .map((sources, outputChannel) => sources.length > 0
+        ? `c${outputChannel}=${sources.map(source => `${dbToGain(source.gain)}*c${source.channel}`).join('+')}`
+        : null)
+      .filter(Boolean);
+    // pan needs at least one definition; an all-silent track is a zero-gain copy of channel 0
+    graph.push(`${trackInputs[index]}pan=${track.layout}|${terms.length > 0 ? terms.join('|') : 'c0=0*c0'}${trackFilter(index)}[aout${index}]`);
+    args.push('-map', `[aout${index}]`);
+    if (track.title) args.push(`-metadata:s:a:${index}`, `title=${track.title}`);
+    if (track.language) args.push(`-metadata:s:a:${index}`, `language=${track.language}`);
+  });
+
+  return { filterComplex: graph.join(';'), args };
+}
+
+// Loudness normalization targets: integrated loudness (LUFS), true peak (dBTP) and loudness range (LU)
+const LOUDNESS_PRESETS = {
+  'ebu-r128': { integrated: -23, truePeak: -1, lra: 7 },
+  'atsc-a85': { integrated: -24, truePeak: -2, lra: 7 },
+  'streaming': { integrated: -14, truePeak: -1, lra: 11 },
+  'podcast': { integrated: -16, truePeak: -1.5, lra: 11 }
+};
+const LOUDNESS_PRESET_LABELS = {
+  'ebu-r128': 'Broadcast (EBU R128)',
+  'atsc-a85': 'Broadcast (ATSC A/85)',
+  'streaming': 'Streaming platforms',
+  'podcast': 'Podcast'
+};
+// loudnorm's accepted ranges
+const LOUDNESS_LIMITS = { integrated: [-70, -5], truePeak: [-9, 0], lra: [1, 50] };
+
+// { preset?, integrated?, truePeak?, lra? } (multipart JSON string or object) -> { loudness } or { error };
+// explicit values override the preset, which defaults to EBU R128
+function validateLoudnessOptions(loudness) {
+  let options = loudness;
+  if (typeof loudness === 'string') {
+    try {
+      options = JSON.parse(loudness);
+    } catch (parseError) {
+      return { error: 'loudness must be a JSON object { preset, integrated, truePeak, lra }' };
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'loudness must be an object { preset, integrated, truePeak, lra }' };
+  }
+  if (options.preset !== undefined && !LOUDNESS_PRESETS[options.preset]) {
+    return { error: `Loudness presets: ${Object.keys(LOUDNESS_PRESETS).join(', ')}` };
+  }
+
+  const target = { ...LOUDNESS_PRESETS[options.preset || 'ebu-r128'] };
+  for (const [key, [min, max]] of Object.entries(LOUDNESS_LIMITS)) {
+    if (options[key] === undefined) continue;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `loudness.${key} must be between ${min} and ${max}` };
+    }
+    target[key] = value;
+  }
+  return { loudness: target };
+}
+
+// loudnorm filter for one audio track. Without a measurement it only analyses (first pass);
+// with one it applies a linear gain where possible and resamples back from loudnorm's 192 kHz.
+function buildLoudnormFilter(target, measured, sampleRate) {
+  const targets = `I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`;
+  if (!measured) {
+    return `loudnorm=${targets}:print_format=json`;
+  }
+  return `loudnorm=${targets}` +
+    `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}` +
+    `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=json` +
+    `,aresample=${sampleRate}`;
+}
+
+// loudnorm prints one JSON block per filter instance; return them in filter order
+function parseLoudnormOutput(stderr) {
+  const blocks = [];
+  const pattern = /\[Parsed_loudnorm_(\d+) @ [^\]]+\]\s*(\{[^}]*\})/g;
+  let match;
+  while ((match = pattern.exec(stderr)) !== null) {
+    try {
+      blocks.push({ order: Number(match[1]), values: JSON.parse(match[2]) });
+    } catch (parseError) {
+      console.warn('Could not parse loudnorm output:', parseError.message);
+    }
+  }
+  return blocks.sort((a, b) => a.order - b.order).map(block => block.values);
+}
+
+// loudnorm reports strings, with -inf for digital silence
+const loudnessValue = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Input (before) or output (after) side of a loudnorm report
+function summarizeLoudness(values, side = 'input') {
+  return {
+    integrated: loudnessValue(values[`${side}_i`]),
+    truePeak: loudnessValue(values[`${side}_tp`]),
+    lra: loudnessValue(values[`${side}_lra`]),
+    threshold: loudnessValue(values[`${side}_thresh`])
+  };
+}
+
+// Analyse the first audio stream of a file (for /api/probe); resolves with summarizeLoudness() or null
+async function measureSourceLoudness(inputPath) {
+  const stderr = await runFFmpeg(['-nostats', '-i', inputPath, '-map', '0:a:0', '-vn', '-sn', '-dn',
+    '-af', buildLoudnormFilter(LOUDNESS_PRESETS['ebu-r128']), '-f', 'null', '-y', os.devNull], { timeout: 10 * 60 * 1000 });
+  const [values] = parseLoudnormOutput(stderr);
+  return values ? summarizeLoudness(values) : null;
+}
+
+// First loudnorm pass over the audio tracks a conversion would produce; resolves with one raw report per track
+async function measureConversionLoudness(inputPath, options, probe, { onProgress, signal } = {}) {
+  const args = buildConversionArgs(inputPath, options, probe, { loudnorm: 'measure' });
+  args.push('-f', 'null', '-y', os.devNull);
+  const duration = probe ? parseFloat(probe.format && probe.format.duration) : 0;
+  const stderr = await runFFmpeg(args, { timeout: 60 * 60 * 1000, onStderr: reportFFmpegProgress(duration, onProgress), signal });
+  const measurements = parseLoudnormOutput(stderr);
+  const trackCount = options.audioRouting ? options.audioRouting.tracks.length : 1;
+  if (measurements.length !== trackCount) {
+    throw new Error(`Loudness analysis returned ${measurements.length} result(s) for ${trackCount} audio track(s)`);
+  }
+  return measurements;
+}
+
+// Before/after values per audio track, from the second loudnorm pass printed during the encode
+function buildLoudnessReport(target, measurements, encodeStderr) {
+  const results = parseLoudnormOutput(encodeStderr);
+  return {
+    target,
+    tracks: measurements.map((measured, index) => ({
+      before: summarizeLoudness(measured),
+      after: results[index] ? summarizeLoudness(results[index], 'output') : null,
+      normalization: results[index] ? results[index].normalization_type : null
+    }))
+  };
+}
+
+// ffmpeg arguments (without progress flags or the output path) for a validated conversion.
+// probe is the ffprobe result for inputPath, or null when probing failed; streamCopy remuxes
+// instead of re-encoding when the source is already in the target container; pass/passLogFile
+// select the pass of a two-pass encode. With a loudness target, loudnorm is 'measure' for the
+// audio-only analysis pass or the per-track reports of that pass for the final encode.
+function buildConversionArgs(inputPath, options, probe, { streamCopy = false, pass, passLogFile, loudnorm } = {}) {
+  const { format, quality, leftChannel, rightChannel, audioRouting, advanced, loudness } = options;
+  const hasChannelMap = leftChannel !== undefined && rightChannel !== undefined;
+  const audioStreams = probe ? (probe.streams || []).filter(stream => stream.codec_type === 'audio') : null;
+  const ffmpegArgs = ['-i', inputPath];
+
+  const measuringLoudness = loudnorm === 'measure';
+  if (loudness && loudnorm) {
+    if (!audioStreams) {
+      throw new Error('Loudness normalization failed: Failed to probe audio streams');
+    }
+    if (audioStreams.length === 0) {
+      throw new Error('Loudness normalization failed: the source has no audio streams');
+    }
+  }
+  // loudnorm for output track N, as a ",filter" suffix for an existing chain
+  const sampleRate = (advanced && advanced.sampleRate) || (audioStreams && Number(audioStreams[0] && audioStreams[0].sample_rate)) || 48000;
+  const loudnessFilter = (track) => (loudness && loudnorm
+    ? `,${buildLoudnormFilter(loudness, measuringLoudness ? null : loudnorm[track], sampleRate)}`
+    : '');
+
+  // Soft subtitles come in as a second input
+  const { subtitles } = options;
+  if (subtitles && !subtitles.file) {
+    throw new Error('Subtitle options need an uploaded subtitle file');
+  }
+  if (options.watermark && !options.watermark.file) {
+    throw new Error('Watermark options need an uploaded image');
+  }
+  const softSubtitles = subtitles && subtitles.mode === 'soft' && !measuringLoudness;
+  if (softSubtitles) {
+    ffmpegArgs.push('-i', subtitles.file);
+  }
+
+  // GIF/WebP: the picture transforms feed the palette (or libwebp) chain, and there is no audio to map
+  if (ANIMATED_IMAGE_FORMATS.includes(format)) {
+    const videoStreams = probe ? (probe.streams || []).filter(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)) : null;
+    if (videoStreams && videoStreams.length === 0) {
+      throw new Error(`Cannot convert to ${format.toUpperCase()} - the source has no video stream`);
+    }
+    ffmpegArgs.push('-map', '0:v:0', ...buildAnimatedImageArgs({
+      ...options.animation,
+      format,
+      quality: ANIMATED_WEBP_QUALITY[quality]
+    }, buildVideoFilters(options, probe)));
+    return ffmpegArgs;
+  }
+
+  if (audioRouting) {
+    if (!audioStreams) {
+      throw new Error('Audio routing failed: Failed to probe audio streams');
+    }
+    if (audioStreams.length === 0) {
+      throw new Error('Audio routing failed: the source has no audio streams');
+    }
+    const { filterComplex, args } = buildAudioRoutingArgs(audioRouting, audioStreams, loudnessFilter);
+    ffmpegArgs.push('-filter_complex', filterComplex, '-map', '0:v:0?', ...args, '-avoid_negative_ts', 'make_zero');
+  } else if (hasChannelMap) {
+    // Handle audio channel mapping if specified
+    if (!audioStreams) {
+      throw new Error('Audio channel mapping failed: Failed to probe audio streams');
+    }
+
+    const streamCount = audioStreams.length;
+    if (streamCount === 0) {
+      console.log('No audio streams found - will process as video-only file');
+    } else {
+      console.log(`Debug: Found ${streamCount} audio streams`);
+
+      // Validate channel indices against available channels
+      const totalChannels = audioStreams.reduce((total, stream) => total + (stream.channels || 1), 0);
+      if (leftChannel >= totalChannels || rightChannel >= totalChannels) {
+        throw new Error(`Audio channel mapping failed: Channel index out of range. Available channels: 0-${totalChannels - 1}, requested: ${leftChannel}, ${rightChannel}`);
+      }
+
+      if (streamCount > 1) {
+        // For multiple mono streams (like MXF), merge them first then map channels
+        ffmpegArgs.push(
+          '-filter_complex',
+          `amerge=inputs=${streamCount}[merged];[merged]channelmap=map=${leftChannel}|${rightChannel}:channel_layout=stereo${loudnessFilter(0)}[aout]`,
+          '-map', '0:v:0',
+          '-map', '[aout]',
+          '-avoid_negative_ts', 'make_zero'
+        );
+      } else {
+        const channels = audioStreams[0].channels || 1;
+
+        if (channels === 2 && leftChannel === 0 && rightChannel === 1) {
+          // If it's already stereo and we want L=0, R=1, just copy the audio
+          ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0');
+          if (loudnessFilter(0)) ffmpegArgs.push('-af', loudnessFilter(0).slice(1));
+        } else if (channels >= 2) {
+          // For stereo/multi-channel, use channel mapping
+          ffmpegArgs.push(
+            '-filter_complex',
+            `[0:a]channelmap=map=${leftChannel}|${rightChannel}:channel_layout=stereo${loudnessFilter(0)}[aout]`,
+            '-map', '0:v:0',
+            '-map', '[aout]',
+            '-avoid_negative_ts', 'make_zero'
+          );
+        } else {
+          // For mono, duplicate the channel
+          ffmpegArgs.push(
+            '-filter_complex',
+            `[0:a]channelmap=map=0|0:channel_layout=stereo${loudnessFilter(0)}[aout]`,
+            '-map', '0:v:0',
+            '-map', '[aout]',
+            '-avoid_negative_ts', 'make_zero'
+          );
+        }
+      }
+    }
+  } else if (!streamCopy) {
+    // Map only the main streams, excluding attached pictures and other metadata streams
+    if (audioStreams && audioStreams.length === 0) {
+      console.log('No audio streams detected - processing as video-only');
+      ffmpegArgs.push('-map', '0:v:0', '-an');
+    } else {
+      ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0?');
+      if (loudnessFilter(0)) ffmpegArgs.push('-af', loudnessFilter(0).slice(1));
+    }
+  }
+
+  // Picture transforms (skip for stream copy, audio-only formats and the loudness analysis)
+  if (!streamCopy && !measuringLoudness && !AUDIO_ONLY_FORMATS.includes(format)) {
+    const videoFilters = buildVideoFilters(options, probe);
+    if (videoFilters.length > 0) {
+      ffmpegArgs.push('-vf', videoFilters.join(','));
+    }
+  }
+
+  // Quality settings (skip for stream copy; advanced options carry their own rate control)
+  if (!streamCopy && !measuringLoudness && !advanced) {
+    switch (quality) {
+      case 'low':
+        ffmpegArgs.push('-crf', '28', '-preset', 'fast');
+        break;
+      case 'high':
+        ffmpegArgs.push('-crf', '18', '-preset', 'slow');
+        break;
+      case 'maximum':
+        ffmpegArgs.push('-crf', '15', '-preset', 'veryslow');
+        break;
+      default: // medium
+        ffmpegArgs.push('-crf', '23', '-preset', 'medium');
+    }
+  }
+
+  // Audio-only targets need an audio stream to work with
+  if (AUDIO_ONLY_FORMATS.includes(format)) {
+    if (!audioStreams) {
+      throw new Error(`Cannot convert to ${format.toUpperCase()} - audio stream detection failed`);
+    }
+    if (audioStreams.length === 0) {
+      throw new Error(`Cannot convert video-only file to ${format.toUpperCase()} format - no audio streams available`);
+    }
+  }
+
+  // The analysis pass only decodes audio through the filters
+  if (measuringLoudness) {
+    ffmpegArgs.push('-vn', '-sn', '-dn');
+    return ffmpegArgs;
+  }
+
+  if (softSubtitles) {
+    ffmpegArgs.push('-map', '1:0', '-c:s', getSoftSubtitleCodec(format, path.extname(subtitles.file).toLowerCase()));
+    if (subtitles.language) ffmpegArgs.push('-metadata:s:s:0', `language=${subtitles.language}`);
+    if (subtitles.title) ffmpegArgs.push('-metadata:s:s:0', `title=${subtitles.title}`);
+    ffmpegArgs.push('-disposition:s:0', subtitles.default ? 'default' : '0');
+  }
+
+  if (advanced) {
+    ffmpegArgs.push(...buildAdvancedEncoderArgs(format, quality, advanced, { pass, passLogFile }));
+    return ffmpegArgs;
+  }
+
+  // Format-specific settings
+  switch (format) {
+    case 'webm':
+      ffmpegArgs.push('-c:v:0', 'libvpx-vp9', '-c:a', 'libopus');
+      break;
+    case 'avi':
+      ffmpegArgs.push('-c:v:0', 'libx264', '-c:a', 'aac', '-pix_fmt', 'yuv420p');
+      break;
+    case 'mov':
+      ffmpegArgs.push('-c:v:0', 'libx264', '-c:a', 'aac', '-pix_fmt', 'yuv420p', '-profile:v', 'baseline', '-movflags', '+faststart');
+      break;
+    case 'mkv':
+      ffmpegArgs.push('-c:v:0', 'libx264', '-c:a', 'aac', '-pix_fmt', 'yuv420p');
+      break;
+    case 'mp3':
+      ffmpegArgs.push('-vn', '-c:a', 'libmp3lame', '-b:a', '192k');
+      break;
+    case 'wav':
+      ffmpegArgs.push('-vn', '-c:a', 'pcm_s16le');
+      break;
+    default: // mp4
+      if (streamCopy) {
+        // Use stream copy for same format with default quality to avoid codec conflicts
+        ffmpegArgs.push('-c:v', 'copy', '-c:a', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart');
+      } else {
+        // Re-encode with compatible settings for quality changes or different input formats
+        ffmpegArgs.push('-c:v:0', 'libx264', '-c:a', 'aac', '-pix_fmt', 'yuv420p', '-profile:v', 'baseline', '-movflags', '+faststart');
+      }
+  }
+
+  return ffmpegArgs;
+}
+
+// Stream copy only applies to MP4 -> MP4 at the default quality with nothing to filter or re-encode
+function canStreamCopyConversion(inputName, options) {
+  return inputName.toLowerCase().endsWith('.mp4') && options.format === 'mp4' && options.quality === 'medium' &&
+    options.leftChannel === undefined && !options.audioRouting && !options.loudness && !options.subtitles && !options.resolution && !options.advanced &&
+    !options.watermark && !options.textOverlay && !options.packaging &&
+    !options.crop && !options.rotate && !options.flip && !options.deinterlace && !options.fps;
+}
+
+// Adaptive streaming packages: one H.264/AAC rendition per quality preset, segmented for HLS (TS) or for
+// DASH with matching HLS playlists (fMP4). Heights apply to the short side so portrait video keeps its ladder.
+const PACKAGING_RENDITIONS = {
+  low: { height: 480, maxrate: 1200, audioBitrate: 96 },
+  medium: { height: 720, maxrate: 3000, audioBitrate: 128 },
+  high: { height: 1080, maxrate: 6000, audioBitrate: 160 },
+  maximum: { height: 2160, maxrate: 16000, audioBitrate: 192 }
+};
+
+// { dash, renditions, segmentDuration }; returns { packaging } or { error }
+function validatePackagingOptions(packaging) {
+  let options = packaging;
+  if (typeof packaging === 'string') {
+    try {
+      options = JSON.parse(packaging);
+    } catch (parseError) {
+      return { error: 'packaging must be a JSON object { dash, renditions, segmentDuration }' };
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'packaging must be an object { dash, renditions, segmentDuration }' };
+  }
+
+  const { dash = false, renditions = CONVERSION_QUALITIES, segmentDuration = 6 } = options;
+  if (typeof dash !== 'boolean') {
+    return { error: 'packaging.dash must be a boolean' };
+  }
+  if (!Array.isArray(renditions) || renditions.length === 0 || renditions.some(quality => !PACKAGING_RENDITIONS[quality])) {
+    return { error: `packaging.renditions must list qualities from ${CONVERSION_QUALITIES.join(', ')}` };
+  }
+  if (!isIntegerIn(segmentDuration, 2, 10)) {
+    return { error: 'packaging.segmentDuration must be an integer from 2 to 10 seconds' };
+  }
+  // Lowest rendition first, which is also the order players list them in
+  const ladder = CONVERSION_QUALITIES.filter(quality => renditions.includes(quality));
+  return { packaging: { dash, renditions: ladder, segmentDuration } };
+}
+
+// ffmpeg arguments writing the package into outputDir (master.m3u8, plus manifest.mpd for DASH).
+// Renditions taller than the source are dropped, keeping at least the smallest one.
+function buildPackagingArgs(inputPath, options, probe, outputDir) {
+  const { packaging } = options;
+  const videoStreams = probe ? (probe.streams || []).filter(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)) : null;
+  if (videoStreams && videoStreams.length === 0) {
+    throw new Error('Cannot package for streaming - the source has no video stream');
+  }
+  const frame = getOutputFrameSize(options, probe);
+  const shortSide = frame ? Math.min(frame.width, frame.height) : Infinity;
+  const portrait = Boolean(frame && frame.height > frame.width);
+  const renditions = packaging.renditions.filter((quality, index) => index === 0 || PACKAGING_RENDITIONS[quality].height <= shortSide);
+  const hasAudio = probe ? (probe.streams || []).some(stream => stream.codec_type === 'audio') : true;
+
+  // Transforms and overlays run once, then the picture is split per rendition
+  const baseFilters = buildVideoFilters(options, probe);
+  const outputs = renditions.map((_, index) => `[v${index}]`).join('');
+  const graph = [`[0:v:0]${[...baseFilters, `split=${renditions.length}${outputs}`].join(',')}`];
+  const ffmpegArgs = ['-i', inputPath];
+  const videoArgs = [];
+
+  renditions.forEach((quality, index) => {
+    const { height, maxrate } = PACKAGING_RENDITIONS[quality];
+    const [crf, preset] = QUALITY_ENCODER_SETTINGS.x26x[quality];
+    const size = Math.min(height, shortSide);
+    graph.push(`[v${index}]scale=${portrait ? `${size}:-2` : `-2:${size}`}[v${index}out]`);
+    ffmpegArgs.push('-map', `[v${index}out]`);
+    videoArgs.push(
+      `-crf:v:${index}`, String(crf), `-preset:v:${index}`, preset,
+      `-maxrate:v:${index}`, `${maxrate}k`, `-bufsize:v:${index}`, `${maxrate * 2}k`
+    );
+  });
+  ffmpegArgs.splice(2, 0, '-filter_complex', graph.join(';'));
+
+  // One audio rendition shared by every video rendition, at the best selected preset's bitrate
+  const audioBitrate = PACKAGING_RENDITIONS[renditions[renditions.length - 1]].audioBitrate;
+  if (hasAudio) {
+    ffmpegArgs.push('-map', '0:a:0', '-c:a', 'aac', '-b:a', `${audioBitrate}k`, '-ac', '2');
+  }
+
+  // Keyframes on segment boundaries so every rendition switches at the same points
+  ffmpegArgs.push(
+    '-c:v', 'libx264', '-pix_fmt', 'yuv420p', ...videoArgs,
+    '-force_key_frames', `expr:gte(t,n_forced*${packaging.segmentDuration})`, '-sc_threshold', '0'
+  );
+
+  const names = renditions.map(quality => `${PACKAGING_RENDITIONS[quality].height}p`);
+  if (packaging.dash) {
+    ffmpegArgs.push(
+      '-f', 'dash', '-seg_duration', String(packaging.segmentDuration), '-use_template', '1', '-use_timeline', '1',
+      '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+      '-init_seg_name', 'init-$RepresentationID$.m4s', '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+      '-hls_playlist', '1', '-hls_master_name', 'master.m3u8',
+      '-y', path.join(outputDir, 'manifest.mpd')
+    );
+    return ffmpegArgs;
+  }
+
+  const streamMap = names.map((name, index) => `v:${index},name:${name}${hasAudio ? ',agroup:audio' : ''}`);
+  if (hasAudio) streamMap.unshift('a:0,agroup:audio,name:audio');
+  for (const name of [...names, ...(hasAudio ? ['audio'] : [])]) {
+    fs.mkdirSync(path.join(outputDir, name), { recursive: true });
+  }
+  ffmpegArgs.push(
+    '-f', 'hls', '-hls_time', String(packaging.segmentDuration), '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments', '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%03d.ts'),
+    '-master_pl_name', 'master.m3u8', '-var_stream_map', streamMap.join(' '),
+    '-y', path.join(outputDir, '%v', 'playlist.m3u8')
+  );
+  return ffmpegArgs;
+}
+
+// First pass of a two-pass encode: analyse into passLogFile and throw the output away
+async function runConversionFirstPass(inputPath, options, probe, passLogFile, { onProgress, signal } = {}) {
+  const args = buildConversionArgs(inputPath, options, probe, { pass: 1, passLogFile });
+  args.push('-f', 'null', '-y', os.devNull);
+  const duration = probe ? parseFloat(probe.format && probe.format.duration) : 0;
+  await runFFmpeg(args, { timeout: 60 * 60 * 1000, onStderr: reportFFmpegProgress(duration, onProgress), signal });
+}
+
+// Remove the stats files a two-pass encode leaves next to passLogFile
+function removePassLogs(passLogFile) {
+  const dir = path.dirname(passLogFile);
+  const prefix = path.basename(passLogFile);
+  // A cancelled job has already had its work directory removed
+  if (!fs.existsSync(dir)) return;
+  for (const file of fs.readdirSync(dir)) {
+    if (file.startsWith(prefix)) {
+      fs.rmSync(path.join(dir, file), { force: true });
+    }
+  }
+}
+
+// Make a name safe on disk and in Content-Disposition headers
+function sanitizeFilename(name) {
+  return name.replace(/[^\w\s.-]/g, '_').replace(/\s+/g, '_');
+}
+
+// Zip files into a job directory. Entries are { path, name } for files on disk
+// or { content, name } for generated text; onProgress receives (processed, total).
+function writeJobArchive(jobId, zipFilename, entries, onProgress) {
+  return writeArchive(path.join(getJobDir(jobId), zipFilename), entries, onProgress);
+}
+
+// Zip entries (as for writeJobArchive) into zipPath
+function writeArchive(zipPath, entries, onProgress) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('warning', (err) => {
+      console.warn('Archive warning:', err);
+    });
+    archive.on('error', reject);
+    output.on('error', reject);
+    output.on('close', resolve);
+
+    if (onProgress) {
+      archive.on('progress', ({ entries: counts }) => onProgress(counts.processed, counts.total));
+    }
+
+    archive.pipe(output);
+    for (const entry of entries) {
+      if (entry.content !== undefined) {
+        archive.append(entry.content, { name: entry.name });
+      } else {
+        archive.file(entry.path, { name: entry.name });
+      }
+    }
+    archive.finalize();
+  });
+}
+
+// Report batch progress and archive batches whose entries have all settled
+function updateBatchJobs() {
+  for (const batch of downloadJobs.values()) {
+    if (batch.type !== 'batch' || !isJobActive(batch) || batch.stage === 'archiving') continue;
+
+    const children = getBatchChildren(batch);
+    const settled = children.filter(child => !isJobActive(child));
+    const progress = getBatchProgress(batch);
+
+    if (settled.length < children.length) {
+      updateJob(batch, { progress }, false);
+      sendProgressUpdate(batch.sessionId, getJobOperationKey(batch), progress, {
+        stage: `Downloaded ${settled.length} of ${children.length} entries`,
+        jobId: batch.id
+      });
+      continue;
+    }
+
+    archiveBatchJob(batch, children);
+  }
+}
+
+function archiveBatchJob(batch, children) {
+  const completed = children.filter(child => child.status === 'completed' && child.file);
+  const failures = children
+    .filter(child => child.status !== 'completed')
+    .map(child => ({ index: child.batchIndex, url: child.request.url, error: child.error ? child.error.error : child.status }));
+
+  if (completed.length === 0) {
+    batch.entrySummary = { total: children.length, completed: 0, failed: failures.length };
+    failJob(batch, 500, {
+      error: 'All batch downloads failed',
+      details: failures.map(f => `#${f.index} ${f.url}: ${f.error}`).join('\n')
+    });
+    return;
+  }
+
+  updateJob(batch, {
+    stage: 'archiving',
+    failures,
+    entrySummary: { total: children.length, completed: completed.length, failed: failures.length }
+  });
+  sendProgressUpdate(batch.sessionId, getJobOperationKey(batch), 95, { stage: 'Creating archive', jobId: batch.id });
+
+  const zipFilename = sanitizeFilename(`${batch.request.archiveName || 'playlist'}.zip`);
+
+  // Prefix entries with their playlist position so the archive keeps the original order
+  // (entries named by a filename template keep their rendered path; use {index} there for ordering)
+  const entries = completed.map(child => ({
+    path: path.join(getJobDir(child.id), child.file.name),
+    name: child.file.archivePath || `${String(child.batchIndex).padStart(3, '0')}_${child.file.name}`
+  }));
+
+  if (failures.length > 0) {
+    const report = failures.map(f => `#${f.index} ${f.url}\n  ${f.error}`).join('\n\n');
+    entries.push({ content: `The following entries could not be downloaded:\n\n${report}\n`, name: 'FAILED_ENTRIES.txt' });
+  }
+
+  writeJobArchive(batch.id, zipFilename, entries)
+    .then(() => {
+      // The entry files now live in the archive; drop the child jobs
+      for (const child of children) {
+        fs.rmSync(getJobDir(child.id), { recursive: true, force: true });
+        downloadJobs.delete(child.id);
+      }
+      completeJob(batch, zipFilename, 'application/zip');
+    })
+    .catch((err) => {
+      console.error('Batch archive error:', err);
+      failJob(batch, 500, { error: 'Failed to create archive', details: err.message });
+    });
+}
+
+// Start queued jobs (oldest first) until the concurrency limit is reached
+function pumpJobQueue() {
+  const queued = Array.from(downloadJobs.values())
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of queued) {
+    if (runningJobs.size >= MAX_CONCURRENT_JOBS) break;
+
+    updateJob(job, { status: 'running', stage: 'initializing', attempts: job.attempts + 1 });
+    runningJobs.set(job.id, {});
+
+    const runJob = job.type === 'manifest' ? runManifestJob : runDownloadJob;
+    runJob(job).catch((error) => {
+      console.error(`Download job ${job.id} crashed:`, error);
+      failJob(job, 500, { error: 'Internal server error', details: error.message });
+    });
+  }
+}
+
+// Drop finished jobs (and their artifacts) once they are past the retention window
+function sweepExpiredJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  let removed = 0;
+
+  for (const job of downloadJobs.values()) {
+    if (isJobActive(job)) continue;
+    if (new Date(job.updatedAt).getTime() > cutoff) continue;
+    // Entries of a batch that is still running are needed for its archive
+    if (job.parentId && downloadJobs.has(job.parentId) && isJobActive(downloadJobs.get(job.parentId))) continue;
+
+    fs.rmSync(getJobDir(job.id), { recursive: true, force: true });
+    downloadJobs.delete(job.id);
+    removed++;
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} expired download job(s)`);
+    saveJobJournal();
+  }
+}
+
+loadJobJournal();
+setInterval(sweepExpiredJobs, 60 * 60 * 1000).unref();
+
+// Cancel download endpoint
+// Accepts a jobId; a bare URL cancels the newest active job for that URL (older clients)
+app.post('/api/cancel-download', (req, res) => {
+  const { jobId, url } = req.body;
+  if (!jobId && !url) {
+    return res.status(400).json({ error: 'jobId or URL is required' });
+  }
+
+  const job = jobId
+    ? downloadJobs.get(jobId)
+    : Array.from(downloadJobs.values()).reverse().find(j => j.request.url === url && isJobActive(j));
+
+  if (job && isJobActive(job)) {
+    cancelJob(job);
+    res.json({ success: true, message: 'Download cancelled', jobId: job.id });
+  } else {
+    res.status(404).json({ error: jobId ? 'No active download job found with this ID' : 'No active download found for this URL' });
+  }
+});
+
+// Get the status of a download job
+// Passing ?sessionId= re-attaches WebSocket progress after the client reconnects
+app.get('/api/jobs/:id', (req, res) => {
+  const job = downloadJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (req.query.sessionId && isJobActive(job)) {
+    job.sessionId = String(req.query.sessionId);
+  }
+
+  res.json(toPublicJob(job));
+});
+
+// Download the finished artifact of a job
+app.get('/api/jobs/:id/file', (req, res) => {
+  const job = downloadJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'completed' || !job.file) {
+    return res.status(409).json({
+      error: 'Job has no file available',
+      details: `Job status is '${job.status}'`,
+      job: toPublicJob(job)
+    });
+  }
+
+  const artifactPath = path.join(getJobDir(job.id), job.file.name);
+  if (!fs.existsSync(artifactPath)) {
+    return res.status(410).json({ error: 'Job file is no longer available' });
+  }
+
+  const encodedFilename = encodeURIComponent(job.file.name).replace(/'/g, '%27');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}; filename="${job.file.name}"`);
+  res.setHeader('Content-Type', job.file.contentType);
+  res.setHeader('Content-Length', job.file.size);
+
+  const fileStream = fs.createReadStream(artifactPath);
+  fileStream.on('error', (error) => {
+    console.error('Job file stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to send file' });
+    }
+  });
+  fileStream.pipe(res);
+});
+
+// Download video from supported platforms (YouTube, Instagram, Facebook, Twitter)
+// Queues a persistent job and returns its ID immediately
+app.post('/api/download-video', (req, res) => {
+  const { sessionId, ...request } = req.body;
+  const { url, filename, quality = 'maximum', formatId, audioFormatId, subtitles, audio, embed, filenameTemplate, splitChapters, startTime, endTime, ranges, rangeMode, trimMode, convert } = request;
+
+  console.log('🎬 SERVER DEBUG: Download request received', { url, filename, quality, sessionId, hasWebSocketConnection: wsConnections.has(sessionId) });
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
+  // Validate quality option
+  if (!qualityFormats[quality]) {
+    return res.status(400).json({ error: 'Invalid quality option' });
+  }
+
+  // Validate explicit format selection
+  if ((formatId !== undefined && !FORMAT_ID_PATTERN.test(formatId)) ||
+    (audioFormatId !== undefined && (!formatId || !FORMAT_ID_PATTERN.test(audioFormatId)))) {
+    return res.status(400).json({ error: 'Invalid format ID', details: 'audioFormatId requires a formatId; IDs come from the formats list of /api/video-info' });
+  }
+
+  // Validate subtitle request: { langs: ['en', ...], format: 'srt'|'vtt'|'ass', embed: boolean }
+  if (subtitles !== undefined) {
+    if (!subtitles || !Array.isArray(subtitles.langs) || subtitles.langs.length === 0 ||
+      !subtitles.langs.every(lang => typeof lang === 'string' && SUBTITLE_LANG_PATTERN.test(lang))) {
+      return res.status(400).json({ error: 'Invalid subtitles option', details: 'subtitles.langs must be a non-empty list of language codes from /api/video-info' });
+    }
+    if (subtitles.format !== undefined && !SUBTITLE_FORMATS.includes(subtitles.format)) {
+      return res.status(400).json({ error: 'Invalid subtitle format', details: `Supported formats: ${SUBTITLE_FORMATS.join(', ')}` });
+    }
+    if (subtitles.embed && quality === 'audio') {
+      return res.status(400).json({ error: 'Subtitles can only be embedded into video downloads' });
+    }
+  }
+
+  // Validate audio export: { format: 'mp3'|'aac'|'opus'|'flac'|'wav', bitrate: kbps, normalize: boolean }
+  if (audio !== undefined) {
+    if (quality !== 'audio') {
+      return res.status(400).json({ error: 'Audio export options require the audio quality preset' });
+    }
+    if (!audio || !AUDIO_EXPORT_FORMATS[audio.format]) {
+      return res.status(400).json({ error: 'Invalid audio format', details: `Supported formats: ${Object.keys(AUDIO_EXPORT_FORMATS).join(', ')}` });
+    }
+    if (audio.bitrate !== undefined && !AUDIO_EXPORT_BITRATES.includes(audio.bitrate)) {
+      return res.status(400).json({ error: 'Invalid audio bitrate', details: `Supported bitrates (kbps): ${AUDIO_EXPORT_BITRATES.join(', ')}` });
+    }
+  }
+
+  if (embed !== undefined && !isValidEmbedOption(embed)) {
+    return res.status(400).json({ error: 'Invalid embed option', details: 'embed takes boolean metadata, chapters and thumbnail flags' });
+  }
+
+  if (filenameTemplate !== undefined) {
+    const templateError = validateFilenameTemplate(filenameTemplate);
+    if (templateError) {
+      return res.status(400).json({ error: 'Invalid filename template', details: templateError });
+    }
+  }
+
+  // Split by chapters returns the whole video as one file per chapter
+  if (splitChapters !== undefined && typeof splitChapters !== 'boolean') {
+    return res.status(400).json({ error: 'splitChapters must be a boolean' });
+  }
+  if (splitChapters && (startTime !== undefined || endTime !== undefined || audio)) {
+    return res.status(400).json({ error: 'Split by chapters cannot be combined with a time range or an audio export' });
+  }
+
+  if (trimMode !== undefined && !TRIM_MODES.includes(trimMode)) {
+    return res.status(400).json({ error: 'Invalid trim mode', details: `Supported modes: ${TRIM_MODES.join(', ')}` });
+  }
+
+  // Multi-range clips replace the single startTime/endTime pair
+  let clipRanges;
+  if (ranges !== undefined) {
+    const normalized = normalizeClipRanges(ranges);
+    if (normalized.error) {
+      return res.status(400).json({ error: 'Invalid ranges', details: normalized.error });
+    }
+    if (rangeMode !== undefined && !CLIP_RANGE_MODES.includes(rangeMode)) {
+      return res.status(400).json({ error: 'Invalid range mode', details: `Supported modes: ${CLIP_RANGE_MODES.join(', ')}` });
+    }
+    if (startTime !== undefined || endTime !== undefined || splitChapters || audio) {
+      return res.status(400).json({ error: 'ranges cannot be combined with startTime/endTime, split by chapters or an audio export' });
+    }
+    if (subtitles && !subtitles.embed) {
+      return res.status(400).json({ error: 'Only embedded subtitles are supported for multi-range clips' });
+    }
+    clipRanges = normalized.ranges;
+  }
+
+  // Convert the downloaded file with ffmpeg before it is handed out: same options as /api/convert-video
+  let conversion;
+  if (convert !== undefined) {
+    if (!convert || typeof convert !== 'object') {
+      return res.status(400).json({ error: 'Invalid convert option', details: 'convert takes format, quality, resolution, leftChannel/rightChannel, audioRouting or animation' });
+    }
+    const validation = validateConversionOptions(convert);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error, details: validation.details });
+    }
+    if (audio || splitChapters || ranges !== undefined) {
+      return res.status(400).json({ error: 'Conversion cannot be combined with an audio export, split by chapters or multi-range clips' });
+    }
+    if (validation.options.subtitles) {
+      return res.status(400).json({ error: 'Invalid convert option', details: 'Subtitle files are uploaded to /api/convert-video; use the subtitles option for downloaded tracks' });
+    }
+    if (validation.options.packaging) {
+      return res.status(400).json({ error: 'Invalid convert option', details: 'Streaming packages are produced by /api/convert-video' });
+    }
+    if (validation.options.watermark) {
+      return res.status(400).json({ error: 'Invalid convert option', details: 'Watermark images are uploaded to /api/convert-video' });
+    }
+    // Conversion maps the main video and audio streams only, so embedded subtitles would be lost
+    if (subtitles && (subtitles.embed || AUDIO_ONLY_FORMATS.includes(validation.options.format))) {
+      return res.status(400).json({ error: 'Subtitles can only be kept as separate files when converting to a video format' });
+    }
+    conversion = validation.options;
+  }
+
+  const job = createDownloadJob({
+    ...request,
+    quality,
+    ...(clipRanges && { ranges: clipRanges, rangeMode: rangeMode || 'separate' }),
+    ...(conversion && { convert: conversion })
+  }, sessionId);
+  console.log(`📥 Queued download job ${job.id} for ${url}`);
+  pumpJobQueue();
+
+  res.status(202).json({ jobId: job.id, ...toPublicJob(job) });
+});
+
+// Download several entries (e.g. selected playlist videos) at once
+// mode 'zip' returns a single batch job whose file is a ZIP; mode 'jobs' returns one job per entry
+const MAX_BATCH_ENTRIES = parseInt(process.env.MAX_BATCH_ENTRIES) || 200;
+
+app.post('/api/download-batch', (req, res) => {
+  const { entries, quality = 'maximum', mode = 'zip', archiveName, playlistUrl, embed, filenameTemplate, sessionId } = req.body;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'entries must be a non-empty array' });
+  }
+
+  if (entries.length > MAX_BATCH_ENTRIES) {
+    return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_ENTRIES} entries` });
+  }
+
+  if (entries.some(entry => !entry || typeof entry.url !== 'string' || !entry.url)) {
+    return res.status(400).json({ error: 'Every entry needs a URL' });
+  }
+
+  if (!qualityFormats[quality]) {
+    return res.status(400).json({ error: 'Invalid quality option' });
+  }
+
+  if (mode !== 'zip' && mode !== 'jobs') {
+    return res.status(400).json({ error: "mode must be 'zip' or 'jobs'" });
+  }
+
+  if (embed !== undefined && !isValidEmbedOption(embed)) {
+    return res.status(400).json({ error: 'Invalid embed option', details: 'embed takes boolean metadata, chapters and thumbnail flags' });
+  }
+
+  if (filenameTemplate !== undefined) {
+    const templateError = validateFilenameTemplate(filenameTemplate);
+    if (templateError) {
+      return res.status(400).json({ error: 'Invalid filename template', details: templateError });
+    }
+  }
+
+  const normalizedEntries = entries.map(({ url, filename }) => ({ url, filename }));
+  console.log(`📥 Batch download request: ${normalizedEntries.length} entries, mode=${mode}, quality=${quality}`);
+
+  if (mode === 'jobs') {
+    const jobs = normalizedEntries.map(entry => createDownloadJob({ ...entry, quality, embed, filenameTemplate }, sessionId));
+    pumpJobQueue();
+    return res.status(202).json({ mode, jobs: jobs.map(toPublicJob) });
+  }
+
+  const batch = createBatchJob({ url: playlistUrl || null, quality, archiveName, embed, filenameTemplate }, normalizedEntries, sessionId);
+  pumpJobQueue();
+
+  res.status(202).json({ mode, jobId: batch.id, ...toPublicJob(batch) });
+});
+
+// Run a single download job: yt-dlp, optional trimming, then move the artifact into the job directory
+async function runDownloadJob(job) {
+  const { url, filename, quality, startTime, endTime } = job.request;
+  const jobDir = getJobDir(job.id);
+
+  let ytDlp = null;
+  let tempDir = null;
+  // Aborts whichever ffmpeg run of the post-processing is in flight
+  const abortController = new AbortController();
+  const { signal } = abortController;
+
+  // Kill the yt-dlp and ffmpeg processes and drop the work directory (used on cancel/timeout)
+  const cleanup = () => {
+    const downloadData = runningJobs.get(job.id);
+    if (downloadData && downloadData.timeout) {
+      clearTimeout(downloadData.timeout);
+    }
+    abortController.abort();
+
+    if (ytDlp && !ytDlp.killed) {
+      ytDlp.kill('SIGTERM');
+      // Force kill if SIGTERM doesn't work
+      setTimeout(() => {
+        if (ytDlp && !ytDlp.killed) {
+          ytDlp.kill('SIGKILL');
+        }
+      }, 5000);
+    }
+    if (tempDir) {
+      try {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      } catch (err) {
+        console.error('Error cleaning up temp directory:', err);
+      }
+    }
+  };
+
+  runningJobs.set(job.id, { cleanup });
+
+  try {
+    // Work directory lives inside the job directory so yt-dlp can resume .part files after a restart
+    tempDir = path.join(jobDir, 'work');
+    fs.mkdirSync(tempDir, { recursive: true });
+    const outputTemplate = path.join(tempDir, buildOutputTemplate(job.request.filenameTemplate || DEFAULT_FILENAME_TEMPLATE, { index: job.batchIndex }));
+    const embedOptions = getEmbedOptions(job.request);
+
+    // For formats that download multiple files, use a more flexible template
+    const flexibleTemplate = path.join(tempDir, '%(title)s_%(id)s_%(format_id)s.%(ext)s');
+
+    // Detect platform and adjust settings accordingly
+    const platform = detectPlatform(url);
+
+    // Base arguments for all platforms
+    const baseArgs = [
+      '--restrict-filenames', // Use safe filenames
+      '--verbose',
+      '--progress', // Enable progress output
+      '--newline', // Each progress line on new line
+      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36', // Latest Chrome
+      '--extractor-args', 'youtube:player_client=web_creator,ios,web', // Prioritize Creator/iOS over standard Web
+      '--js-runtimes', 'deno', // Use Deno for signature decryption (Node is unsupported/broken in current yt-dlp)
+      '--no-check-formats', // Don't verify format availability
+      '--no-check-certificate', // Bypass SSL certificate checks
+      '--prefer-free-formats', // Prefer free formats when available
+      '-S', 'vcodec:h264,res,acodec:m4a' // Explicitly sort to prefer H.264 video and AAC audio
+    ];
+
+    // Title, uploader, date, description and source URL go into the container tags
+    if (embedOptions.metadata) {
+      baseArgs.push('--embed-metadata');
+    }
+    if (embedOptions.chapters) {
+      baseArgs.push('--embed-chapters');
+    }
+
+    // Always add format for best quality first (or the exact format the user picked)
+    const formatSelector = getFormatSelector(job.request);
+    const explicitFormat = Boolean(job.request.formatId);
+    baseArgs.unshift('--format', formatSelector);
+
+    // Always use output template to ensure files go to tempDir
+    baseArgs.unshift('--output', outputTemplate);
+
+    // Add merge format for video qualities
+    if (quality !== 'audio') {
+      baseArgs.push('--merge-output-format', 'mp4');
+    }
+
+    // YouTube-specific bypass strategies
+    if (platform === 'youtube' || url.includes('youtube.com') || url.includes('youtu.be')) {
+      baseArgs.push(
+        '--extractor-retries', '5', // Retry failed extractions
+        '--fragment-retries', '10', // Retry failed fragments
+        '--retry-sleep', 'exp=1:120', // Exponential backoff
+        '--socket-timeout', '30', // Socket timeout
+        '--http-chunk-size', '10485760', // 10MB chunks
+        '--throttled-rate', '100K', // Rate limiting to avoid detection
+        '--write-info-json', // Write metadata
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+        '--referer', 'https://www.youtube.com/',
+        '--add-header', 'Accept-Language:en-US,en;q=0.9',
+        '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        '--add-header', 'Sec-Fetch-Mode:navigate'
+      );
+    }
+
+    // Store segment info for post-processing if needed
+    let segmentInfo = null;
+    if (startTime !== undefined && endTime !== undefined) {
+      const startSeconds = parseTimeValue(startTime);
+      const endSeconds = parseTimeValue(endTime);
+      const duration = endSeconds - startSeconds;
+
+      segmentInfo = { startSeconds, duration };
+      console.log('🎬 Segment info prepared:', segmentInfo);
+      // Don't add ffmpeg args here - we'll process after download
+    }
+
+    // Platform-specific configurations
+    if (platform === 'instagram') {
+      // Instagram-specific arguments for carousel handling
+      var ytDlpArgs = [
+        ...baseArgs,
+        '--no-check-certificate',
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        '--referer', url,
+        '--extractor-retries', '3',
+        '--fragment-retries', '3',
+        '--retry-sleep', 'linear=1::2',
+        '--sleep-interval', '1',
+        '--max-sleep-interval', '5',
+        '--ignore-errors', // Continue on errors for individual items
+        '--write-info-json', // Get metadata for each item
+        '--write-thumbnail', // Download thumbnails
+
+        '--recode-video', 'mp4', // Ensure container is MP4
+        // DO NOT add --no-playlist for Instagram to allow carousel downloads
+        '--yes-playlist' // Explicitly enable playlist/carousel extraction
+      ];
+
+      // Try environment variable for explicit cookie file
+      if (process.env.IG_COOKIES_FILE && fs.existsSync(process.env.IG_COOKIES_FILE)) {
+        ytDlpArgs.push('--cookies', process.env.IG_COOKIES_FILE);
+      } else {
+        // Use alternative anti-bot measures for Instagram
+        ytDlpArgs.push(
+          '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          '--referer', 'https://www.instagram.com/'
+        );
+      }
+    } else if (platform === 'facebook') {
+      // Facebook-specific arguments  
+      var ytDlpArgs = [
+        ...baseArgs,
+        '--no-playlist', // For Facebook, use no-playlist
+        '--no-check-certificate',
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        '--referer', url,
+        '--extractor-retries', '3',
+        '--fragment-retries', '3',
+        '--retry-sleep', 'linear=1::2',
+        '--sleep-interval', '1',
+        '--max-sleep-interval', '5',
+        '--retry-sleep', 'linear=1::2',
+        '--sleep-interval', '1',
+        '--max-sleep-interval', '5',
+        '--recode-video', 'mp4' // Ensure container is MP4
+      ];
+
+      // Continue without authentication for Facebook
+    } else if (platform === 'youtube') {
+      // YouTube-specific arguments with advanced bypass strategies
+      var ytDlpArgs = [
+        ...baseArgs,
+        '--no-playlist',
+        '--no-abort-on-error',
+        '--ignore-errors'
+      ];
+
+      // Use cookies.txt file for YouTube authentication if available
+      const cookiesPath = path.join(__dirname, 'cookies.txt');
+      if (fs.existsSync(cookiesPath)) {
+        ytDlpArgs.push('--cookies', cookiesPath);
+        console.log('🍪 Using cookies.txt for YouTube authentication');
+      } else {
+        // Determine cookie source
+        const cookieOptions = getCookiesPath();
+        const usesBrowserCookies = cookieOptions.includes('--cookies-from-browser');
+
+        // Auto-fallback: try extracting cookies into persistent jar locally, then use jar
+        if (!isProductionEnvironment() && usesBrowserCookies) {
+          try {
+            console.log('🔁 Auto fallback: extracting YouTube cookies via headless browser...');
+            await youtubeBypass.extractAndSaveCookies('https://www.youtube.com');
+            if (fs.existsSync(youtubeBypass.cookieJar)) {
+              ytDlpArgs.push('--cookies', youtubeBypass.cookieJar);
+              console.log('🍪 Auto fallback successful: using persistent cookie jar');
+            } else {
+              ytDlpArgs.push(...cookieOptions);
+              console.log('🍪 Using browser cookies for YouTube authentication');
+            }
+          } catch (error) {
+            console.log('⚠️ Cookie extraction failed, falling back to browser cookies:', error.message);
+            ytDlpArgs.push(...cookieOptions);
+          }
+        } else {
+          // Use whatever getCookiesPath recommended (jar or browser)
+          if (cookieOptions.length > 0) {
+            ytDlpArgs.push(...cookieOptions);
+            if (cookieOptions.includes('--cookies')) {
+              console.log('🍪 Using persistent cookie jar for YouTube authentication');
+            } else {
+              console.log('🍪 Using browser cookies for YouTube authentication');
+            }
+          } else {
+            console.log('⚠️ No cookies available, using basic anti-bot measures');
+            ytDlpArgs.push(
+              '--user-agent', getRandomUserAgent(),
+              '--referer', 'https://www.youtube.com/'
+            );
+          }
+        }
+      }
+    } else {
+      // Default arguments for other platforms
+      var ytDlpArgs = [
+        ...baseArgs,
+        '--no-playlist' // Default behavior for non-Instagram platforms
+      ];
+    }
+
+    if (platform === 'twitter') {
+      // Twitter-specific optimizations
+      ytDlpArgs.push('--no-check-certificate');
+    }
+
+    if (platform === 'generic' || platform === 'direct-video' || platform === 'stream-manifest') {
+      // For generic websites, add more robust extraction options
+      ytDlpArgs.push(
+        '--no-check-certificate',
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        '--referer', url,
+        '--extract-flat', 'false',
+        '--referer', url,
+        '--extract-flat', 'false',
+        '--recode-video', 'mp4'
+      );
+
+      // For direct video files and manifests, try to download directly
+      if (platform === 'direct-video' || platform === 'stream-manifest') {
+        ytDlpArgs.push('--no-playlist', '--ignore-errors');
+      }
+    }
+
+    if (platform === 'reddit') {
+      // Reddit-specific optimizations
+      ytDlpArgs.push('--no-check-certificate');
+    }
+
+    // Segment trimming will be handled in post-processing with FFmpeg
+    if (segmentInfo) {
+      const startTime = segmentInfo.startSeconds;
+      const endTime = startTime + segmentInfo.duration;
+      console.log(`🎬 Segment download requested: ${startTime}-${endTime} seconds (will be trimmed in post-processing)`);
+    }
+
+    // Add merge format for video qualities
+    if (quality !== 'audio') {
+      ytDlpArgs.splice(2, 0, '--merge-output-format', 'mp4');
+      if (embedOptions.thumbnail) {
+        ytDlpArgs.push('--write-thumbnail', '--embed-thumbnail');
+      }
+    }
+
+    // Subtitles: manual tracks win over automatic captions for the same language
+    const subtitleOptions = job.request.subtitles;
+    if (subtitleOptions) {
+      ytDlpArgs.push(
+        '--write-subs',
+        '--write-auto-subs',
+        '--sub-langs', subtitleOptions.langs.join(','),
+        '--convert-subs', subtitleOptions.format || 'srt'
+      );
+      if (subtitleOptions.embed) {
+        ytDlpArgs.push('--embed-subs');
+      }
+      console.log('💬 Subtitles requested:', subtitleOptions);
+    }
+
+    // One file per chapter next to the full download; only the chapter files are returned
+    if (job.request.splitChapters) {
+      ytDlpArgs.push(
+        '--split-chapters',
+        '--output', `chapter:${path.join(tempDir, 'chapters', '%(section_number)03d_%(section_title)s.%(ext)s')}`
+      );
+      console.log('📑 Split by chapters requested');
+    }
+
+    // Audio export needs the metadata and thumbnail on disk for tagging
+    const audioExport = quality === 'audio' ? job.request.audio : null;
+    if (audioExport) {
+      ytDlpArgs.push('--write-info-json', '--write-thumbnail', '--convert-thumbnails', 'jpg');
+      console.log('🎵 Audio export requested:', audioExport);
+    }
+
+    ytDlpArgs.push(url);
+
+    // Prepare command and arguments
+    const ytDlpPath = await getYtDlpPath();
+
+    // Handle the case where the path is actually a command with arguments (like "python3 -m yt_dlp")
+    let command, commandArgs;
+
+    if (ytDlpPath.includes(' ')) {
+      const parts = ytDlpPath.split(' ');
+      command = parts[0];
+      commandArgs = [...parts.slice(1), ...ytDlpArgs];
+    } else {
+      command = ytDlpPath;
+      commandArgs = ytDlpArgs;
+    }
+
+    console.log('🔍 DEBUG: Executing generic download:', command, commandArgs.join(' '));
+
+    // Debug: Log the complete yt-dlp command
+    console.log('🔍 DEBUG: Full yt-dlp command:', [command, ...commandArgs].join(' '));
+    console.log('🔍 DEBUG: Quality requested:', quality);
+    console.log('🔍 DEBUG: Format string:', formatSelector);
+
+    // For YouTube, use alternative format strategies for better quality control
+    // (not when an explicit format was requested - that must be honoured as is)
+    let attemptCount = 0;
+    const maxAttempts = platform === 'youtube' && !explicitFormat ? alternativeFormats[quality]?.length || 1 : 1;
+
+    const tryDownload = async (formatIndex = 0) => {
+      attemptCount++;
+
+      if (platform === 'youtube' && alternativeFormats[quality] && !explicitFormat) {
+        // Always use alternative formats for YouTube to have better quality control
+        const formatArgIndex = ytDlpArgs.findIndex(arg => arg === '--format');
+        if (formatArgIndex !== -1 && formatArgIndex + 1 < ytDlpArgs.length) {
+          ytDlpArgs[formatArgIndex + 1] = alternativeFormats[quality][formatIndex];
+          console.log(`🔄 DEBUG: Using YouTube format ${formatIndex + 1}/${maxAttempts} for quality '${quality}':`, alternativeFormats[quality][formatIndex]);
+        }
+      }
+
+      const ytDlpPath = await getYtDlpPath();
+      let command, commandArgs;
+
+      if (ytDlpPath.includes(' ')) {
+        const parts = ytDlpPath.split(' ');
+        command = parts[0];
+        commandArgs = [...parts.slice(1), ...ytDlpArgs];
+      } else {
+        command = ytDlpPath;
+        commandArgs = ytDlpArgs;
+      }
+
+      return spawn(command, commandArgs);
+    };
+
+    // Wrapper for retry capabilities
+    const executeDownloadSession = async (isRetry = false) => {
+      ytDlp = await tryDownload();
+
+
+      console.log('🎬 SERVER DEBUG: yt-dlp process started for sessionId:', job.sessionId);
+      console.log('🎬 SERVER DEBUG: Process PID:', ytDlp.pid);
+
+      // Add timeout mechanism to prevent hanging downloads
+      const downloadTimeout = setTimeout(() => {
+        console.error('⏰ Download timeout reached (5 minutes), killing yt-dlp process');
+        if (ytDlp && !ytDlp.killed) {
+          ytDlp.kill('SIGTERM');
+          setTimeout(() => {
+            if (ytDlp && !ytDlp.killed) {
+              console.error('⏰ Force killing yt-dlp process with SIGKILL');
+              ytDlp.kill('SIGKILL');
+            }
+          }, 5000); // Give 5 seconds for graceful termination
+        }
+        cleanup();
+        failJob(job, 408, {
+          error: 'Download timeout',
+          details: 'The download took too long and was cancelled. This may be due to network issues or the video being very large.'
+        });
+      }, 5 * 60 * 1000); // 5 minutes timeout
+
+      // Register the process with the job's runtime handles so it can be cancelled
+      runningJobs.set(job.id, { ytDlp, tempDir, cleanup, timeout: downloadTimeout });
+
+      let stderr = '';
+      let stdout = '';
+      let progressSent = false;
+
+      // Unified progress tracking for multi-stage downloads
+      let downloadStage = 'initializing'; // 'initializing', 'video', 'audio', 'merging', 'complete'
+      let stageProgress = {}; // Track progress for each stage
+      let lastUnifiedProgress = 0;
+
+      // Stage weight mapping for unified progress calculation
+      // Each stage represents the range it covers in the total progress
+      const stageRanges = {
+        initializing: { start: 0, end: 5 },      // 0-5%
+        video: { start: 5, end: 55 },            // 5-55%
+        audio: { start: 55, end: 80 },           // 55-80%
+        merging: { start: 80, end: 95 },         // 80-95%
+        postprocessing: { start: 95, end: 100 }  // 95-100%
+      };
+
+      const calculateUnifiedProgress = () => {
+        // Calculate progress based on all completed stages plus current stage
+        let totalProgress = 0;
+
+        // Add progress from all completed stages
+        for (const [stageName, progress] of Object.entries(stageProgress)) {
+          const range = stageRanges[stageName];
+          if (!range) continue;
+
+          if (stageName === downloadStage) {
+            // Current stage: interpolate within its range
+            const rangeSize = range.end - range.start;
+            totalProgress = range.start + (progress / 100) * rangeSize;
+          } else if (progress >= 100) {
+            // Completed stage: use its full range
+            totalProgress = Math.max(totalProgress, range.end);
+          }
+        }
+
+        // Round to whole number (no decimal places)
+        totalProgress = Math.round(totalProgress);
+
+        // Ensure progress stays within bounds and never goes backwards
+        totalProgress = Math.min(100, Math.max(lastUnifiedProgress || 0, totalProgress));
+        lastUnifiedProgress = totalProgress;
+
+        return totalProgress;
+      };
+
+      const sendUnifiedProgress = (stage, rawProgress, details = {}) => {
+        // Ensure rawProgress is a valid number and within bounds
+        const validProgress = Math.max(0, Math.min(100, parseFloat(rawProgress) || 0));
+
+        // When transitioning to a new stage, preserve completed stages
+        if (stage !== downloadStage) {
+          // Mark the previous stage as completed if it exists
+          if (downloadStage && stageProgress[downloadStage] !== undefined) {
+            stageProgress[downloadStage] = 100;
+          }
+          downloadStage = stage; // Update current stage
+          // Initialize new stage progress if not exists
+          if (stageProgress[stage] === undefined) {
+            stageProgress[stage] = 0;
+          }
+        }
+
+        // Update only the current stage progress
+        const currentStageProgress = stageProgress[stage] || 0;
+        stageProgress[stage] = validProgress;
+
+        const unifiedProgress = calculateUnifiedProgress();
+
+        // console.log(`📊 DEBUG: Stage '${stage}' progress: ${validProgress}% (was: ${currentStageProgress}%) -> Unified: ${unifiedProgress}%`);
+        // console.log(`📊 DEBUG: Stage progress state:`, JSON.stringify(stageProgress));
+
+        // Keep the job record current for pollers; the journal is only rewritten on status changes
+        updateJob(job, { progress: unifiedProgress, stage }, false);
+
+        const operationKey = `download_${url}`;
+        sendProgressUpdate(job.sessionId, operationKey, unifiedProgress, {
+          ...details,
+          stage: stage,
+          stageProgress: validProgress,
+          allStages: stageProgress,
+          jobId: job.id
+        });
+      };
+
+      // Disable progress simulation - rely only on real yt-dlp progress
+      // The simulation was interfering with real progress updates
+      console.log('📊 DEBUG: Progress simulation disabled - using real yt-dlp progress only');
+
+      // Send initial progress to show download has started
+      if (job.status === 'running') {
+        sendUnifiedProgress('initializing', 0, { message: 'Starting download...' });
+      }
+
+      // Progress simulation removed - no cleanup needed
+
+      ytDlp.stdout.on('data', (data) => {
+        const output = data.toString();
+        stdout += output;
+        console.log('🔍 DEBUG: yt-dlp stdout line:', JSON.stringify(output));
+
+        // Parse progress from stdout as well
+        if (job.status === 'running') {
+          const lines = output.split('\n');
+          for (const line of lines) {
+            if (line.trim()) {
+              console.log('🔍 DEBUG: yt-dlp stdout line:', JSON.stringify(line));
+            }
+
+            // Look for download progress in stdout with improved patterns
+            const progressMatch = line.match(/\[download\]\s*(\d+(?:\.\d+)?)%/) ||
+              line.match(/\[download\].*?(\d+(?:\.\d+)?)%/) ||
+              line.match(/(\d+(?:\.\d+)?)%\s*of\s*~?[\d.]+\w+/) ||
+              line.match(/\s+(\d+(?:\.\d+)?)%\s+of\s+/) ||
+              line.match(/\s+(\d+(?:\.\d+)?)%\s+at\s+/) ||
+              line.match(/^\s*(\d+(?:\.\d+)?)%/);
+            if (progressMatch) {
+              const progress = parseFloat(progressMatch[1]);
+              console.log('📊 DEBUG: Progress parsed from stdout:', progress + '% from line:', JSON.stringify(line));
+              progressSent = true; // Mark that real progress was detected
+
+              // Detect download stage from the line content with improved logic
+              let stage = downloadStage; // Use current stage as default
+
+              // Start with video stage when we first see download progress
+              if (downloadStage === 'initializing' && progress > 0) {
+                stage = 'video';
+                downloadStage = 'video';
+                console.log('📊 DEBUG: Transitioning from initializing to video stage');
+              }
+              // Audio detection - look for audio format indicators
+              else if ((line.includes('format 140') || line.includes('m4a') || line.includes('audio only')) &&
+                line.includes('[download]') && progress > 0) {
+                if (downloadStage !== 'audio') {
+                  stage = 'audio';
+                  downloadStage = 'audio';
+                  console.log('📊 DEBUG: Transitioning to audio stage');
+                }
+              }
+              // Video detection - look for video format indicators  
+              else if ((line.includes('format 137') || line.includes('format 136') ||
+                line.includes('format 135') || line.includes('mp4') || line.includes('webm') ||
+                line.includes('video only')) &&
+                line.includes('[download]') && progress > 0) {
+                if (downloadStage !== 'video' && downloadStage === 'initializing') {
+                  stage = 'video';
+                  downloadStage = 'video';
+                  console.log('📊 DEBUG: Transitioning to video stage');
+                }
+              }
+              // Merging stage detection
+              else if (line.includes('Merging formats into') ||
+                line.includes('[Merger]') ||
+                line.includes('Merging') ||
+                (line.includes('ffmpeg') && (line.includes('Merging') || line.includes('-c copy')))) {
+                if (downloadStage !== 'merging') {
+                  stage = 'merging';
+                  downloadStage = 'merging';
+                  console.log('📊 DEBUG: Transitioning to merging stage');
+                  // Start merging with some initial progress
+                  if (progress === 100) {
+                    progress = 10;
+                  }
+                }
+              }
+
+              // Extract additional details
+              const sizeMatch = line.match(/of\s*~?([\d.]+\w+)/) || line.match(/([\d.]+\w+)\s*total/);
+              const speedMatch = line.match(/at\s+([\d.]+\w+\/s)/) || line.match(/([\d.]+\w+\/s)/);
+              const etaMatch = line.match(/ETA\s+(\d+:\d+)/) || line.match(/eta\s+(\d+:\d+)/i);
+
+              sendUnifiedProgress(stage, progress, {
+                size: sizeMatch ? sizeMatch[1] : null,
+                speed: speedMatch ? speedMatch[1] : null,
+                eta: etaMatch ? etaMatch[1] : null
+              });
+            }
+          }
+        }
+      });
+
+      ytDlp.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderr += output;
+        console.error(output);
+
+        // Parse progress from yt-dlp output
+        if (job.status === 'running') {
+          const lines = output.split('\n');
+          for (const line of lines) {
+            // Debug: Log ALL stderr lines to see what yt-dlp is actually outputting
+            if (line.trim()) {
+              console.log('🔍 DEBUG: yt-dlp stderr line:', JSON.stringify(line));
+            }
+
+            // Debug: Log all lines that contain 'download' to see the actual format
+            if (line.includes('[download]')) {
+              console.log('🔍 DEBUG: yt-dlp download line:', JSON.stringify(line));
+            }
+
+            // Look for download progress with multiple possible formats:
+            // [download]  45.2% of 123.45MiB at 1.23MiB/s ETA 00:30
+            // [download] 45.2% of ~123.45MiB at 1.23MiB/s ETA 00:30
+            // [download]   45.2% of 123.45MiB at  1.23MiB/s ETA 00:30
+            // Also look for any percentage pattern in case format changed
+            const progressMatch = line.match(/\[download\]\s*(\d+(?:\.\d+)?)%/) ||
+              line.match(/\[download\].*?(\d+(?:\.\d+)?)%/) ||
+              line.match(/(\d+(?:\.\d+)?)%\s*of\s*~?[\d.]+\w+/) ||
+              line.match(/\s+(\d+(?:\.\d+)?)%\s+of\s+/) ||
+              line.match(/\s+(\d+(?:\.\d+)?)%\s+at\s+/) ||
+              line.match(/^\s*(\d+(?:\.\d+)?)%/);
+            if (progressMatch) {
+              const progress = parseFloat(progressMatch[1]);
+              console.log('📊 DEBUG: Progress parsed from stderr:', progress + '% from line:', JSON.stringify(line));
+              progressSent = true; // Mark that real progress was detected
+
+              // Detect download stage from the line content with improved logic
+              let stage = downloadStage; // Use current stage as default
 
               // Start with video stage when we first see download progress
               if (downloadStage === 'initializing' && progress > 0) {
@@ -2407,599 +4970,1817 @@ app.post('/api/download-video', async (req, res) => {
                 downloadStage = 'video';
                 console.log('📊 DEBUG: Transitioning from initializing to video stage (stderr)');
               }
-              // Audio detection - look for audio format indicators
-              else if ((line.includes('format 140') || line.includes('m4a') || line.includes('audio only')) &&
-                line.includes('[download]') && progress > 0) {
-                if (downloadStage !== 'audio') {
-                  stage = 'audio';
-                  downloadStage = 'audio';
-                  console.log('📊 DEBUG: Transitioning to audio stage (stderr)');
+              // Audio detection - look for audio format indicators
+              else if ((line.includes('format 140') || line.includes('m4a') || line.includes('audio only')) &&
+                line.includes('[download]') && progress > 0) {
+                if (downloadStage !== 'audio') {
+                  stage = 'audio';
+                  downloadStage = 'audio';
+                  console.log('📊 DEBUG: Transitioning to audio stage (stderr)');
+                }
+              }
+              // Video detection - look for video format indicators  
+              else if ((line.includes('format 137') || line.includes('format 136') ||
+                line.includes('format 135') || line.includes('mp4') || line.includes('webm') ||
+                line.includes('video only')) &&
+                line.includes('[download]') && progress > 0) {
+                if (downloadStage !== 'video' && downloadStage === 'initializing') {
+                  stage = 'video';
+                  downloadStage = 'video';
+                  console.log('📊 DEBUG: Transitioning to video stage (stderr)');
+                }
+              }
+              // Merging stage detection
+              else if (line.includes('Merging formats into') ||
+                line.includes('[Merger]') ||
+                line.includes('Merging') ||
+                (line.includes('ffmpeg') && (line.includes('Merging') || line.includes('-c copy')))) {
+                if (downloadStage !== 'merging') {
+                  stage = 'merging';
+                  downloadStage = 'merging';
+                  console.log('📊 DEBUG: Transitioning to merging stage (stderr)');
+                  // Start merging with some initial progress
+                  if (progress === 100) {
+                    progress = 10;
+                  }
+                }
+              }
+
+              // Extract additional details with more flexible patterns
+              const sizeMatch = line.match(/of\s*~?([\d.]+\w+)/) || line.match(/([\d.]+\w+)\s*total/);
+              const speedMatch = line.match(/at\s+([\d.]+\w+\/s)/) || line.match(/([\d.]+\w+\/s)/);
+              const etaMatch = line.match(/ETA\s+(\d+:\d+)/) || line.match(/eta\s+(\d+:\d+)/i);
+
+              console.log('📡 DEBUG: Sending unified progress update via WebSocket');
+              sendUnifiedProgress(stage, progress, {
+                size: sizeMatch ? sizeMatch[1] : null,
+                speed: speedMatch ? speedMatch[1] : null,
+                eta: etaMatch ? etaMatch[1] : null
+              });
+            }
+          }
+        }
+      });
+
+      ytDlp.on('close', async (code) => {
+        // Clear download timeout
+        const downloadData = runningJobs.get(job.id);
+        if (downloadData && downloadData.timeout) {
+          clearTimeout(downloadData.timeout);
+        }
+
+        // Cancelled or timed-out jobs have already been settled
+        if (job.status !== 'running') {
+          return;
+        }
+
+        // Handle Instagram/Facebook authentication failures with helpful error messages
+        if (code !== 0 && (platform === 'instagram' || platform === 'facebook')) {
+          const errorOutput = stderr.toLowerCase();
+          if (errorOutput.includes('login required') || errorOutput.includes('authentication') ||
+            errorOutput.includes('cookies') || errorOutput.includes('rate-limit')) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+
+            const isProduction = isProductionEnvironment();
+            const errorMessage = isProduction
+              ? `${platform.charAt(0).toUpperCase() + platform.slice(1)} authentication not available in production`
+              : `${platform.charAt(0).toUpperCase() + platform.slice(1)} requires authentication`;
+
+            const details = isProduction
+              ? `Instagram downloads require browser cookies which are not available on the production server. This is a limitation of the hosting environment. Try:
+1. Using a public Instagram post URL (some may work without authentication)
+2. Running the application locally for Instagram downloads
+3. Using alternative platforms like YouTube, TikTok, or Twitter`
+              : `This ${platform} content requires login. The platform has restricted access to prevent automated downloads. Try:
+1. Using a public post URL instead of private content
+2. Checking if the content is publicly accessible
+3. The content may be geo-restricted or require account access`;
+
+            return failJob(job, 403, {
+              error: errorMessage,
+              details: details,
+              platform: platform,
+              isProduction: isProduction,
+              suggestion: 'Try downloading from YouTube, TikTok, or Twitter instead, which work more reliably.'
+            });
+          }
+        }
+
+        if (code === 0) {
+          // Send gradual merging progress updates before completion
+          if (job.status === 'running') {
+            console.log('✅ Download completed successfully - sending gradual merging progress');
+            console.log('📊 DEBUG: Current merging progress before gradual updates:', stageProgress.merging);
+            // Send intermediate merging progress to avoid sudden jumps
+            if (!stageProgress.merging || stageProgress.merging < 50) {
+              console.log('📊 DEBUG: Sending merging progress 50%');
+              sendUnifiedProgress('merging', 50, { stage: 'Processing downloaded files' });
+              await new Promise(resolve => setTimeout(resolve, 300)); // Small delay for smooth progress
+            }
+            if (!stageProgress.merging || stageProgress.merging < 80) {
+              console.log('📊 DEBUG: Sending merging progress 80%');
+              sendUnifiedProgress('merging', 80, { stage: 'Finalizing merge' });
+              await new Promise(resolve => setTimeout(resolve, 300));
+            }
+            console.log('📊 DEBUG: Sending merging progress 100%');
+            sendUnifiedProgress('merging', 100, { stage: 'Merge completed' });
+            await new Promise(resolve => setTimeout(resolve, 200)); // Brief pause before post-processing
+          }
+
+          // Find the downloaded files (handle carousel posts with multiple files)
+          let files = listWorkFiles(tempDir).filter(file =>
+            // Filter out info.json files and thumbnails, keep media files
+            !/\.(info\.json|description|annotations\.xml)$/i.test(file) &&
+            !/thumbnail/i.test(file)
+          );
+
+          if (files.length > 0) {
+            // Always start post-processing stage to ensure progress doesn't reach 100% prematurely
+            console.log('🔄 Starting post-processing stage...');
+            sendUnifiedProgress('postprocessing', 10, { stage: 'Post-processing files' });
+
+            // Handle segment trimming if needed
+            console.log('🔍 Checking segment trimming:', { segmentInfo, filesCount: files.length });
+            // An audio export cuts the segment in its own ffmpeg pass, so it must get the untrimmed file
+            if (segmentInfo && !audioExport) {
+              // Find the video file among downloaded files
+              const videoFile = files.find(file => /\.(mp4|mkv|webm|avi|mov|flv|m4v)$/i.test(file));
+              console.log('📹 Processing video for trimming:', { videoFile, allFiles: files });
+
+              if (videoFile) {
+                const originalPath = path.join(tempDir, videoFile);
+                const isVideo = true; // We already confirmed it's a video file
+
+                if (isVideo) {
+                  const ext = path.extname(videoFile);
+                  const baseName = path.basename(videoFile, ext);
+                  const trimmedFile = `${baseName}_trimmed${ext}`;
+                  const trimmedPath = path.join(tempDir, trimmedFile);
+
+                  try {
+                    // First, get video duration using ffprobe
+                    console.log('🔍 Checking video duration with ffprobe...');
+                    const ffprobeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_format', originalPath];
+                    const ffprobe = spawn('ffprobe', ffprobeArgs);
+
+                    let ffprobeOutput = '';
+                    ffprobe.stdout.on('data', (data) => {
+                      ffprobeOutput += data.toString();
+                    });
+
+                    await new Promise((resolve, reject) => {
+                      ffprobe.on('close', (code) => {
+                        if (code === 0) {
+                          try {
+                            const probeData = JSON.parse(ffprobeOutput);
+                            const videoDuration = parseFloat(probeData.format.duration);
+                            console.log(`📏 Video duration: ${videoDuration} seconds`);
+                            console.log(`⏰ Requested start: ${segmentInfo.startSeconds}s, duration: ${segmentInfo.duration}s`);
+
+                            if (segmentInfo.startSeconds >= videoDuration) {
+                              throw new Error(`Start time (${segmentInfo.startSeconds}s) is beyond video duration (${videoDuration}s)`);
+                            }
+
+                            if (segmentInfo.startSeconds + segmentInfo.duration > videoDuration) {
+                              const adjustedDuration = videoDuration - segmentInfo.startSeconds;
+                              console.log(`⚠️ Adjusting duration from ${segmentInfo.duration}s to ${adjustedDuration}s to fit video length`);
+                              segmentInfo.duration = adjustedDuration;
+                            }
+
+                            resolve();
+                          } catch (parseError) {
+                            reject(new Error(`Failed to parse ffprobe output: ${parseError.message}`));
+                          }
+                        } else {
+                          reject(new Error(`ffprobe failed with code ${code}`));
+                        }
+                      });
+                    });
+
+                    // Cut with the requested trim mode; the result reports the timestamps actually achieved
+                    console.log('🔄 Starting post-processing (trimming)...');
+                    sendUnifiedProgress('postprocessing', 10, { stage: 'Starting FFmpeg trimming' });
+                    const cut = await trimMedia(originalPath, trimmedPath, {
+                      start: segmentInfo.startSeconds,
+                      duration: segmentInfo.duration,
+                      mode: job.request.trimMode,
+                      // Keep every embedded subtitle track, not just ffmpeg's default pick
+                      mapAll: Boolean(subtitleOptions && subtitleOptions.embed),
+                      onProgress: (fraction) => sendUnifiedProgress('postprocessing', Math.min(90, 10 + Math.round(fraction * 80)), { stage: 'FFmpeg processing' }),
+                      signal
+                    });
+                    segmentInfo.cut = cut;
+                    console.log(`✅ Trimmed (${cut.mode}): requested ${cut.requestedStart}-${cut.requestedEnd}s, got ${cut.actualStart}-${cut.actualEnd}s`);
+
+                    // Wait a moment for file system to sync
+                    await new Promise(resolve => setTimeout(resolve, 100));
+
+                    // Check if trimmed file exists and get its size
+                    if (!fs.existsSync(trimmedPath)) {
+                      throw new Error(`Trimmed file not found: ${trimmedPath}`);
+                    }
+
+                    const trimmedStats = fs.statSync(trimmedPath);
+                    console.log('📊 Trimmed file size:', trimmedStats.size, 'bytes');
+
+                    // Verify trimmed file is not empty or too small
+                    if (trimmedStats.size < 10000) { // Less than 10KB is suspicious
+                      console.warn('⚠️ Trimmed file seems too small, continuing anyway');
+                    }
+
+                    // Replace original file with trimmed version
+                    if (fs.existsSync(originalPath)) {
+                      fs.unlinkSync(originalPath);
+                      console.log('🗑️ Deleted original file:', originalPath);
+                    }
+
+                    // Move trimmed file to original location to maintain file serving logic
+                    fs.renameSync(trimmedPath, originalPath);
+                    console.log('📁 Moved trimmed file to:', originalPath);
+
+                    // Verify the moved file
+                    const finalStats = fs.statSync(originalPath);
+                    console.log('✅ Final file size:', finalStats.size, 'bytes');
+
+                    if (finalStats.size !== trimmedStats.size) {
+                      throw new Error(`File size mismatch after move: expected ${trimmedStats.size}, got ${finalStats.size}`);
+                    }
+
+                    console.log('✅ FFmpeg trimming completed successfully');
+                    updateJob(job, { cuts: [cut] });
+
+                    // FFmpeg trimming completed, but don't mark as 100% yet - wait for file serving
+                    sendUnifiedProgress('postprocessing', 90, { stage: 'FFmpeg trimming completed, preparing file' });
+                  } catch (error) {
+                    console.error('FFmpeg trimming failed:', error);
+                    // Serving the untrimmed file would hide the failure, e.g. a 'fast' cut that can't stream-copy
+                    return failJob(job, 500, { error: 'Failed to trim media', details: error.message });
+                  }
+                }
+              } else {
+                // No segment trimming needed, but don't mark as 100% yet - wait for file serving
+                console.log('✅ Post-processing completed (no trimming required)');
+                sendUnifiedProgress('postprocessing', 90, { stage: 'Post-processing completed, preparing file' });
+              }
+
+              // Trim separate subtitle files to the same window so they stay in sync with the clip
+              for (const subtitleFile of files.filter(f => /\.(srt|vtt|ass)$/i.test(f))) {
+                const subtitlePath = path.join(tempDir, subtitleFile);
+                const trimmedSubtitlePath = path.join(tempDir, path.dirname(subtitleFile), `trimmed_${path.basename(subtitleFile)}`);
+                try {
+                  // Follow the cut actually made (stream copy may start at an earlier keyframe)
+                  const subtitleStart = segmentInfo.cut ? segmentInfo.cut.actualStart : segmentInfo.startSeconds;
+                  const subtitleDuration = segmentInfo.cut ? segmentInfo.cut.actualEnd - segmentInfo.cut.actualStart : segmentInfo.duration;
+                  await runFFmpeg([
+                    '-ss', subtitleStart.toString(),
+                    '-i', subtitlePath,
+                    '-t', subtitleDuration.toString(),
+                    '-y', trimmedSubtitlePath
+                  ], { signal });
+                  fs.renameSync(trimmedSubtitlePath, subtitlePath);
+                  console.log('💬 Trimmed subtitles:', subtitleFile);
+                } catch (error) {
+                  console.error(`Subtitle trimming failed for ${subtitleFile}, keeping full track:`, error.message);
                 }
               }
-              // Video detection - look for video format indicators  
-              else if ((line.includes('format 137') || line.includes('format 136') ||
-                line.includes('format 135') || line.includes('mp4') || line.includes('webm') ||
-                line.includes('video only')) &&
-                line.includes('[download]') && progress > 0) {
-                if (downloadStage !== 'video' && downloadStage === 'initializing') {
-                  stage = 'video';
-                  downloadStage = 'video';
-                  console.log('📊 DEBUG: Transitioning to video stage (stderr)');
+            }
+
+            const reportArchiveProgress = (processed, total) => {
+              sendUnifiedProgress('postprocessing', Math.min(95, 10 + (processed / total) * 85), {
+                stage: `Archiving files (${processed}/${total})`
+              });
+            };
+
+            // Multi-range clips: cut every range with the requested trim mode, then ZIP them or join them into one reel
+            if (job.request.ranges) {
+              const sourceFile = files.find(f => /\.(mp4|mkv|webm|avi|mov|flv|m4v|m4a|mp3|opus)$/i.test(f));
+              if (!sourceFile) {
+                return failJob(job, 500, { error: 'No media file was downloaded' });
+              }
+
+              const ext = path.extname(sourceFile);
+              const sourcePath = path.join(tempDir, sourceFile);
+              const baseName = filename && !job.request.filenameTemplate ? filename : sourceFile;
+              const outputBase = sanitizeFilename(path.basename(baseName, path.extname(baseName)));
+              const clipRanges = job.request.ranges;
+              const clips = [];
+              const cuts = [];
+
+              try {
+                for (const [index, range] of clipRanges.entries()) {
+                  const clipName = `${outputBase}_clip${String(index + 1).padStart(2, '0')}_${formatClipTime(range.start)}-${formatClipTime(range.end)}${ext}`;
+                  sendUnifiedProgress('postprocessing', Math.min(85, 10 + Math.round((index / clipRanges.length) * 75)), {
+                    stage: `Cutting clip ${index + 1}/${clipRanges.length}`
+                  });
+                  cuts.push(await trimMedia(sourcePath, path.join(tempDir, clipName), {
+                    start: range.start,
+                    duration: range.end - range.start,
+                    mode: job.request.trimMode,
+                    mapAll: Boolean(subtitleOptions && subtitleOptions.embed),
+                    signal
+                  }));
+                  clips.push(clipName);
                 }
+                updateJob(job, { cuts });
+              } catch (error) {
+                console.error('Clip cutting failed:', error);
+                return failJob(job, 500, { error: 'Failed to cut clips', details: error.message });
               }
-              // Merging stage detection
-              else if (line.includes('Merging formats into') ||
-                line.includes('[Merger]') ||
-                line.includes('Merging') ||
-                (line.includes('ffmpeg') && (line.includes('Merging') || line.includes('-c copy')))) {
-                if (downloadStage !== 'merging') {
-                  stage = 'merging';
-                  downloadStage = 'merging';
-                  console.log('📊 DEBUG: Transitioning to merging stage (stderr)');
-                  // Start merging with some initial progress
-                  if (progress === 100) {
-                    progress = 10;
+
+              if (job.request.rangeMode === 'concat') {
+                const reelFilename = `${outputBase}_highlights${ext}`;
+                const reelPath = path.join(jobDir, reelFilename);
+
+                try {
+                  sendUnifiedProgress('postprocessing', 90, { stage: 'Joining clips' });
+                  if (cuts.every(cut => cut.mode === 'fast')) {
+                    // Stream-copied clips share the source's codecs, so the concat demuxer joins them as they are
+                    const listPath = path.join(tempDir, 'clips.txt');
+                    fs.writeFileSync(listPath, clips.map(clip => `file '${path.join(tempDir, clip).replace(/'/g, "'\\''")}'`).join('\n'));
+                    await runFFmpeg([
+                      '-f', 'concat',
+                      '-safe', '0',
+                      '-i', listPath,
+                      '-map', '0',
+                      '-c', 'copy',
+                      '-y', reelPath
+                    ], { timeout: 2 * 60 * 1000, signal });
+                  } else {
+                    // Smart-cut and re-encoded clips carry different encoder settings (and smart cut may fall
+                    // back per clip), so the concat filter decodes them all and encodes the reel once
+                    const probe = await probeStreams(path.join(tempDir, clips[0]));
+                    const hasAudio = (probe.streams || []).some(stream => stream.codec_type === 'audio');
+                    const filterInputs = clips.map((clip, index) => `[${index}:v:0]${hasAudio ? `[${index}:a:0]` : ''}`).join('');
+                    await runFFmpeg([
+                      ...clips.flatMap(clip => ['-i', path.join(tempDir, clip)]),
+                      '-filter_complex', `${filterInputs}concat=n=${clips.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`,
+                      '-map', '[v]',
+                      ...(hasAudio ? ['-map', '[a]'] : []),
+                      ...REENCODE_VIDEO_ARGS,
+                      ...(hasAudio ? ['-c:a', 'aac'] : []),
+                      '-y', reelPath
+                    ], { timeout: 30 * 60 * 1000, signal });
                   }
+                } catch (error) {
+                  console.error('Clip concatenation failed:', error);
+                  return failJob(job, 500, { error: 'Failed to join clips', details: error.message });
+                }
+
+                console.log(`🎞️ Joined ${clips.length} clips into ${reelFilename}`);
+                return completeJob(job, reelFilename);
+              }
+
+              const zipFilename = `${outputBase}_clips.zip`;
+              try {
+                await writeJobArchive(job.id, zipFilename, clips.map(clip => ({ path: path.join(tempDir, clip), name: clip })), reportArchiveProgress);
+                console.log(`🎞️ Archived ${clips.length} clips`);
+                completeJob(job, zipFilename, 'application/zip');
+              } catch (err) {
+                console.error('Clip archive error:', err);
+                failJob(job, 500, { error: 'Failed to create archive', details: err.message });
+              }
+              return;
+            }
+
+            // Split by chapters: ZIP the per-chapter files in chapter order
+            if (job.request.splitChapters) {
+              const chapterFiles = files.filter(f => f.startsWith(`chapters${path.sep}`)).sort();
+              if (chapterFiles.length === 0) {
+                return failJob(job, 422, { error: 'No chapters found', details: 'This video has no chapter markers to split by' });
+              }
+
+              const mainFile = files.find(f => !f.startsWith(`chapters${path.sep}`) && /\.(mp4|mkv|webm|m4a|mp3|opus)$/i.test(f)) || chapterFiles[0];
+              const baseName = filename && !job.request.filenameTemplate ? filename : mainFile;
+              const zipFilename = sanitizeFilename(`${path.basename(baseName, path.extname(baseName))}_chapters.zip`);
+              const entries = chapterFiles.map(file => ({ path: path.join(tempDir, file), name: path.basename(file) }));
+
+              try {
+                await writeJobArchive(job.id, zipFilename, entries, reportArchiveProgress);
+                console.log(`📑 Archived ${chapterFiles.length} chapter file(s)`);
+                completeJob(job, zipFilename, 'application/zip');
+              } catch (err) {
+                console.error('Chapter archive error:', err);
+                failJob(job, 500, { error: 'Failed to create archive', details: err.message });
+              }
+              return;
+            }
+
+            // Audio export: transcode, normalize and tag in a single ffmpeg pass (clip trimming included)
+            if (audioExport) {
+              const audioFile = files.find(f => /\.(m4a|webm|opus|ogg|mp3|aac|flac|wav|mp4)$/i.test(f));
+              if (!audioFile) {
+                return failJob(job, 500, { error: 'No audio file was downloaded' });
+              }
+
+              const preset = AUDIO_EXPORT_FORMATS[audioExport.format];
+              const cover = files.find(f => /\.(jpg|jpeg|png|webp)$/i.test(f));
+              const infoFile = listWorkFiles(tempDir).find(f => f.endsWith('.info.json'));
+              let info = {};
+              if (infoFile) {
+                try {
+                  info = JSON.parse(fs.readFileSync(path.join(tempDir, infoFile), 'utf8'));
+                } catch (error) {
+                  console.warn('Could not read info.json for tagging:', error.message);
+                }
+              }
+
+              const uploadDate = info.upload_date || '';
+              const exportedFile = `${path.basename(audioFile, path.extname(audioFile))}_export.${preset.ext}`;
+              const exportArgs = buildAudioExportArgs({
+                input: path.join(tempDir, audioFile),
+                cover: cover && embedOptions.thumbnail ? path.join(tempDir, cover) : null,
+                output: path.join(tempDir, exportedFile),
+                target: audioExport.format,
+                bitrate: audioExport.bitrate,
+                normalize: audioExport.normalize,
+                tags: !embedOptions.metadata ? {} : {
+                  title: info.title,
+                  artist: info.uploader || info.channel,
+                  date: /^\d{8}$/.test(uploadDate) ? `${uploadDate.slice(0, 4)}-${uploadDate.slice(4, 6)}-${uploadDate.slice(6)}` : null
+                },
+                segment: segmentInfo
+              });
+
+              const totalSeconds = segmentInfo ? segmentInfo.duration : info.duration;
+              sendUnifiedProgress('postprocessing', 10, { stage: `Exporting ${audioExport.format.toUpperCase()}` });
+              try {
+                await runFFmpeg(exportArgs, {
+                  timeout: 15 * 60 * 1000,
+                  onStderr: (chunk) => {
+                    const timeMatch = chunk.match(/time=(\d{2}):(\d{2}):(\d{2})/);
+                    if (timeMatch && totalSeconds) {
+                      const currentTime = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseInt(timeMatch[3]);
+                      sendUnifiedProgress('postprocessing', Math.min(90, 10 + Math.round((currentTime / totalSeconds) * 80)), {
+                        stage: `Exporting ${audioExport.format.toUpperCase()}`
+                      });
+                    }
+                  },
+                  signal
+                });
+              } catch (error) {
+                console.error('Audio export failed:', error);
+                return failJob(job, 500, { error: 'Audio export failed', details: error.message });
+              }
+
+              // A filename template wins over the client-supplied name
+              const exportName = filename && !job.request.filenameTemplate ? filename : audioFile;
+              const exportPath = `${exportName.slice(0, exportName.length - path.extname(exportName).length)}.${preset.ext}`;
+              const finalFilename = sanitizeFilename(exportPath);
+              fs.renameSync(path.join(tempDir, exportedFile), path.join(jobDir, finalFilename));
+              console.log('🎵 Stored audio export:', finalFilename);
+              return completeJob(job, finalFilename, preset.contentType, job.request.filenameTemplate ? exportPath : null);
+            }
+
+            // Server-side conversion: replace the downloaded media with the ffmpeg output, keeping its name
+            if (job.request.convert) {
+              const conversion = job.request.convert;
+              const sourceFile = files.find(f => /\.(mp4|mkv|webm|avi|mov|flv|m4v|m4a|opus|ogg|mp3|aac|flac|wav)$/i.test(f));
+              if (!sourceFile) {
+                return failJob(job, 500, { error: 'No media file was downloaded to convert' });
+              }
+
+              const sourcePath = path.join(tempDir, sourceFile);
+              const convertedFile = `${sourceFile.slice(0, sourceFile.length - path.extname(sourceFile).length)}.${conversion.format}`;
+              const stagingPath = path.join(tempDir, `${convertedFile}.converting`);
+              const stage = `Converting to ${conversion.format.toUpperCase()}`;
+              sendUnifiedProgress('postprocessing', 10, { stage });
+
+              try {
+                let probe = null;
+                try {
+                  probe = await probeStreams(sourcePath);
+                } catch (error) {
+                  console.warn('Could not probe downloaded file:', error.message);
+                }
+
+                // Loudness analysis runs first (10-20%), then two-pass encodes split the rest
+                // between the analysis and the encode
+                let loudnessMeasurements;
+                if (conversion.loudness) {
+                  loudnessMeasurements = await measureConversionLoudness(sourcePath, conversion, probe, {
+                    onProgress: (fraction) => sendUnifiedProgress('postprocessing', 10 + Math.round(fraction * 10), { stage: 'Measuring loudness' }),
+                    signal
+                  });
+                }
+                const passStart = conversion.loudness ? 20 : 10;
+
+                const twoPass = Boolean(conversion.advanced && conversion.advanced.twoPass);
+                const passLogFile = path.join(tempDir, 'ffmpeg2pass');
+                if (twoPass) {
+                  await runConversionFirstPass(sourcePath, conversion, probe, passLogFile, {
+                    onProgress: (fraction) => sendUnifiedProgress('postprocessing', passStart + Math.round(fraction * (50 - passStart)), { stage: `${stage} (first pass)` }),
+                    signal
+                  });
+                }
+                const progressStart = twoPass ? 50 : passStart;
+
+                const convertArgs = buildConversionArgs(sourcePath, conversion, probe, {
+                  streamCopy: canStreamCopyConversion(sourceFile, conversion),
+                  pass: twoPass ? 2 : undefined,
+                  passLogFile,
+                  loudnorm: loudnessMeasurements
+                });
+                // The staging name hides the target extension, so name the muxer explicitly
+                convertArgs.push('-f', conversion.format === 'mkv' ? 'matroska' : conversion.format, '-y', stagingPath);
+                console.log(`🎞️ Converting ${sourceFile} -> ${convertedFile}`);
+
+                const duration = probe ? parseFloat(probe.format && probe.format.duration) : 0;
+                const encodeOutput = await runFFmpeg(convertArgs, {
+                  timeout: 30 * 60 * 1000,
+                  onStderr: reportFFmpegProgress(duration, (fraction) => {
+                    sendUnifiedProgress('postprocessing', progressStart + Math.round(fraction * (90 - progressStart)), { stage });
+                  }),
+                  signal
+                });
+                if (loudnessMeasurements) {
+                  updateJob(job, { loudness: buildLoudnessReport(conversion.loudness, loudnessMeasurements, encodeOutput) });
+                }
+              } catch (error) {
+                console.error('Conversion failed:', error);
+                fs.rmSync(stagingPath, { force: true });
+                return failJob(job, 500, { error: 'Video conversion failed', details: error.message });
+              } finally {
+                removePassLogs(path.join(tempDir, 'ffmpeg2pass'));
+              }
+
+              fs.rmSync(sourcePath, { force: true });
+              fs.renameSync(stagingPath, path.join(tempDir, convertedFile));
+              files = files.filter(f => f !== sourceFile && !/\.(jpg|jpeg|png|webp)$/i.test(f)).concat(convertedFile);
+
+              // Only the converted artifact is returned, under the requested name with the new extension
+              const convertedName = filename && !job.request.filenameTemplate ? `${path.parse(filename).name}.${conversion.format}` : convertedFile;
+              if (files.length === 1) {
+                const finalFilename = sanitizeFilename(convertedName);
+                fs.renameSync(path.join(tempDir, convertedFile), path.join(jobDir, finalFilename));
+                console.log('📦 Stored converted file:', finalFilename);
+                return completeJob(job, finalFilename, CONVERSION_CONTENT_TYPES[conversion.format], job.request.filenameTemplate ? convertedFile : null);
+              }
+            }
+
+            // Sort files to prioritize videos over images
+            const sortedFiles = files.sort((a, b) => {
+              const aIsVideo = /\.(mp4|mkv|webm|avi|mov|flv|m4v)$/i.test(a);
+              const bIsVideo = /\.(mp4|mkv|webm|avi|mov|flv|m4v)$/i.test(b);
+              if (aIsVideo && !bIsVideo) return -1;
+              if (!aIsVideo && bIsVideo) return 1;
+              return a.localeCompare(b);
+            });
+
+            // Filter out thumbnails for the decision logic (Video + Image only)
+            const mediaFiles = files.filter(f =>
+              /\.(mp4|mkv|webm|avi|mov|flv|m4v|jpg|jpeg|png|webp|gif)$/i.test(f) &&
+              !f.includes('.thumb.') && !f.includes('.jpg_')
+            );
+
+            // Subtitle files yt-dlp wrote next to the media (none are left behind when they were embedded)
+            const subtitleFiles = files.filter(f => /\.(srt|vtt|ass)$/i.test(f));
+
+            // If multiple MEDIA files (Carousel), create a zip.
+            // If single media file (Reel), keep it as is.
+            if (mediaFiles.length > 1 && platform === 'instagram') {
+
+              const zipFilename = sanitizeFilename(`${filename || 'instagram_carousel'}.zip`);
+
+              // Create meaningful names for carousel items
+              const entries = sortedFiles.map((file, index) => {
+                const ext = path.extname(file);
+                const baseName = path.basename(file, ext);
+                return { path: path.join(tempDir, file), name: `carousel_item_${index + 1}_${baseName}${ext}` };
+              });
+
+              try {
+                await writeJobArchive(job.id, zipFilename, entries, reportArchiveProgress);
+                console.log('✅ Archive written successfully');
+                completeJob(job, zipFilename, 'application/zip');
+              } catch (err) {
+                console.error('Archive CRITICAL error:', err);
+                failJob(job, 500, { error: 'Failed to create archive', details: err.message });
+              }
+
+            } else {
+              // Single file
+              // Validates against mediaFiles to ensure we don't pick a thumbnail by accident
+              const targetFile = (mediaFiles && mediaFiles.length > 0) ? mediaFiles[0] : sortedFiles[0];
+              const downloadedFile = path.join(tempDir, targetFile);
+
+              // Check if file exists, if not it might be a trimmed file issue
+              if (!fs.existsSync(downloadedFile)) {
+                console.error('❌ File not found:', downloadedFile);
+                console.log('📁 Available files in temp dir:', listWorkFiles(tempDir));
+                return failJob(job, 500, { error: 'Processed file not found' });
+              }
+
+              // Sanitize all non-ASCII and special characters so the name is safe on disk and in Content-Disposition
+              // A filename template wins over the client-supplied name; its folders are flattened
+              // for a single download and kept as archive paths in batch ZIPs
+              const requestedFilename = filename && job.request.convert ? `${path.parse(filename).name}.${job.request.convert.format}` : filename;
+              const finalFilename = requestedFilename && !job.request.filenameTemplate ? requestedFilename : targetFile;
+              const sanitizedFilename = sanitizeFilename(finalFilename);
+              const archivePath = job.request.filenameTemplate ? targetFile : null;
+
+              if (subtitleFiles.length > 0) {
+                // Separate subtitle tracks: ship them next to the video, named so players pick them up
+                // ("Video.mp4" + "Video.en.srt")
+                const mediaBase = path.basename(targetFile, path.extname(targetFile));
+                const subtitleName = (file) => path.basename(file);
+                const outputBase = path.basename(sanitizedFilename, path.extname(sanitizedFilename));
+                const entries = [
+                  { path: downloadedFile, name: sanitizedFilename },
+                  ...subtitleFiles.map(file => ({
+                    path: path.join(tempDir, file),
+                    name: `${outputBase}${subtitleName(file).startsWith(mediaBase) ? subtitleName(file).slice(mediaBase.length) : `.${subtitleName(file)}`}`
+                  }))
+                ];
+                const zipFilename = `${outputBase}.zip`;
+
+                try {
+                  await writeJobArchive(job.id, zipFilename, entries, reportArchiveProgress);
+                  console.log(`✅ Archived video with ${subtitleFiles.length} subtitle file(s)`);
+                  completeJob(job, zipFilename, 'application/zip');
+                } catch (err) {
+                  console.error('Subtitle archive error:', err);
+                  failJob(job, 500, { error: 'Failed to create archive', details: err.message });
                 }
+                return;
               }
 
-              // Extract additional details with more flexible patterns
-              const sizeMatch = line.match(/of\s*~?([\d.]+\w+)/) || line.match(/([\d.]+\w+)\s*total/);
-              const speedMatch = line.match(/at\s+([\d.]+\w+\/s)/) || line.match(/([\d.]+\w+\/s)/);
-              const etaMatch = line.match(/ETA\s+(\d+:\d+)/) || line.match(/eta\s+(\d+:\d+)/i);
+              // Move the artifact out of the work directory, which is removed when the job settles
+              fs.renameSync(downloadedFile, path.join(jobDir, sanitizedFilename));
+              console.log('📦 Stored job file:', sanitizedFilename);
 
-              console.log('📡 DEBUG: Sending unified progress update via WebSocket');
-              sendUnifiedProgress(stage, progress, {
-                size: sizeMatch ? sizeMatch[1] : null,
-                speed: speedMatch ? speedMatch[1] : null,
-                eta: etaMatch ? etaMatch[1] : null
-              });
+              completeJob(job, sanitizedFilename, undefined, archivePath);
             }
+          } else {
+            failJob(job, 500, { error: 'No file was downloaded' });
           }
-        }
-      });
+        } else {
 
-      ytDlp.on('close', async (code) => {
-        clearConnectionCheck();
-        // Clear download timeout
-        const downloadData = activeDownloads.get(url);
-        if (downloadData && downloadData.timeout) {
-          clearTimeout(downloadData.timeout);
-        }
-        // Progress simulation removed - no cleanup needed
+          // Handle YouTube authentication issues specifically
+          const errorOutput = (stderr || stdout || '').toLowerCase();
 
-        // Handle Instagram/Facebook authentication failures with helpful error messages
-        if (code !== 0 && (platform === 'instagram' || platform === 'facebook')) {
-          const errorOutput = stderr.toLowerCase();
-          if (errorOutput.includes('login required') || errorOutput.includes('authentication') ||
-            errorOutput.includes('cookies') || errorOutput.includes('rate-limit')) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
+          // Check for YouTube authentication/Geo-lock issues
+          const isAuthError = platform === 'youtube' && (
+            errorOutput.includes('login_required') ||
+            errorOutput.includes('sign in to confirm') ||
+            errorOutput.includes('please sign in') ||
+            errorOutput.includes('cookies-from-browser') ||
+            errorOutput.includes('authentication')
+          );
 
-            const isProduction = isProductionEnvironment();
-            const errorMessage = isProduction
-              ? `${platform.charAt(0).toUpperCase() + platform.slice(1)} authentication not available in production`
-              : `${platform.charAt(0).toUpperCase() + platform.slice(1)} requires authentication`;
+          const usedCookies = ytDlpArgs.includes('--cookies');
 
-            const details = isProduction
-              ? `Instagram downloads require browser cookies which are not available on the production server. This is a limitation of the hosting environment. Try:
-1. Using a public Instagram post URL (some may work without authentication)
-2. Running the application locally for Instagram downloads
-3. Using alternative platforms like YouTube, TikTok, or Twitter`
-              : `This ${platform} content requires login. The platform has restricted access to prevent automated downloads. Try:
-1. Using a public post URL instead of private content
-2. Checking if the content is publicly accessible
-3. The content may be geo-restricted or require account access`;
+          // RETRY LOGIC: If auth failed with cookies, try without
+          if (isAuthError && usedCookies && !isRetry) {
+            console.log('⚠️ YouTube authentication failed (Geo-lock). Retrying WITHOUT cookies...');
+            sendUnifiedProgress('video', 0, { message: 'Authentication rejected. Retrying public access...' });
 
-            return res.status(403).json({
-              error: errorMessage,
+            // Remove --cookies and its value
+            const cookieIndex = ytDlpArgs.indexOf('--cookies');
+            if (cookieIndex !== -1) {
+              ytDlpArgs.splice(cookieIndex, 2);
+            }
+
+            // Also remove --extractor-args to revert to default (safest for public)
+            const extractorIndex = ytDlpArgs.indexOf('--extractor-args');
+            if (extractorIndex !== -1) {
+              ytDlpArgs.splice(extractorIndex, 2);
+            }
+
+            // Start the retry from an empty work dir
+            try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch (e) { }
+            fs.mkdirSync(tempDir, { recursive: true });
+
+            // Update --output path in args
+            const outputIndex = ytDlpArgs.indexOf('--output');
+            if (outputIndex !== -1) {
+              ytDlpArgs[outputIndex + 1] = outputTemplate;
+            }
+
+            // Recursively call execution with retry flag
+            return executeDownloadSession(true);
+          }
+
+          // Standard 403 Response if not retrying or retry failed
+          if (isAuthError) {
+            const msg = isRetry ? 'YouTube authentication required (Retry failed)' : 'YouTube authentication required';
+            const details = isRetry
+              ? 'Both authenticated (cookie) and public (no-cookie) access attempts failed. The video is likely strictly age-gated or premium-only.'
+              : 'YouTube is blocking downloads from this server due to anti-bot measures.';
+
+            return failJob(job, 403, {
+              error: msg,
               details: details,
-              platform: platform,
-              isProduction: isProduction,
-              suggestion: 'Try downloading from YouTube, TikTok, or Twitter instead, which work more reliably.'
+              platform: 'youtube',
+              isProduction: isProductionEnvironment(),
+              suggestion: 'Try using fresh cookies exported from a US IP address, or use a Proxy.',
+              technicalDetails: stderr || stdout
             });
           }
+
+          failJob(job, 500, {
+            error: `yt-dlp failed with code ${code}`,
+            details: stderr || stdout,
+            platform: platform
+          });
         }
+      });
 
-        if (code === 0) {
-          // Send gradual merging progress updates before completion
-          if (sessionId) {
-            console.log('✅ Download completed successfully - sending gradual merging progress');
-            console.log('📊 DEBUG: Current merging progress before gradual updates:', stageProgress.merging);
-            // Send intermediate merging progress to avoid sudden jumps
-            if (!stageProgress.merging || stageProgress.merging < 50) {
-              console.log('📊 DEBUG: Sending merging progress 50%');
-              sendUnifiedProgress('merging', 50, { stage: 'Processing downloaded files' });
-              await new Promise(resolve => setTimeout(resolve, 300)); // Small delay for smooth progress
-            }
-            if (!stageProgress.merging || stageProgress.merging < 80) {
-              console.log('📊 DEBUG: Sending merging progress 80%');
-              sendUnifiedProgress('merging', 80, { stage: 'Finalizing merge' });
-              await new Promise(resolve => setTimeout(resolve, 300));
-            }
-            console.log('📊 DEBUG: Sending merging progress 100%');
-            sendUnifiedProgress('merging', 100, { stage: 'Merge completed' });
-            await new Promise(resolve => setTimeout(resolve, 200)); // Brief pause before post-processing
-          }
+      ytDlp.on('error', (error) => {
+        failJob(job, 500, {
+          error: 'Failed to start yt-dlp',
+          details: error.message
+        });
+      });
 
-          // Find the downloaded files (handle carousel posts with multiple files)
-          let files = fs.readdirSync(tempDir).filter(file =>
-            // Filter out info.json files and thumbnails, keep media files
-            !/\.(info\.json|description|annotations\.xml)$/i.test(file) &&
-            !/thumbnail/i.test(file)
-          );
+    }; // End executeDownloadSession
 
-          if (files.length > 0) {
-            // Always start post-processing stage to ensure progress doesn't reach 100% prematurely
-            console.log('🔄 Starting post-processing stage...');
-            sendUnifiedProgress('postprocessing', 10, { stage: 'Post-processing files' });
+    // Start the download process
+    await executeDownloadSession();
 
-            // Handle segment trimming if needed
-            console.log('🔍 Checking segment trimming:', { segmentInfo, filesCount: files.length });
-            if (segmentInfo) {
-              // Find the video file among downloaded files
-              const videoFile = files.find(file => /\.(mp4|mkv|webm|avi|mov|flv|m4v)$/i.test(file));
-              console.log('📹 Processing video for trimming:', { videoFile, allFiles: files });
+  } catch (error) {
+    console.error('Download error:', error);
+    failJob(job, 500, {
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
 
-              if (videoFile) {
-                const originalPath = path.join(tempDir, videoFile);
-                const isVideo = true; // We already confirmed it's a video file
+// Page analysis: pages are fetched here rather than through a third-party CORS proxy, following a limited
+// number of redirects, with a timeout and a cap on how much HTML is read
+const PAGE_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+const PAGE_MAX_BYTES = 5 * 1024 * 1024;
+const PAGE_MAX_REDIRECTS = 5;
+const PAGE_TIMEOUT_MS = 15000;
+
+// Server-side fetches of user-supplied URLs must not reach the server's own network (cloud metadata,
+// admin panels, databases). Self-hosted setups that do want intranet pages set ALLOW_PRIVATE_NETWORK_FETCH=true.
+const ALLOW_PRIVATE_NETWORK_FETCH = process.env.ALLOW_PRIVATE_NETWORK_FETCH === 'true';
+
+// Loopback, private, shared (CGNAT), link-local, unspecified, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 rules.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
 
-                if (isVideo) {
-                  const ext = path.extname(videoFile);
-                  const baseName = path.basename(videoFile, ext);
-                  const trimmedFile = `${baseName}_trimmed${ext}`;
-                  const trimmedPath = path.join(tempDir, trimmedFile);
+// Resolve a hostname and reject it when any of its addresses is private; resolves with the first address.
+// error.code is 'PRIVATE_ADDRESS'
+async function resolvePublicAddress(hostname) {
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    const error = new Error(`${hostname} resolves to a private network address (${blocked.address})`);
+    error.code = 'PRIVATE_ADDRESS';
+    throw error;
+  }
+  return addresses[0];
+}
 
-                  try {
-                    // First, get video duration using ffprobe
-                    console.log('🔍 Checking video duration with ffprobe...');
-                    const ffprobeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_format', originalPath];
-                    const ffprobe = spawn('ffprobe', ffprobeArgs);
+// Resolve the URL's host and reject it when any of its addresses is private; error.code is 'PRIVATE_ADDRESS'
+async function assertPublicHost(url) {
+  if (ALLOW_PRIVATE_NETWORK_FETCH) return;
+  await resolvePublicAddress(new URL(url).hostname.replace(/^\[|\]$/g, ''));
+}
 
-                    let ffprobeOutput = '';
-                    ffprobe.stdout.on('data', (data) => {
-                      ffprobeOutput += data.toString();
-                    });
+// ffmpeg, ffprobe and yt-dlp resolve hosts and follow redirects, playlists and segment URLs on their own, so
+// their remote inputs go through this local proxy: it resolves every host itself, refuses private addresses and
+// connects to the address it checked, leaving no window for DNS rebinding. Plain http arrives as proxied
+// requests, https as CONNECT tunnels.
+function handleGuardProxyRequest(req, res) {
+  let target;
+  try {
+    target = new URL(req.url);
+  } catch (error) {
+    return res.writeHead(400).end();
+  }
+  if (target.protocol !== 'http:') {
+    return res.writeHead(400).end();
+  }
 
-                    await new Promise((resolve, reject) => {
-                      ffprobe.on('close', (code) => {
-                        if (code === 0) {
-                          try {
-                            const probeData = JSON.parse(ffprobeOutput);
-                            const videoDuration = parseFloat(probeData.format.duration);
-                            console.log(`📏 Video duration: ${videoDuration} seconds`);
-                            console.log(`⏰ Requested start: ${segmentInfo.startSeconds}s, duration: ${segmentInfo.duration}s`);
+  resolvePublicAddress(target.hostname.replace(/^\[|\]$/g, ''))
+    .then(({ address }) => {
+      const { 'proxy-connection': proxyConnection, 'proxy-authorization': proxyAuthorization, ...headers } = req.headers;
+      const upstream = http.request({
+        host: address,
+        port: target.port || 80,
+        method: req.method,
+        path: `${target.pathname}${target.search}`,
+        headers
+      }, (upstreamRes) => {
+        res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+        upstreamRes.pipe(res);
+      });
+      upstream.on('error', () => res.destroy());
+      req.pipe(upstream);
+    })
+    .catch((error) => res.writeHead(error.code === 'PRIVATE_ADDRESS' ? 403 : 502).end(error.message));
+}
 
-                            if (segmentInfo.startSeconds >= videoDuration) {
-                              throw new Error(`Start time (${segmentInfo.startSeconds}s) is beyond video duration (${videoDuration}s)`);
-                            }
+function handleGuardProxyConnect(req, clientSocket, head) {
+  clientSocket.on('error', () => clientSocket.destroy());
+  const [, hostname, port] = req.url.match(/^\[?([^\]]+?)\]?:(\d+)$/) || [];
+  if (!hostname) {
+    return clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+  }
 
-                            if (segmentInfo.startSeconds + segmentInfo.duration > videoDuration) {
-                              const adjustedDuration = videoDuration - segmentInfo.startSeconds;
-                              console.log(`⚠️ Adjusting duration from ${segmentInfo.duration}s to ${adjustedDuration}s to fit video length`);
-                              segmentInfo.duration = adjustedDuration;
-                            }
+  resolvePublicAddress(hostname)
+    .then(({ address }) => {
+      const upstream = net.connect(Number(port), address, () => {
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        if (head.length > 0) upstream.write(head);
+        upstream.pipe(clientSocket);
+        clientSocket.pipe(upstream);
+      });
+      upstream.on('error', () => clientSocket.destroy());
+      clientSocket.on('close', () => upstream.destroy());
+    })
+    .catch((error) => clientSocket.end(`HTTP/1.1 ${error.code === 'PRIVATE_ADDRESS' ? '403 Forbidden' : '502 Bad Gateway'}\r\n\r\n`));
+}
 
-                            resolve();
-                          } catch (parseError) {
-                            reject(new Error(`Failed to parse ffprobe output: ${parseError.message}`));
-                          }
-                        } else {
-                          reject(new Error(`ffprobe failed with code ${code}`));
-                        }
-                      });
-                    });
+// The guard proxy is started on first use, on a random loopback port; resolves with its URL
+let guardProxyUrl = null;
+function getGuardProxyUrl() {
+  guardProxyUrl ??= new Promise((resolve, reject) => {
+    // A no_proxy list would let the tools bypass the proxy for matching hosts
+    delete process.env.no_proxy;
+    delete process.env.NO_PROXY;
+    const proxy = http.createServer(handleGuardProxyRequest);
+    proxy.on('connect', handleGuardProxyConnect);
+    proxy.once('error', reject);
+    proxy.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${proxy.address().port}`));
+  });
+  return guardProxyUrl;
+}
 
-                    // Use ffmpeg to trim the video with stream copying to preserve quality
-                    // Use input seeking for better stream copy compatibility
-                    const ffmpegArgs = [
-                      '-ss', segmentInfo.startSeconds.toString(), // Seek before input for better stream copy
-                      '-i', originalPath,
-                      '-t', segmentInfo.duration.toString(),
-                      '-c', 'copy', // Copy streams without re-encoding to preserve quality
-                      '-avoid_negative_ts', 'make_zero',
-                      '-map_metadata', '0', // Copy metadata
-                      '-y', // Overwrite output file
-                      trimmedPath
-                    ];
-
-                    // Fallback args with re-encoding if stream copy fails
-                    const fallbackArgs = [
-                      '-ss', segmentInfo.startSeconds.toString(), // Input seeking for consistency
-                      '-i', originalPath,
-                      '-t', segmentInfo.duration.toString(),
-                      '-c:v', 'libx264', // Re-encode video as fallback
-                      '-c:a', 'aac', // Re-encode audio as fallback
-                      '-preset', 'medium', // Better quality preset
-                      '-crf', '15', // Very high quality encoding (lower = better)
-                      '-profile:v', 'high', // High profile for better quality
-                      '-level', '4.1', // Compatibility level
-                      '-pix_fmt', 'yuv420p', // Ensure compatible pixel format
-                      '-avoid_negative_ts', 'make_zero',
-                      '-map_metadata', '0', // Copy metadata
-                      '-y', // Overwrite output file
-                      trimmedPath
-                    ];
-
-                    // Function to try FFmpeg with given arguments
-                    const tryFFmpeg = (args, description) => {
-                      return new Promise((resolve, reject) => {
-                        console.log(`⚡ Starting ffmpeg ${description} with args:`, args);
-                        const ffmpeg = spawn('ffmpeg', args);
-
-                        let ffmpegStderr = '';
-                        let duration = null;
-
-                        ffmpeg.stderr.on('data', (data) => {
-                          const stderrLine = data.toString();
-                          ffmpegStderr += stderrLine;
-                          console.log('🔍 FFmpeg stderr:', stderrLine.trim());
-
-                          // Parse duration from FFmpeg output
-                          const durationMatch = stderrLine.match(/Duration: (\d{2}):(\d{2}):(\d{2})\.(\d{2})/);
-                          if (durationMatch && !duration) {
-                            const hours = parseInt(durationMatch[1]);
-                            const minutes = parseInt(durationMatch[2]);
-                            const seconds = parseInt(durationMatch[3]);
-                            duration = hours * 3600 + minutes * 60 + seconds;
-                            console.log('📏 FFmpeg detected duration:', duration, 'seconds');
-                          }
+// ffmpeg/ffprobe input options for a remote URL: network protocols only (so a playlist can't point at local
+// files) and, unless private targets are allowed, every connection through the guard proxy
+async function getRemoteInputArgs() {
+  if (ALLOW_PRIVATE_NETWORK_FETCH) {
+    return ['-protocol_whitelist', 'http,https,tcp,tls,crypto'];
+  }
+  return ['-protocol_whitelist', 'http,https,tcp,tls,crypto,httpproxy', '-http_proxy', await getGuardProxyUrl()];
+}
+
+// yt-dlp options that send its requests through the guard proxy
+async function getYtDlpProxyArgs() {
+  return ALLOW_PRIVATE_NETWORK_FETCH ? [] : ['--proxy', await getGuardProxyUrl()];
+}
+
+// Fetch url following up to maxRedirects redirects by hand, so each hop is checked to be http(s)
+// and to point at a public host. Resolves with { response, url } where url is the final address.
+async function fetchFollowingRedirects(url, { method = 'GET', headers = {}, signal, maxRedirects = PAGE_MAX_REDIRECTS } = {}) {
+  let current = url;
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    const { protocol } = new URL(current);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Unsupported protocol ${protocol}`);
+    }
+    await assertPublicHost(current);
+    const response = await fetch(current, {
+      method,
+      headers: { 'User-Agent': PAGE_USER_AGENT, ...headers },
+      redirect: 'manual',
+      signal
+    });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url: current };
+    }
+    if (response.body) await response.body.cancel();
+    current = new URL(location, current).href;
+  }
+  throw new Error(`More than ${maxRedirects} redirects`);
+}
+
+// Read at most maxBytes of a response body; resolves with { buffer, truncated }
+async function readLimitedBytes(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+    if (size >= maxBytes) {
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+  }
+  return { buffer: Buffer.concat(chunks).subarray(0, maxBytes), truncated };
+}
+
+// Read at most maxBytes of a response body as text; resolves with { text, truncated }
+async function readLimitedText(response, maxBytes) {
+  const { buffer, truncated } = await readLimitedBytes(response, maxBytes);
+  return { text: buffer.toString('utf8'), truncated };
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeHtmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Media elements whose <source> children belong to them
+const SOURCE_PARENTS = ['video', 'audio', 'picture'];
+
+// A lenient tag scanner, enough to read media references out of a page without a DOM:
+// returns { tags: [{ name, attrs, parent }], scripts: [{ attrs, content }] } where parent is the
+// enclosing video/audio/picture tag. Comments are skipped and script/style bodies are not scanned for tags.
+function scanHtml(html) {
+  const parseAttributes = (source) => {
+    const attrs = {};
+    const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = attrPattern.exec(source))) {
+      const name = match[1].toLowerCase();
+      if (!(name in attrs)) attrs[name] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+  };
+
+  const scripts = [];
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi, (match, name, attrSource, content) => {
+      if (name.toLowerCase() === 'script') scripts.push({ attrs: parseAttributes(attrSource), content });
+      return `<${name}${attrSource}>`;
+    });
+
+  const tags = [];
+  const open = [];
+  // Quoted attribute values may contain '>'
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let match;
+  while ((match = tagPattern.exec(markup))) {
+    const name = match[2].toLowerCase();
+    if (match[1]) {
+      const index = open.map(tag => tag.name).lastIndexOf(name);
+      if (index !== -1) open.splice(index);
+      continue;
+    }
+    const tag = { name, attrs: parseAttributes(match[3]), parent: open[open.length - 1] || null };
+    tags.push(tag);
+    if (SOURCE_PARENTS.includes(name) && !match[3].trim().endsWith('/')) open.push(tag);
+  }
+  return { tags, scripts };
+}
+
+// HLS playlists and DASH manifests, by URL extension or Content-Type
+const MANIFEST_CONTENT_TYPES = {
+  'application/vnd.apple.mpegurl': 'hls',
+  'application/x-mpegurl': 'hls',
+  'audio/mpegurl': 'hls',
+  'audio/x-mpegurl': 'hls',
+  'application/dash+xml': 'dash'
+};
+
+function manifestTypeOf(url) {
+  const match = url.match(/\.(m3u8|mpd)(?:[?#]|$)/i);
+  if (!match) return null;
+  return match[1].toLowerCase() === 'mpd' ? 'dash' : 'hls';
+}
+
+const EMBED_VIDEO_HOSTS = [
+  'youtube.com', 'youtube-nocookie.com', 'youtu.be', 'vimeo.com', 'dailymotion.com',
+  'twitch.tv', 'streamable.com', 'wistia.com', 'brightcove.com',
+  'jwplayer.com', 'kaltura.com', 'vidyard.com'
+];
+const LINKED_VIDEO_PATTERN = /\.(mp4|webm|mov|avi|mkv|flv|wmv)/i;
+// Player iframes of the big hosts, mapped back to the watch page the downloaders know how to handle.
+// Returns null for anything else.
+function canonicalEmbedUrl(src) {
+  let url;
+  try {
+    url = new URL(src);
+  } catch (error) {
+    return null;
+  }
+  const host = url.hostname.replace(/^www\./, '');
+  const [first, second, third] = url.pathname.split('/').filter(Boolean);
+
+  if (['youtube.com', 'm.youtube.com', 'youtube-nocookie.com'].includes(host) && first === 'embed' && second) {
+    if (second === 'videoseries') {
+      const list = url.searchParams.get('list');
+      return list ? `https://www.youtube.com/playlist?list=${encodeURIComponent(list)}` : null;
+    }
+    return /^[\w-]+$/.test(second) ? `https://www.youtube.com/watch?v=${second}` : null;
+  }
+  if (host === 'player.vimeo.com' && first === 'video' && /^\d+$/.test(second || '')) {
+    // Unlisted videos need their hash
+    const hash = url.searchParams.get('h');
+    return `https://vimeo.com/${second}${hash ? `/${hash}` : ''}`;
+  }
+  if (host === 'dailymotion.com' && first === 'embed' && second === 'video' && /^\w+$/.test(third || '')) {
+    return `https://www.dailymotion.com/video/${third}`;
+  }
+  if (host === 'geo.dailymotion.com' && /^\w+$/.test(url.searchParams.get('video') || '')) {
+    return `https://www.dailymotion.com/video/${url.searchParams.get('video')}`;
+  }
+  return null;
+}
+
+const STRUCTURED_MEDIA_TYPES = { VideoObject: 'video', AudioObject: 'audio', ImageObject: 'image' };
+
+// schema.org media objects in a page's JSON-LD, as [{ type, node }]: at the top level, in @graph, or nested
+// in other objects (an article's video or image). A media object's own properties, such as a video's
+// thumbnail ImageObject, are not searched further. Malformed blocks are skipped.
+function findStructuredMedia(scripts) {
+  const found = [];
+  const visit = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > 20) return;
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, depth + 1));
+      return;
+    }
+    const type = [].concat(node['@type'] || [])
+      .map(name => STRUCTURED_MEDIA_TYPES[String(name).replace(/^(?:https?:\/\/schema\.org\/|schema:)/, '')])
+      .find(Boolean);
+    if (type) {
+      found.push({ type, node });
+      return;
+    }
+    Object.values(node).forEach(child => visit(child, depth + 1));
+  };
 
-                          // Parse progress from FFmpeg output
-                          const timeMatch = stderrLine.match(/time=(\d{2}):(\d{2}):(\d{2})\.(\d{2})/);
-                          if (timeMatch && duration) {
-                            const hours = parseInt(timeMatch[1]);
-                            const minutes = parseInt(timeMatch[2]);
-                            const seconds = parseInt(timeMatch[3]);
-                            const currentTime = hours * 3600 + minutes * 60 + seconds;
-                            const progress = Math.min(Math.round((currentTime / duration) * 80) + 10, 90); // 10-90% range
-                            sendUnifiedProgress('postprocessing', progress, { stage: 'FFmpeg processing', currentTime, duration });
-                          }
-                        });
+  for (const script of scripts) {
+    if ((script.attrs.type || '').trim().toLowerCase() !== 'application/ld+json') continue;
+    try {
+      visit(JSON.parse(script.content), 0);
+    } catch (error) {
+      // Not valid JSON
+    }
+  }
+  return found;
+}
 
-                        ffmpeg.stdout.on('data', (data) => {
-                          console.log('📺 FFmpeg stdout:', data.toString().trim());
-                        });
+// Quoted manifest URLs in script bodies and JSON-LD, possibly with JSON-escaped slashes
+const SCRIPT_MANIFEST_PATTERN = /["']((?:https?:)?[^"'\s<>]+?\.(?:m3u8|mpd)(?:\?[^"'\s<>]*)?)["']/gi;
+const DATA_SRC_VIDEO_PATTERN = /\.(mp4|webm|mov|avi)/i;
+
+// Lazy-loading scripts keep the real image in one of these until it scrolls into view
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-full-src'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+// srcset candidates as [{ url, width?, density? }]. URLs may contain commas, so a candidate's URL runs
+// to the next whitespace (minus trailing commas) and its descriptors to the next comma.
+function parseSrcset(value) {
+  const candidates = [];
+  const urlPattern = /[\s,]*(\S+)/y;
+  const descriptorPattern = /[^,]*/y;
+  let position = 0;
+  while (position < value.length) {
+    urlPattern.lastIndex = position;
+    const urlMatch = urlPattern.exec(value);
+    if (!urlMatch) break;
+    position = urlPattern.lastIndex;
+
+    let url = urlMatch[1];
+    let descriptors = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      descriptorPattern.lastIndex = position;
+      descriptors = descriptorPattern.exec(value)[0];
+      position = descriptorPattern.lastIndex;
+    }
+    if (!url) continue;
 
-                        // Set a timeout for FFmpeg process (30 seconds)
-                        const timeout = setTimeout(() => {
-                          ffmpeg.kill('SIGKILL');
-                          reject(new Error(`FFmpeg ${description} timeout after 30 seconds`));
-                        }, 30000);
+    const candidate = { url };
+    for (const descriptor of descriptors.trim().split(/\s+/)) {
+      const match = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/i);
+      if (match) candidate[match[2].toLowerCase() === 'w' ? 'width' : 'density'] = Number(match[1]);
+    }
+    candidates.push(candidate);
+  }
+  return candidates;
+}
 
-                        ffmpeg.on('close', (ffmpegCode) => {
-                          clearTimeout(timeout);
-                          if (ffmpegCode === 0) {
-                            resolve();
-                          } else {
-                            reject(new Error(`FFmpeg ${description} failed with code ${ffmpegCode}. Stderr: ${ffmpegStderr}`));
-                          }
-                        });
-                      });
-                    };
+// Media referenced by a page, as the frontend's MediaItem list ({ url, type, filename, dimensions, thumbnail,
+// and title/duration/uploadDate where structured data provides them).
+// Filenames are numbered MediaHarvest1, MediaHarvest2, ... in page order; duplicates keep their first entry.
+// HLS/DASH manifests are marked with streaming: 'hls' | 'dash' and named for the MP4 they download as.
+function extractPageMedia(html, pageUrl) {
+  const { tags, scripts } = scanHtml(html);
+  const baseTag = tags.find(tag => tag.name === 'base' && tag.attrs.href);
+  let baseUrl = pageUrl;
+  if (baseTag) {
+    try {
+      baseUrl = new URL(baseTag.attrs.href, pageUrl).href;
+    } catch (error) {
+      // Keep the page URL
+    }
+  }
 
-                    // Start post-processing stage
-                    console.log('🔄 Starting post-processing (trimming)...');
-                    sendUnifiedProgress('postprocessing', 10, { stage: 'Starting FFmpeg trimming' });
+  const resolve = (value) => {
+    try {
+      return new URL(value.trim(), baseUrl).href;
+    } catch (error) {
+      return value;
+    }
+  };
+  const extensionOf = (value) => {
+    try {
+      const match = new URL(value).pathname.match(/\.([^./]+)$/);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  };
 
-                    // Use only stream copying to preserve original quality exactly
-                    let ffmpegSuccess = false;
-                    try {
-                      await tryFFmpeg(ffmpegArgs, 'stream copy (preserving original quality)');
-                      ffmpegSuccess = true;
-                      console.log('✅ Stream copy successful - original quality preserved exactly');
-                    } catch (streamCopyError) {
-                      throw new Error(`Stream copy failed: ${streamCopyError.message}. Original quality cannot be preserved with re-encoding.`);
-                    }
+  let counter = 1;
+  const items = [];
+  const add = (type, src, fallbackExtension, extra = {}) => {
+    const url = resolve(src);
+    const streaming = manifestTypeOf(url);
+    if (streaming) {
+      items.push({ url, type, filename: `MediaHarvest${counter++}.${type === 'audio' ? 'm4a' : 'mp4'}`, streaming, ...extra });
+    } else {
+      items.push({ url, type, filename: `MediaHarvest${counter++}.${extensionOf(url) || fallbackExtension}`, ...extra });
+    }
+  };
+  const sizeOf = (attrs) => (/^\d+$/.test(attrs.width || '') && /^\d+$/.test(attrs.height || '') ? `${attrs.width}x${attrs.height}` : undefined);
+
+  const byName = (...names) => tags.filter(tag => names.includes(tag.name));
+
+  // Same order as the browser-side detection used: images, videos, audio, then CSS backgrounds.
+  // An image's variants (src, lazy-load attributes, srcset and its <picture> sources) become one item
+  // whose url is the largest; the rest are listed as alternatives, largest first.
+  for (const img of byName('img')) {
+    const candidates = [];
+    const addCandidate = (candidate) => {
+      const url = resolve(candidate.url);
+      const existing = candidates.find(other => other.url === url);
+      if (existing) {
+        Object.keys(candidate).forEach(key => existing[key] ??= candidate[key]);
+      } else {
+        candidates.push({ ...candidate, url });
+      }
+    };
 
-                    if (ffmpegSuccess) {
-                      // Wait a moment for file system to sync
-                      await new Promise(resolve => setTimeout(resolve, 100));
+    const sources = img.parent?.name === 'picture'
+      ? tags.filter(tag => tag.name === 'source' && tag.parent === img.parent)
+      : [];
+    for (const source of sources) {
+      const extra = {};
+      if (source.attrs.type) extra.mimeType = source.attrs.type;
+      if (source.attrs.media) extra.media = source.attrs.media;
+      for (const name of ['srcset', ...LAZY_SRCSET_ATTRIBUTES]) {
+        parseSrcset(source.attrs[name] || '').forEach(candidate => addCandidate({ ...candidate, ...extra }));
+      }
+    }
+    for (const name of ['srcset', ...LAZY_SRCSET_ATTRIBUTES]) {
+      parseSrcset(img.attrs[name] || '').forEach(addCandidate);
+    }
+    for (const name of ['src', ...LAZY_SRC_ATTRIBUTES]) {
+      if (img.attrs[name]?.trim()) addCandidate({ url: img.attrs[name] });
+    }
 
-                      // Check if trimmed file exists and get its size
-                      if (!fs.existsSync(trimmedPath)) {
-                        throw new Error(`Trimmed file not found: ${trimmedPath}`);
-                      }
+    // Lazy loaders put an inline placeholder in src; it only counts when there is nothing else
+    const real = candidates.filter(candidate => !candidate.url.startsWith('data:'));
+    const variants = real.length > 0 ? real : candidates;
+    if (variants.length === 0) continue;
+
+    // w descriptors are pixel widths; x descriptors scale the width attribute when there is one
+    const layoutWidth = /^\d+$/.test(img.attrs.width || '') ? Number(img.attrs.width) : 0;
+    const effectiveWidth = (candidate) => candidate.width ?? (candidate.density || 1) * layoutWidth;
+    variants.sort((a, b) => effectiveWidth(b) - effectiveWidth(a) || (b.density || 1) - (a.density || 1));
+
+    const best = variants[0];
+    let dimensions = sizeOf(img.attrs);
+    if (dimensions && effectiveWidth(best) > 0) {
+      const width = Math.round(effectiveWidth(best));
+      dimensions = `${width}x${Math.round(Number(img.attrs.height) * width / layoutWidth)}`;
+    }
+    add('image', best.url, 'jpg', {
+      dimensions,
+      thumbnail: best.url,
+      ...(variants.length > 1 ? { alternatives: variants } : {})
+    });
+  }
 
-                      const trimmedStats = fs.statSync(trimmedPath);
-                      console.log('📊 Trimmed file size:', trimmedStats.size, 'bytes');
+  for (const video of byName('video')) {
+    const poster = video.attrs.poster ? resolve(video.attrs.poster) : undefined;
+    if (video.attrs.src) add('video', video.attrs.src, 'mp4', { thumbnail: poster });
+    for (const source of tags.filter(tag => tag.name === 'source' && tag.parent === video && tag.attrs.src)) {
+      add('video', source.attrs.src, 'mp4', { thumbnail: poster });
+    }
+  }
 
-                      // Verify trimmed file is not empty or too small
-                      if (trimmedStats.size < 10000) { // Less than 10KB is suspicious
-                        console.warn('⚠️ Trimmed file seems too small, continuing anyway');
-                      }
+  for (const meta of byName('meta')) {
+    const property = meta.attrs.property || meta.attrs.name;
+    const content = meta.attrs.content;
+    if (!content || !property) continue;
+    if (['og:video', 'og:video:url', 'og:video:secure_url', 'twitter:player', 'twitter:player:stream'].includes(property)) {
+      add('video', canonicalEmbedUrl(resolve(content)) || content, 'mp4');
+    }
+  }
 
-                      // Replace original file with trimmed version
-                      if (fs.existsSync(originalPath)) {
-                        fs.unlinkSync(originalPath);
-                        console.log('🗑️ Deleted original file:', originalPath);
-                      }
+  // JSON-LD VideoObject/AudioObject/ImageObject, with the metadata the page gives for them
+  const textOf = (value) => (typeof value === 'string' && value.trim() ? decodeHtmlEntities(value.trim()) : undefined);
+  const urlOf = (value) => {
+    if (Array.isArray(value)) return urlOf(value[0]);
+    if (value && typeof value === 'object') return urlOf(value.contentUrl || value.url);
+    return textOf(value);
+  };
+  const numberOf = (value) => {
+    const number = Number(value && typeof value === 'object' ? value.value : value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number) : undefined;
+  };
+  for (const { type, node } of findStructuredMedia(scripts)) {
+    const embedUrl = urlOf(node.embedUrl);
+    const src = urlOf(node.contentUrl)
+      || (embedUrl && (canonicalEmbedUrl(resolve(embedUrl)) || embedUrl))
+      || (type === 'image' ? urlOf(node.url) : undefined);
+    if (!src) continue;
+
+    const width = numberOf(node.width);
+    const height = numberOf(node.height);
+    const thumbnail = type === 'image' ? src : urlOf(node.thumbnailUrl) || urlOf(node.thumbnail);
+    const extra = {
+      title: textOf(node.name) || textOf(node.headline),
+      duration: parseIsoDuration(textOf(node.duration)) || undefined,
+      uploadDate: textOf(node.uploadDate) || textOf(node.datePublished),
+      dimensions: width && height ? `${width}x${height}` : undefined,
+      thumbnail: thumbnail ? resolve(thumbnail) : undefined
+    };
+    Object.keys(extra).forEach(key => extra[key] === undefined && delete extra[key]);
+    add(type, src, { video: 'mp4', audio: 'mp3', image: 'jpg' }[type], extra);
+  }
 
-                      // Move trimmed file to original location to maintain file serving logic
-                      fs.renameSync(trimmedPath, originalPath);
-                      console.log('📁 Moved trimmed file to:', originalPath);
+  // Lazy-loaded embeds keep their player URL in data-src
+  for (const iframe of byName('iframe')) {
+    const src = iframe.attrs.src || iframe.attrs['data-src'];
+    if (src && EMBED_VIDEO_HOSTS.some(host => src.includes(host))) {
+      const url = resolve(src);
+      items.push({ url: canonicalEmbedUrl(url) || url, type: 'video', filename: `MediaHarvest${counter++}.mp4` });
+    }
+  }
 
-                      // Verify the moved file
-                      const finalStats = fs.statSync(originalPath);
-                      console.log('✅ Final file size:', finalStats.size, 'bytes');
+  for (const tag of tags) {
+    const videoUrl = tag.attrs['data-video-url'] || (DATA_SRC_VIDEO_PATTERN.test(tag.attrs['data-src'] || '') ? tag.attrs['data-src'] : null);
+    if (videoUrl) add('video', videoUrl, 'mp4');
+  }
 
-                      if (finalStats.size !== trimmedStats.size) {
-                        throw new Error(`File size mismatch after move: expected ${trimmedStats.size}, got ${finalStats.size}`);
-                      }
+  // Players often get their manifest from a script or a JSON-LD description rather than a <video> tag
+  for (const script of scripts) {
+    for (const match of script.content.matchAll(SCRIPT_MANIFEST_PATTERN)) {
+      add('video', match[1].replace(/\\\//g, '/'), 'mp4');
+    }
+  }
 
-                      console.log('✅ FFmpeg trimming completed successfully');
+  for (const link of byName('a')) {
+    if (link.attrs.href && (LINKED_VIDEO_PATTERN.test(link.attrs.href) || manifestTypeOf(link.attrs.href))) add('video', link.attrs.href, 'mp4');
+  }
 
-                      // FFmpeg trimming completed, but don't mark as 100% yet - wait for file serving
-                      sendUnifiedProgress('postprocessing', 90, { stage: 'FFmpeg trimming completed, preparing file' });
-                    }
-                  } catch (error) {
-                    console.error('FFmpeg trimming failed:', error);
-                    // Continue with original file if trimming fails
-                  }
-                }
-              } else {
-                // No segment trimming needed, but don't mark as 100% yet - wait for file serving
-                console.log('✅ Post-processing completed (no trimming required)');
-                sendUnifiedProgress('postprocessing', 90, { stage: 'Post-processing completed, preparing file' });
-              }
-            }
+  for (const audio of byName('audio')) {
+    if (audio.attrs.src) add('audio', audio.attrs.src, 'mp3');
+    for (const source of tags.filter(tag => tag.name === 'source' && tag.parent === audio && tag.attrs.src)) {
+      add('audio', source.attrs.src, 'mp3');
+    }
+  }
 
-            // Sort files to prioritize videos over images
-            const sortedFiles = files.sort((a, b) => {
-              const aIsVideo = /\.(mp4|mkv|webm|avi|mov|flv|m4v)$/i.test(a);
-              const bIsVideo = /\.(mp4|mkv|webm|avi|mov|flv|m4v)$/i.test(b);
-              if (aIsVideo && !bIsVideo) return -1;
-              if (!aIsVideo && bIsVideo) return 1;
-              return a.localeCompare(b);
-            });
+  for (const tag of tags) {
+    const match = (tag.attrs.style || '').match(/background-image:\s*url\(['"]?([^'")]+)['"]?\)/);
+    if (match) add('image', match[1], 'jpg', { thumbnail: resolve(match[1]) });
+  }
 
-            // Filter out thumbnails for the decision logic (Video + Image only)
-            const mediaFiles = files.filter(f =>
-              /\.(mp4|mkv|webm|avi|mov|flv|m4v|jpg|jpeg|png|webp|gif)$/i.test(f) &&
-              !f.includes('.thumb.') && !f.includes('.jpg_')
-            );
+  // Duplicates, including a URL already listed as another image's variant, keep their first entry.
+  // An exact duplicate still fills in what the first one lacks (e.g. a JSON-LD title for an embed).
+  const kept = new Map();
+  return items.filter(item => {
+    const first = kept.get(item.url);
+    if (first) {
+      if (first.url === item.url) Object.keys(item).forEach(key => { first[key] ??= item[key]; });
+      return false;
+    }
+    kept.set(item.url, item);
+    item.alternatives?.forEach(variant => kept.set(variant.url, item));
+    return true;
+  });
+}
 
-            // If multiple MEDIA files (Carousel), create a zip.
-            // If single media file (Reel), serve directly.
-            if (mediaFiles.length > 1 && platform === 'instagram') {
+// Fetch a page and list its media: { url (after redirects), items, truncated }.
+// A URL that is itself an image, video or audio file comes back as a single item.
+app.post('/api/analyze-page', async (req, res) => {
+  const { url } = req.body;
 
-              const zipFilename = `${filename || 'instagram_carousel'}.zip`;
-              res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
-              res.setHeader('Content-Type', 'application/zip');
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid URL', details: 'url must be an absolute http(s) URL' });
+  }
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    return res.status(400).json({ error: 'Invalid URL', details: 'url must be an absolute http(s) URL' });
+  }
 
-              const archive = archiver('zip', { zlib: { level: 9 } });
+  const signal = AbortSignal.timeout(PAGE_TIMEOUT_MS);
+  try {
+    const { response, url: finalUrl } = await fetchFollowingRedirects(parsedUrl.href, {
+      headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      signal
+    });
+    if (!response.ok) {
+      if (response.body) await response.body.cancel();
+      return res.status(502).json({ error: 'Failed to fetch webpage', details: `The site answered ${response.status}` });
+    }
 
-              // Handle client disconnect
-              res.on('close', () => {
-                archive.destroy();
-                // We don't delete tempDir here immediately as 'end' or 'error' will handle it, 
-                // or the main flow might if we aren't careful. 
-                // But generally safe to rely on end/error/aborted logic.
-              });
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    const streaming = MANIFEST_CONTENT_TYPES[contentType.split(';')[0].trim()] || manifestTypeOf(finalUrl);
+    if (streaming) {
+      if (response.body) await response.body.cancel();
+      return res.json({
+        url: finalUrl,
+        items: [{ url: finalUrl, type: 'video', filename: 'MediaHarvest1.mp4', streaming }],
+        truncated: false
+      });
+    }
+    const mediaType = ['image', 'video', 'audio'].find(type => contentType.startsWith(`${type}/`));
+    if (mediaType) {
+      if (response.body) await response.body.cancel();
+      const extension = path.extname(new URL(finalUrl).pathname).slice(1) || contentType.split('/')[1].split(/[;+]/)[0];
+      return res.json({
+        url: finalUrl,
+        items: [{ url: finalUrl, type: mediaType, filename: `MediaHarvest1.${extension}`, ...(mediaType === 'image' && { thumbnail: finalUrl }) }],
+        truncated: false
+      });
+    }
+    if (contentType && !/html|xml|text\/plain/.test(contentType)) {
+      if (response.body) await response.body.cancel();
+      return res.status(415).json({ error: 'Not a webpage', details: `The URL returned ${contentType}` });
+    }
 
-              // Handle archive warnings/errors
-              archive.on('warning', (err) => {
-                if (err.code === 'ENOENT') {
-                  console.warn('Archive warning:', err);
-                } else {
-                  console.error('Archive error/warning:', err);
-                }
-              });
+    const { text, truncated } = await readLimitedText(response, PAGE_MAX_BYTES);
+    const items = extractPageMedia(text, finalUrl);
+    console.log(`🔎 Analyzed ${finalUrl}: ${items.length} media item(s)${truncated ? ' (page truncated)' : ''}`);
+    res.json({ url: finalUrl, items, truncated });
+  } catch (error) {
+    if (signal.aborted) {
+      return res.status(504).json({ error: 'Failed to fetch webpage', details: `No complete response within ${PAGE_TIMEOUT_MS / 1000} seconds` });
+    }
+    if (error.code === 'PRIVATE_ADDRESS') {
+      return res.status(403).json({ error: 'URL not allowed', details: error.message });
+    }
+    console.error('Page analysis error:', error);
+    res.status(502).json({ error: 'Failed to fetch webpage', details: error.cause ? error.cause.message : error.message });
+  }
+});
 
-              archive.on('error', (err) => {
-                console.error('Archive CRITICAL error:', err);
-                if (!res.headersSent) {
-                  res.status(500).json({ error: 'Failed to create archive' });
-                }
-                fs.rmSync(tempDir, { recursive: true, force: true });
-              });
+// HLS attribute lists: BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"
+function parseHlsAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attrs;
+}
 
-              // Track archive streaming progress
-              let archiveBytesStreamed = 0;
+// A master playlist lists variants (each with the URI of its media playlist); a media playlist
+// lists segments, whose durations add up to the stream's
+function parseHlsPlaylist(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const variants = [];
+  let duration = 0;
+  lines.forEach((line, index) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attrs = parseHlsAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      const [width, height] = (attrs.RESOLUTION || '').split('x').map(Number);
+      variants.push({
+        id: variants.length,
+        uri: lines.slice(index + 1).find(next => !next.startsWith('#')),
+        bandwidth: Number(attrs.BANDWIDTH) || undefined,
+        width: width || undefined,
+        height: height || undefined,
+        codecs: attrs.CODECS || undefined,
+        frameRate: Number(attrs['FRAME-RATE']) || undefined
+      });
+    } else if (line.startsWith('#EXTINF:')) {
+      duration += parseFloat(line.slice('#EXTINF:'.length)) || 0;
+    }
+  });
+  // Without an end tag the playlist keeps growing: a live stream
+  const ended = lines.includes('#EXT-X-ENDLIST') || lines.includes('#EXT-X-PLAYLIST-TYPE:VOD');
+  return { variants, duration, ended };
+}
 
-              archive.on('data', (chunk) => {
-                archiveBytesStreamed += chunk.length;
-                const streamProgress = Math.min(95, 10 + (archiveBytesStreamed / (1024 * 1024)) * 0.5); // Gradual progress
-                sendUnifiedProgress('postprocessing', streamProgress, {
-                  stage: `Streaming archive (${Math.round(archiveBytesStreamed / 1024 / 1024)}MB)`
-                });
-              });
+// ISO 8601 durations as used by MPD attributes: PT1H2M3.5S
+function parseIsoDuration(value) {
+  const match = (value || '').match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
 
-              // Pipe archive to response
-              archive.pipe(res);
+// Video representations become the variants (audio ones when there is no video). ffmpeg's DASH demuxer
+// opens video representations first, then audio, each in manifest order, so a variant's id is its
+// position among representations of its kind and audioId the best audio one.
+function parseDashManifest(text) {
+  const { tags } = scanHtml(text);
+  const mpd = tags.find(tag => tag.name === 'mpd');
+  const representations = { video: [], audio: [] };
+  let adaptationSet = null;
+  for (const tag of tags) {
+    if (tag.name === 'adaptationset') adaptationSet = tag;
+    if (tag.name !== 'representation' || !adaptationSet) continue;
+    const kind = (tag.attrs.mimetype || adaptationSet.attrs.mimetype || adaptationSet.attrs.contenttype || '').split('/')[0];
+    if (!representations[kind]) continue;
+    const [numerator, denominator = 1] = (tag.attrs.framerate || adaptationSet.attrs.framerate || '').split('/').map(Number);
+    representations[kind].push({
+      id: representations[kind].length,
+      bandwidth: Number(tag.attrs.bandwidth) || undefined,
+      width: Number(tag.attrs.width || adaptationSet.attrs.width) || undefined,
+      height: Number(tag.attrs.height || adaptationSet.attrs.height) || undefined,
+      codecs: tag.attrs.codecs || adaptationSet.attrs.codecs || undefined,
+      frameRate: numerator && denominator ? Math.round(numerator / denominator * 100) / 100 : undefined
+    });
+  }
+  const bestAudio = [...representations.audio].sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0))[0];
+  return {
+    variants: representations.video.length > 0 ? representations.video : representations.audio,
+    audioOnly: representations.video.length === 0,
+    audioId: bestAudio ? bestAudio.id : undefined,
+    duration: parseIsoDuration(mpd && mpd.attrs.mediapresentationduration),
+    live: Boolean(mpd && mpd.attrs.type === 'dynamic')
+  };
+}
 
-              // Add files to archive
-              sortedFiles.forEach((file, index) => {
-                const filePath = path.join(tempDir, file);
-                const ext = path.extname(file);
-                const baseName = path.basename(file, ext);
-                // Create meaningful names for carousel items
-                const archiveName = `carousel_item_${index + 1}_${baseName}${ext}`;
-                archive.file(filePath, { name: archiveName });
-              });
+async function fetchManifestText(url) {
+  const { response, url: finalUrl } = await fetchFollowingRedirects(url, { signal: AbortSignal.timeout(PAGE_TIMEOUT_MS) });
+  if (!response.ok) {
+    if (response.body) await response.body.cancel();
+    throw new Error(`The server answered ${response.status}`);
+  }
+  const { text } = await readLimitedText(response, PAGE_MAX_BYTES);
+  return { text, url: finalUrl };
+}
 
-              // Finalize archive
-              archive.finalize();
+// Read an HLS or DASH manifest: { url (after redirects), type, live, duration, variants, ... } with variants
+// best first. Throws with code 'NOT_A_MANIFEST' when the URL serves something else.
+async function getManifestInfo(url) {
+  const { text, url: finalUrl } = await fetchManifestText(url);
+
+  if (/^\s*#EXTM3U/.test(text)) {
+    const playlist = parseHlsPlaylist(text);
+    let variants = playlist.variants;
+    let { duration, ended } = playlist;
+    if (variants.length > 0) {
+      // A master playlist: the duration and live state come from one of its media playlists
+      const first = variants.find(variant => variant.uri);
+      if (first) {
+        const media = parseHlsPlaylist((await fetchManifestText(new URL(first.uri, finalUrl).href)).text);
+        ({ duration, ended } = media);
+      }
+    } else {
+      // A lone media playlist is a single variant
+      variants = [{ id: 0 }];
+    }
+    return {
+      url: finalUrl,
+      type: 'hls',
+      live: !ended,
+      duration: duration || null,
+      variants: variants.map(({ uri, ...variant }) => variant).sort(compareManifestVariants)
+    };
+  }
 
-              // Clean up after sending
-              archive.on('end', () => {
-                console.log('✅ Archive streaming completed successfully');
-                sendUnifiedProgress('postprocessing', 100, { stage: 'Download completed', completed: true });
-                fs.rmSync(tempDir, { recursive: true, force: true });
-              });
+  if (/<MPD[\s>]/.test(text)) {
+    const manifest = parseDashManifest(text);
+    return { url: finalUrl, type: 'dash', ...manifest, variants: [...manifest.variants].sort(compareManifestVariants) };
+  }
 
-            } else {
-              // Single file - serve directly
-              // Validates against mediaFiles to ensure we don't serve a thumbnail by accident
-              const targetFile = (mediaFiles && mediaFiles.length > 0) ? mediaFiles[0] : sortedFiles[0];
-              const downloadedFile = path.join(tempDir, targetFile);
+  const error = new Error('The URL does not serve an HLS playlist or a DASH manifest');
+  error.code = 'NOT_A_MANIFEST';
+  throw error;
+}
 
-              // Check if file exists, if not it might be a trimmed file issue
-              if (!fs.existsSync(downloadedFile)) {
-                console.error('❌ File not found:', downloadedFile);
-                console.log('📁 Available files in temp dir:', fs.readdirSync(tempDir));
-                fs.rmSync(tempDir, { recursive: true, force: true });
-                return res.status(500).json({ error: 'Processed file not found' });
-              }
+// Highest resolution first, then highest bitrate
+function compareManifestVariants(a, b) {
+  return (b.height || 0) - (a.height || 0) || (b.bandwidth || 0) - (a.bandwidth || 0);
+}
 
-              const stats = fs.statSync(downloadedFile);
-              console.log('📤 Serving file:', downloadedFile, 'Size:', stats.size, 'bytes');
-
-              // Send file as download
-              const finalFilename = filename || targetFile;
-              // Properly encode filename for Content-Disposition header - sanitize all non-ASCII and special characters
-              const sanitizedFilename = finalFilename.replace(/[^\w\s.-]/g, '_').replace(/\s+/g, '_');
-              const encodedFilename = encodeURIComponent(sanitizedFilename).replace(/'/g, '%27');
-              res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}; filename="${sanitizedFilename}"`);
-              res.setHeader('Content-Type', 'application/octet-stream');
-              res.setHeader('Content-Length', stats.size);
-
-              const fileStream = fs.createReadStream(downloadedFile);
-              let bytesStreamed = 0;
-              const totalSize = stats.size;
-
-              // Handle client disconnect during file streaming
-              res.on('close', () => {
-                fileStream.destroy();
-                fs.rmSync(tempDir, { recursive: true, force: true });
-              });
+// ffmpeg -map arguments for one variant. HLS variants are ffmpeg programs (numbered like the playlist's
+// variants) that already include their audio renditions; DASH video gets paired with the best audio.
+function buildManifestMapArgs(info, variant) {
+  if (info.type === 'hls') {
+    return ['-map', `0:p:${variant.id}:v:0?`, '-map', `0:p:${variant.id}:a?`];
+  }
+  if (info.audioOnly) {
+    return ['-map', `0:a:${variant.id}`];
+  }
+  return ['-map', `0:v:${variant.id}`, ...(info.audioId !== undefined ? ['-map', `0:a:${info.audioId}`] : [])];
+}
 
-              // Track streaming progress
-              fileStream.on('data', (chunk) => {
-                bytesStreamed += chunk.length;
-                const streamProgress = Math.min(95, 10 + (bytesStreamed / totalSize) * 85); // 10% to 95%
-                sendUnifiedProgress('postprocessing', streamProgress, {
-                  stage: `Streaming file (${Math.round(bytesStreamed / 1024 / 1024)}MB / ${Math.round(totalSize / 1024 / 1024)}MB)`
-                });
-              });
+function parseHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-              fileStream.pipe(res);
+// Variants of an HLS or DASH manifest: { url, type, live, duration, variants: [{ id, bandwidth, width, height, codecs, frameRate }] }
+app.post('/api/manifest-info', async (req, res) => {
+  const url = parseHttpUrl(req.body.url);
+  if (!url) {
+    return res.status(400).json({ error: 'Invalid URL', details: 'url must be an absolute http(s) URL' });
+  }
 
-              // Clean up after sending
-              fileStream.on('end', () => {
-                console.log('✅ File streaming completed successfully');
-                sendUnifiedProgress('postprocessing', 100, { stage: 'Download completed', completed: true });
-                fs.rmSync(tempDir, { recursive: true, force: true });
-              });
+  try {
+    const info = await getManifestInfo(url.href);
+    res.json({ url: info.url, type: info.type, live: info.live, duration: info.duration, variants: info.variants });
+  } catch (error) {
+    if (error.code === 'NOT_A_MANIFEST') {
+      return res.status(415).json({ error: 'Not a streaming manifest', details: error.message });
+    }
+    if (error.code === 'PRIVATE_ADDRESS') {
+      return res.status(403).json({ error: 'URL not allowed', details: error.message });
+    }
+    console.error('Manifest info error:', error);
+    res.status(502).json({ error: 'Failed to read manifest', details: error.cause ? error.cause.message : error.message });
+  }
+});
 
-              fileStream.on('error', (error) => {
-                console.error('File stream error:', error);
-                fs.rmSync(tempDir, { recursive: true, force: true });
-                if (!res.headersSent) {
-                  res.status(500).json({ error: 'Failed to send file' });
-                }
-              });
-            }
-          } else {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-            res.status(500).json({ error: 'No file was downloaded' });
-          }
-        } else {
-          fs.rmSync(tempDir, { recursive: true, force: true });
+// Download one variant of an HLS or DASH stream as a single MP4. The segments are remuxed, not re-encoded,
+// by a download job: the route answers with its ID like /api/download-video, and the job is cancelled with
+// /api/cancel-download and fetched from /api/jobs/:id/file.
+app.post('/api/download-manifest', async (req, res) => {
+  const { variant: variantId, filename, sessionId } = req.body;
+  const url = parseHttpUrl(req.body.url);
+  if (!url) {
+    return res.status(400).json({ error: 'Invalid URL', details: 'url must be an absolute http(s) URL' });
+  }
 
-          // Handle YouTube authentication issues specifically
-          const errorOutput = (stderr || stdout || '').toLowerCase();
+  let info;
+  try {
+    info = await getManifestInfo(url.href);
+  } catch (error) {
+    if (error.code === 'NOT_A_MANIFEST') {
+      return res.status(415).json({ error: 'Not a streaming manifest', details: error.message });
+    }
+    if (error.code === 'PRIVATE_ADDRESS') {
+      return res.status(403).json({ error: 'URL not allowed', details: error.message });
+    }
+    console.error('Manifest download error:', error);
+    return res.status(502).json({ error: 'Failed to read manifest', details: error.cause ? error.cause.message : error.message });
+  }
 
-          // Check for YouTube authentication/Geo-lock issues
-          const isAuthError = platform === 'youtube' && (
-            errorOutput.includes('login_required') ||
-            errorOutput.includes('sign in to confirm') ||
-            errorOutput.includes('please sign in') ||
-            errorOutput.includes('cookies-from-browser') ||
-            errorOutput.includes('authentication')
-          );
+  if (info.live) {
+    return res.status(400).json({ error: 'Live streams are not supported', details: 'The manifest has no end, so there is no file to download' });
+  }
+  const variant = variantId === undefined || variantId === null ? info.variants[0] : info.variants.find(candidate => candidate.id === variantId);
+  if (!variant) {
+    return res.status(400).json({ error: 'Invalid variant', details: `variant must be one of: ${info.variants.map(candidate => candidate.id).join(', ')}` });
+  }
 
-          const usedCookies = ytDlpArgs.includes('--cookies');
+  // The job keeps the URL as sent so progress reaches the client under its download_<url> key
+  const job = createDownloadJob({ url: req.body.url, filename, quality: 'manifest', variant: variant.id }, sessionId);
+  updateJob(job, { type: 'manifest' });
+  console.log(`📥 Queued manifest job ${job.id} for ${info.url}`);
+  pumpJobQueue();
 
-          // RETRY LOGIC: If auth failed with cookies, try without
-          if (isAuthError && usedCookies && !isRetry) {
-            console.log('⚠️ YouTube authentication failed (Geo-lock). Retrying WITHOUT cookies...');
-            sendUnifiedProgress('video', 0, { message: 'Authentication rejected. Retrying public access...' });
+  res.status(202).json({ jobId: job.id, ...toPublicJob(job) });
+});
 
-            // Remove --cookies and its value
-            const cookieIndex = ytDlpArgs.indexOf('--cookies');
-            if (cookieIndex !== -1) {
-              ytDlpArgs.splice(cookieIndex, 2);
-            }
+// Run a manifest job: re-read the manifest (the job may have been queued across a restart) and remux the variant
+async function runManifestJob(job) {
+  const { url, filename, variant: variantId } = job.request;
+  const workDir = path.join(getJobDir(job.id), 'work');
+  const abortController = new AbortController();
+  runningJobs.set(job.id, { cleanup: () => abortController.abort() });
 
-            // Also remove --extractor-args to revert to default (safest for public)
-            const extractorIndex = ytDlpArgs.indexOf('--extractor-args');
-            if (extractorIndex !== -1) {
-              ytDlpArgs.splice(extractorIndex, 2);
-            }
+  const sendProgress = (progress, stage) => {
+    updateJob(job, { progress, stage }, false);
+    sendProgressUpdate(job.sessionId, getJobOperationKey(job), progress, { stage, jobId: job.id });
+  };
 
-            // Cleanup old temp dir
-            try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch (e) { }
+  let info;
+  try {
+    info = await getManifestInfo(url);
+  } catch (error) {
+    if (error.code === 'PRIVATE_ADDRESS') {
+      return failJob(job, 403, { error: 'URL not allowed', details: error.message });
+    }
+    return failJob(job, 502, { error: 'Failed to read manifest', details: error.cause ? error.cause.message : error.message });
+  }
+  const variant = info.variants.find(candidate => candidate.id === variantId);
+  if (info.live || !variant) {
+    return failJob(job, 409, { error: 'Stream changed', details: 'The manifest no longer offers the requested variant as a finished stream' });
+  }
 
-            // New temp dir for retry
-            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytdl-retry-'));
+  const extension = info.type === 'dash' && info.audioOnly ? 'm4a' : 'mp4';
+  const outputFilename = sanitizeFilename(`${path.parse(filename || `stream.${extension}`).name}.${extension}`);
+  fs.mkdirSync(workDir, { recursive: true });
+  const stagingPath = path.join(workDir, outputFilename);
 
-            // Update --output path in args
-            const outputIndex = ytDlpArgs.indexOf('--output');
-            if (outputIndex !== -1) {
-              ytDlpArgs[outputIndex + 1] = path.join(tempDir, '%(title)s_%(id)s.%(ext)s');
-            }
+  try {
+    const args = [
+      ...await getRemoteInputArgs(),
+      '-user_agent', PAGE_USER_AGENT,
+      '-i', info.url,
+      ...buildManifestMapArgs(info, variant),
+      '-c', 'copy',
+      '-movflags', '+faststart',
+      '-y', stagingPath
+    ];
+    console.log(`📺 Remuxing ${info.type.toUpperCase()} variant ${variant.id}: ffmpeg ${args.join(' ')}`);
+    sendProgress(0, 'downloading');
+    await runFFmpeg(args, {
+      timeout: 2 * 60 * 60 * 1000,
+      signal: abortController.signal,
+      // Only the tail is needed for the error message; a long stream prints a progress line per second
+      stderrLimit: 64 * 1024,
+      onStderr: reportFFmpegProgress(info.duration, (fraction) => sendProgress(Math.round(fraction * 99), 'downloading'))
+    });
+  } catch (error) {
+    if (job.status === 'cancelled') return;
+    console.error('Manifest download error:', error);
+    return failJob(job, 500, { error: 'Failed to download stream', details: error.message });
+  }
 
-            // Recursively call execution with retry flag
-            return executeDownloadSession(true);
-          }
+  if (job.status === 'cancelled') return;
+  fs.renameSync(stagingPath, path.join(getJobDir(job.id), outputFilename));
+  completeJob(job, outputFilename, extension === 'm4a' ? 'audio/mp4' : 'video/mp4');
+}
 
-          // Standard 403 Response if not retrying or retry failed
-          if (isAuthError) {
-            const msg = isRetry ? 'YouTube authentication required (Retry failed)' : 'YouTube authentication required';
-            const details = isRetry
-              ? 'Both authenticated (cookie) and public (no-cookie) access attempts failed. The video is likely strictly age-gated or premium-only.'
-              : 'YouTube is blocking downloads from this server due to anti-bot measures.';
+const HEAD_MEDIA_MAX_URLS = 100;
+const HEAD_MEDIA_CONCURRENCY = 6;
+// Image headers sit at the start of the file; JPEGs put EXIF (and its thumbnail) before the frame header
+const HEAD_MEDIA_SNIFF_BYTES = 64 * 1024;
+const HEAD_MEDIA_PROBE_TIMEOUT_MS = 15000;
 
-            return res.status(403).json({
-              error: msg,
-              details: details,
-              platform: 'youtube',
-              isProduction: isProductionEnvironment(),
-              suggestion: 'Try using fresh cookies exported from a US IP address, or use a Proxy.',
-              technicalDetails: stderr || stdout
-            });
-          }
+const JPEG_FRAME_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
 
-          res.status(500).json({
-            error: `yt-dlp failed with code ${code}`,
-            details: stderr || stdout,
-            platform: platform
-          });
+// Pixel size from the first bytes of a PNG, GIF, JPEG, WebP, BMP, AVIF/HEIF or SVG file: { width, height } or null
+function readImageSize(buffer) {
+  try {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM') {
+      return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = buffer.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+      return null;
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+          offset++;
+        } else if (JPEG_FRAME_MARKERS.includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        } else if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+          offset += 2;
+        } else {
+          offset += 2 + buffer.readUInt16BE(offset + 2);
         }
-      });
+      }
+      return null;
+    }
+    // ISO BMFF images (AVIF, HEIC) give their size in an image spatial extents box
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+      const ispe = buffer.indexOf('ispe');
+      return ispe !== -1 && ispe + 16 <= buffer.length
+        ? { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) }
+        : null;
+    }
+    const svg = buffer.toString('utf8').match(/<svg\b((?:[^>"']|"[^"]*"|'[^']*')*)>/i);
+    if (svg) {
+      const attribute = (name) => (svg[1].match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([^"']*)["']`, 'i')) || [])[1];
+      const width = parseFloat(attribute('width'));
+      const height = parseFloat(attribute('height'));
+      if (width > 0 && height > 0 && !/%/.test(attribute('width') + attribute('height'))) {
+        return { width: Math.round(width), height: Math.round(height) };
+      }
+      const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(Number);
+      return viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0 ? { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) } : null;
+    }
+  } catch (error) {
+    // Truncated or malformed header
+  }
+  return null;
+}
 
-      ytDlp.on('error', (error) => {
-        clearConnectionCheck();
-        // Clear download timeout
-        const downloadData = activeDownloads.get(url);
-        if (downloadData && downloadData.timeout) {
-          clearTimeout(downloadData.timeout);
-        }
-        fs.rmSync(tempDir, { recursive: true, force: true });
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: 'Failed to start yt-dlp',
-            details: error.message
-          });
-        }
-      });
+// Pre-flight one media URL without downloading it: { url, contentType, bytes, width, height, duration },
+// each field only when it could be determined. HEAD first; images (or servers that refuse HEAD) get a
+// ranged GET of their first bytes, audio and video an ffprobe of the URL, manifests their playlist totals.
+async function headMedia(url) {
+  const result = { url };
+  const signal = AbortSignal.timeout(PAGE_TIMEOUT_MS);
+
+  let { response, url: finalUrl } = await fetchFollowingRedirects(url, { method: 'HEAD', signal });
+  if (response.ok) {
+    result.contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() || undefined;
+    result.bytes = Number(response.headers.get('content-length')) || undefined;
+  }
 
-    }; // End executeDownloadSession
+  const streaming = MANIFEST_CONTENT_TYPES[result.contentType] || manifestTypeOf(finalUrl);
+  if (streaming) {
+    const info = await getManifestInfo(finalUrl);
+    result.duration = info.duration || undefined;
+    const best = info.variants[0];
+    if (best && best.width && best.height) Object.assign(result, { width: best.width, height: best.height });
+    return result;
+  }
 
-    // Start the download process
-    await executeDownloadSession();
+  if (!response.ok || !result.contentType || result.contentType.startsWith('image/')) {
+    ({ response, url: finalUrl } = await fetchFollowingRedirects(finalUrl, {
+      headers: { Range: `bytes=0-${HEAD_MEDIA_SNIFF_BYTES - 1}` },
+      signal
+    }));
+    if (!response.ok) {
+      if (response.body) await response.body.cancel();
+      throw new Error(`The server answered ${response.status}`);
+    }
+    result.contentType ??= (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() || undefined;
+    // A 206 carries the full size after the slash; a server that ignores Range sends the whole file
+    const total = response.status === 206
+      ? Number((response.headers.get('content-range') || '').split('/')[1])
+      : Number(response.headers.get('content-length'));
+    result.bytes ??= total || undefined;
+    const { buffer } = await readLimitedBytes(response, HEAD_MEDIA_SNIFF_BYTES);
+    if (!result.contentType || result.contentType.startsWith('image/')) Object.assign(result, readImageSize(buffer));
+  }
 
-  } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      details: error.message
-    });
+  if (/^(audio|video)\//.test(result.contentType || '')) {
+    try {
+      const probe = JSON.parse(await runFFprobe([
+        '-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams',
+        ...await getRemoteInputArgs(),
+        '-user_agent', PAGE_USER_AGENT,
+        finalUrl
+      ], { timeout: HEAD_MEDIA_PROBE_TIMEOUT_MS }));
+      result.duration = parseFloat(probe.format && probe.format.duration) || undefined;
+      const video = (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+      if (video && video.width && video.height) Object.assign(result, { width: video.width, height: video.height });
+    } catch (error) {
+      // Type and size are still useful without a duration
+    }
   }
+  return result;
+}
+
+// Batch pre-flight for detected media: { urls: [...] } -> { results: [{ url, contentType, bytes, width, height,
+// duration } | { url, error }] } in request order. Nothing is downloaded beyond file headers.
+app.post('/api/head-media', async (req, res) => {
+  const { urls } = req.body;
+  if (!Array.isArray(urls) || urls.length === 0 || urls.length > HEAD_MEDIA_MAX_URLS || !urls.every(url => typeof url === 'string')) {
+    return res.status(400).json({ error: 'Invalid URLs', details: `urls must be a list of 1 to ${HEAD_MEDIA_MAX_URLS} URLs` });
+  }
+
+  const results = new Array(urls.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const url = parseHttpUrl(urls[index]);
+      try {
+        if (!url) throw new Error('Not an absolute http(s) URL');
+        results[index] = { ...(await headMedia(url.href)), url: urls[index] };
+      } catch (error) {
+        results[index] = { url: urls[index], error: error.name === 'TimeoutError' ? 'Timed out' : (error.cause ? error.cause.message : error.message) };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(HEAD_MEDIA_CONCURRENCY, urls.length) }, worker));
+  res.json({ results });
 });
 
-// Download direct media (images, videos, etc.) with CORS proxy
+// Download direct media (images, videos, etc.) through the server
 app.post('/api/download-direct', async (req, res) => {
   const { url, filename } = req.body;
 
@@ -3008,18 +6789,14 @@ app.post('/api/download-direct', async (req, res) => {
   }
 
   try {
-    // Try direct download first
+    // The timeout covers the wait for response headers; the body may take as long as it needs
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PAGE_TIMEOUT_MS);
     let response;
     try {
-      response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
-    } catch (error) {
-      // If direct download fails, try CORS proxy
-      const proxyUrl = `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`;
-      response = await fetch(proxyUrl);
+      ({ response } = await fetchFollowingRedirects(url, { signal: controller.signal }));
+    } finally {
+      clearTimeout(timer);
     }
 
     if (!response.ok) {
@@ -3029,12 +6806,17 @@ app.post('/api/download-direct', async (req, res) => {
     // Set appropriate headers for file download
     const contentType = response.headers.get('content-type') || 'application/octet-stream';
     res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // The client-supplied name goes out percent-encoded, with a sanitized fallback for the quoted form
+    const encodedFilename = encodeURIComponent(filename).replace(/'/g, '%27');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}; filename="${sanitizeFilename(filename)}"`);
 
     // Stream the response to client
-    response.body.pipe(res);
+    Readable.fromWeb(response.body).pipe(res);
 
   } catch (error) {
+    if (error.code === 'PRIVATE_ADDRESS') {
+      return res.status(403).json({ error: 'URL not allowed', details: error.message });
+    }
     console.error('Direct download error:', error);
     res.status(500).json({
       error: 'Failed to download file',
@@ -3426,18 +7208,7 @@ app.post('/api/video-info', async (req, res) => {
         try {
           const videoInfo = JSON.parse(stdout.trim());
 
-          // Extract relevant information
-          const info = {
-            title: videoInfo.title || 'Unknown Title',
-            duration: videoInfo.duration || 0, // Duration in seconds
-            durationString: videoInfo.duration_string || '0:00',
-            uploader: videoInfo.uploader || videoInfo.channel || 'Unknown',
-            thumbnail: videoInfo.thumbnail,
-            description: videoInfo.description,
-            viewCount: videoInfo.view_count,
-            uploadDate: videoInfo.upload_date,
-            platform: detectPlatform(url)
-          };
+          const info = buildVideoInfo(videoInfo, url);
 
           res.json(info);
         } catch (parseError) {
@@ -3510,17 +7281,7 @@ app.post('/api/video-info', async (req, res) => {
               if (rCode === 0 && rOut.trim()) {
                 try {
                   const videoInfo = JSON.parse(rOut.trim());
-                  const info = {
-                    title: videoInfo.title || 'Unknown Title',
-                    duration: videoInfo.duration || 0,
-                    durationString: videoInfo.duration_string || '0:00',
-                    uploader: videoInfo.uploader || videoInfo.channel || 'Unknown',
-                    thumbnail: videoInfo.thumbnail,
-                    description: videoInfo.description,
-                    viewCount: videoInfo.view_count,
-                    uploadDate: videoInfo.upload_date,
-                    platform: detectPlatform(url)
-                  };
+                  const info = buildVideoInfo(videoInfo, url);
                   res.json(info);
                 } catch (e) {
                   console.error('Fallback JSON parse failed:', e);
@@ -3572,17 +7333,7 @@ app.post('/api/video-info', async (req, res) => {
             if (rOut.trim()) {
               try {
                 const videoInfo = JSON.parse(rOut.trim());
-                const info = {
-                  title: videoInfo.title || 'Unknown Title',
-                  duration: videoInfo.duration || 0,
-                  durationString: videoInfo.duration_string || '0:00',
-                  uploader: videoInfo.uploader || videoInfo.channel || 'Unknown',
-                  thumbnail: videoInfo.thumbnail,
-                  description: videoInfo.description,
-                  viewCount: videoInfo.view_count,
-                  uploadDate: videoInfo.upload_date,
-                  platform: detectPlatform(url)
-                };
+                const info = buildVideoInfo(videoInfo, url);
                 return res.json(info);
               } catch (parseError) {
                 console.error('Error parsing video info JSON (android retry):', parseError);
@@ -3642,7 +7393,7 @@ app.post('/api/video-info', async (req, res) => {
           webRetry.on('close', () => {
             if (wOut.trim()) {
               try {
-                return res.json(JSON.parse(wOut.trim()));
+                return res.json(buildVideoInfo(JSON.parse(wOut.trim()), url));
               } catch (e) { console.error('Web retry parse error', e); }
             }
             // If web retry fails, return original error
@@ -3689,164 +7440,925 @@ app.post('/api/video-info', async (req, res) => {
   }
 });
 
-// Probe audio channels in uploaded video
-app.post('/api/probe-audio', upload.single('video'), async (req, res) => {
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-probe-'));
+// List the entries of a playlist or channel without downloading them
+// Uses yt-dlp flat extraction so even large playlists return quickly
+const MAX_PLAYLIST_ENTRIES = parseInt(process.env.MAX_PLAYLIST_ENTRIES) || 500;
+
+app.post('/api/playlist-info', async (req, res) => {
+  const { url, limit } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
+  const playlistEnd = Math.min(parseInt(limit) || MAX_PLAYLIST_ENTRIES, MAX_PLAYLIST_ENTRIES);
+
+  try {
+    const ytDlpArgs = [
+      '--flat-playlist',
+      '--dump-single-json',
+      '--yes-playlist',
+      '--no-warnings',
+      '--socket-timeout', '15',
+      '--extractor-retries', '1',
+      '--playlist-end', String(playlistEnd)
+    ];
+
+    if (url.includes('youtube.com') || url.includes('youtu.be')) {
+      const localCookiesPath = path.resolve('.cookies/accounts/default.txt');
+      if (fs.existsSync(localCookiesPath)) {
+        ytDlpArgs.push('--cookies', localCookiesPath);
+      } else if (process.env.YOUTUBE_COOKIES_PATH && fs.existsSync(process.env.YOUTUBE_COOKIES_PATH)) {
+        ytDlpArgs.push('--cookies', process.env.YOUTUBE_COOKIES_PATH);
+      }
+    }
+
+    ytDlpArgs.push(url);
+
+    const ytDlpPath = await getYtDlpPath();
+    let command, commandArgs;
+    if (ytDlpPath.includes(' ')) {
+      const parts = ytDlpPath.split(' ');
+      command = parts[0];
+      commandArgs = [...parts.slice(1), ...ytDlpArgs];
+    } else {
+      command = ytDlpPath;
+      commandArgs = ytDlpArgs;
+    }
+
+    const ytDlp = spawn(command, commandArgs);
+    let stdout = '';
+    let stderr = '';
+    let isResolved = false;
+
+    // Channels can take a while to page through, so allow more time than /api/video-info
+    const timeout = setTimeout(() => {
+      if (!isResolved) {
+        console.log('Playlist info request timed out, killing yt-dlp process');
+        ytDlp.kill('SIGKILL');
+        isResolved = true;
+        res.status(408).json({
+          error: 'Request timeout - playlist analysis took too long',
+          details: 'Try a smaller limit or a direct playlist URL instead of a whole channel.'
+        });
+      }
+    }, 60000);
+
+    ytDlp.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    ytDlp.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ytDlp.on('close', (code) => {
+      if (isResolved) {
+        return;
+      }
+
+      clearTimeout(timeout);
+      isResolved = true;
+
+      if (code !== 0 || !stdout.trim()) {
+        console.error('yt-dlp playlist stderr:', stderr);
+        return res.status(500).json({
+          error: 'Failed to get playlist information',
+          details: stderr || 'Unknown error'
+        });
+      }
+
+      try {
+        const playlist = JSON.parse(stdout.trim());
+
+        // A plain video URL comes back as a single video rather than a playlist
+        if (playlist._type !== 'playlist') {
+          return res.json({
+            isPlaylist: false,
+            title: playlist.title,
+            uploader: playlist.uploader || playlist.channel,
+            entryCount: 1,
+            entries: [{
+              index: 1,
+              id: playlist.id,
+              title: playlist.title || 'Untitled',
+              url: playlist.webpage_url || url,
+              duration: playlist.duration || null,
+              thumbnail: playlist.thumbnail || null
+            }]
+          });
+        }
+
+        // Channel URLs nest their tabs (Videos, Shorts, ...) as playlists; flatten one level
+        const rawEntries = (playlist.entries || []).flatMap(entry =>
+          entry && entry._type === 'playlist' && Array.isArray(entry.entries) ? entry.entries : [entry]
+        );
+
+        const entries = rawEntries
+          .filter(Boolean)
+          .slice(0, playlistEnd)
+          .map((entry, i) => {
+            const thumbnails = Array.isArray(entry.thumbnails) ? entry.thumbnails : [];
+            return {
+              index: i + 1,
+              id: entry.id,
+              title: entry.title || `Entry ${i + 1}`,
+              url: entry.url && /^https?:\/\//.test(entry.url)
+                ? entry.url
+                : (entry.ie_key === 'Youtube' || detectPlatform(url) === 'youtube') && entry.id
+                  ? `https://www.youtube.com/watch?v=${entry.id}`
+                  : entry.webpage_url || entry.url,
+              duration: entry.duration || null,
+              thumbnail: entry.thumbnail || (thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null)
+            };
+          })
+          .filter(entry => entry.url);
+
+        res.json({
+          isPlaylist: true,
+          id: playlist.id,
+          title: playlist.title || 'Untitled playlist',
+          uploader: playlist.uploader || playlist.channel || null,
+          platform: detectPlatform(url),
+          entryCount: entries.length,
+          totalCount: playlist.playlist_count || entries.length,
+          truncated: (playlist.playlist_count || 0) > entries.length,
+          entries
+        });
+      } catch (parseError) {
+        console.error('Error parsing playlist info JSON:', parseError);
+        res.status(500).json({ error: 'Failed to parse playlist information' });
+      }
+    });
+
+    ytDlp.on('error', (error) => {
+      if (isResolved) {
+        return;
+      }
+
+      clearTimeout(timeout);
+      isResolved = true;
+
+      console.error('yt-dlp process error:', error);
+      res.status(500).json({
+        error: 'Failed to start yt-dlp process',
+        details: error.message
+      });
+    });
+
+  } catch (error) {
+    console.error('Playlist info error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Frame rate fraction from ffprobe ('30000/1001') as a number, or null when unknown
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [numerator, denominator = '1'] = rate.split('/');
+  const value = Number(numerator) / Number(denominator);
+  return Number.isFinite(value) && value > 0 ? Math.round(value * 1000) / 1000 : null;
+}
+
+const numberOrNull = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+// HDR flavour from transfer characteristics and Dolby Vision side data
+function detectHdr(stream) {
+  const sideData = stream.side_data_list || [];
+  if (sideData.some(data => /dovi|dolby vision/i.test(data.side_data_type || ''))) return 'Dolby Vision';
+  if (stream.color_transfer === 'smpte2084') {
+    return sideData.some(data => /HDR10\+|HDR Dynamic Metadata SMPTE2094-40/i.test(data.side_data_type || '')) ? 'HDR10+' : 'HDR10';
+  }
+  if (stream.color_transfer === 'arib-std-b67') return 'HLG';
+  return null;
+}
+
+// Normalized report of a probeStreams() result: container, every stream, HDR/colour, timecode and cover art.
+// channels/presets are the /api/probe-audio routing data for the audio streams.
+function describeMedia(probe) {
+  const format = probe.format || {};
+  const formatTags = format.tags || {};
+  const rawStreams = probe.streams || [];
+
+  const streams = rawStreams.map(stream => {
+    const tags = stream.tags || {};
+    const disposition = stream.disposition || {};
+    const type = ['video', 'audio', 'subtitle', 'data', 'attachment'].includes(stream.codec_type) ? stream.codec_type : 'data';
+    const attachedPic = type === 'video' && disposition.attached_pic === 1;
+    const entry = {
+      index: stream.index,
+      type,
+      codec: stream.codec_name || (tags.mimetype ? tags.mimetype : 'unknown'),
+      codecLong: stream.codec_long_name || null,
+      profile: stream.profile || null,
+      bitRate: numberOrNull(stream.bit_rate || tags.BPS),
+      duration: numberOrNull(stream.duration),
+      language: tags.language || null,
+      title: tags.title || tags.handler_name || null,
+      default: disposition.default === 1,
+      forced: disposition.forced === 1
+    };
+
+    if (type === 'video') {
+      const { width, height } = getDisplaySize(stream);
+      Object.assign(entry, {
+        attachedPic,
+        width: stream.width || null,
+        height: stream.height || null,
+        displayWidth: width || null,
+        displayHeight: height || null,
+        sampleAspectRatio: stream.sample_aspect_ratio || null,
+        displayAspectRatio: stream.display_aspect_ratio || null,
+        fps: attachedPic ? null : parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate),
+        pixelFormat: stream.pix_fmt || null,
+        bitDepth: numberOrNull(stream.bits_per_raw_sample),
+        fieldOrder: stream.field_order || null,
+        color: {
+          range: stream.color_range || null,
+          space: stream.color_space || null,
+          transfer: stream.color_transfer || null,
+          primaries: stream.color_primaries || null
+        },
+        hdr: detectHdr(stream)
+      });
+    } else if (type === 'audio') {
+      Object.assign(entry, {
+        sampleRate: numberOrNull(stream.sample_rate),
+        channels: stream.channels || 0,
+        channelLayout: stream.channel_layout || null,
+        bitDepth: numberOrNull(stream.bits_per_raw_sample) || numberOrNull(stream.bits_per_sample) || null
+      });
+    } else if (type === 'attachment') {
+      entry.filename = tags.filename || null;
+    }
+
+    return entry;
+  });
+
+  // Timecode lives in the container tags (MOV/MXF), a video stream tag or a tmcd data track
+  const timecodeStream = rawStreams.find(stream => stream.tags && stream.tags.timecode);
+  const timecode = formatTags.timecode || (timecodeStream ? timecodeStream.tags.timecode : null);
+
+  const audioStreams = rawStreams.filter(stream => stream.codec_type === 'audio');
+  const { channels, presets } = describeAudioChannels(audioStreams);
+
+  return {
+    container: {
+      format: format.format_name || null,
+      formatLong: format.format_long_name || null,
+      size: numberOrNull(format.size),
+      bitRate: numberOrNull(format.bit_rate),
+      startTime: numberOrNull(format.start_time),
+      title: formatTags.title || null,
+      encoder: formatTags.encoder || null,
+      creationTime: formatTags.creation_time || null
+    },
+    duration: numberOrNull(format.duration),
+    timecode,
+    streams,
+    counts: ['video', 'audio', 'subtitle', 'data', 'attachment'].reduce((counts, type) => ({
+      ...counts,
+      [type]: streams.filter(stream => stream.type === type && !stream.attachedPic).length
+    }), {}),
+    attachedPictures: streams.filter(stream => stream.attachedPic).map(({ index, codec, width, height }) => ({ index, codec, width, height })),
+    hasVideo: streams.some(stream => stream.type === 'video' && !stream.attachedPic),
+    hasAudio: audioStreams.length > 0,
+    channels,
+    presets
+  };
+}
+
+// Routing source list for the audio streams: global channel indices across every stream, plus presets
+function describeAudioChannels(audioStreams) {
+  const channels = [];
+  audioStreams.forEach((stream, streamIndex) => {
+    const streamChannels = stream.channels || 0;
+    const streamLayout = stream.channel_layout || 'unknown';
+    for (let i = 0; i < streamChannels; i++) {
+      channels.push({
+        index: channels.length,
+        label: `Stream ${streamIndex + 1} Ch ${i + 1}`,
+        description: `Stream ${streamIndex + 1} - ${getChannelDescription(i, streamLayout)}`,
+        stream: streamIndex,
+        position: streamChannels > 1 ? getChannelPosition(i, streamLayout) : null
+      });
+    }
+  });
+  return { channels, presets: channels.length > 0 ? buildAudioRoutingPresets(channels) : [] };
+}
+
+// Full media inspection: one ffprobe run, normalized for the UI and the convert pipeline.
+// Responds with describeMedia()'s report. Send loudness=true to also measure the first audio stream
+// (loudness is null otherwise, and when there is no audio or the analysis fails).
+app.post('/api/probe', upload.single('video'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video file provided' });
+    }
+
+    console.log(`[PROBE] Processing file: ${req.file.originalname} (${req.file.size} bytes)`);
+    const report = describeMedia(await probeStreams(req.file.path));
+    console.log(`[PROBE] ${report.container.format}, ${report.streams.length} streams, ${report.channels.length} audio channels`);
+
+    report.loudness = null;
+    if (report.hasAudio && req.body.loudness === 'true') {
+      try {
+        report.loudness = await measureSourceLoudness(req.file.path);
+      } catch (error) {
+        console.warn('[PROBE] Loudness analysis failed:', error.message);
+      }
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Media probe error:', error);
+    res.status(500).json({ error: 'Failed to probe media file', details: error.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// Audio-only view of /api/probe, kept for existing clients
+app.post('/api/probe-audio', upload.single('video'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video file provided' });
+    }
+
+    console.log(`[PROBE-AUDIO] Processing file: ${req.file.originalname} (${req.file.size} bytes)`);
+    const report = describeMedia(await probeStreams(req.file.path));
+    const audioStreams = report.streams.filter(stream => stream.type === 'audio');
+
+    if (audioStreams.length === 0) {
+      console.log(`[PROBE-AUDIO] No audio streams found - video-only file`);
+      return res.json({
+        channels: [],
+        hasAudio: false,
+        message: 'This video file contains no audio streams. Video conversion will proceed without audio processing.'
+      });
+    }
+
+    const firstAudioStream = audioStreams[0];
+    res.json({
+      channels: report.channels,
+      hasAudio: true,
+      channelCount: report.channels.length,
+      channelLayout: audioStreams.length > 1 ? 'multi-stream' : (firstAudioStream.channelLayout || 'unknown'),
+      streamCount: audioStreams.length,
+      streamInfo: {
+        codec: firstAudioStream.codec,
+        sampleRate: firstAudioStream.sampleRate,
+        bitRate: firstAudioStream.bitRate
+      },
+      streams: audioStreams.map((stream, streamIndex) => ({
+        index: streamIndex,
+        codec: stream.codec,
+        channels: stream.channels,
+        channelLayout: stream.channelLayout || 'unknown',
+        language: stream.language || undefined,
+        title: stream.title || undefined
+      })),
+      presets: report.presets
+    });
+  } catch (error) {
+    console.error('Audio probe error:', error);
+    res.status(500).json({
+      error: 'Failed to probe audio channels',
+      details: error.message
+    });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// Grab a single frame from an uploaded video, used to place crop rectangles visually.
+// Responds with { image (JPEG data URL), width, height, time, duration }.
+app.post('/api/preview-frame', upload.single('video'), async (req, res) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-frame-'));
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video file provided' });
+    }
+
+    const requestedTime = req.body.time !== undefined ? parseFloat(req.body.time) : NaN;
+    if (req.body.time !== undefined && (isNaN(requestedTime) || requestedTime < 0)) {
+      return res.status(400).json({ error: 'Invalid time', details: 'time must be a non-negative number of seconds' });
+    }
+
+    const probe = await probeStreams(req.file.path);
+    const videoStream = (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    if (!videoStream) {
+      return res.status(400).json({ error: 'The file has no video stream to preview' });
+    }
+
+    // Default to 10% in, which skips most fade-ins and black leaders
+    const duration = parseFloat(probe.format && probe.format.duration) || 0;
+    const time = isNaN(requestedTime) ? duration * 0.1 : Math.min(requestedTime, Math.max(0, duration - 0.1));
+    const framePath = path.join(tempDir, 'frame.jpg');
+
+    await runFFmpeg(['-ss', time.toString(), '-i', req.file.path, '-frames:v', '1', '-q:v', '3', '-y', framePath], { timeout: 60000 });
+
+    const { width, height } = getDisplaySize(videoStream);
+    res.json({
+      image: `data:image/jpeg;base64,${fs.readFileSync(framePath).toString('base64')}`,
+      width,
+      height,
+      time: roundTime(time),
+      duration
+    });
+  } catch (error) {
+    console.error('Preview frame error:', error);
+    res.status(500).json({ error: 'Failed to extract preview frame', details: error.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+// Stills and previews from a video: one frame, N evenly spaced frames, a contact sheet or a short animated WebP/GIF
+const THUMBNAIL_MODES = ['frame', 'frames', 'sheet', 'animated'];
+// URLs ffmpeg can read as they are; anything else is treated as a page and resolved with yt-dlp
+const DIRECT_MEDIA_PATTERN = /\.(mp4|m4v|webm|mov|mkv|avi|flv|wmv|mxf|ts|m3u8|mpd)$/i;
 
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No video file provided' });
+// Multipart fields arrive as strings: the fallback when unset, otherwise the number (NaN if it isn't one)
+const numberField = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+// Returns { options } or { error } for a /api/thumbnails request body
+function validateThumbnailOptions(body) {
+  const mode = body.mode || 'frame';
+  if (!THUMBNAIL_MODES.includes(mode)) {
+    return { error: `mode must be one of ${THUMBNAIL_MODES.join(', ')}` };
+  }
+
+  const width = numberField(body.width, mode === 'frame' ? 640 : 320);
+  if (!isIntegerIn(width, 16, 1920)) {
+    return { error: 'width must be an integer from 16 to 1920 pixels' };
+  }
+
+  switch (mode) {
+    case 'frame': {
+      const time = numberField(body.time);
+      if (time !== undefined && !isNumberIn(time, 0, Infinity)) {
+        return { error: 'time must be a non-negative number of seconds' };
+      }
+      return { options: { mode, width, time } };
+    }
+    case 'frames': {
+      const count = numberField(body.count, 10);
+      if (!isIntegerIn(count, 1, 60)) {
+        return { error: 'count must be an integer from 1 to 60' };
+      }
+      return { options: { mode, width, count } };
     }
+    case 'sheet': {
+      const columns = numberField(body.columns, 4);
+      const rows = numberField(body.rows, 4);
+      if (!isIntegerIn(columns, 1, 10) || !isIntegerIn(rows, 1, 10)) {
+        return { error: 'columns and rows must be integers from 1 to 10' };
+      }
+      return { options: { mode, width, columns, rows, timestamps: body.timestamps !== false && body.timestamps !== 'false' } };
+    }
+    default: { // animated
+      const format = body.format || 'webp';
+      if (!ANIMATED_IMAGE_FORMATS.includes(format)) {
+        return { error: `format must be one of ${ANIMATED_IMAGE_FORMATS.join(', ')}` };
+      }
+      const start = numberField(body.start);
+      const duration = numberField(body.duration, 3);
+      const fps = numberField(body.fps, 10);
+      if (start !== undefined && !isNumberIn(start, 0, Infinity)) {
+        return { error: 'start must be a non-negative number of seconds' };
+      }
+      if (!isNumberIn(duration, 0.5, 15)) {
+        return { error: 'duration must be from 0.5 to 15 seconds' };
+      }
+      if (!isIntegerIn(fps, 1, 30)) {
+        return { error: 'fps must be an integer from 1 to 30' };
+      }
+      return { options: { mode, width, format, start, duration, fps } };
+    }
+  }
+}
 
-    const inputPath = req.file.path;
-    console.log(`[PROBE-AUDIO] Processing file: ${req.file.originalname} (${req.file.mimetype})`);
-    console.log(`[PROBE-AUDIO] File size: ${req.file.size} bytes`);
-    console.log(`[PROBE-AUDIO] Temp path: ${inputPath}`);
-
-    // Use ffprobe to get audio stream information
-    const ffprobeArgs = [
-      '-v', 'quiet',
-      '-print_format', 'json',
-      '-show_streams',
-      '-select_streams', 'a',
-      inputPath
+// Output arguments for an animated WebP or GIF; GIFs get a palette generated from the clip itself.
+// filters are earlier -vf pieces (crop, overlays, ...) to run first; loop 0 repeats forever, N plays N times.
+function buildAnimatedImageArgs({ format, fps, width, loop = 0, quality = 75 }, filters = []) {
+  const chain = [...filters, `fps=${fps}`];
+  if (width) chain.push(`scale=${width}:-2:flags=lanczos`);
+  if (format === 'gif') {
+    // The GIF muxer counts repeats after the first play, with -1 for none
+    const repeats = loop === 0 ? 0 : loop - 1 || -1;
+    return [
+      '-an', '-vf', `${chain.join(',')},split[frames][palette];[palette]palettegen=stats_mode=diff[colors];[frames][colors]paletteuse=dither=bayer:bayer_scale=5`,
+      '-loop', String(repeats), '-f', 'gif'
     ];
+  }
+  return ['-an', '-vf', chain.join(','), '-c:v', 'libwebp', '-quality', String(quality), '-loop', String(loop), '-f', 'webp'];
+}
 
-    const ffprobeProcess = spawn('ffprobe', ffprobeArgs);
+// "1:02:03" / "02:03" label for contact sheet tiles
+function formatTimestampLabel(seconds) {
+  const total = Math.floor(seconds);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return total >= 3600 ? `${Math.floor(total / 3600)}:${minutes}:${secs}` : `${minutes}:${secs}`;
+}
 
-    let probeOutput = '';
-    let errorOutput = '';
+// Write one JPEG frame at time; resolves false when ffmpeg produced nothing (seeks past the last frame do that)
+async function extractThumbnailFrame(input, time, outputPath, { width, label, inputArgs = [] }) {
+  const filters = [`scale=${width}:-2`];
+  if (label) {
+    const fontSize = Math.max(10, Math.round(width / 16));
+    filters.push(`drawtext=text=${escapeFilterValue(label)}:fontsize=${fontSize}:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=4:x=w-text_w-6:y=h-text_h-6`);
+  }
+  await runFFmpeg(['-ss', roundTime(time).toString(), ...inputArgs, '-i', input, '-frames:v', '1', '-vf', filters.join(','), '-q:v', '3', '-y', outputPath], { timeout: 60000 });
+  return fs.existsSync(outputPath);
+}
 
-    ffprobeProcess.stdout.on('data', (data) => {
-      probeOutput += data.toString();
-    });
+const toDataUrl = (filePath, contentType) => `data:${contentType};base64,${fs.readFileSync(filePath).toString('base64')}`;
 
-    ffprobeProcess.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-    });
+// Direct stream URL for a page URL (first line of yt-dlp --get-url), preferring a video-only rendition up to 720p
+async function resolveMediaStreamUrl(url) {
+  const ytDlpArgs = ['--get-url', '--no-playlist', '--no-warnings', '--socket-timeout', '15', ...await getYtDlpProxyArgs(), '-f', 'bv*[height<=720]/b[height<=720]/bv*/b', url];
+  const ytDlpPath = await getYtDlpPath();
+  const [command, ...prefixArgs] = ytDlpPath.split(' ');
 
-    await new Promise((resolve, reject) => {
-      ffprobeProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          console.error('FFprobe stderr:', errorOutput);
-          reject(new Error(`FFprobe failed with code ${code}: ${errorOutput}`));
-        }
-      });
+  return new Promise((resolve, reject) => {
+    const ytDlp = spawn(command, [...prefixArgs, ...ytDlpArgs]);
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => {
+      ytDlp.kill('SIGKILL');
+      reject(new Error('Resolving the media URL timed out after 30 seconds'));
+    }, 30000);
+
+    ytDlp.stdout.on('data', (data) => { stdout += data.toString(); });
+    ytDlp.stderr.on('data', (data) => { stderr += data.toString(); });
+    ytDlp.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    ytDlp.on('close', (code) => {
+      clearTimeout(timer);
+      const streamUrl = stdout.split('\n').map(line => line.trim()).find(Boolean);
+      if (code === 0 && streamUrl) {
+        resolve(streamUrl);
+      } else {
+        reject(new Error(`yt-dlp could not resolve a media stream: ${stderr.trim().slice(-300) || `exit code ${code}`}`));
+      }
     });
+  });
+}
 
-    if (!probeOutput.trim()) {
-      console.error('FFprobe returned empty output for file:', req.file.originalname);
-      return res.json({ channels: [], hasAudio: false, error: 'No probe data returned' });
+// ffmpeg input for a thumbnails request: the upload, a completed download job's file, or a URL.
+// Returns { input, inputArgs } or { status, error, details }. URL inputs get getRemoteInputArgs().
+async function resolveThumbnailInput(req) {
+  if (req.file) {
+    return { input: req.file.path, inputArgs: [] };
+  }
+
+  const { jobId, url } = req.body;
+  if (jobId) {
+    const job = downloadJobs.get(jobId);
+    if (!job) {
+      return { status: 404, error: 'Job not found' };
     }
+    const artifactPath = job.status === 'completed' && job.file ? path.join(getJobDir(job.id), job.file.name) : null;
+    if (!artifactPath || !fs.existsSync(artifactPath)) {
+      return { status: 409, error: 'Job has no file available', details: `Job status is '${job.status}'` };
+    }
+    return { input: artifactPath, inputArgs: [] };
+  }
 
-    let probeData;
+  if (url) {
+    let parsed;
     try {
-      probeData = JSON.parse(probeOutput);
+      parsed = new URL(url);
     } catch (parseError) {
-      console.error('Failed to parse FFprobe output:', parseError.message);
-      console.error('Raw output:', probeOutput);
-      return res.status(500).json({
-        error: 'Failed to parse audio probe data',
-        details: parseError.message
-      });
+      return { status: 400, error: 'Invalid URL' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { status: 400, error: 'Invalid URL', details: 'Only http and https URLs are supported' };
+    }
+    try {
+      await assertPublicHost(parsed.href);
+    } catch (error) {
+      return error.code === 'PRIVATE_ADDRESS'
+        ? { status: 403, error: 'URL not allowed', details: error.message }
+        : { status: 422, error: 'Could not resolve the URL host', details: error.message };
+    }
+    const inputArgs = await getRemoteInputArgs();
+    if (DIRECT_MEDIA_PATTERN.test(parsed.pathname)) {
+      return { input: parsed.href, inputArgs };
+    }
+    try {
+      return { input: await resolveMediaStreamUrl(parsed.href), inputArgs };
+    } catch (error) {
+      return { status: 422, error: 'Could not find a video at this URL', details: error.message };
     }
+  }
 
-    const audioStreams = probeData.streams || [];
-    console.log(`[PROBE-AUDIO] Found ${audioStreams.length} audio streams`);
+  return { status: 400, error: 'No video provided', details: 'Upload a file in the video field, or send a url or jobId' };
+}
 
-    if (audioStreams.length === 0) {
-      console.log(`[PROBE-AUDIO] No audio streams found - video-only file`);
-      return res.json({
-        channels: [],
-        hasAudio: false,
-        message: 'This video file contains no audio streams. Video conversion will proceed without audio processing.'
-      });
-    }
+// URL sources cost a yt-dlp resolve, an ffprobe and several remote seeks each, so only a few requests
+// run at a time and the rest wait in line (up to THUMBNAIL_QUEUE_LIMIT, then 503)
+const THUMBNAIL_CONCURRENCY = parseInt(process.env.THUMBNAIL_CONCURRENCY) || 2;
+const THUMBNAIL_QUEUE_LIMIT = 50;
+const thumbnailQueue = [];
+let activeThumbnailRequests = 0;
+
+function acquireThumbnailSlot() {
+  if (activeThumbnailRequests < THUMBNAIL_CONCURRENCY) {
+    activeThumbnailRequests++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => thumbnailQueue.push(resolve));
+}
 
-    // Handle MXF files with multiple mono streams by aggregating all channels
-    const channels = [];
-    let totalChannels = 0;
+// Hand the slot straight to the next waiting request
+function releaseThumbnailSlot() {
+  const next = thumbnailQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activeThumbnailRequests--;
+  }
+}
 
-    audioStreams.forEach((stream, streamIndex) => {
-      const streamChannels = stream.channels || 0;
-      const streamLayout = stream.channel_layout || 'unknown';
+// Thumbnails for an uploaded video (multipart field "video"), a finished download job (jobId) or a URL.
+// Every image comes back as a data URL, alongside the source's display size and duration:
+//   frame    { time, width } -> { image, time }
+//   frames   { count, width } -> { frames: [{ time, image }] }
+//   sheet    { columns, rows, width (per tile), timestamps } -> { image, columns, rows, times }
+//   animated { format: webp | gif, start, duration, fps, width } -> { image, format, start, length }
+app.post('/api/thumbnails', upload.single('video'), async (req, res) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnails-'));
+  let hasSlot = false;
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
 
-      console.log(`[PROBE-AUDIO] Stream ${streamIndex}: ${streamChannels} channels, Layout: ${streamLayout}`);
+  try {
+    const validation = validateThumbnailOptions(req.body);
+    if (validation.error) {
+      return res.status(400).json({ error: 'Invalid thumbnail options', details: validation.error });
+    }
 
-      for (let i = 0; i < streamChannels; i++) {
-        channels.push({
-          index: totalChannels,
-          label: `Stream ${streamIndex + 1} Ch ${i + 1}`,
-          description: `Stream ${streamIndex + 1} - ${getChannelDescription(i, streamLayout)}`
-        });
-        totalChannels++;
-      }
-    });
+    if (thumbnailQueue.length >= THUMBNAIL_QUEUE_LIMIT) {
+      return res.status(503).json({ error: 'Thumbnail service is busy', details: 'Too many thumbnail requests are waiting; try again shortly' });
+    }
+    await acquireThumbnailSlot();
+    hasSlot = true;
+    // Cards scrolled past (or pages closed) while waiting don't need their frames any more
+    if (clientGone) return;
+
+    const source = await resolveThumbnailInput(req);
+    if (source.error) {
+      return res.status(source.status).json({ error: source.error, details: source.details });
+    }
+    const { input, inputArgs } = source;
+    const options = { ...validation.options, inputArgs };
 
-    console.log(`[PROBE-AUDIO] Total channels across all streams: ${totalChannels}`);
+    const probe = await probeStreams(input, inputArgs);
+    const videoStream = (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    if (!videoStream) {
+      return res.status(400).json({ error: 'The media has no video stream to take thumbnails from' });
+    }
+    const duration = parseFloat(probe.format && probe.format.duration) || 0;
+    const { width, height } = getDisplaySize(videoStream);
+    // Keep seeks inside the stream so the last frames still decode
+    const clampTime = (time) => (duration > 0 ? Math.max(0, Math.min(time, duration - 0.1)) : time);
+    const spacedTimes = (count) => Array.from({ length: count }, (_, index) => clampTime(duration * (index + 0.5) / count));
+    if (options.mode !== 'frame' && options.mode !== 'animated' && duration <= 0) {
+      return res.status(400).json({ error: 'Spaced thumbnails need a known duration', details: 'Use mode=frame for live or unbounded streams' });
+    }
 
-    // Use first stream info for codec details
-    const firstAudioStream = audioStreams[0];
-    const channelLayout = audioStreams.length > 1 ? 'multi-stream' : (firstAudioStream.channel_layout || 'unknown');
+    console.log(`[THUMBNAILS] ${options.mode} from ${req.file ? req.file.originalname : input.slice(0, 120)} (${duration}s)`);
+    const result = { mode: options.mode, duration, width, height };
 
-    const response = {
-      channels,
-      hasAudio: true,
-      channelCount: totalChannels,
-      channelLayout,
-      streamCount: audioStreams.length,
-      streamInfo: {
-        codec: firstAudioStream.codec_name,
-        sampleRate: firstAudioStream.sample_rate,
-        bitRate: firstAudioStream.bit_rate
+    switch (options.mode) {
+      case 'frame': {
+        // Default to 10% in, which skips most fade-ins and black leaders
+        const time = clampTime(options.time === undefined ? duration * 0.1 : options.time);
+        const framePath = path.join(tempDir, 'frame.jpg');
+        if (!await extractThumbnailFrame(input, time, framePath, options)) {
+          return res.status(422).json({ error: 'No frame could be decoded at this time' });
+        }
+        Object.assign(result, { image: toDataUrl(framePath, 'image/jpeg'), time: roundTime(time) });
+        break;
       }
-    };
-    console.log(`[PROBE-AUDIO] Sending response:`, JSON.stringify(response, null, 2));
-    res.json(response);
+      case 'frames': {
+        const frames = [];
+        for (const [index, time] of spacedTimes(options.count).entries()) {
+          const framePath = path.join(tempDir, `frame_${index}.jpg`);
+          if (await extractThumbnailFrame(input, time, framePath, options)) {
+            frames.push({ time: roundTime(time), image: toDataUrl(framePath, 'image/jpeg') });
+          }
+        }
+        result.frames = frames;
+        break;
+      }
+      case 'sheet': {
+        // Tiles are numbered by success so the tile filter gets a gapless sequence
+        const times = [];
+        for (const time of spacedTimes(options.columns * options.rows)) {
+          const tilePath = path.join(tempDir, `tile_${String(times.length).padStart(3, '0')}.jpg`);
+          const label = options.timestamps ? formatTimestampLabel(time) : undefined;
+          if (await extractThumbnailFrame(input, time, tilePath, { width: options.width, label, inputArgs })) {
+            times.push(roundTime(time));
+          }
+        }
+        if (times.length === 0) {
+          return res.status(422).json({ error: 'No frames could be decoded for the contact sheet' });
+        }
+        const sheetPath = path.join(tempDir, 'sheet.jpg');
+        await runFFmpeg([
+          '-framerate', '1', '-i', path.join(tempDir, 'tile_%03d.jpg'),
+          '-vf', `tile=${options.columns}x${options.rows}:padding=4:margin=4:color=black`,
+          '-frames:v', '1', '-q:v', '3', '-y', sheetPath
+        ], { timeout: 60000 });
+        Object.assign(result, { image: toDataUrl(sheetPath, 'image/jpeg'), columns: options.columns, rows: options.rows, times });
+        break;
+      }
+      default: { // animated
+        const start = clampTime(options.start === undefined ? duration * 0.1 : options.start);
+        const length = duration > 0 ? Math.min(options.duration, duration - start) : options.duration;
+        const previewPath = path.join(tempDir, `preview.${options.format}`);
+        await runFFmpeg(['-ss', start.toString(), ...inputArgs, '-i', input, '-t', length.toString(), ...buildAnimatedImageArgs(options), '-y', previewPath], { timeout: 120000 });
+        Object.assign(result, {
+          image: toDataUrl(previewPath, `image/${options.format}`),
+          format: options.format,
+          start: roundTime(start),
+          length: roundTime(length)
+        });
+      }
+    }
 
+    res.json(result);
   } catch (error) {
-    console.error('Audio probe error:', error);
-    res.status(500).json({
-      error: 'Failed to probe audio channels',
-      details: error.message
-    });
+    console.error('Thumbnail generation error:', error);
+    res.status(500).json({ error: 'Failed to generate thumbnails', details: error.message });
   } finally {
-    // Clean up temp files
+    if (hasSlot) releaseThumbnailSlot();
     if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
-    if (fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
   }
 });
 
+// Channel order of ffmpeg's standard layouts, by position code
+const CHANNEL_LAYOUTS = {
+  'mono': ['FC'],
+  'stereo': ['FL', 'FR'],
+  '2.1': ['FL', 'FR', 'LFE'],
+  '3.0': ['FL', 'FR', 'FC'],
+  '3.0(back)': ['FL', 'FR', 'BC'],
+  '4.0': ['FL', 'FR', 'FC', 'BC'],
+  'quad': ['FL', 'FR', 'BL', 'BR'],
+  'quad(side)': ['FL', 'FR', 'SL', 'SR'],
+  '3.1': ['FL', 'FR', 'FC', 'LFE'],
+  '5.0': ['FL', 'FR', 'FC', 'BL', 'BR'],
+  '5.0(side)': ['FL', 'FR', 'FC', 'SL', 'SR'],
+  '4.1': ['FL', 'FR', 'FC', 'LFE', 'BC'],
+  '5.1': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR'],
+  '5.1(side)': ['FL', 'FR', 'FC', 'LFE', 'SL', 'SR'],
+  '6.0': ['FL', 'FR', 'FC', 'BC', 'SL', 'SR'],
+  '6.1': ['FL', 'FR', 'FC', 'LFE', 'BC', 'SL', 'SR'],
+  '6.1(back)': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'BC'],
+  '7.0': ['FL', 'FR', 'FC', 'BL', 'BR', 'SL', 'SR'],
+  '7.1': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'SL', 'SR'],
+  '7.1(wide)': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'FLC', 'FRC'],
+  '7.1(wide-side)': ['FL', 'FR', 'FC', 'LFE', 'FLC', 'FRC', 'SL', 'SR'],
+  'downmix': ['DL', 'DR']
+};
+
+const CHANNEL_NAMES = {
+  FL: 'Front Left',
+  FR: 'Front Right',
+  FC: 'Center',
+  LFE: 'LFE',
+  BL: 'Back Left',
+  BR: 'Back Right',
+  BC: 'Back Center',
+  SL: 'Side Left',
+  SR: 'Side Right',
+  FLC: 'Front Left of Center',
+  FRC: 'Front Right of Center',
+  DL: 'Downmix Left',
+  DR: 'Downmix Right'
+};
+
+// Position code of a channel within a stream layout, or null when the layout is unknown
+function getChannelPosition(index, layout) {
+  const positions = CHANNEL_LAYOUTS[(layout || '').toLowerCase()];
+  return positions && positions[index] ? positions[index] : null;
+}
+
 // Helper function to get channel description based on layout
 function getChannelDescription(index, layout) {
-  const commonLayouts = {
-    'mono': ['Center'],
-    'stereo': ['Left', 'Right'],
-    '2.1': ['Left', 'Right', 'LFE'],
-    '3.0': ['Left', 'Right', 'Center'],
-    '4.0': ['Front Left', 'Front Right', 'Back Left', 'Back Right'],
-    '5.0': ['Front Left', 'Front Right', 'Center', 'Back Left', 'Back Right'],
-    '5.1': ['Front Left', 'Front Right', 'Center', 'LFE', 'Back Left', 'Back Right'],
-    '7.1': ['Front Left', 'Front Right', 'Center', 'LFE', 'Back Left', 'Back Right', 'Side Left', 'Side Right']
-  };
+  const position = getChannelPosition(index, layout);
+  return position ? CHANNEL_NAMES[position] : `Channel ${index + 1}`;
+}
+
+// Routing presets offered by /api/probe-audio for the channels it found.
+// channels: [{ index, stream, position }] with global indices across all audio streams.
+function buildAudioRoutingPresets(channels) {
+  const presets = [];
+  const at = (position) => channels.find(channel => channel.position === position);
+  const source = (channel, gain = 0) => ({ channel: channel.index, gain });
+  const surround = ['FL', 'FR', 'FC', 'LFE'].every(position => at(position)) &&
+    ((at('BL') && at('BR')) || (at('SL') && at('SR')));
+
+  if (surround) {
+    // ITU-R BS.775 downmix: centre and surrounds at -3 dB, LFE dropped
+    const surroundsFor = (side) => ['B', 'S'].map(prefix => at(`${prefix}${side}`)).filter(Boolean).map(channel => source(channel, -3));
+    presets.push({
+      id: 'stereo-downmix',
+      label: 'Stereo downmix (ITU, LFE dropped)',
+      tracks: [{
+        layout: 'stereo',
+        channels: [
+          [source(at('FL')), source(at('FC'), -3), ...surroundsFor('L')],
+          [source(at('FR')), source(at('FC'), -3), ...surroundsFor('R')]
+        ]
+      }]
+    });
+  }
+
+  // Six discrete channels without a known surround layout (e.g. six mono tracks) map straight onto 5.1
+  if (!surround && channels.length === 6) {
+    presets.push({
+      id: 'discrete-5.1',
+      label: 'Channels 1-6 as 5.1 (L R C LFE Ls Rs)',
+      tracks: [{ layout: '5.1', channels: channels.slice(0, 6).map(channel => [source(channel)]) }]
+    });
+  }
+
+  // Broadcast sources carry pairs of mono tracks (MXF): one stereo output track per pair
+  const monoChannels = channels.filter(channel => channel.position === null);
+  if (monoChannels.length >= 4 && monoChannels.length === channels.length) {
+    const pairs = [];
+    for (let i = 0; i + 1 < monoChannels.length && pairs.length < MAX_ROUTED_TRACKS; i += 2) {
+      pairs.push({
+        layout: 'stereo',
+        title: `Channels ${i + 1}-${i + 2}`,
+        channels: [[source(monoChannels[i])], [source(monoChannels[i + 1])]]
+      });
+    }
+    presets.push({ id: 'stereo-pairs', label: `Stereo pairs (${pairs.length} tracks)`, tracks: pairs });
+  }
 
-  const layoutKey = layout.toLowerCase();
-  if (commonLayouts[layoutKey] && commonLayouts[layoutKey][index]) {
-    return commonLayouts[layoutKey][index];
+  if (channels.length >= 2) {
+    presets.push({
+      id: 'first-pair',
+      label: 'Channels 1-2 as stereo',
+      tracks: [{ layout: 'stereo', channels: [[source(channels[0])], [source(channels[1])]] }]
+    });
   }
 
-  return `Channel ${index + 1}`;
+  // Equal-power mono fold-down of everything except LFE
+  const mixable = channels.filter(channel => channel.position !== 'LFE').slice(0, MAX_ROUTING_SOURCES);
+  const mixGain = Math.round(-10 * Math.log10(mixable.length) * 10) / 10;
+  presets.push({
+    id: 'mono-mix',
+    label: 'Mono mix',
+    tracks: [{ layout: 'mono', channels: [mixable.map(channel => source(channel, mixGain))] }]
+  });
+
+  return presets;
 }
 
+// The video plus an optional subtitle file and watermark image; the video is exposed as req.file like upload.single
+const convertUpload = [
+  upload.fields([{ name: 'video', maxCount: 1 }, { name: 'subtitle', maxCount: 1 }, { name: 'watermarkImage', maxCount: 1 }]),
+  (req, res, next) => {
+    req.file = req.files && req.files.video ? req.files.video[0] : undefined;
+    req.subtitleFile = req.files && req.files.subtitle ? req.files.subtitle[0] : undefined;
+    req.watermarkFile = req.files && req.files.watermarkImage ? req.files.watermarkImage[0] : undefined;
+    next();
+  }
+];
+
 // Video conversion endpoint
-app.post('/api/convert-video', upload.single('video'), async (req, res) => {
+app.post('/api/convert-video', convertUpload, async (req, res) => {
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-convert-'));
+  for (const extraFile of [req.subtitleFile, req.watermarkFile].filter(Boolean)) {
+    res.on('close', () => fs.rmSync(extraFile.path, { force: true }));
+  }
 
   try {
     const { format = 'mp4', quality = 'medium', leftChannel, rightChannel, resolution, sessionId } = req.body;
@@ -3859,53 +8371,48 @@ app.post('/api/convert-video', upload.single('video'), async (req, res) => {
       return res.status(400).json({ error: 'No video file provided. Please upload a video file.' });
     }
 
-    // Input validation
-    const validFormats = ['mp4', 'avi', 'mov', 'mkv', 'webm', 'mp3', 'wav'];
-    const validQualities = ['low', 'medium', 'high', 'maximum'];
-    const validResolutions = ['original', '1920x1080', '1280x720', '854x480'];
-
-    if (!validFormats.includes(format)) {
-      return res.status(400).json({
-        error: 'Invalid format',
-        details: `Supported formats: ${validFormats.join(', ')}`
-      });
+    // Advanced encoder options arrive as a JSON string in the multipart body
+    let advanced;
+    if (req.body.advanced) {
+      try {
+        advanced = JSON.parse(req.body.advanced);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid advanced encoder options', details: 'advanced must be a JSON object' });
+      }
     }
 
-    if (!validQualities.includes(quality)) {
-      return res.status(400).json({
-        error: 'Invalid quality',
-        details: `Supported qualities: ${validQualities.join(', ')}`
-      });
+    const { audioRouting, loudness, subtitles, watermark, textOverlay, animation, packaging, fit, crop, rotate, flip, deinterlace, fps } = req.body;
+    const validation = validateConversionOptions({ format, quality, resolution, leftChannel, rightChannel, audioRouting, loudness, subtitles, watermark, textOverlay, animation, packaging, advanced, fit, crop, rotate, flip, deinterlace, fps });
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error, details: validation.details });
     }
+    const conversion = validation.options;
 
-    if (resolution && !validResolutions.includes(resolution)) {
+    // Subtitle options and the subtitle file come as a pair
+    if (Boolean(conversion.subtitles) !== Boolean(req.subtitleFile)) {
       return res.status(400).json({
-        error: 'Invalid resolution',
-        details: `Supported resolutions: ${validResolutions.join(', ')}`
+        error: 'Invalid subtitle options',
+        details: conversion.subtitles ? 'Upload the subtitle file in the subtitle field' : 'A subtitle file needs subtitles options { mode: "soft" | "burn" }'
       });
     }
+    if (conversion.subtitles) {
+      // ffmpeg and libass pick the subtitle format from the extension, which multer drops
+      const subtitlePath = path.join(tempDir, `subtitles${path.extname(req.subtitleFile.originalname).toLowerCase()}`);
+      fs.copyFileSync(req.subtitleFile.path, subtitlePath);
+      conversion.subtitles = { ...conversion.subtitles, file: subtitlePath };
+    }
 
-    // Validate channel parameters if provided
-    if ((leftChannel !== undefined || rightChannel !== undefined) &&
-      (leftChannel === undefined || rightChannel === undefined)) {
+    // Same for the watermark options and image
+    if (Boolean(conversion.watermark) !== Boolean(req.watermarkFile)) {
       return res.status(400).json({
-        error: 'Invalid channel mapping',
-        details: 'Both leftChannel and rightChannel must be provided together'
+        error: 'Invalid watermark options',
+        details: conversion.watermark ? 'Upload the watermark image in the watermarkImage field' : 'A watermark image needs watermark options { position, margin, scale, opacity }'
       });
     }
-
-    // Parse channel parameters
-    let leftCh, rightCh;
-    if (leftChannel !== undefined && rightChannel !== undefined) {
-      leftCh = parseInt(leftChannel);
-      rightCh = parseInt(rightChannel);
-
-      if (isNaN(leftCh) || isNaN(rightCh) || leftCh < 0 || rightCh < 0) {
-        return res.status(400).json({
-          error: 'Invalid channel indices',
-          details: 'Channel indices must be non-negative integers'
-        });
-      }
+    if (conversion.watermark) {
+      const watermarkPath = path.join(tempDir, `watermark${path.extname(req.watermarkFile.originalname).toLowerCase()}`);
+      fs.copyFileSync(req.watermarkFile.path, watermarkPath);
+      conversion.watermark = { ...conversion.watermark, file: watermarkPath };
     }
 
     // Set up input file path and filename
@@ -3921,303 +8428,84 @@ app.post('/api/convert-video', upload.single('video'), async (req, res) => {
     const outputFilename = `${originalFilename}_converted.${format}`;
     const outputPath = path.join(tempDir, outputFilename);
 
-    // Configure ffmpeg arguments based on format and quality
-    let ffmpegArgs = ['-i', inputPath];
-
-    // Handle audio channel mapping if specified
-    if (leftChannel !== undefined && rightChannel !== undefined) {
-      try {
-        // Validate channel parameters
-        const leftCh = parseInt(leftChannel);
-        const rightCh = parseInt(rightChannel);
-
-        if (isNaN(leftCh) || isNaN(rightCh) || leftCh < 0 || rightCh < 0) {
-          throw new Error(`Invalid channel parameters: left=${leftChannel}, right=${rightChannel}`);
-        }
-
-        console.log(`Debug: Mapping audio channels - Left: ${leftCh}, Right: ${rightCh}`);
-
-        // First, probe the input to determine the number of audio streams
-        const probeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-select_streams', 'a', inputPath];
-        const probeProcess = spawn('ffprobe', probeArgs);
-
-        let probeOutput = '';
-        let probeError = '';
-
-        probeProcess.stdout.on('data', (data) => {
-          probeOutput += data.toString();
-        });
-
-        probeProcess.stderr.on('data', (data) => {
-          probeError += data.toString();
-        });
-
-        await new Promise((resolve, reject) => {
-          probeProcess.on('close', (code) => {
-            if (code === 0 && probeOutput.trim()) {
-              resolve();
-            } else {
-              reject(new Error(`Failed to probe audio streams: ${probeError || 'No output'}`));
-            }
-          });
-        });
-
-        let probeData;
-        try {
-          probeData = JSON.parse(probeOutput);
-        } catch (parseError) {
-          throw new Error(`Failed to parse probe output: ${parseError.message}`);
-        }
-
-        const audioStreams = probeData.streams || [];
-        const streamCount = audioStreams.length;
-
-        if (streamCount === 0) {
-          console.log('No audio streams found - will process as video-only file');
-          // For video-only files, skip audio channel mapping and continue with conversion
-        } else {
-
-          console.log(`Debug: Found ${streamCount} audio streams`);
-
-          // Validate channel indices against available channels
-          let totalChannels = 0;
-          audioStreams.forEach(stream => {
-            totalChannels += stream.channels || 1;
-          });
-
-          if (leftCh >= totalChannels || rightCh >= totalChannels) {
-            throw new Error(`Channel index out of range. Available channels: 0-${totalChannels - 1}, requested: ${leftCh}, ${rightCh}`);
-          }
-
-          if (streamCount > 1) {
-            // For multiple mono streams (like MXF), merge them first then map channels
-            ffmpegArgs.push(
-              '-filter_complex',
-              `amerge=inputs=${streamCount}[merged];[merged]channelmap=map=${leftCh}|${rightCh}:channel_layout=stereo[aout]`,
-              '-map', '0:v:0',
-              '-map', '[aout]',
-              '-avoid_negative_ts', 'make_zero'
-            );
-          } else {
-            // For single stream with multiple channels
-            const audioStream = audioStreams[0];
-            const channels = audioStream.channels || 1;
-
-            if (channels === 2 && leftCh === 0 && rightCh === 1) {
-              // If it's already stereo and we want L=0, R=1, just copy the audio
-              ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0');
-            } else if (channels >= 2) {
-              // For stereo/multi-channel, use channel mapping
-              ffmpegArgs.push(
-                '-filter_complex',
-                `[0:a]channelmap=map=${leftCh}|${rightCh}:channel_layout=stereo[aout]`,
-                '-map', '0:v:0',
-                '-map', '[aout]',
-                '-avoid_negative_ts', 'make_zero'
-              );
-            } else {
-              // For mono, duplicate the channel
-              ffmpegArgs.push(
-                '-filter_complex',
-                `[0:a]channelmap=map=0|0:channel_layout=stereo[aout]`,
-                '-map', '0:v:0',
-                '-map', '[aout]',
-                '-avoid_negative_ts', 'make_zero'
-              );
-            }
-          }
-        } // Close the else block from the streamCount check
-      } catch (channelError) {
-        console.error('Audio channel mapping error:', channelError.message);
-        throw new Error(`Audio channel mapping failed: ${channelError.message}`);
-      }
-    }
-
-    // Check if we should use stream copy for same format conversion
-    // Disable stream copy if resolution scaling is requested
-    const useStreamCopy = req.file.originalname.toLowerCase().endsWith('.mp4') && format === 'mp4' && quality === 'medium' && (leftChannel === undefined && rightChannel === undefined) && (!resolution || resolution === 'original');
-
-    if (leftChannel === undefined && rightChannel === undefined && !useStreamCopy) {
-      // For basic conversion without channel mapping, explicitly map only main streams
-      // This excludes attached pictures and other metadata streams
-      // Check if input has audio streams first
-      try {
-        const probeResult = spawn('ffprobe', [
-          '-v', 'quiet',
-          '-print_format', 'json',
-          '-show_streams',
-          '-select_streams', 'a',
-          inputPath
-        ]);
-
-        let probeOutput = '';
-        probeResult.stdout.on('data', (data) => {
-          probeOutput += data.toString();
-        });
-
-        await new Promise((resolve, reject) => {
-          probeResult.on('close', (code) => {
-            if (code === 0) {
-              try {
-                const probeData = JSON.parse(probeOutput);
-                const hasAudio = probeData.streams && probeData.streams.length > 0;
-
-                if (hasAudio) {
-                  ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0?');
-                } else {
-                  console.log('No audio streams detected - processing as video-only');
-                  ffmpegArgs.push('-map', '0:v:0', '-an'); // -an excludes audio
-                }
-                resolve();
-              } catch (parseError) {
-                // Fallback to original mapping if probe fails
-                ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0?');
-                resolve();
-              }
-            } else {
-              // Fallback to original mapping if probe fails
-              ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0?');
-              resolve();
-            }
-          });
-        });
-      } catch (error) {
-        // Fallback to original mapping if probe fails
-        ffmpegArgs.push('-map', '0:v:0', '-map', '0:a:0?');
-      }
+    // Probe once; every later step (stream mapping, filters, passes, progress) reuses this result.
+    // The argument builder falls back to plain stream mapping when probing fails.
+    let probe = null;
+    let media = null;
+    try {
+      probe = await probeStreams(inputPath);
+      media = describeMedia(probe);
+      console.log(`[CONVERT] Source: ${media.container.format}, ${media.duration}s, ${media.counts.video} video / ${media.counts.audio} audio / ${media.counts.subtitle} subtitle streams`);
+    } catch (error) {
+      console.warn('Could not probe input streams:', error.message);
     }
 
-    // Resolution scaling (skip for stream copy and audio-only formats)
-    if (!useStreamCopy && resolution && resolution !== 'original' && !['mp3', 'wav'].includes(format)) {
-      // Parse resolution string (e.g., "1280x720" -> width=1280, height=720)
-      const [width, height] = resolution.split('x').map(Number);
-      // Add scaling filter with proper width and height values
-      ffmpegArgs.push('-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`);
-    }
+    // Streaming packages: encode the rendition ladder into a directory and send it back zipped
+    if (conversion.packaging) {
+      const packageDir = path.join(tempDir, 'package');
+      fs.mkdirSync(packageDir);
+      const packagingArgs = buildPackagingArgs(inputPath, conversion, probe, packageDir);
+      const stage = conversion.packaging.dash ? 'Packaging DASH + HLS' : 'Packaging HLS';
+      console.log(`[CONVERT] ${stage}: ffmpeg ${packagingArgs.join(' ')}`);
+      await runFFmpeg(packagingArgs, {
+        timeout: 2 * 60 * 60 * 1000,
+        onStderr: reportFFmpegProgress(media && media.duration, (fraction) => {
+          if (sessionId) sendProgressUpdate(sessionId, 'conversion', fraction * 95, { stage });
+        })
+      });
 
-    // Quality settings (skip for stream copy)
-    if (!useStreamCopy) {
-      switch (quality) {
-        case 'low':
-          ffmpegArgs.push('-crf', '28', '-preset', 'fast');
-          break;
-        case 'high':
-          ffmpegArgs.push('-crf', '18', '-preset', 'slow');
-          break;
-        case 'maximum':
-          ffmpegArgs.push('-crf', '15', '-preset', 'veryslow');
-          break;
-        default: // medium
-          ffmpegArgs.push('-crf', '23', '-preset', 'medium');
-      }
+      const zipFilename = sanitizeFilename(`${originalFilename}_${conversion.packaging.dash ? 'dash' : 'hls'}.zip`);
+      const zipPath = path.join(tempDir, zipFilename);
+      const entries = fs.readdirSync(packageDir, { recursive: true })
+        .filter(name => fs.statSync(path.join(packageDir, name)).isFile())
+        .map(name => ({ path: path.join(packageDir, name), name: name.split(path.sep).join('/') }));
+      if (sessionId) sendProgressUpdate(sessionId, 'conversion', 95, { stage: 'Creating ZIP' });
+      await writeArchive(zipPath, entries);
+
+      res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+      res.setHeader('Content-Type', 'application/zip');
+      const zipStream = fs.createReadStream(zipPath);
+      zipStream.pipe(res);
+      zipStream.on('end', () => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      });
+      return;
     }
 
-    // Format-specific settings
-    switch (format) {
-      case 'webm':
-        ffmpegArgs.push('-c:v:0', 'libvpx-vp9', '-c:a:0', 'libopus');
-        break;
-      case 'avi':
-        ffmpegArgs.push('-c:v:0', 'libx264', '-c:a:0', 'aac', '-pix_fmt', 'yuv420p');
-        break;
-      case 'mov':
-        ffmpegArgs.push('-c:v:0', 'libx264', '-c:a:0', 'aac', '-pix_fmt', 'yuv420p', '-profile:v', 'baseline', '-movflags', '+faststart');
-        break;
-      case 'mkv':
-        ffmpegArgs.push('-c:v:0', 'libx264', '-c:a:0', 'aac', '-pix_fmt', 'yuv420p');
-        break;
-      case 'mp3':
-        // Check if input has audio before attempting audio-only conversion
-        try {
-          const probeResult = spawn('ffprobe', [
-            '-v', 'quiet',
-            '-print_format', 'json',
-            '-show_streams',
-            '-select_streams', 'a',
-            inputPath
-          ]);
-
-          let probeOutput = '';
-          probeResult.stdout.on('data', (data) => {
-            probeOutput += data.toString();
-          });
-
-          await new Promise((resolve, reject) => {
-            probeResult.on('close', (code) => {
-              if (code === 0) {
-                try {
-                  const probeData = JSON.parse(probeOutput);
-                  const hasAudio = probeData.streams && probeData.streams.length > 0;
-
-                  if (hasAudio) {
-                    ffmpegArgs.push('-vn', '-c:a', 'libmp3lame', '-b:a', '192k');
-                  } else {
-                    throw new Error('Cannot convert video-only file to MP3 format - no audio streams available');
-                  }
-                  resolve();
-                } catch (parseError) {
-                  reject(new Error('Cannot convert to MP3 - audio stream detection failed'));
-                }
-              } else {
-                reject(new Error('Cannot convert to MP3 - audio stream detection failed'));
-              }
-            });
-          });
-        } catch (error) {
-          throw error;
+    // Check if we should use stream copy for same format conversion
+    const useStreamCopy = canStreamCopyConversion(req.file.originalname, conversion);
+
+    // Loudness analysis (audio only, quick) takes the first 10% of the progress bar
+    let loudnessMeasurements;
+    const loudnessShare = conversion.loudness ? 10 : 0;
+    if (conversion.loudness) {
+      console.log(`[CONVERT] Measuring loudness for target ${conversion.loudness.integrated} LUFS`);
+      loudnessMeasurements = await measureConversionLoudness(inputPath, conversion, probe, {
+        onProgress: (fraction) => {
+          if (sessionId) sendProgressUpdate(sessionId, 'conversion', fraction * loudnessShare, { stage: 'Measuring loudness' });
         }
-        break;
-      case 'wav':
-        // Check if input has audio before attempting audio-only conversion
-        try {
-          const probeResult = spawn('ffprobe', [
-            '-v', 'quiet',
-            '-print_format', 'json',
-            '-show_streams',
-            '-select_streams', 'a',
-            inputPath
-          ]);
-
-          let probeOutput = '';
-          probeResult.stdout.on('data', (data) => {
-            probeOutput += data.toString();
-          });
-
-          await new Promise((resolve, reject) => {
-            probeResult.on('close', (code) => {
-              if (code === 0) {
-                try {
-                  const probeData = JSON.parse(probeOutput);
-                  const hasAudio = probeData.streams && probeData.streams.length > 0;
+      });
+    }
 
-                  if (hasAudio) {
-                    ffmpegArgs.push('-vn', '-c:a', 'pcm_s16le');
-                  } else {
-                    throw new Error('Cannot convert video-only file to WAV format - no audio streams available');
-                  }
-                  resolve();
-                } catch (parseError) {
-                  reject(new Error('Cannot convert to WAV - audio stream detection failed'));
-                }
-              } else {
-                reject(new Error('Cannot convert to WAV - audio stream detection failed'));
-              }
-            });
-          });
-        } catch (error) {
-          throw error;
-        }
-        break;
-      default: // mp4
-        if (useStreamCopy) {
-          // Use stream copy for same format with default quality to avoid codec conflicts
-          // Don't use complex mapping with stream copy
-          ffmpegArgs.push('-c:v', 'copy', '-c:a', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart');
-        } else {
-          // Re-encode with compatible settings for quality changes or different input formats
-          ffmpegArgs.push('-c:v:0', 'libx264', '-c:a:0', 'aac', '-pix_fmt', 'yuv420p', '-profile:v', 'baseline', '-movflags', '+faststart');
+    // Two-pass: the analysis pass reports the first half of the remaining progress bar
+    const twoPass = Boolean(conversion.advanced && conversion.advanced.twoPass);
+    const passLogFile = path.join(tempDir, 'ffmpeg2pass');
+    if (twoPass) {
+      console.log('[CONVERT] Running first pass');
+      await runConversionFirstPass(inputPath, conversion, probe, passLogFile, {
+        onProgress: (fraction) => {
+          if (sessionId) sendProgressUpdate(sessionId, 'conversion', loudnessShare + fraction * (100 - loudnessShare) / 2, { stage: 'First pass' });
         }
+      });
     }
+    const progressBase = twoPass ? loudnessShare + (100 - loudnessShare) / 2 : loudnessShare;
+
+    const ffmpegArgs = buildConversionArgs(inputPath, conversion, probe, {
+      streamCopy: useStreamCopy,
+      pass: twoPass ? 2 : undefined,
+      passLogFile,
+      loudnorm: loudnessMeasurements
+    });
 
     // Add progress tracking arguments
     ffmpegArgs.push('-progress', 'pipe:2', '-y', outputPath);
@@ -4229,7 +8517,7 @@ app.post('/api/convert-video', upload.single('video'), async (req, res) => {
 
     let conversionOutput = '';
     let conversionError = '';
-    let videoDuration = null;
+    let videoDuration = media && media.duration ? media.duration : null;
 
     ffmpegProcess.stdout.on('data', (data) => {
       conversionOutput += data.toString();
@@ -4244,7 +8532,7 @@ app.post('/api/convert-video', upload.single('video'), async (req, res) => {
       if (sessionId) {
         const lines = output.split('\n');
         for (const line of lines) {
-          // Extract video duration from initial output
+          // Extract video duration from initial output when the probe didn't provide it
           if (!videoDuration) {
             const durationMatch = line.match(/Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/);
             if (durationMatch) {
@@ -4262,7 +8550,7 @@ app.post('/api/convert-video', upload.single('video'), async (req, res) => {
             const minutes = parseInt(timeMatch[2]);
             const seconds = parseFloat(timeMatch[3]);
             const currentTime = hours * 3600 + minutes * 60 + seconds;
-            const progress = Math.min(100, (currentTime / videoDuration) * 100);
+            const progress = progressBase + Math.min(100, (currentTime / videoDuration) * 100) * (100 - progressBase) / 100;
 
             // Extract additional details
             const fpsMatch = line.match(/fps=\s*(\d+(?:\.\d+)?)/);
@@ -4332,6 +8620,13 @@ app.post('/api/convert-video', upload.single('video'), async (req, res) => {
       throw new Error('Conversion completed but output file not found');
     }
 
+    // Measured before/after loudness travels in a header alongside the file
+    if (loudnessMeasurements) {
+      const loudnessReport = buildLoudnessReport(conversion.loudness, loudnessMeasurements, conversionError);
+      console.log('[CONVERT] Loudness:', JSON.stringify(loudnessReport));
+      res.setHeader('X-Loudness-Report', JSON.stringify(loudnessReport));
+    }
+
     // Send the converted file
     res.setHeader('Content-Disposition', `attachment; filename="${outputFilename}"`);
     res.setHeader('Content-Type', 'application/octet-stream');
@@ -4394,4 +8689,12 @@ server.listen(PORT, '0.0.0.0', () => {
   }
   console.log(`WebSocket server available at: ws://localhost:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Pick up jobs that were queued or interrupted before the last shutdown
+  const pendingJobs = Array.from(downloadJobs.values()).filter(job => job.status === 'queued').length;
+  if (pendingJobs > 0) {
+    console.log(`♻️ Resuming ${pendingJobs} queued download job(s)`);
+    pumpJobQueue();
+  }
+  updateBatchJobs();
 });
@@ -0,0 +1,324 @@
+import React, { useEffect, useId, useState } from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { SlidersHorizontal } from "lucide-react";
+import { AdvancedEncoderOptions, AudioCodec, EncoderOptions, VideoCodec, VideoConversionService } from "@/services/VideoConversionService";
+
+interface AdvancedEncoderSettingsProps {
+  format: string;
+  value: AdvancedEncoderOptions | null;
+  onChange: (value: AdvancedEncoderOptions | null) => void;
+  disabled?: boolean;
+}
+
+const VIDEO_CODEC_LABELS: Record<VideoCodec, string> = {
+  h264: "H.264 (libx264)",
+  hevc: "H.265 / HEVC (libx265)",
+  vp9: "VP9 (libvpx)",
+  av1: "AV1 (SVT-AV1)",
+};
+
+const AUDIO_CODEC_LABELS: Record<AudioCodec, string> = {
+  aac: "AAC",
+  mp3: "MP3",
+  opus: "Opus",
+  vorbis: "Vorbis",
+  flac: "FLAC (lossless)",
+  pcm: "PCM 16-bit (uncompressed)",
+};
+
+const LOSSLESS_AUDIO: AudioCodec[] = ["flac", "pcm"];
+const DEFAULT_VALUE = "default";
+
+// Settings that only make sense for one video codec
+const CODEC_SPECIFIC_FIELDS: (keyof AdvancedEncoderOptions)[] = ["videoCodec", "crf", "preset", "profile", "level", "twoPass"];
+
+const parseNumber = (input: string) => (input === "" ? undefined : Number(input));
+
+const AdvancedEncoderSettings: React.FC<AdvancedEncoderSettingsProps> = ({ format, value, onChange, disabled = false }) => {
+  const idPrefix = useId();
+  const [encoderOptions, setEncoderOptions] = useState<EncoderOptions | null>(null);
+  const container = encoderOptions?.containers[format] || { video: [], audio: [] };
+  const videoCodec = value?.videoCodec && container.video.includes(value.videoCodec) ? value.videoCodec : container.video[0];
+  const audioCodec = value?.audioCodec && container.audio.includes(value.audioCodec) ? value.audioCodec : container.audio[0];
+  const rateControl = value?.videoBitrate !== undefined ? "bitrate" : "crf";
+
+  useEffect(() => {
+    VideoConversionService.getEncoderOptions()
+      .then(setEncoderOptions)
+      .catch((error) => console.error("Failed to load encoder options:", error));
+  }, []);
+
+  // Drop choices the new container can't carry when the output format changes
+  useEffect(() => {
+    if (!value || !encoderOptions) return;
+    const allowed = encoderOptions.containers[format] || { video: [], audio: [] };
+    const next = { ...value };
+    if (allowed.video.length === 0) {
+      (["videoCodec", "crf", "videoBitrate", "twoPass", "preset", "profile", "level", "gop", "pixelFormat"] as const).forEach((key) => delete next[key]);
+    } else if (value.videoCodec && !allowed.video.includes(value.videoCodec)) {
+      CODEC_SPECIFIC_FIELDS.forEach((key) => delete next[key]);
+    }
+    if (value.audioCodec && !allowed.audio.includes(value.audioCodec)) {
+      delete next.audioCodec;
+      delete next.audioBitrate;
+    }
+    if (Object.keys(next).length !== Object.keys(value).length) {
+      onChange(next);
+    }
+  }, [format, value, onChange, encoderOptions]);
+
+  const update = (changes: Partial<AdvancedEncoderOptions>) => {
+    const next: AdvancedEncoderOptions = { ...(value || {}), ...changes };
+    (Object.keys(next) as (keyof AdvancedEncoderOptions)[]).forEach((key) => next[key] === undefined && delete next[key]);
+    onChange(next);
+  };
+
+  const selectClassName = "w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={`${idPrefix}-enabled`}
+          checked={value !== null}
+          onCheckedChange={(checked) => onChange(checked === true ? {} : null)}
+          disabled={disabled}
+        />
+        <label htmlFor={`${idPrefix}-enabled`} className="text-sm font-medium text-foreground flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4" />
+          Advanced encoder settings
+        </label>
+      </div>
+
+      {value && encoderOptions && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {container.video.length > 0 && (
+            <>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Video Codec</label>
+                <Select
+                  value={videoCodec}
+                  onValueChange={(codec) => update({
+                    videoCodec: codec as VideoCodec,
+                    crf: undefined,
+                    preset: undefined,
+                    profile: undefined,
+                    level: undefined,
+                    ...(codec === "av1" && { twoPass: undefined }),
+                  })}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className={selectClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {container.video.map((codec) => (
+                      <SelectItem key={codec} value={codec}>{VIDEO_CODEC_LABELS[codec]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Rate Control</label>
+                <Select
+                  value={rateControl}
+                  onValueChange={(mode) => update(mode === "bitrate" ? { crf: undefined, videoBitrate: 5000 } : { videoBitrate: undefined, twoPass: undefined })}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className={selectClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="crf">Constant quality (CRF)</SelectItem>
+                    <SelectItem value="bitrate">Target bitrate</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                {rateControl === "crf" ? (
+                  <>
+                    <label className="text-sm font-medium text-foreground">CRF (0-{encoderOptions.maxCrf[videoCodec]})</label>
+                    <Input
+                      type="number"
+                      min={0}
+                      max={encoderOptions.maxCrf[videoCodec]}
+                      value={value.crf ?? ""}
+                      onChange={(event) => update({ crf: parseNumber(event.target.value) })}
+                      placeholder="From quality preset"
+                      disabled={disabled}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <label className="text-sm font-medium text-foreground">Video Bitrate (kbps)</label>
+                    <Input
+                      type="number"
+                      min={100}
+                      value={value.videoBitrate ?? ""}
+                      onChange={(event) => update({ videoBitrate: parseNumber(event.target.value) })}
+                      disabled={disabled}
+                    />
+                    {videoCodec !== "av1" && (
+                      <div className="flex items-center gap-2 pt-1">
+                        <Checkbox
+                          id={`${idPrefix}-two-pass`}
+                          checked={Boolean(value.twoPass)}
+                          onCheckedChange={(checked) => update({ twoPass: checked === true || undefined })}
+                          disabled={disabled}
+                        />
+                        <label htmlFor={`${idPrefix}-two-pass`} className="text-sm text-foreground">
+                          Two-pass encoding
+                        </label>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Preset</label>
+                <Select
+                  value={value.preset || DEFAULT_VALUE}
+                  onValueChange={(preset) => update({ preset: preset === DEFAULT_VALUE ? undefined : preset })}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className={selectClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={DEFAULT_VALUE}>From quality preset</SelectItem>
+                    {encoderOptions.presets[videoCodec].map((preset) => (
+                      <SelectItem key={preset} value={preset}>{preset}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Profile</label>
+                <Select
+                  value={value.profile || DEFAULT_VALUE}
+                  onValueChange={(profile) => update({ profile: profile === DEFAULT_VALUE ? undefined : profile })}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className={selectClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={DEFAULT_VALUE}>Encoder default</SelectItem>
+                    {encoderOptions.profiles[videoCodec].map((profile) => (
+                      <SelectItem key={profile} value={profile}>{profile}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {(videoCodec === "h264" || videoCodec === "hevc") && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-foreground">Level</label>
+                  <Input
+                    value={value.level || ""}
+                    onChange={(event) => update({ level: event.target.value || undefined })}
+                    placeholder="e.g. 4.1"
+                    disabled={disabled}
+                  />
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">GOP Length (frames)</label>
+                <Input
+                  type="number"
+                  min={1}
+                  value={value.gop ?? ""}
+                  onChange={(event) => update({ gop: parseNumber(event.target.value) })}
+                  placeholder="Encoder default"
+                  disabled={disabled}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Pixel Format</label>
+                <Select
+                  value={value.pixelFormat || "yuv420p"}
+                  onValueChange={(pixelFormat) => update({ pixelFormat })}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className={selectClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {encoderOptions.pixelFormats.map((pixelFormat) => (
+                      <SelectItem key={pixelFormat} value={pixelFormat}>{pixelFormat}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </>
+          )}
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Audio Codec</label>
+            <Select
+              value={audioCodec}
+              onValueChange={(codec) => update({
+                audioCodec: codec as AudioCodec,
+                ...(LOSSLESS_AUDIO.includes(codec as AudioCodec) && { audioBitrate: undefined }),
+              })}
+              disabled={disabled}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {container.audio.map((codec) => (
+                  <SelectItem key={codec} value={codec}>{AUDIO_CODEC_LABELS[codec]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {!LOSSLESS_AUDIO.includes(audioCodec) && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-foreground">Audio Bitrate (kbps)</label>
+              <Input
+                type="number"
+                min={32}
+                max={512}
+                value={value.audioBitrate ?? ""}
+                onChange={(event) => update({ audioBitrate: parseNumber(event.target.value) })}
+                placeholder="Encoder default"
+                disabled={disabled}
+              />
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Sample Rate</label>
+            <Select
+              value={value.sampleRate ? String(value.sampleRate) : DEFAULT_VALUE}
+              onValueChange={(rate) => update({ sampleRate: rate === DEFAULT_VALUE ? undefined : Number(rate) })}
+              disabled={disabled}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={DEFAULT_VALUE}>Keep source rate</SelectItem>
+                {encoderOptions.sampleRates.map((rate) => (
+                  <SelectItem key={rate} value={String(rate)}>{(rate / 1000).toFixed(rate % 1000 ? 2 : 0)} kHz</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdvancedEncoderSettings;
@@ -0,0 +1,78 @@
+import React from "react";
+import { Input } from "@/components/ui/input";
+import { Film } from "lucide-react";
+import { AnimationOptions } from "@/services/VideoConversionService";
+
+interface AnimationSettingsProps {
+  format: string;
+  value: AnimationOptions;
+  onChange: (value: AnimationOptions) => void;
+  disabled?: boolean;
+}
+
+const parseNumber = (input: string) => (input === "" ? undefined : Number(input));
+
+const AnimationSettings: React.FC<AnimationSettingsProps> = ({ format, value, onChange, disabled = false }) => {
+  const update = (changes: Partial<AnimationOptions>) => {
+    const next: AnimationOptions = { ...value, ...changes };
+    (Object.keys(next) as (keyof AnimationOptions)[]).forEach((key) => next[key] === undefined && delete next[key]);
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-4">
+      <label className="text-sm font-medium text-foreground flex items-center gap-2">
+        <Film className="w-4 h-4" />
+        Animated {format === "gif" ? "GIF" : "WebP"}
+      </label>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">Frame Rate (fps)</label>
+          <Input
+            type="number"
+            min={1}
+            max={30}
+            value={value.fps ?? ""}
+            onChange={(event) => update({ fps: parseNumber(event.target.value) })}
+            placeholder="12"
+            disabled={disabled}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">Width (px)</label>
+          <Input
+            type="number"
+            min={16}
+            max={1920}
+            value={value.width ?? ""}
+            onChange={(event) => update({ width: parseNumber(event.target.value) })}
+            placeholder="480"
+            disabled={disabled}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">Plays</label>
+          <Input
+            type="number"
+            min={0}
+            max={65535}
+            value={value.loop ?? ""}
+            onChange={(event) => update({ loop: parseNumber(event.target.value) })}
+            placeholder="0 = loop forever"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        {format === "gif"
+          ? "Colors come from a palette generated for this clip. Keep clips short: GIFs grow quickly with length and size."
+          : "Animated WebP is much smaller than GIF and keeps full color."}
+        {" "}Audio is dropped.
+      </p>
+    </div>
+  );
+};
+
+export default AnimationSettings;
@@ -0,0 +1,258 @@
+import React, { useEffect, useId } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { AudioLines, Plus, Trash2 } from "lucide-react";
+import {
+  AudioRouting,
+  AudioRoutingPreset,
+  ProbedAudioChannel,
+  RoutedSource,
+  RoutedTrack,
+  RoutedTrackLayout,
+} from "@/services/VideoConversionService";
+
+interface AudioRoutingMatrixProps {
+  channels: ProbedAudioChannel[];
+  presets: AudioRoutingPreset[];
+  value: AudioRouting | null;
+  onChange: (value: AudioRouting | null) => void;
+  // MP3 and WAV hold a single track
+  maxTracks: number;
+  disabled?: boolean;
+}
+
+const OUTPUT_CHANNELS: Record<RoutedTrackLayout, string[]> = {
+  mono: ["M"],
+  stereo: ["L", "R"],
+  "5.1": ["L", "R", "C", "LFE", "Ls", "Rs"],
+};
+
+const LAYOUT_LABELS: Record<RoutedTrackLayout, string> = {
+  mono: "Mono",
+  stereo: "Stereo",
+  "5.1": "5.1 surround",
+};
+
+const MAX_TRACKS = 16;
+const CUSTOM_PRESET = "custom";
+
+// Identity routing for a layout: output channel n takes source channel n where it exists
+const defaultTrack = (layout: RoutedTrackLayout, channelCount: number): RoutedTrack => ({
+  layout,
+  channels: OUTPUT_CHANNELS[layout].map((_, output) => (output < channelCount ? [{ channel: output }] : [])),
+});
+
+// Keep the routes that still fit when a track switches layout
+const resizeTrack = (track: RoutedTrack, layout: RoutedTrackLayout): RoutedTrack => ({
+  ...track,
+  layout,
+  channels: OUTPUT_CHANNELS[layout].map((_, output) => track.channels[output] || []),
+});
+
+const AudioRoutingMatrix: React.FC<AudioRoutingMatrixProps> = ({ channels, presets, value, onChange, maxTracks, disabled = false }) => {
+  const idPrefix = useId();
+  const trackLimit = Math.min(maxTracks, MAX_TRACKS);
+
+  // Drop surplus tracks when the output format can hold fewer
+  useEffect(() => {
+    if (value && value.tracks.length > Math.min(maxTracks, MAX_TRACKS)) {
+      onChange({ tracks: value.tracks.slice(0, Math.min(maxTracks, MAX_TRACKS)) });
+    }
+  }, [maxTracks, value, onChange]);
+
+  const enable = (checked: boolean) => {
+    if (!checked) {
+      onChange(null);
+      return;
+    }
+    const preset = presets.find((candidate) => candidate.tracks.length <= trackLimit);
+    onChange({ tracks: preset ? preset.tracks : [defaultTrack(channels.length >= 2 ? "stereo" : "mono", channels.length)] });
+  };
+
+  const updateTrack = (trackIndex: number, track: RoutedTrack) => {
+    if (!value) return;
+    onChange({ tracks: value.tracks.map((current, index) => (index === trackIndex ? track : current)) });
+  };
+
+  const findSource = (track: RoutedTrack, output: number, channel: number) =>
+    track.channels[output].find((source) => source.channel === channel);
+
+  const updateRoute = (trackIndex: number, output: number, channel: number, source: RoutedSource | null) => {
+    if (!value) return;
+    const track = value.tracks[trackIndex];
+    const others = track.channels[output].filter((current) => current.channel !== channel);
+    const sources = source ? [...others, source].sort((a, b) => a.channel - b.channel) : others;
+    updateTrack(trackIndex, { ...track, channels: track.channels.map((current, index) => (index === output ? sources : current)) });
+  };
+
+  const selectClassName = "w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={`${idPrefix}-enabled`}
+          checked={value !== null}
+          onCheckedChange={(checked) => enable(checked === true)}
+          disabled={disabled || channels.length === 0}
+        />
+        <label htmlFor={`${idPrefix}-enabled`} className="text-sm font-medium text-foreground flex items-center gap-2">
+          <AudioLines className="w-4 h-4" />
+          Routing matrix (gain per channel, multiple output tracks)
+        </label>
+      </div>
+
+      {value && (
+        <>
+          {presets.length > 0 && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-foreground">Preset</label>
+              <Select
+                value={presets.find((preset) => JSON.stringify(preset.tracks) === JSON.stringify(value.tracks))?.id || CUSTOM_PRESET}
+                onValueChange={(id) => {
+                  const preset = presets.find((candidate) => candidate.id === id);
+                  if (preset) onChange({ tracks: preset.tracks.slice(0, trackLimit) });
+                }}
+                disabled={disabled}
+              >
+                <SelectTrigger className={selectClassName}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={CUSTOM_PRESET} disabled>Custom</SelectItem>
+                  {presets.map((preset) => (
+                    <SelectItem key={preset.id} value={preset.id}>{preset.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {value.tracks.map((track, trackIndex) => (
+            <div key={trackIndex} className="space-y-3 p-3 rounded-md border border-border/50 bg-background/30">
+              <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_8rem_auto] gap-2 items-end">
+                <div className="space-y-1">
+                  <label className="text-xs font-medium text-muted-foreground">Track {trackIndex + 1} layout</label>
+                  <Select
+                    value={track.layout}
+                    onValueChange={(layout) => updateTrack(trackIndex, resizeTrack(track, layout as RoutedTrackLayout))}
+                    disabled={disabled}
+                  >
+                    <SelectTrigger className={selectClassName}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(Object.keys(OUTPUT_CHANNELS) as RoutedTrackLayout[]).map((layout) => (
+                        <SelectItem key={layout} value={layout}>{LAYOUT_LABELS[layout]}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Input
+                  value={track.title || ""}
+                  onChange={(event) => updateTrack(trackIndex, { ...track, title: event.target.value || undefined })}
+                  placeholder="Title, e.g. Commentary"
+                  maxLength={100}
+                  disabled={disabled}
+                />
+                <Input
+                  value={track.language || ""}
+                  onChange={(event) => updateTrack(trackIndex, { ...track, language: event.target.value.toLowerCase() || undefined })}
+                  placeholder="Language (eng)"
+                  maxLength={3}
+                  disabled={disabled}
+                />
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => onChange(value.tracks.length > 1 ? { tracks: value.tracks.filter((_, index) => index !== trackIndex) } : null)}
+                  disabled={disabled}
+                  title="Remove track"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className="text-left font-medium text-muted-foreground p-1">Source</th>
+                      {OUTPUT_CHANNELS[track.layout].map((output) => (
+                        <th key={output} className="font-medium text-muted-foreground p-1 text-center">{output}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {channels.map((channel) => (
+                      <tr key={channel.index} className="border-t border-border/30">
+                        <td className="p-1">
+                          <div className="flex flex-col">
+                            <span className="font-medium">{channel.label}</span>
+                            <span className="text-xs text-muted-foreground">{channel.description}</span>
+                          </div>
+                        </td>
+                        {OUTPUT_CHANNELS[track.layout].map((output, outputIndex) => {
+                          const source = findSource(track, outputIndex, channel.index);
+                          const cellId = `${idPrefix}-${trackIndex}-${outputIndex}-${channel.index}`;
+                          return (
+                            <td key={output} className="p-1">
+                              <div className="flex items-center justify-center gap-1">
+                                <Checkbox
+                                  id={cellId}
+                                  checked={source !== undefined}
+                                  onCheckedChange={(checked) => updateRoute(trackIndex, outputIndex, channel.index, checked === true ? { channel: channel.index } : null)}
+                                  disabled={disabled}
+                                  aria-label={`${channel.label} to ${output}`}
+                                />
+                                {source && (
+                                  <Input
+                                    type="number"
+                                    min={-60}
+                                    max={24}
+                                    step={0.5}
+                                    value={source.gain ?? 0}
+                                    onChange={(event) => updateRoute(trackIndex, outputIndex, channel.index, {
+                                      channel: channel.index,
+                                      gain: Math.min(24, Math.max(-60, Number(event.target.value) || 0)),
+                                    })}
+                                    className="h-8 w-16 px-1 text-xs"
+                                    title="Gain (dB)"
+                                    disabled={disabled}
+                                  />
+                                )}
+                              </div>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => onChange({ tracks: [...value.tracks, defaultTrack("stereo", channels.length)] })}
+              disabled={disabled || value.tracks.length >= trackLimit}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add output track
+            </Button>
+            <p className="text-xs text-muted-foreground">
+              Gains are in dB; each track is written as a separate audio stream.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AudioRoutingMatrix;
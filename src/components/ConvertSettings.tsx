@@ -0,0 +1,153 @@
+import React, { useId } from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { RefreshCw } from "lucide-react";
+import AnimationSettings from "./AnimationSettings";
+import { VideoConversionService } from "@/services/VideoConversionService";
+import { DownloadConversionOptions } from "@/services/DownloadService";
+
+interface ConvertSettingsProps {
+  value: DownloadConversionOptions | null;
+  onChange: (value: DownloadConversionOptions | null) => void;
+  disabled?: boolean;
+}
+
+const RESOLUTIONS = [
+  { value: "original", label: "Original resolution" },
+  { value: "1920x1080", label: "1920×1080 (Full HD)" },
+  { value: "1280x720", label: "1280×720 (HD)" },
+  { value: "854x480", label: "854×480 (SD)" },
+];
+
+const DEFAULT_CONVERSION: DownloadConversionOptions = { format: "mp4", quality: "medium" };
+
+const ConvertSettings: React.FC<ConvertSettingsProps> = ({ value, onChange, disabled = false }) => {
+  const enabledId = useId();
+  const { formats, qualities } = VideoConversionService.getConversionOptions();
+  const isAudioTarget = value?.format === "mp3" || value?.format === "wav";
+  const isAnimatedTarget = value?.format === "gif" || value?.format === "webp";
+
+  const update = (changes: Partial<DownloadConversionOptions>) => onChange({ ...(value || DEFAULT_CONVERSION), ...changes });
+
+  // GIF/WebP take animation settings instead of audio channels
+  const selectFormat = (format: string) => {
+    const animated = format === "gif" || format === "webp";
+    update(animated
+      ? { format, animation: value?.animation || {}, leftChannel: undefined, rightChannel: undefined }
+      : { format, animation: undefined });
+  };
+
+  // Channel mapping needs both sides; an empty field clears it
+  const updateChannel = (side: "leftChannel" | "rightChannel", input: string) => {
+    const channel = input === "" ? undefined : Math.max(0, parseInt(input) || 0);
+    update({ [side]: channel });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={enabledId}
+          checked={value !== null}
+          onCheckedChange={(checked) => onChange(checked === true ? DEFAULT_CONVERSION : null)}
+          disabled={disabled}
+        />
+        <label htmlFor={enabledId} className="text-sm font-semibold text-foreground flex items-center gap-2">
+          <RefreshCw className="w-4 h-4" />
+          Convert after download
+        </label>
+      </div>
+
+      {value && (
+        <>
+          <Select value={value.format} onValueChange={selectFormat} disabled={disabled}>
+            <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {formats.map((format) => (
+                <SelectItem key={format.value} value={format.value}>
+                  <div className="flex flex-col">
+                    <span>{format.label}</span>
+                    <span className="text-xs text-muted-foreground">{format.description}</span>
+                  </div>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <Select value={value.quality} onValueChange={(quality) => update({ quality })} disabled={disabled}>
+            <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {qualities.map((quality) => (
+                <SelectItem key={quality.value} value={quality.value}>
+                  {quality.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          {!isAudioTarget && (
+            <Select
+              value={value.resolution || "original"}
+              onValueChange={(resolution) => update({ resolution: resolution === "original" ? undefined : resolution })}
+              disabled={disabled}
+            >
+              <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {RESOLUTIONS.map((resolution) => (
+                  <SelectItem key={resolution.value} value={resolution.value}>
+                    {resolution.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+
+          {isAnimatedTarget ? (
+            <AnimationSettings
+              format={value.format}
+              value={value.animation || {}}
+              onChange={(animation) => update({ animation })}
+              disabled={disabled}
+            />
+          ) : (
+            <div className="grid grid-cols-2 gap-2">
+              <Input
+                type="number"
+                min={0}
+                value={value.leftChannel ?? ""}
+                onChange={(event) => updateChannel("leftChannel", event.target.value)}
+                placeholder="Left channel"
+                className="bg-background/50 border-border/50"
+                disabled={disabled}
+              />
+              <Input
+                type="number"
+                min={0}
+                value={value.rightChannel ?? ""}
+                onChange={(event) => updateChannel("rightChannel", event.target.value)}
+                placeholder="Right channel"
+                className="bg-background/50 border-border/50"
+                disabled={disabled}
+              />
+            </div>
+          )}
+          <p className="text-xs text-muted-foreground">
+            {isAnimatedTarget
+              ? "Pick a short time range: the whole download becomes one animation. Only the converted file is downloaded"
+              : "Optional source channel indices for the stereo output. Only the converted file is downloaded"}
+            {isAudioTarget ? "; subtitles are skipped for audio targets" : "; subtitles are kept as separate files"}.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConvertSettings;
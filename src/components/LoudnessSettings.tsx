@@ -0,0 +1,144 @@
+import React, { useEffect, useId, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Gauge } from "lucide-react";
+import {
+  LoudnessMeasurement,
+  LoudnessPreset,
+  LoudnessPresetOption,
+  LoudnessReport,
+  LoudnessTarget,
+  VideoConversionService,
+} from "@/services/VideoConversionService";
+
+interface LoudnessSettingsProps {
+  value: LoudnessTarget | null;
+  onChange: (value: LoudnessTarget | null) => void;
+  // Source loudness from /api/probe, measured on request through onMeasure
+  measured?: LoudnessMeasurement | null;
+  onMeasure?: () => void;
+  measuring?: boolean;
+  // Before/after values of the last conversion
+  report?: LoudnessReport | null;
+  disabled?: boolean;
+}
+
+const CUSTOM = "custom";
+
+const TARGET_FIELDS: { key: "integrated" | "truePeak" | "lra"; label: string; min: number; max: number; step: number }[] = [
+  { key: "integrated", label: "Integrated (LUFS)", min: -70, max: -5, step: 0.5 },
+  { key: "truePeak", label: "True Peak (dBTP)", min: -9, max: 0, step: 0.1 },
+  { key: "lra", label: "Loudness Range (LU)", min: 1, max: 50, step: 0.5 },
+];
+
+const formatLevel = (value: number | null, unit: string) => (value === null ? "silent" : `${value.toFixed(1)} ${unit}`);
+
+const describeMeasurement = (measurement: LoudnessMeasurement) =>
+  `${formatLevel(measurement.integrated, "LUFS")}, peak ${formatLevel(measurement.truePeak, "dBTP")}, LRA ${formatLevel(measurement.lra, "LU")}`;
+
+const LoudnessSettings: React.FC<LoudnessSettingsProps> = ({ value, onChange, measured, onMeasure, measuring = false, report, disabled = false }) => {
+  const idPrefix = useId();
+  const [presets, setPresets] = useState<LoudnessPresetOption[]>([]);
+  const preset = presets.find((option) => option.value === (value?.preset || "ebu-r128"));
+  const isCustom = value !== null && value.preset === undefined;
+
+  useEffect(() => {
+    VideoConversionService.getLoudnessPresets()
+      .then(setPresets)
+      .catch((error) => console.error("Failed to load loudness presets:", error));
+  }, []);
+
+  // Custom targets start from the values currently shown
+  const selectPreset = (selected: string) => {
+    if (selected === CUSTOM) {
+      onChange({ integrated: preset?.integrated, truePeak: preset?.truePeak, lra: preset?.lra });
+    } else {
+      onChange({ preset: selected as LoudnessPreset });
+    }
+  };
+
+  const selectClassName = "w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={`${idPrefix}-enabled`}
+          checked={value !== null}
+          onCheckedChange={(checked) => onChange(checked === true ? { preset: "ebu-r128" } : null)}
+          disabled={disabled}
+        />
+        <label htmlFor={`${idPrefix}-enabled`} className="text-sm font-medium text-foreground flex items-center gap-2">
+          <Gauge className="w-4 h-4" />
+          Normalize loudness (two-pass)
+        </label>
+      </div>
+
+      {measured ? (
+        <p className="text-xs text-muted-foreground">Source: {describeMeasurement(measured)}</p>
+      ) : onMeasure && (
+        <Button variant="outline" size="sm" onClick={onMeasure} disabled={disabled || measuring}>
+          {measuring ? "Measuring source loudness..." : "Measure source loudness"}
+        </Button>
+      )}
+
+      {value && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Target</label>
+            <Select value={isCustom ? CUSTOM : value.preset || "ebu-r128"} onValueChange={selectPreset} disabled={disabled}>
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {presets.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    <div className="flex flex-col">
+                      <span>{option.label}</span>
+                      <span className="text-xs text-muted-foreground">
+                        {option.integrated} LUFS, {option.truePeak} dBTP, LRA {option.lra}
+                      </span>
+                    </div>
+                  </SelectItem>
+                ))}
+                <SelectItem value={CUSTOM}>Custom</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {TARGET_FIELDS.map((field) => (
+            <div key={field.key} className="space-y-2">
+              <label className="text-sm font-medium text-foreground">{field.label}</label>
+              <Input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                value={isCustom ? value[field.key] ?? "" : preset?.[field.key] ?? ""}
+                onChange={(event) => onChange({ ...value, [field.key]: event.target.value === "" ? undefined : Number(event.target.value) })}
+                disabled={disabled || !isCustom}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-1 text-xs text-muted-foreground">
+          {report.tracks.map((track, index) => (
+            <p key={index}>
+              {report.tracks.length > 1 ? `Track ${index + 1}: ` : ""}
+              before {describeMeasurement(track.before)}
+              {track.after && <> → after {describeMeasurement(track.after)}</>}
+              {track.normalization === "dynamic" && " (dynamic: target not reachable with gain alone)"}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoudnessSettings;
@@ -22,7 +22,7 @@ import { MediaGrid } from "@/components/MediaGrid";
 import TimeRangeSelector from "@/components/TimeRangeSelector";
 import { Badge } from "@/components/ui/badge";
 import { Clock } from "lucide-react";
-import { DownloadService, QualityOption } from "@/services/DownloadService";
+import { DownloadService, QualityOption, VideoChapter, DownloadOptions, TrimResult } from "@/services/DownloadService";
 import { formatTime } from "@/utils/timeUtils";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 // Removed CookieUpload import - using automated cookie extraction
@@ -34,13 +34,14 @@ export const MediaDownloader = () => {
   const [progress, setProgress] = useState(0);
   const [analysisError, setAnalysisError] = useState<string | null>(null);
   const [hasAnalyzed, setHasAnalyzed] = useState(false);
-  const [videoInfo, setVideoInfo] = useState<{ [key: string]: { duration: number, title: string } }>({});
+  const [videoInfo, setVideoInfo] = useState<{ [key: string]: { duration: number, title: string, chapters?: VideoChapter[] } }>({});
   const [showTimeSelector, setShowTimeSelector] = useState<{ [key: string]: boolean }>({});
   const [selectedTimeRanges, setSelectedTimeRanges] = useState<{ [key: string]: { start: number, end: number } }>({});
   const [qualityOptions, setQualityOptions] = useState<QualityOption[]>([]);
   const [selectedQuality, setSelectedQuality] = useState<{ [key: string]: string }>({});
   const [segmentDownloading, setSegmentDownloading] = useState<{ [key: string]: boolean }>({});
   const [segmentProgress, setSegmentProgress] = useState<{ [key: string]: number }>({});
+  const [lastCuts, setLastCuts] = useState<{ [key: string]: TrimResult[] }>({});
   const { toast } = useToast();
 
   // Load quality options on component mount
@@ -48,6 +49,55 @@ export const MediaDownloader = () => {
     DownloadService.getQualityOptions().then(setQualityOptions);
   }, []);
 
+  // Finish any downloads that were still running on the server when the page was last closed
+  React.useEffect(() => {
+    DownloadService.resumePendingJobs().then((filenames) => {
+      filenames.forEach((filename) => {
+        toast({
+          title: "Download Recovered",
+          description: `${filename} finished while you were away and has been saved`,
+        });
+      });
+    });
+  }, [toast]);
+
+  // Downloads that produce several parts (chapter split, clip list); summary describes them in toasts
+  const handleMultiPartDownload = async (item: MediaItem, options: DownloadOptions, summary: string) => {
+    if (segmentDownloading[item.url]) return;
+
+    setSegmentDownloading(prev => ({ ...prev, [item.url]: true }));
+    setSegmentProgress(prev => ({ ...prev, [item.url]: 0 }));
+
+    try {
+      const quality = selectedQuality[item.url] || 'high';
+      toast({
+        title: "Starting Download",
+        description: `${item.filename} (${summary}) – Quality: ${quality}`,
+      });
+      const job = await DownloadService.downloadMedia(item, quality, (progress) => {
+        setSegmentProgress(prev => ({ ...prev, [item.url]: progress }));
+      }, undefined, undefined, options);
+      setLastCuts(prev => ({ ...prev, [item.url]: (job && job.cuts) || [] }));
+
+      toast({
+        title: "Download Complete",
+        description: `${item.filename} (${summary}) has been downloaded successfully`,
+      });
+    } catch (error) {
+      console.error('Multi-part download failed:', error);
+      if (!(error instanceof Error && (error.name === 'AbortError' || error.message.includes('cancelled') || error.message.includes('aborted')))) {
+        toast({
+          title: "Download Failed",
+          description: error instanceof Error ? error.message : "An error occurred during download",
+          variant: "destructive",
+        });
+      }
+    } finally {
+      setSegmentDownloading(prev => ({ ...prev, [item.url]: false }));
+      setSegmentProgress(prev => ({ ...prev, [item.url]: 0 }));
+    }
+  };
+
   const handleAnalyze = async () => {
     if (!url) {
       toast({
@@ -79,7 +129,7 @@ export const MediaDownloader = () => {
       // Check for YouTube videos and get their duration info
       console.log('=== ANALYSIS PROCESS START ===');
       console.log('Processing media items:', items);
-      const newVideoInfo: { [key: string]: { duration: number, title: string } } = {};
+      const newVideoInfo: { [key: string]: { duration: number, title: string, chapters?: VideoChapter[] } } = {};
 
       for (const item of items) {
         console.log('\n--- Processing item ---');
@@ -87,7 +137,10 @@ export const MediaDownloader = () => {
         console.log('Item type:', item.type);
         console.log('Is YouTube URL?', item.url.includes('youtube.com') || item.url.includes('youtu.be'));
 
-        if (item.type === 'video' && (item.url.includes('youtube.com') || item.url.includes('youtu.be'))) {
+        if (item.playlistIndex !== undefined) {
+          // Playlist entries are handled as a batch in the grid; don't probe each one
+          console.log('⏭️ Skipping playlist entry', item.playlistIndex);
+        } else if (item.type === 'video' && (item.url.includes('youtube.com') || item.url.includes('youtu.be'))) {
           console.log('✓ YouTube video detected, fetching info...');
           try {
             const videoData = await DownloadService.checkIfLongVideo(item.url);
@@ -100,7 +153,7 @@ export const MediaDownloader = () => {
               console.log('Extracted title:', title);
               console.log('Duration > 960 seconds?', duration > 960);
 
-              newVideoInfo[item.url] = { duration, title };
+              newVideoInfo[item.url] = { duration, title, chapters: videoData.videoInfo.chapters || [] };
               console.log('✓ Video info stored for', item.url, ':', newVideoInfo[item.url]);
             } else {
               console.warn('⚠️ No videoInfo in response:', videoData);
@@ -123,6 +176,13 @@ export const MediaDownloader = () => {
       setProgress(100);
       setMediaItems(items);
 
+      // Sizes, types and durations arrive in the background, unless a new analysis replaced the list
+      MediaDetectionService.preflightMedia(items).then((enriched) => {
+        if (enriched !== items) {
+          setMediaItems(current => (current === items ? enriched : current));
+        }
+      });
+
       toast({
         title: "Analysis Complete",
         description: `Found ${items.length} media items`,
@@ -367,9 +427,10 @@ export const MediaDownloader = () => {
                           <TimeRangeSelector
                             videoDuration={videoInfo[item.url].duration}
                             videoTitle={videoInfo[item.url].title}
+                            previewUrl={item.url}
                             isDownloading={segmentDownloading[item.url] || false}
                             downloadProgress={segmentProgress[item.url] || 0}
-                            onTimeRangeChange={async (startTime, endTime) => {
+                            onTimeRangeChange={async (startTime, endTime, trimMode) => {
                               // Prevent multiple downloads of the same segment
                               if (segmentDownloading[item.url]) {
                                 console.log('🚫 MediaDownloader: Segment download already in progress for:', item.url);
@@ -395,9 +456,10 @@ export const MediaDownloader = () => {
                                   title: "Starting Download",
                                   description: `${item.filename} (${timeRangeText}) – Quality: ${quality}`,
                                 });
-                                await DownloadService.downloadMedia(item, quality, (progress) => {
+                                const job = await DownloadService.downloadMedia(item, quality, (progress) => {
                                   setSegmentProgress(prev => ({ ...prev, [item.url]: progress }));
-                                }, startTime, endTime);
+                                }, startTime, endTime, { trimMode });
+                                setLastCuts(prev => ({ ...prev, [item.url]: (job && job.cuts) || [] }));
 
                                 toast({
                                   title: "Download Complete",
@@ -443,6 +505,18 @@ export const MediaDownloader = () => {
                                 description: `Download of ${item.filename} segment has been cancelled`,
                               });
                             }}
+                            chapters={videoInfo[item.url].chapters}
+                            lastCuts={lastCuts[item.url]}
+                            onSplitByChapters={() => handleMultiPartDownload(
+                              item,
+                              { splitChapters: true },
+                              `${videoInfo[item.url].chapters?.length || 0} chapters`
+                            )}
+                            onRangesDownload={(ranges, rangeMode, trimMode) => handleMultiPartDownload(
+                              item,
+                              { ranges, rangeMode, trimMode },
+                              rangeMode === 'concat' ? `highlight reel of ${ranges.length} clips` : `${ranges.length} clips`
+                            )}
                             inline={true}
                           />
                         </div>
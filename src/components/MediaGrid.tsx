@@ -5,16 +5,44 @@ import { Badge } from '@/components/ui/badge';
 import { Progress } from '@/components/ui/progress';
 import { useToast } from '@/components/ui/use-toast';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { Download, ExternalLink, Image, Video, Music, FileImage, Check, Loader2, Settings, X, Clock } from 'lucide-react';
-import { MediaItem } from '@/services/MediaDetectionService';
-import { DownloadService, QualityOption } from '@/services/DownloadService';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Download, ExternalLink, Image, Video, Music, FileImage, Check, Loader2, Settings, X, Clock, ListVideo } from 'lucide-react';
+import { MediaItem, MediaVariant } from '@/services/MediaDetectionService';
+import { DownloadService, QualityOption, BatchDownloadMode, VideoInfo, VideoFormat, DownloadOptions, SubtitleOptions, AudioExportOptions, AudioExportFormat, OutputOptions, DownloadConversionOptions, ManifestInfo, ManifestVariant } from '@/services/DownloadService';
 import TimeRangeSelector from './TimeRangeSelector';
+import VideoPreviewStrip from './VideoPreviewStrip';
+import SubtitleSelector from './SubtitleSelector';
+import OutputSettings from './OutputSettings';
+import ConvertSettings from './ConvertSettings';
 import { formatTime } from '@/utils/timeUtils';
+import { formatFileSize, formatBitrate } from '@/utils/formatUtils';
 
 interface MediaGridProps {
   items: MediaItem[];
 }
 
+const AUDIO_EXPORT_FORMATS: { value: AudioExportFormat; label: string; lossless?: boolean }[] = [
+  { value: 'mp3', label: 'MP3' },
+  { value: 'aac', label: 'AAC (M4A)' },
+  { value: 'opus', label: 'Opus' },
+  { value: 'flac', label: 'FLAC (lossless)', lossless: true },
+  { value: 'wav', label: 'WAV (uncompressed)', lossless: true }
+];
+const AUDIO_EXPORT_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const DEFAULT_AUDIO_EXPORT: AudioExportOptions = { format: 'mp3', bitrate: 192, normalize: false };
+
+type TypeFilter = 'all' | MediaItem['type'];
+type SortOrder = 'page' | 'size' | 'resolution' | 'duration';
+const SORT_OPTIONS: { value: SortOrder; label: string }[] = [
+  { value: 'page', label: 'Page order' },
+  { value: 'size', label: 'Largest file first' },
+  { value: 'resolution', label: 'Highest resolution first' },
+  { value: 'duration', label: 'Longest first' },
+];
+// Media with both sides below this many pixels is hidden: tracking pixels and icons
+const DEFAULT_MIN_PIXELS = 50;
+
 export const MediaGrid = ({ items }: MediaGridProps) => {
   const [downloadingItems, setDownloadingItems] = useState<Set<string>>(new Set());
   const [downloadedItems, setDownloadedItems] = useState<Set<string>>(new Set());
@@ -24,16 +52,47 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
   const [showQualitySelector, setShowQualitySelector] = useState<Record<string, boolean>>({});
   const [showTimeSelector, setShowTimeSelector] = useState<string | null>(null);
   const [videoInfo, setVideoInfo] = useState<{ title: string; duration: number; uploader: string; thumbnail?: string } | null>(null);
-  const [inlineVideoInfo, setInlineVideoInfo] = useState<Record<string, { title: string; duration: number; uploader: string; thumbnail?: string }>>({});
+  const [inlineVideoInfo, setInlineVideoInfo] = useState<Record<string, VideoInfo>>({});
+  const [selectedFormat, setSelectedFormat] = useState<Record<string, string>>({});
+  const [selectedAudioFormat, setSelectedAudioFormat] = useState<Record<string, string>>({});
+  const [selectedSubtitles, setSelectedSubtitles] = useState<Record<string, SubtitleOptions | null>>({});
+  const [selectedAudioExport, setSelectedAudioExport] = useState<Record<string, AudioExportOptions | null>>({});
+  const [selectedConversion, setSelectedConversion] = useState<Record<string, DownloadConversionOptions | null>>({});
+  // Chosen variant URL of a responsive image; item.url (the largest) when unset
+  const [selectedVariant, setSelectedVariant] = useState<Record<string, string>>({});
+  // Variants of HLS/DASH items, loaded when their settings are first opened
+  const [manifestInfo, setManifestInfo] = useState<Record<string, ManifestInfo>>({});
+  const [selectedManifestVariant, setSelectedManifestVariant] = useState<Record<string, number>>({});
+  // Embedding and filename template apply to every download from this grid, single or batch
+  const [outputOptions, setOutputOptions] = useState<OutputOptions>({});
   const [showInlineTimeSelector, setShowInlineTimeSelector] = useState<Record<string, boolean>>({});
   const [selectedTimeRanges, setSelectedTimeRanges] = useState<Record<string, { start: number; end: number }>>({});
+  const [selectedItems, setSelectedItems] = useState<Set<string>>(new Set());
+  const [batchMode, setBatchMode] = useState<BatchDownloadMode>('zip');
+  const [batchQuality, setBatchQuality] = useState('high');
+  const [batchDownloading, setBatchDownloading] = useState(false);
+  const [batchProgress, setBatchProgress] = useState(0);
+  const [typeFilter, setTypeFilter] = useState<TypeFilter>('all');
+  const [sortOrder, setSortOrder] = useState<SortOrder>('page');
+  const [minPixels, setMinPixels] = useState(DEFAULT_MIN_PIXELS);
+  const [minSizeKb, setMinSizeKb] = useState(0);
   const { toast } = useToast();
 
+  // Playlist/channel entries can be selected and downloaded together
+  const isPlaylist = items.some(item => item.playlistIndex !== undefined);
+  const playlistTitle = items.find(item => item.playlistTitle)?.playlistTitle || 'playlist';
+  const batchKey = `batch_${playlistTitle}`;
+
   useEffect(() => {
     // Load quality options on component mount
     DownloadService.getQualityOptions().then(setQualityOptions);
   }, []);
 
+  useEffect(() => {
+    // A new analysis result starts with nothing selected
+    setSelectedItems(new Set());
+  }, [items]);
+
   // Handle video analysis when Analyze button is clicked
   const handleAnalyzeVideo = async (item: MediaItem) => {
     if (!isVideoItem(item) || !item.url.includes('youtube.com')) return;
@@ -69,6 +128,21 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
     }
   };
 
+  const handleLoadManifest = async (item: MediaItem) => {
+    try {
+      const info = await DownloadService.getManifestInfo(item.url);
+      setManifestInfo(prev => ({ ...prev, [item.url]: info }));
+    } catch (error) {
+      console.error('Failed to read stream manifest:', error);
+      setShowQualitySelector(prev => ({ ...prev, [item.url]: false }));
+      toast({
+        title: "Analysis Failed",
+        description: error instanceof Error ? error.message : "Could not read the stream's variants.",
+        variant: "destructive",
+      });
+    }
+  };
+
   const getIcon = (type: string) => {
     switch (type) {
       case 'image': return <Image className="w-5 h-5" />;
@@ -87,6 +161,73 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
     }
   };
 
+  // Short codec name: "avc1.640028" -> "avc1"
+  const shortCodec = (codec: string | null) => (codec ? codec.split('.')[0] : '');
+
+  const getFormatLabel = (format: VideoFormat) => {
+    if (format.kind === 'audio') {
+      return `Audio only · ${shortCodec(format.acodec)} (${format.ext})`;
+    }
+    const fps = format.fps && format.fps > 30 ? Math.round(format.fps) : '';
+    const height = format.height ? `${format.height}p${fps}` : format.resolution;
+    return `${height} · ${shortCodec(format.vcodec)}${format.kind === 'video+audio' ? ` + ${shortCodec(format.acodec)}` : ''} (${format.ext})`;
+  };
+
+  const getFormatDetails = (format: VideoFormat) => {
+    const details = [
+      format.kind !== 'audio' && format.resolution,
+      format.fps && `${format.fps} fps`,
+      format.dynamicRange && format.dynamicRange !== 'SDR' && format.dynamicRange,
+      formatBitrate(format.bitrate),
+      format.filesize && `${format.filesizeEstimated ? '~' : ''}${formatFileSize(format.filesize)}`,
+      format.kind === 'video' && 'no audio'
+    ];
+    return details.filter(Boolean).join(' · ');
+  };
+
+  // Highest resolution first, then audio-only formats by bitrate
+  const sortFormats = (formats: VideoFormat[]) => [...formats].sort((a, b) => {
+    if ((a.kind === 'audio') !== (b.kind === 'audio')) return a.kind === 'audio' ? 1 : -1;
+    return (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0);
+  });
+
+  const getChosenFormat = (item: MediaItem) =>
+    inlineVideoInfo[item.url]?.formats?.find(format => format.formatId === selectedFormat[item.url]);
+
+  // null means "keep the original audio container"
+  const getAudioExport = (itemId: string) =>
+    selectedAudioExport[itemId] === undefined ? DEFAULT_AUDIO_EXPORT : selectedAudioExport[itemId];
+
+  const updateAudioExport = (itemId: string, changes: Partial<AudioExportOptions>) => {
+    setSelectedAudioExport(prev => ({ ...prev, [itemId]: { ...(getAudioExport(itemId) || DEFAULT_AUDIO_EXPORT), ...changes } }));
+  };
+
+  // "720p · 3.0 Mbps · 29.97 fps"; audio-only variants have just a bitrate
+  const getManifestVariantLabel = (variant: ManifestVariant) => {
+    const details = [
+      variant.height && `${variant.height}p`,
+      formatBitrate(variant.bandwidth && variant.bandwidth / 1000),
+      variant.frameRate && `${variant.frameRate} fps`
+    ];
+    return details.filter(Boolean).join(' · ') || `Variant ${variant.id + 1}`;
+  };
+
+  // "1600w · webp", "2x · jpg"
+  const getVariantLabel = (variant: MediaVariant) => {
+    const size = variant.width ? `${variant.width}w` : `${variant.density || 1}x`;
+    const extension = variant.url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1];
+    const type = variant.mimeType ? variant.mimeType.replace(/^image\//, '') : extension?.toLowerCase();
+    return [size, type, variant.media].filter(Boolean).join(' · ');
+  };
+
+  // The item as downloaded: the chosen image variant, its filename carrying that variant's extension
+  const getDownloadTarget = (item: MediaItem): MediaItem => {
+    const variantUrl = selectedVariant[item.url];
+    if (!variantUrl || variantUrl === item.url) return item;
+    const extension = variantUrl.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1];
+    return { ...item, url: variantUrl, filename: extension ? item.filename.replace(/\.[^.]+$/, `.${extension}`) : item.filename };
+  };
+
   const isVideoItem = (item: MediaItem) => {
     return item.type === 'video' || 
            item.url.includes('youtube.com') || 
@@ -135,16 +276,47 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
     setDownloadProgress(prev => ({ ...prev, [itemId]: 0 }));
 
     try {
-      const quality = selectedQuality[itemId] || 'high';
+      // An explicit format overrides the quality preset; video-only formats get paired with an audio track
+      const chosenFormat = getChosenFormat(item);
+      const options: DownloadOptions = { ...outputOptions };
+      if (chosenFormat) {
+        options.formatId = chosenFormat.formatId;
+        const audioFormat = selectedAudioFormat[itemId] || 'bestaudio';
+        if (chosenFormat.kind === 'video' && audioFormat !== 'none') {
+          options.audioFormatId = audioFormat;
+        }
+      }
+      const quality = chosenFormat?.kind === 'audio' ? 'audio' : (selectedQuality[itemId] || 'high');
+      if (selectedSubtitles[itemId]) {
+        // Audio-only downloads can't carry subtitle tracks, so those always get the files
+        options.subtitles = { ...selectedSubtitles[itemId], embed: selectedSubtitles[itemId].embed && quality !== 'audio' };
+      }
+      if (quality === 'audio') {
+        const audioExport = getAudioExport(itemId);
+        if (audioExport) {
+          options.audio = audioExport;
+        }
+      }
+      // Server-side conversion drops embedded subtitle tracks, so they come back as files (video targets only)
+      if (item.streaming && selectedManifestVariant[itemId] !== undefined) {
+        options.manifestVariant = selectedManifestVariant[itemId];
+      }
+      const conversion = selectedConversion[itemId];
+      if (conversion && !options.audio) {
+        options.convert = conversion;
+        if (options.subtitles) {
+          options.subtitles = ['mp3', 'wav'].includes(conversion.format) ? undefined : { ...options.subtitles, embed: false };
+        }
+      }
 
       // Notify user of selected quality at download start
       toast({
         title: "Starting Download",
-        description: `${item.filename} – Quality: ${quality}`,
+        description: `${item.filename} – ${chosenFormat ? `Format: ${getFormatLabel(chosenFormat)}` : `Quality: ${quality}`}`,
       });
       
       // Use the download service with progress callback and time range if provided
-      await DownloadService.downloadMedia(item, quality, (progress) => {
+      await DownloadService.downloadMedia(getDownloadTarget(item), quality, (progress) => {
         console.log('🔄 MediaGrid: Progress update received:', progress, 'for item:', itemId);
         console.log('🔄 MediaGrid: Current downloadProgress state before update:', downloadProgress);
         setDownloadProgress(prev => {
@@ -152,7 +324,7 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
           console.log('🔄 MediaGrid: Setting new downloadProgress state:', newProgress);
           return newProgress;
         });
-      }, startTime, endTime);
+      }, startTime, endTime, options);
       
       setDownloadProgress(prev => ({ ...prev, [itemId]: 100 }));
       
@@ -224,8 +396,32 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
     });
   };
 
+  const getPixelSize = (item: MediaItem) => {
+    if (item.width && item.height) return { width: item.width, height: item.height };
+    const match = item.dimensions?.match(/^(\d+)x(\d+)$/);
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+  };
+
+  // Filters only drop items whose size is known; unknown values sort last
+  const visibleItems = items.filter(item => {
+    if (typeFilter !== 'all' && item.type !== typeFilter) return false;
+    const pixels = getPixelSize(item);
+    if (pixels && pixels.width < minPixels && pixels.height < minPixels) return false;
+    return !(minSizeKb > 0 && item.bytes !== undefined && item.bytes < minSizeKb * 1024);
+  });
+  if (sortOrder !== 'page') {
+    const sortValue = (item: MediaItem) => {
+      if (sortOrder === 'size') return item.bytes;
+      if (sortOrder === 'duration') return item.duration;
+      const pixels = getPixelSize(item);
+      return pixels ? pixels.width * pixels.height : undefined;
+    };
+    visibleItems.sort((a, b) => (sortValue(b) ?? -1) - (sortValue(a) ?? -1));
+  }
+  const hiddenCount = items.length - visibleItems.length;
+
   const handleDownloadAll = async () => {
-    const nonDownloadedItems = items.filter(item => 
+    const nonDownloadedItems = visibleItems.filter(item => 
       !downloadingItems.has(item.url) && !downloadedItems.has(item.url)
     );
 
@@ -250,6 +446,76 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
     }
   };
 
+  const toggleItemSelection = (item: MediaItem, checked: boolean) => {
+    setSelectedItems(prev => {
+      const newSet = new Set(prev);
+      if (checked) {
+        newSet.add(item.url);
+      } else {
+        newSet.delete(item.url);
+      }
+      return newSet;
+    });
+  };
+
+  const toggleSelectAll = (checked: boolean) => {
+    setSelectedItems(checked ? new Set(items.map(item => item.url)) : new Set());
+  };
+
+  const handleBatchDownload = async () => {
+    const selected = items.filter(item => selectedItems.has(item.url));
+    if (selected.length === 0) return;
+
+    setBatchDownloading(true);
+    setBatchProgress(0);
+
+    toast({
+      title: "Batch Download Started",
+      description: batchMode === 'zip'
+        ? `Downloading ${selected.length} videos into one ZIP...`
+        : `Queued ${selected.length} downloads...`,
+    });
+
+    try {
+      const archiveName = playlistTitle.replace(/[^\w\s.-]/g, '_');
+      const { failed } = await DownloadService.downloadBatch(selected, batchKey, batchQuality, batchMode, archiveName, setBatchProgress, outputOptions);
+
+      setDownloadedItems(prev => {
+        const newSet = new Set(prev);
+        selected.forEach(item => newSet.add(item.url));
+        return newSet;
+      });
+
+      toast({
+        title: "Batch Download Complete",
+        description: failed > 0
+          ? `${selected.length - failed} of ${selected.length} videos downloaded, ${failed} failed`
+          : `${selected.length} videos downloaded successfully`,
+        variant: failed > 0 ? "destructive" : "default",
+      });
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') {
+        toast({
+          title: "Batch Download Cancelled",
+          description: "The remaining downloads were cancelled",
+        });
+      } else {
+        toast({
+          title: "Batch Download Failed",
+          description: error instanceof Error ? error.message : "Could not download the selected videos",
+          variant: "destructive",
+        });
+      }
+    } finally {
+      setBatchDownloading(false);
+      setBatchProgress(0);
+    }
+  };
+
+  const handleCancelBatch = async () => {
+    await DownloadService.cancelDownload(batchKey);
+  };
+
   // Check if any video has been analyzed and is long
   const hasLongVideo = items.some(item => 
     isVideoItem(item) && 
@@ -274,42 +540,168 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
           onClick={handleDownloadAll}
           variant="hero"
           className="shadow-glow"
-          disabled={items.length === 0}
+          disabled={visibleItems.length === 0}
         >
           <Download className="w-5 h-5" />
-          Download All ({items.length})
+          Download All ({visibleItems.length})
         </Button>
       </div>
 
+      {/* Sorting and filters; sizes and types fill in once the pre-flight returns */}
+      {!isPlaylist && items.length > 0 && (
+        <Card className="p-4 flex flex-wrap items-end gap-4 bg-card/80 border-border/50">
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-muted-foreground">Type</label>
+            <Select value={typeFilter} onValueChange={(value) => setTypeFilter(value as TypeFilter)}>
+              <SelectTrigger className="w-36 bg-background/50">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All types</SelectItem>
+                <SelectItem value="image">Images</SelectItem>
+                <SelectItem value="video">Videos</SelectItem>
+                <SelectItem value="audio">Audio</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-muted-foreground">Sort</label>
+            <Select value={sortOrder} onValueChange={(value) => setSortOrder(value as SortOrder)}>
+              <SelectTrigger className="w-52 bg-background/50">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SORT_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-muted-foreground">Hide smaller than (px)</label>
+            <Input
+              type="number"
+              min={0}
+              value={minPixels}
+              onChange={(event) => setMinPixels(Math.max(0, Number(event.target.value) || 0))}
+              className="w-32 bg-background/50"
+            />
+          </div>
+
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-muted-foreground">Min file size (KB)</label>
+            <Input
+              type="number"
+              min={0}
+              value={minSizeKb}
+              onChange={(event) => setMinSizeKb(Math.max(0, Number(event.target.value) || 0))}
+              className="w-32 bg-background/50"
+            />
+          </div>
+
+          {hiddenCount > 0 && (
+            <span className="text-sm text-muted-foreground pb-2">{hiddenCount} hidden by filters</span>
+          )}
+        </Card>
+      )}
+
+      {/* Playlist Batch Download */}
+      {isPlaylist && (
+        <Card className="p-4 flex flex-wrap items-center gap-4 bg-card/80 border-border/50">
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="select-all-entries"
+              checked={selectedItems.size === items.length}
+              onCheckedChange={(checked) => toggleSelectAll(checked === true)}
+              disabled={batchDownloading}
+            />
+            <label htmlFor="select-all-entries" className="text-sm font-medium text-foreground flex items-center gap-2">
+              <ListVideo className="w-4 h-4" />
+              Select all ({selectedItems.size} of {items.length} selected)
+            </label>
+          </div>
 
+          <Select value={batchQuality} onValueChange={setBatchQuality} disabled={batchDownloading}>
+            <SelectTrigger className="w-44 bg-background/50">
+              <SelectValue placeholder="Quality" />
+            </SelectTrigger>
+            <SelectContent>
+              {qualityOptions.map((option) => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <Select value={batchMode} onValueChange={(value) => setBatchMode(value as BatchDownloadMode)} disabled={batchDownloading}>
+            <SelectTrigger className="w-52 bg-background/50">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="zip">Single ZIP archive</SelectItem>
+              <SelectItem value="jobs">Separate files</SelectItem>
+            </SelectContent>
+          </Select>
+
+          <details className="w-full order-last">
+            <summary className="text-sm text-muted-foreground cursor-pointer">Output settings</summary>
+            <div className="pt-3">
+              <OutputSettings value={outputOptions} onChange={setOutputOptions} disabled={batchDownloading} />
+            </div>
+          </details>
+
+          {batchDownloading ? (
+            <div className="flex items-center gap-3 flex-1 min-w-[200px]">
+              <Progress value={batchProgress} className="h-3 flex-1" />
+              <span className="text-sm font-bold text-foreground">{batchProgress}%</span>
+              <Button onClick={handleCancelBatch} variant="destructive" size="sm">
+                <X className="w-4 h-4" />
+                Cancel
+              </Button>
+            </div>
+          ) : (
+            <Button onClick={handleBatchDownload} disabled={selectedItems.size === 0} className="ml-auto">
+              <Download className="w-4 h-4" />
+              Download Selected ({selectedItems.size})
+            </Button>
+          )}
+        </Card>
+      )}
 
       {/* Media Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8 p-2">
-        {items.map((item, index) => {
+        {visibleItems.map((item) => {
           const isDownloading = downloadingItems.has(item.url);
           const isDownloaded = downloadedItems.has(item.url);
           const progress = downloadProgress[item.url] || 0;
+          const placeholder = (
+            <div className="w-full h-full flex items-center justify-center bg-gradient-to-br from-primary/10 to-secondary/10 group-hover:from-primary/20 group-hover:to-secondary/20 transition-all duration-300">
+              {React.cloneElement(getIcon(item.type), {
+                className: "w-8 h-8 text-primary/70 group-hover:text-primary group-hover:scale-110 transition-all duration-300"
+              })}
+            </div>
+          );
 
           return (
-            <Card key={index} className="overflow-hidden shadow-lg hover:shadow-2xl transition-all duration-500 group bg-gradient-to-br from-card/95 to-card/80 backdrop-blur-sm border-border/50 hover:border-primary/30 hover:scale-[1.03] transform hover:-translate-y-1 relative">
+            <Card key={item.url} className="overflow-hidden shadow-lg hover:shadow-2xl transition-all duration-500 group bg-gradient-to-br from-card/95 to-card/80 backdrop-blur-sm border-border/50 hover:border-primary/30 hover:scale-[1.03] transform hover:-translate-y-1 relative">
               {/* Media Preview */}
               <div className="aspect-video bg-gradient-to-br from-muted/20 to-muted/40 relative overflow-hidden group-hover:from-primary/5 group-hover:to-primary/10 transition-all duration-300">
-                {item.type === 'image' && item.thumbnail ? (
+                {(item.type === 'image' || item.playlistIndex !== undefined) && item.thumbnail ? (
                   <img
-                    src={item.thumbnail}
+                    src={selectedVariant[item.url] || item.thumbnail}
                     alt={item.filename}
                     className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
                     onError={(e) => {
                       e.currentTarget.style.display = 'none';
                     }}
                   />
+                ) : isVideoItem(item) && !item.url.startsWith('blob:') ? (
+                  // Real frames instead of the generic card, loaded when the card comes into view
+                  <VideoPreviewStrip url={item.url} fallback={placeholder} />
                 ) : (
-                    <div className="w-full h-full flex items-center justify-center bg-gradient-to-br from-primary/10 to-secondary/10 group-hover:from-primary/20 group-hover:to-secondary/20 transition-all duration-300">
-                      {React.cloneElement(getIcon(item.type), { 
-                        className: "w-8 h-8 text-primary/70 group-hover:text-primary group-hover:scale-110 transition-all duration-300" 
-                      })}
-                    </div>
-                  )}
+                  placeholder
+                )}
                 
                 {/* Type Badge */}
                 <Badge className={`absolute top-3 left-3 ${getTypeColor(item.type)} shadow-lg backdrop-blur-sm border-0 font-medium`}>
@@ -323,6 +715,26 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
                     {item.size}
                   </Badge>
                 )}
+
+                {/* Playlist Entry Selection */}
+                {item.playlistIndex !== undefined && (
+                  <div className="absolute bottom-3 left-3 flex items-center gap-2 bg-black/60 rounded-md px-2 py-1">
+                    <Checkbox
+                      checked={selectedItems.has(item.url)}
+                      onCheckedChange={(checked) => toggleItemSelection(item, checked === true)}
+                      disabled={batchDownloading}
+                      className="border-white"
+                      aria-label={`Select ${item.filename}`}
+                    />
+                    <span className="text-xs font-semibold text-white">#{item.playlistIndex}</span>
+                  </div>
+                )}
+
+                {item.duration && (
+                  <Badge variant="secondary" className="absolute bottom-3 right-3 bg-black/60 text-white border-0">
+                    {formatTime(item.duration)}
+                  </Badge>
+                )}
               </div>
 
               {/* Content */}
@@ -331,14 +743,24 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
                   <h3 className="font-bold text-lg text-foreground truncate group-hover:text-primary transition-colors duration-300" title={item.filename}>
                     {item.filename}
                   </h3>
+                  {item.title && (
+                    <p className="text-sm text-foreground/80 line-clamp-2" title={item.title}>
+                      {item.title}
+                    </p>
+                  )}
+                  {item.uploadDate && !isNaN(Date.parse(item.uploadDate)) && (
+                    <p className="text-xs text-muted-foreground/60">
+                      Published {new Date(item.uploadDate).toLocaleDateString()}
+                    </p>
+                  )}
                   {item.dimensions && (
                     <p className="text-sm text-muted-foreground/80 font-medium">
                        {item.dimensions}
                      </p>
                   )}
-                  {item.size && (
+                  {(item.mimeType || item.size) && (
                      <p className="text-xs text-muted-foreground/60">
-                       {item.size}
+                       {[item.mimeType, item.size].filter(Boolean).join(' · ')}
                      </p>
                    )}
                 </div>
@@ -356,8 +778,76 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
                   </div>
                 )}
 
+                {/* Variant picker for responsive images, largest first */}
+                {item.alternatives && item.alternatives.length > 1 && (
+                  <div className="space-y-2">
+                    <label className="text-sm font-semibold text-foreground flex items-center gap-2">
+                      <FileImage className="w-4 h-4" />
+                      Variant:
+                    </label>
+                    <Select
+                      value={selectedVariant[item.url] || item.url}
+                      onValueChange={(value) => setSelectedVariant(prev => ({ ...prev, [item.url]: value }))}
+                      disabled={isDownloading}
+                    >
+                      <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="max-h-80">
+                        {item.alternatives.map((variant, variantIndex) => (
+                          <SelectItem key={variant.url} value={variant.url}>
+                            {getVariantLabel(variant)}{variantIndex === 0 ? ' (largest)' : ''}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+
+                {/* Variant picker for HLS/DASH streams */}
+                {item.streaming && showQualitySelector[item.url] && (
+                  <div className="space-y-3 p-3 bg-muted/20 rounded-lg border border-border/30 backdrop-blur-sm">
+                    <label className="text-sm font-semibold text-foreground flex items-center gap-2">
+                      {item.streaming === 'hls' ? 'HLS' : 'DASH'} Variant:
+                    </label>
+                    {manifestInfo[item.url] ? (
+                      <>
+                        <Select
+                          value={String(selectedManifestVariant[item.url] ?? manifestInfo[item.url].variants[0]?.id)}
+                          onValueChange={(value) => setSelectedManifestVariant(prev => ({ ...prev, [item.url]: Number(value) }))}
+                          disabled={isDownloading}
+                        >
+                          <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent className="max-h-80">
+                            {manifestInfo[item.url].variants.map((variant) => (
+                              <SelectItem key={variant.id} value={String(variant.id)}>
+                                <div className="flex flex-col">
+                                  <span>{getManifestVariantLabel(variant)}</span>
+                                  {variant.codecs && <span className="text-xs text-muted-foreground">{variant.codecs}</span>}
+                                </div>
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <p className="text-xs text-muted-foreground">
+                          {manifestInfo[item.url].live
+                            ? "This is a live stream, which can't be saved as a file."
+                            : `${manifestInfo[item.url].duration ? `${formatTime(manifestInfo[item.url].duration)} · ` : ''}Segments are joined into one MP4 without re-encoding.`}
+                        </p>
+                      </>
+                    ) : (
+                      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                        Reading manifest...
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Quality Selector for Videos */}
-                {isVideoItem(item) && showQualitySelector[item.url] && (
+                {isVideoItem(item) && !item.streaming && showQualitySelector[item.url] && (
                   <div className="space-y-3 p-3 bg-muted/20 rounded-lg border border-border/30 backdrop-blur-sm">
                     <label className="text-sm font-semibold text-foreground flex items-center gap-2">
                        Quality Settings:
@@ -390,6 +880,144 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
                         ))}
                       </SelectContent>
                     </Select>
+
+                    {/* Exact format picker, available once the video has been analyzed */}
+                    {inlineVideoInfo[item.url]?.formats?.length > 0 && (
+                      <>
+                        <label className="text-sm font-semibold text-foreground flex items-center gap-2">
+                          Exact Format:
+                        </label>
+                        <Select
+                          value={selectedFormat[item.url] || 'preset'}
+                          onValueChange={(value) => {
+                            setSelectedFormat(prev => ({ ...prev, [item.url]: value === 'preset' ? '' : value }));
+                          }}
+                        >
+                          <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                            <SelectValue placeholder="Use quality preset" />
+                          </SelectTrigger>
+                          <SelectContent className="max-h-80">
+                            <SelectItem value="preset">Use quality preset</SelectItem>
+                            {sortFormats(inlineVideoInfo[item.url].formats).map((format) => (
+                              <SelectItem key={format.formatId} value={format.formatId}>
+                                <div className="flex flex-col">
+                                  <span>{getFormatLabel(format)}</span>
+                                  <span className="text-xs text-muted-foreground">{getFormatDetails(format)}</span>
+                                </div>
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+
+                        {getChosenFormat(item)?.kind === 'video' && (
+                          <Select
+                            value={selectedAudioFormat[item.url] || 'bestaudio'}
+                            onValueChange={(value) => setSelectedAudioFormat(prev => ({ ...prev, [item.url]: value }))}
+                          >
+                            <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent className="max-h-80">
+                              <SelectItem value="bestaudio">Best audio (automatic)</SelectItem>
+                              {sortFormats(inlineVideoInfo[item.url].formats.filter(format => format.kind === 'audio')).map((format) => (
+                                <SelectItem key={format.formatId} value={format.formatId}>
+                                  <div className="flex flex-col">
+                                    <span>{getFormatLabel(format)}</span>
+                                    <span className="text-xs text-muted-foreground">{getFormatDetails(format)}</span>
+                                  </div>
+                                </SelectItem>
+                              ))}
+                              <SelectItem value="none">No audio</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        )}
+                      </>
+                    )}
+
+                    {/* Audio export settings for the audio-only preset or an audio-only format */}
+                    {(getChosenFormat(item) ? getChosenFormat(item)?.kind === 'audio' : selectedQuality[item.url] === 'audio') && (
+                      <>
+                        <label className="text-sm font-semibold text-foreground flex items-center gap-2">
+                          <Music className="w-4 h-4" />
+                          Audio Export:
+                        </label>
+                        <Select
+                          value={getAudioExport(item.url)?.format || 'original'}
+                          onValueChange={(value) => {
+                            if (value === 'original') {
+                              setSelectedAudioExport(prev => ({ ...prev, [item.url]: null }));
+                            } else {
+                              updateAudioExport(item.url, { format: value as AudioExportFormat });
+                            }
+                          }}
+                        >
+                          <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {AUDIO_EXPORT_FORMATS.map((format) => (
+                              <SelectItem key={format.value} value={format.value}>{format.label}</SelectItem>
+                            ))}
+                            <SelectItem value="original">Original (no conversion)</SelectItem>
+                          </SelectContent>
+                        </Select>
+
+                        {getAudioExport(item.url) && (
+                          <>
+                            {!AUDIO_EXPORT_FORMATS.find(format => format.value === getAudioExport(item.url)?.format)?.lossless && (
+                              <Select
+                                value={String(getAudioExport(item.url)?.bitrate || 192)}
+                                onValueChange={(value) => updateAudioExport(item.url, { bitrate: Number(value) })}
+                              >
+                                <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {AUDIO_EXPORT_BITRATES.map((bitrate) => (
+                                    <SelectItem key={bitrate} value={String(bitrate)}>{bitrate} kbps</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            )}
+                            <div className="flex items-center gap-2">
+                              <Checkbox
+                                id={`normalize-${item.url}`}
+                                checked={Boolean(getAudioExport(item.url)?.normalize)}
+                                onCheckedChange={(checked) => updateAudioExport(item.url, { normalize: checked === true })}
+                              />
+                              <label htmlFor={`normalize-${item.url}`} className="text-sm text-foreground">
+                                Normalize loudness (EBU R128, -16 LUFS)
+                              </label>
+                            </div>
+                            <p className="text-xs text-muted-foreground">
+                              Tagged with title, uploader, upload date and cover art where the format supports it
+                            </p>
+                          </>
+                        )}
+                      </>
+                    )}
+
+                    {/* Subtitle picker, available once the video has been analyzed */}
+                    {inlineVideoInfo[item.url]?.subtitles && (
+                      <SubtitleSelector
+                        manual={inlineVideoInfo[item.url].subtitles.manual}
+                        automatic={inlineVideoInfo[item.url].subtitles.automatic}
+                        value={selectedSubtitles[item.url] || null}
+                        onChange={(value) => setSelectedSubtitles(prev => ({ ...prev, [item.url]: value }))}
+                        disabled={isDownloading}
+                      />
+                    )}
+
+                    {/* Audio exports already transcode, so conversion is offered for everything else */}
+                    {!((getChosenFormat(item) ? getChosenFormat(item)?.kind === 'audio' : selectedQuality[item.url] === 'audio') && getAudioExport(item.url)) && (
+                      <ConvertSettings
+                        value={selectedConversion[item.url] || null}
+                        onChange={(value) => setSelectedConversion(prev => ({ ...prev, [item.url]: value }))}
+                        disabled={isDownloading}
+                      />
+                    )}
+
+                    <OutputSettings value={outputOptions} onChange={setOutputOptions} disabled={isDownloading} />
                   </div>
                 )}
 
@@ -464,6 +1092,9 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
                           ...prev,
                           [item.url]: !prev[item.url]
                         }));
+                        if (item.streaming && !manifestInfo[item.url]) {
+                          handleLoadManifest(item);
+                        }
                       }}
                       variant="outline"
                       size="sm"
@@ -475,7 +1106,7 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
                   )}
                   
                   <Button
-                    onClick={() => window.open(item.url, '_blank')}
+                    onClick={() => window.open(getDownloadTarget(item).url, '_blank')}
                     variant="outline"
                     size="sm"
                     className="transition-all duration-300 hover:scale-105 shadow-md hover:shadow-lg hover:bg-secondary/10 hover:border-secondary/50"
@@ -495,6 +1126,7 @@ export const MediaGrid = ({ items }: MediaGridProps) => {
         <TimeRangeSelector
           videoDuration={videoInfo.duration}
           videoTitle={videoInfo.title}
+          previewUrl={showTimeSelector}
           onTimeRangeChange={(startTime, endTime) => {
             const item = items.find(item => item.url === showTimeSelector);
             if (item) {
@@ -0,0 +1,101 @@
+import React from "react";
+import { Badge } from "@/components/ui/badge";
+import { Info } from "lucide-react";
+import { MediaReport, MediaStreamInfo } from "@/services/VideoConversionService";
+
+interface MediaInfoPanelProps {
+  report: MediaReport;
+}
+
+const formatDuration = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toFixed(2).padStart(5, "0");
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${secs}`;
+};
+
+const formatBytes = (bytes: number) => {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const formatBitRate = (bitsPerSecond: number) =>
+  bitsPerSecond >= 1_000_000 ? `${(bitsPerSecond / 1_000_000).toFixed(1)} Mb/s` : `${Math.round(bitsPerSecond / 1000)} kb/s`;
+
+// One-line technical summary of a stream, skipping whatever ffprobe didn't report
+const describeStream = (stream: MediaStreamInfo) => {
+  const parts: string[] = [stream.profile ? `${stream.codec} (${stream.profile})` : stream.codec];
+
+  if (stream.type === "video") {
+    if (stream.displayWidth && stream.displayHeight) parts.push(`${stream.displayWidth}×${stream.displayHeight}`);
+    if (stream.displayAspectRatio && stream.displayAspectRatio !== "0:1") parts.push(`DAR ${stream.displayAspectRatio}`);
+    if (stream.fps) parts.push(`${stream.fps} fps`);
+    if (stream.pixelFormat) parts.push(stream.pixelFormat);
+    if (stream.fieldOrder && stream.fieldOrder !== "progressive" && stream.fieldOrder !== "unknown") parts.push(`interlaced (${stream.fieldOrder})`);
+    const color = stream.color;
+    if (color && (color.primaries || color.transfer)) {
+      parts.push([color.primaries, color.transfer, color.space, color.range].filter(Boolean).join("/"));
+    }
+  } else if (stream.type === "audio") {
+    if (stream.channels) parts.push(stream.channelLayout ? `${stream.channels} ch (${stream.channelLayout})` : `${stream.channels} ch`);
+    if (stream.sampleRate) parts.push(`${(stream.sampleRate / 1000).toFixed(stream.sampleRate % 1000 ? 1 : 0)} kHz`);
+    if (stream.bitDepth) parts.push(`${stream.bitDepth}-bit`);
+  } else if (stream.type === "attachment" && stream.filename) {
+    parts.push(stream.filename);
+  }
+
+  if (stream.bitRate) parts.push(formatBitRate(stream.bitRate));
+  return parts.join(" · ");
+};
+
+const MediaInfoPanel: React.FC<MediaInfoPanelProps> = ({ report }) => {
+  const { container } = report;
+  const summary = [
+    container.formatLong || container.format,
+    report.duration !== null ? formatDuration(report.duration) : null,
+    container.size !== null ? formatBytes(container.size) : null,
+    container.bitRate !== null ? formatBitRate(container.bitRate) : null,
+  ].filter(Boolean);
+
+  return (
+    <div className="p-4 bg-muted/30 rounded-lg border space-y-3">
+      <div className="flex items-center gap-2">
+        <Info className="w-4 h-4 text-primary" />
+        <h4 className="text-sm font-medium text-foreground">Media Info</h4>
+      </div>
+
+      <div className="text-sm text-foreground">{summary.join(" · ")}</div>
+      {(report.timecode || container.encoder || container.creationTime) && (
+        <div className="text-xs text-muted-foreground space-x-3">
+          {report.timecode && <span>Timecode {report.timecode}</span>}
+          {container.encoder && <span>Encoder {container.encoder}</span>}
+          {container.creationTime && <span>Created {new Date(container.creationTime).toLocaleString()}</span>}
+        </div>
+      )}
+
+      <ul className="space-y-2">
+        {report.streams.map((stream) => (
+          <li key={stream.index} className="flex flex-wrap items-center gap-2 text-sm">
+            <Badge variant="outline" className="capitalize">
+              #{stream.index} {stream.attachedPic ? "cover art" : stream.type}
+            </Badge>
+            <span className="text-foreground">{describeStream(stream)}</span>
+            {stream.hdr && <Badge variant="secondary">{stream.hdr}</Badge>}
+            {stream.language && stream.language !== "und" && <Badge variant="secondary">{stream.language}</Badge>}
+            {stream.default && <Badge variant="secondary">default</Badge>}
+            {stream.forced && <Badge variant="secondary">forced</Badge>}
+            {stream.title && <span className="text-xs text-muted-foreground">{stream.title}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MediaInfoPanel;
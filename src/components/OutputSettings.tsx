@@ -0,0 +1,60 @@
+import React, { useId } from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Tags } from "lucide-react";
+import { EmbedOptions, OutputOptions } from "@/services/DownloadService";
+
+interface OutputSettingsProps {
+  value: OutputOptions;
+  onChange: (value: OutputOptions) => void;
+  disabled?: boolean;
+}
+
+const EMBED_FLAGS: { key: keyof EmbedOptions; label: string; defaultValue: boolean }[] = [
+  { key: "metadata", label: "Metadata (title, uploader, date, description, source URL)", defaultValue: false },
+  { key: "chapters", label: "Chapter markers", defaultValue: false },
+  { key: "thumbnail", label: "Cover thumbnail", defaultValue: false },
+];
+
+const TEMPLATE_FIELDS = ["title", "id", "uploader", "channel", "date", "resolution", "format", "index", "ext"];
+
+const OutputSettings: React.FC<OutputSettingsProps> = ({ value, onChange, disabled = false }) => {
+  const idPrefix = useId();
+  const embed = value.embed || {};
+
+  return (
+    <div className="space-y-3">
+      <label className="text-sm font-semibold text-foreground flex items-center gap-2">
+        <Tags className="w-4 h-4" />
+        Output:
+      </label>
+
+      {EMBED_FLAGS.map((flag) => (
+        <div key={flag.key} className="flex items-center gap-2">
+          <Checkbox
+            id={`${idPrefix}-${flag.key}`}
+            checked={embed[flag.key] ?? flag.defaultValue}
+            onCheckedChange={(checked) => onChange({ ...value, embed: { ...embed, [flag.key]: checked === true } })}
+            disabled={disabled}
+          />
+          <label htmlFor={`${idPrefix}-${flag.key}`} className="text-sm text-foreground">
+            Embed {flag.label.charAt(0).toLowerCase() + flag.label.slice(1)}
+          </label>
+        </div>
+      ))}
+
+      <Input
+        value={value.filenameTemplate || ""}
+        onChange={(event) => onChange({ ...value, filenameTemplate: event.target.value || undefined })}
+        placeholder="Filename template, e.g. {uploader}/{date}-{title}.{ext}"
+        className="bg-background/50 border-border/50"
+        disabled={disabled}
+      />
+      <p className="text-xs text-muted-foreground">
+        Fields: {TEMPLATE_FIELDS.map((field) => `{${field}}`).join(" ")}. Folders are kept in ZIP archives.
+      </p>
+    </div>
+  );
+};
+
+export default OutputSettings;
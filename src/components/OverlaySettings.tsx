@@ -0,0 +1,236 @@
+import React, { useId } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Stamp, X } from "lucide-react";
+import { ConversionOverlays, OverlayPosition, TextOverlayOptions, WatermarkOptions } from "@/services/VideoConversionService";
+
+interface OverlaySettingsProps {
+  value: ConversionOverlays;
+  onChange: (value: ConversionOverlays) => void;
+  disabled?: boolean;
+}
+
+const POSITIONS: { value: OverlayPosition; label: string }[] = [
+  { value: "top-left", label: "Top left" },
+  { value: "top", label: "Top center" },
+  { value: "top-right", label: "Top right" },
+  { value: "center", label: "Center" },
+  { value: "bottom-left", label: "Bottom left" },
+  { value: "bottom", label: "Bottom center" },
+  { value: "bottom-right", label: "Bottom right" },
+];
+
+const parseNumber = (input: string) => (input === "" ? undefined : Number(input));
+
+// Percent inputs for the 0-1 fractions the server takes
+const toPercent = (fraction?: number) => (fraction === undefined ? "" : Math.round(fraction * 100));
+const fromPercent = (input: string) => (input === "" ? undefined : Math.min(100, Math.max(0, Number(input))) / 100);
+
+const OverlaySettings: React.FC<OverlaySettingsProps> = ({ value, onChange, disabled = false }) => {
+  const idPrefix = useId();
+  const { watermark, text } = value;
+
+  const updateWatermark = (changes: Partial<WatermarkOptions>) => {
+    if (!watermark) return;
+    onChange({ ...value, watermark: { ...watermark, options: { ...watermark.options, ...changes } } });
+  };
+
+  const updateText = (changes: Partial<TextOverlayOptions>) => {
+    if (!text) return;
+    onChange({ ...value, text: { ...text, ...changes } });
+  };
+
+  const selectClassName = "w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200";
+
+  const positionSelect = (position: OverlayPosition, onSelect: (position: OverlayPosition) => void) => (
+    <Select value={position} onValueChange={(selected) => onSelect(selected as OverlayPosition)} disabled={disabled}>
+      <SelectTrigger className={selectClassName}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {POSITIONS.map((option) => (
+          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <div className="space-y-4">
+      <label className="text-sm font-medium text-foreground flex items-center gap-2">
+        <Stamp className="w-4 h-4" />
+        Watermark &amp; Text Overlay
+      </label>
+
+      <div className="space-y-2">
+        <label className="text-sm font-medium text-foreground">Logo image</label>
+        <div className="flex items-center gap-2">
+          {/* Keyed so removing the logo also clears the native input */}
+          <Input
+            type="file"
+            accept=".png,.jpg,.jpeg,.webp"
+            key={watermark ? watermark.file.name : "empty"}
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              if (file) onChange({ ...value, watermark: { file, options: watermark?.options || { position: "top-right", margin: 20, scale: 0.15 } } });
+            }}
+            className="bg-background/50 border-border/50"
+            disabled={disabled}
+          />
+          {watermark && (
+            <Button variant="ghost" size="icon" onClick={() => onChange({ ...value, watermark: null })} disabled={disabled} title="Remove watermark">
+              <X className="w-4 h-4" />
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {watermark && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Position</label>
+            {positionSelect(watermark.options.position || "top-right", (position) => updateWatermark({ position }))}
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Margin (px)</label>
+            <Input
+              type="number"
+              min={0}
+              max={500}
+              value={watermark.options.margin ?? ""}
+              onChange={(event) => updateWatermark({ margin: parseNumber(event.target.value) })}
+              placeholder="20"
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Width (% of video)</label>
+            <Input
+              type="number"
+              min={1}
+              max={100}
+              value={toPercent(watermark.options.scale)}
+              onChange={(event) => updateWatermark({ scale: fromPercent(event.target.value) })}
+              placeholder="Native size"
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Opacity (%)</label>
+            <Input
+              type="number"
+              min={0}
+              max={100}
+              value={toPercent(watermark.options.opacity)}
+              onChange={(event) => updateWatermark({ opacity: fromPercent(event.target.value) })}
+              placeholder="100"
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={`${idPrefix}-text`}
+          checked={text !== null}
+          onCheckedChange={(checked) => onChange({ ...value, text: checked === true ? { content: "timestamp", position: "bottom-left" } : null })}
+          disabled={disabled}
+        />
+        <label htmlFor={`${idPrefix}-text`} className="text-sm font-medium text-foreground">
+          Text overlay (title or timestamp)
+        </label>
+      </div>
+
+      {text && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Content</label>
+            <Select
+              value={text.content}
+              onValueChange={(content) => updateText({ content: content as TextOverlayOptions["content"] })}
+              disabled={disabled}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="timestamp">Running timestamp</SelectItem>
+                <SelectItem value="title">Title text</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {text.content === "title" && (
+            <div className="space-y-2 md:col-span-2">
+              <label className="text-sm font-medium text-foreground">Title</label>
+              <Input
+                value={text.text || ""}
+                onChange={(event) => updateText({ text: event.target.value })}
+                placeholder="e.g. © Media Harvest"
+                maxLength={200}
+                disabled={disabled}
+              />
+            </div>
+          )}
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Position</label>
+            {positionSelect(text.position || "bottom-left", (position) => updateText({ position }))}
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Font Size</label>
+            <Input
+              type="number"
+              min={8}
+              max={200}
+              value={text.fontSize ?? ""}
+              onChange={(event) => updateText({ fontSize: parseNumber(event.target.value) })}
+              placeholder="32"
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Opacity (%)</label>
+            <Input
+              type="number"
+              min={0}
+              max={100}
+              value={toPercent(text.opacity)}
+              onChange={(event) => updateText({ opacity: fromPercent(event.target.value) })}
+              placeholder="100"
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Text Color</label>
+            <Input
+              type="color"
+              value={text.color || "#ffffff"}
+              onChange={(event) => updateText({ color: event.target.value })}
+              className="w-16 p-1"
+              disabled={disabled}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id={`${idPrefix}-box`}
+              checked={Boolean(text.box)}
+              onCheckedChange={(checked) => updateText({ box: checked === true })}
+              disabled={disabled}
+            />
+            <label htmlFor={`${idPrefix}-box`} className="text-sm text-foreground">
+              Background box
+            </label>
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-muted-foreground">
+        Saved in this browser and applied to watch-folder conversions as well.
+      </p>
+    </div>
+  );
+};
+
+export default OverlaySettings;
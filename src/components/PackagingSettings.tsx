@@ -0,0 +1,104 @@
+import React, { useId } from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Radio } from "lucide-react";
+import { PackagingOptions, PackagingRendition } from "@/services/VideoConversionService";
+
+interface PackagingSettingsProps {
+  value: PackagingOptions | null;
+  onChange: (value: PackagingOptions | null) => void;
+  disabled?: boolean;
+}
+
+// Mirrors PACKAGING_RENDITIONS in server.js
+const RENDITIONS: { value: PackagingRendition; label: string }[] = [
+  { value: "low", label: "480p (low)" },
+  { value: "medium", label: "720p (medium)" },
+  { value: "high", label: "1080p (high)" },
+  { value: "maximum", label: "2160p (maximum)" },
+];
+
+const ALL_RENDITIONS = RENDITIONS.map((rendition) => rendition.value);
+
+const PackagingSettings: React.FC<PackagingSettingsProps> = ({ value, onChange, disabled = false }) => {
+  const idPrefix = useId();
+  const selected = value?.renditions || ALL_RENDITIONS;
+
+  // At least one rendition stays selected
+  const toggleRendition = (rendition: PackagingRendition, checked: boolean) => {
+    if (!value) return;
+    const renditions = checked ? [...selected, rendition] : selected.filter((current) => current !== rendition);
+    if (renditions.length === 0) return;
+    onChange({ ...value, renditions: ALL_RENDITIONS.filter((current) => renditions.includes(current)) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={`${idPrefix}-enabled`}
+          checked={value !== null}
+          onCheckedChange={(checked) => onChange(checked === true ? {} : null)}
+          disabled={disabled}
+        />
+        <label htmlFor={`${idPrefix}-enabled`} className="text-sm font-medium text-foreground flex items-center gap-2">
+          <Radio className="w-4 h-4" />
+          Package for adaptive streaming (HLS ladder as a ZIP)
+        </label>
+      </div>
+
+      {value && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {RENDITIONS.map((rendition) => (
+              <div key={rendition.value} className="flex items-center gap-2">
+                <Checkbox
+                  id={`${idPrefix}-${rendition.value}`}
+                  checked={selected.includes(rendition.value)}
+                  onCheckedChange={(checked) => toggleRendition(rendition.value, checked === true)}
+                  disabled={disabled}
+                />
+                <label htmlFor={`${idPrefix}-${rendition.value}`} className="text-sm text-foreground">
+                  {rendition.label}
+                </label>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-foreground">Segment Length (s)</label>
+              <Input
+                type="number"
+                min={2}
+                max={10}
+                value={value.segmentDuration ?? ""}
+                onChange={(event) => onChange({ ...value, segmentDuration: event.target.value === "" ? undefined : Number(event.target.value) })}
+                placeholder="6"
+                disabled={disabled}
+              />
+            </div>
+            <div className="flex items-center gap-2 h-10">
+              <Checkbox
+                id={`${idPrefix}-dash`}
+                checked={Boolean(value.dash)}
+                onCheckedChange={(checked) => onChange({ ...value, dash: checked === true })}
+                disabled={disabled}
+              />
+              <label htmlFor={`${idPrefix}-dash`} className="text-sm text-foreground">
+                Also write a DASH manifest (fMP4 segments)
+              </label>
+            </div>
+          </div>
+
+          <p className="text-xs text-muted-foreground">
+            Each rendition is encoded from its quality preset; ones larger than the source are skipped. Resolution,
+            audio routing, loudness and encoder settings don't apply to packages.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PackagingSettings;
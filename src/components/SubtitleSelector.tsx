@@ -0,0 +1,137 @@
+import React, { useId } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Captions, X } from "lucide-react";
+import { SubtitleFormat, SubtitleOptions, SubtitleTrack } from "@/services/DownloadService";
+
+interface SubtitleSelectorProps {
+  manual: SubtitleTrack[];
+  automatic: SubtitleTrack[];
+  value: SubtitleOptions | null;
+  onChange: (value: SubtitleOptions | null) => void;
+  disabled?: boolean;
+}
+
+const SUBTITLE_FORMATS: { value: SubtitleFormat; label: string }[] = [
+  { value: "srt", label: "SRT (SubRip)" },
+  { value: "vtt", label: "VTT (WebVTT)" },
+  { value: "ass", label: "ASS (Advanced SubStation)" },
+];
+
+const SubtitleSelector: React.FC<SubtitleSelectorProps> = ({
+  manual,
+  automatic,
+  value,
+  onChange,
+  disabled = false,
+}) => {
+  const embedId = useId();
+  const langs = value?.langs || [];
+  const format = value?.format || "srt";
+  const embed = value?.embed ?? true;
+
+  // Automatic captions include every machine-translated language; manual tracks are listed first
+  const manualLangs = new Set(manual.map((track) => track.lang));
+  const automaticOnly = automatic.filter((track) => !manualLangs.has(track.lang));
+
+  const getTrackName = (lang: string) => {
+    const track = manual.find((t) => t.lang === lang) || automatic.find((t) => t.lang === lang);
+    return track ? track.name : lang;
+  };
+
+  const update = (changes: Partial<SubtitleOptions>) => {
+    const next = { langs, format, embed, ...changes };
+    onChange(next.langs.length > 0 ? next : null);
+  };
+
+  if (manual.length === 0 && automatic.length === 0) {
+    return (
+      <p className="text-xs text-muted-foreground">No subtitles or captions available for this video</p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <label className="text-sm font-semibold text-foreground flex items-center gap-2">
+        <Captions className="w-4 h-4" />
+        Subtitles:
+      </label>
+
+      <Select
+        value=""
+        onValueChange={(lang) => update({ langs: langs.includes(lang) ? langs : [...langs, lang] })}
+        disabled={disabled}
+      >
+        <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+          <SelectValue placeholder="Add a language..." />
+        </SelectTrigger>
+        <SelectContent className="max-h-80">
+          {manual.map((track) => (
+            <SelectItem key={`manual-${track.lang}`} value={track.lang}>
+              {track.name} ({track.lang})
+            </SelectItem>
+          ))}
+          {automaticOnly.map((track) => (
+            <SelectItem key={`auto-${track.lang}`} value={track.lang}>
+              {track.name} ({track.lang}, auto-generated)
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {langs.length > 0 && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {langs.map((lang) => (
+              <Badge key={lang} variant="secondary" className="gap-1">
+                {getTrackName(lang)}
+                {!manualLangs.has(lang) && <span className="text-muted-foreground">(auto)</span>}
+                <button
+                  type="button"
+                  onClick={() => update({ langs: langs.filter((l) => l !== lang) })}
+                  disabled={disabled}
+                  aria-label={`Remove ${lang} subtitles`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </Badge>
+            ))}
+          </div>
+
+          <Select value={format} onValueChange={(f) => update({ format: f as SubtitleFormat })} disabled={disabled}>
+            <SelectTrigger className="w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SUBTITLE_FORMATS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id={embedId}
+              checked={embed}
+              onCheckedChange={(checked) => update({ embed: checked === true })}
+              disabled={disabled}
+            />
+            <label htmlFor={embedId} className="text-sm text-foreground">
+              Embed into video
+            </label>
+          </div>
+          {!embed && (
+            <p className="text-xs text-muted-foreground">
+              Subtitle files will be delivered with the video in a ZIP archive
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SubtitleSelector;
@@ -0,0 +1,201 @@
+import React, { useEffect, useId } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Captions, X } from "lucide-react";
+import { SubtitleMode, SubtitleOptions, SubtitlePosition } from "@/services/VideoConversionService";
+
+interface SubtitleSettingsProps {
+  format: string;
+  file: File | null;
+  onFileChange: (file: File | null) => void;
+  value: SubtitleOptions;
+  onChange: (value: SubtitleOptions) => void;
+  disabled?: boolean;
+}
+
+// Containers with a soft subtitle codec (mov_text, or native tracks in MKV/WebM)
+const SOFT_SUBTITLE_FORMATS = ["mp4", "mov", "mkv", "webm"];
+const DEFAULT_VALUE = "default";
+
+const parseNumber = (input: string) => (input === "" ? undefined : Number(input));
+
+const SubtitleSettings: React.FC<SubtitleSettingsProps> = ({ format, file, onFileChange, value, onChange, disabled = false }) => {
+  const idPrefix = useId();
+  const canSoft = SOFT_SUBTITLE_FORMATS.includes(format);
+
+  // AVI has no soft subtitle track, so fall back to burning in
+  useEffect(() => {
+    if (value.mode === "soft" && !SOFT_SUBTITLE_FORMATS.includes(format)) {
+      onChange({ mode: "burn" });
+    }
+  }, [format, value, onChange]);
+
+  const update = (changes: Partial<SubtitleOptions>) => {
+    const next: SubtitleOptions = { ...value, ...changes };
+    (Object.keys(next) as (keyof SubtitleOptions)[]).forEach((key) => next[key] === undefined && delete next[key]);
+    onChange(next);
+  };
+
+  const selectClassName = "w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200";
+
+  return (
+    <div className="space-y-4">
+      <label className="text-sm font-medium text-foreground flex items-center gap-2">
+        <Captions className="w-4 h-4" />
+        Subtitles
+      </label>
+
+      <div className="flex items-center gap-2">
+        {/* Keyed so removing the file also clears the native input */}
+        <Input
+          type="file"
+          accept=".srt,.vtt,.ass,.ssa"
+          key={file ? file.name : "empty"}
+          onChange={(event) => onFileChange(event.target.files?.[0] || null)}
+          className="bg-background/50 border-border/50"
+          disabled={disabled}
+        />
+        {file && (
+          <Button variant="ghost" size="icon" onClick={() => onFileChange(null)} disabled={disabled} title="Remove subtitles">
+            <X className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+
+      {file && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">Mode</label>
+            <Select
+              value={value.mode}
+              onValueChange={(mode) => onChange({ mode: mode as SubtitleMode })}
+              disabled={disabled}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="soft" disabled={!canSoft}>Soft track (selectable)</SelectItem>
+                <SelectItem value="burn">Burn into picture</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {value.mode === "soft" ? (
+            <>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Language</label>
+                <Input
+                  value={value.language || ""}
+                  onChange={(event) => update({ language: event.target.value.toLowerCase() || undefined })}
+                  placeholder="ISO 639-2, e.g. eng"
+                  maxLength={3}
+                  disabled={disabled}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Track Title</label>
+                <Input
+                  value={value.title || ""}
+                  onChange={(event) => update({ title: event.target.value || undefined })}
+                  placeholder="e.g. English (SDH)"
+                  maxLength={100}
+                  disabled={disabled}
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id={`${idPrefix}-default`}
+                  checked={Boolean(value.default)}
+                  onCheckedChange={(checked) => update({ default: checked === true || undefined })}
+                  disabled={disabled}
+                />
+                <label htmlFor={`${idPrefix}-default`} className="text-sm text-foreground">
+                  Show by default
+                </label>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Font Size</label>
+                <Input
+                  type="number"
+                  min={8}
+                  max={200}
+                  value={value.fontSize ?? ""}
+                  onChange={(event) => update({ fontSize: parseNumber(event.target.value) })}
+                  placeholder="File default"
+                  disabled={disabled}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Position</label>
+                <Select
+                  value={value.position || DEFAULT_VALUE}
+                  onValueChange={(position) => update({ position: position === DEFAULT_VALUE ? undefined : position as SubtitlePosition })}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className={selectClassName}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={DEFAULT_VALUE}>File default</SelectItem>
+                    <SelectItem value="bottom">Bottom</SelectItem>
+                    <SelectItem value="middle">Middle</SelectItem>
+                    <SelectItem value="top">Top</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Outline</label>
+                <Input
+                  type="number"
+                  min={0}
+                  max={10}
+                  value={value.outline ?? ""}
+                  onChange={(event) => update({ outline: parseNumber(event.target.value) })}
+                  placeholder="File default"
+                  disabled={disabled}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Vertical Margin</label>
+                <Input
+                  type="number"
+                  min={0}
+                  max={500}
+                  value={value.marginV ?? ""}
+                  onChange={(event) => update({ marginV: parseNumber(event.target.value) })}
+                  placeholder="File default"
+                  disabled={disabled}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-foreground">Text Color</label>
+                <div className="flex items-center gap-2">
+                  <Input
+                    type="color"
+                    value={value.color || "#ffffff"}
+                    onChange={(event) => update({ color: event.target.value })}
+                    className="w-16 p-1"
+                    disabled={disabled}
+                  />
+                  {value.color && (
+                    <Button variant="ghost" size="sm" onClick={() => update({ color: undefined })} disabled={disabled}>
+                      Reset
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtitleSettings;
@@ -1,25 +1,45 @@
 import React, { useState, useEffect, useRef } from "react";
 import {
   formatTime,
+  formatDrift,
   parseTimeToSeconds,
   isValidTimeFormat,
 } from "../utils/timeUtils";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Progress } from "@/components/ui/progress";
-import { Clock, Download, X, Loader2 } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Clock, Download, X, Loader2, ListOrdered, Plus, ArrowUp, ArrowDown, Trash2 } from "lucide-react";
+import { VideoChapter, TimeRange, ClipRangeMode, TrimMode, TrimResult } from "@/services/DownloadService";
+import { ThumbnailFrame, ThumbnailService } from "@/services/ThumbnailService";
 
 interface TimeRangeSelectorProps {
   videoDuration: number; // in seconds
-  onTimeRangeChange: (startTime: number, endTime: number) => void;
+  onTimeRangeChange: (startTime: number, endTime: number, trimMode: TrimMode) => void;
   onCancel: () => void;
   videoTitle?: string;
   inline?: boolean;
   isDownloading?: boolean;
   downloadProgress?: number;
   onCancelDownload?: () => void;
+  chapters?: VideoChapter[];
+  onSplitByChapters?: () => void;
+  // Enables the clip list: several ranges exported as a ZIP of clips or one highlight reel
+  onRangesDownload?: (ranges: TimeRange[], mode: ClipRangeMode, trimMode: TrimMode) => void;
+  // Achieved cuts of the last download, shown so drift from the requested range is visible
+  lastCuts?: TrimResult[];
+  // Video URL for the filmstrip under the slider
+  previewUrl?: string;
 }
 
+const FILMSTRIP_FRAMES = 10;
+
+const TRIM_MODES: { value: TrimMode; label: string }[] = [
+  { value: "fast", label: "Fast – stream copy, cuts snap to keyframes" },
+  { value: "accurate", label: "Accurate – re-encode only the boundaries" },
+  { value: "reencode", label: "Re-encode – frame-exact, slowest" },
+];
+
 const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
   videoDuration,
   onTimeRangeChange,
@@ -29,6 +49,11 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
   isDownloading = false,
   downloadProgress = 0,
   onCancelDownload,
+  chapters = [],
+  onSplitByChapters,
+  onRangesDownload,
+  lastCuts = [],
+  previewUrl,
 }) => {
   const [startTime, setStartTime] = useState("00:00");
   const [endTime, setEndTime] = useState(formatTime(videoDuration));
@@ -38,12 +63,30 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
   const [endSeconds, setEndSeconds] = useState(videoDuration);
   const sliderRef = useRef<HTMLDivElement>(null);
   const [isDragging, setIsDragging] = useState<"start" | "end" | null>(null);
+  const [ranges, setRanges] = useState<TimeRange[]>([]);
+  const [rangeMode, setRangeMode] = useState<ClipRangeMode>("separate");
+  const [trimMode, setTrimMode] = useState<TrimMode>("fast");
+  const [filmstrip, setFilmstrip] = useState<ThumbnailFrame[]>([]);
+  const [isFilmstripLoading, setIsFilmstripLoading] = useState(false);
 
   useEffect(() => {
     setEndTime(formatTime(videoDuration));
     setEndSeconds(videoDuration);
   }, [videoDuration]);
 
+  // The filmstrip is a visual aid only, so failures just leave it out
+  useEffect(() => {
+    setFilmstrip([]);
+    if (!previewUrl) return;
+    const controller = new AbortController();
+    setIsFilmstripLoading(true);
+    ThumbnailService.getFilmstrip(previewUrl, FILMSTRIP_FRAMES, undefined, controller.signal)
+      .then((frames) => !controller.signal.aborted && setFilmstrip(frames))
+      .catch((error) => !controller.signal.aborted && console.warn("Filmstrip unavailable:", error))
+      .finally(() => !controller.signal.aborted && setIsFilmstripLoading(false));
+    return () => controller.abort();
+  }, [previewUrl]);
+
   // Handle mouse events for dragging
   useEffect(() => {
     const handleMouseMove = (e: MouseEvent) => {
@@ -131,6 +174,44 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
     }
   };
 
+  const selectRange = (start: number, end: number) => {
+    setStartSeconds(start);
+    setStartTime(formatTime(start));
+    setStartError("");
+    setEndSeconds(end);
+    setEndTime(formatTime(end));
+    setEndError("");
+  };
+
+  // Clicking a chapter selects exactly its range
+  const handleChapterClick = (chapter: VideoChapter) => {
+    const start = Math.max(0, Math.floor(chapter.start));
+    const end = Math.min(videoDuration, Math.max(start + 1, Math.ceil(chapter.end)));
+    selectRange(start, end);
+  };
+
+  const handleAddRange = () => {
+    setRanges((prev) => [...prev, { start: startSeconds, end: endSeconds }]);
+  };
+
+  const handleMoveRange = (index: number, direction: -1 | 1) => {
+    setRanges((prev) => {
+      const next = [...prev];
+      [next[index], next[index + direction]] = [next[index + direction], next[index]];
+      return next;
+    });
+  };
+
+  const handleRemoveRange = (index: number) => {
+    setRanges((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const activeChapter = chapters.find(
+    (chapter) =>
+      Math.floor(chapter.start) === startSeconds &&
+      Math.min(videoDuration, Math.ceil(chapter.end)) === endSeconds
+  );
+
   const validateAndSetStartTime = (value: string) => {
     setStartTime(value);
     setStartError("");
@@ -192,7 +273,7 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
   };
 
   const handleConfirm = () => {
-    onTimeRangeChange(startSeconds, endSeconds);
+    onTimeRangeChange(startSeconds, endSeconds, trimMode);
   };
 
   const isValid =
@@ -235,6 +316,31 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
             Select Time Range
           </div>
           <div className="relative">
+            {/* Chapter strip: one clickable segment per chapter */}
+            {chapters.length > 0 && (
+              <div className="flex h-5 mb-1 gap-px">
+                {chapters.map((chapter, index) => (
+                  <button
+                    key={`${chapter.start}-${index}`}
+                    type="button"
+                    title={`${chapter.title} (${formatTime(chapter.start)} - ${formatTime(chapter.end)})`}
+                    onClick={() => handleChapterClick(chapter)}
+                    disabled={isDownloading}
+                    className={`h-full min-w-0 px-1 text-[10px] leading-5 truncate text-left transition-colors ${
+                      chapter === activeChapter
+                        ? "bg-primary text-primary-foreground"
+                        : "bg-muted/50 text-muted-foreground hover:bg-primary/30"
+                    }`}
+                    style={{
+                      width: `${((chapter.end - chapter.start) / videoDuration) * 100}%`,
+                    }}
+                  >
+                    {chapter.title}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Timeline background */}
             <div
               ref={sliderRef}
@@ -252,6 +358,27 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
                 }}
               />
 
+              {/* Ranges already in the clip list */}
+              {ranges.map((range, index) => (
+                <div
+                  key={`range-${index}`}
+                  className="absolute h-full bg-primary/25 border-x border-primary/60 pointer-events-none"
+                  style={{
+                    left: `${(range.start / videoDuration) * 100}%`,
+                    width: `${((range.end - range.start) / videoDuration) * 100}%`,
+                  }}
+                />
+              ))}
+
+              {/* Chapter markers */}
+              {chapters.slice(1).map((chapter, index) => (
+                <div
+                  key={`marker-${chapter.start}-${index}`}
+                  className="absolute top-0 h-full w-px bg-background/80 pointer-events-none"
+                  style={{ left: `${(chapter.start / videoDuration) * 100}%` }}
+                />
+              ))}
+
               {/* Start handle */}
               <div
                 className={`absolute top-1/2 transform -translate-y-1/2 w-2 h-full bg-foreground border-r-2 border-background shadow-lg cursor-grab active:cursor-grabbing hover:scale-110 transition-transform z-10 ${
@@ -277,6 +404,35 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
               />
             </div>
 
+            {/* Filmstrip: evenly spaced frames, so each one sits under its slice of the timeline */}
+            {isFilmstripLoading && filmstrip.length === 0 && (
+              <div className="h-10 mt-1 bg-muted/30 animate-pulse" />
+            )}
+            {filmstrip.length > 0 && (
+              <div className="flex h-10 mt-1 overflow-hidden">
+                {filmstrip.map((frame) => (
+                  <button
+                    key={frame.time}
+                    type="button"
+                    className="flex-1 min-w-0 opacity-80 hover:opacity-100 transition-opacity"
+                    title={formatTime(frame.time)}
+                    onClick={() => {
+                      // Move the closer handle to this frame, like clicking the slider
+                      const seconds = Math.round(frame.time);
+                      if (Math.abs(seconds - startSeconds) < Math.abs(seconds - endSeconds)) {
+                        selectRange(Math.min(seconds, endSeconds - 1), endSeconds);
+                      } else {
+                        selectRange(startSeconds, Math.max(seconds, startSeconds + 1));
+                      }
+                    }}
+                    disabled={isDownloading}
+                  >
+                    <img src={frame.image} alt={`Frame at ${formatTime(frame.time)}`} className="w-full h-full object-cover" />
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Time labels */}
             <div className="flex justify-between text-xs text-muted-foreground mt-2">
               <span>0:00</span>
@@ -289,6 +445,11 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
               <span className="text-muted-foreground ml-1">
                 ({formatTime(endSeconds - startSeconds)})
               </span>
+              {activeChapter && (
+                <div className="text-xs text-muted-foreground mt-1 truncate">
+                  Chapter: {activeChapter.title}
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -336,6 +497,133 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
           </div>
         </div>
 
+        {/* Cut precision */}
+        <div className="space-y-2">
+          <div className="text-sm font-medium text-foreground">Cut Precision</div>
+          <Select
+            value={trimMode}
+            onValueChange={(value) => setTrimMode(value as TrimMode)}
+            disabled={isDownloading}
+          >
+            <SelectTrigger className="w-full bg-background/50 border-border/50">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {TRIM_MODES.map((mode) => (
+                <SelectItem key={mode.value} value={mode.value}>
+                  {mode.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Clip list for multi-range exports */}
+        {onRangesDownload && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-medium text-foreground">
+                Clip List ({ranges.length})
+              </div>
+              <Button
+                onClick={handleAddRange}
+                variant="outline"
+                size="sm"
+                disabled={!isValid || isDownloading}
+              >
+                <Plus className="w-4 h-4" />
+                Add Range
+              </Button>
+            </div>
+
+            {ranges.map((range, index) => (
+              <div
+                key={`${range.start}-${range.end}-${index}`}
+                className="flex items-center gap-2 text-sm p-2 bg-muted/20 rounded-md border border-border/30"
+              >
+                <span className="font-medium text-muted-foreground w-6">{index + 1}.</span>
+                <button
+                  type="button"
+                  className="flex-1 text-left text-foreground hover:text-primary transition-colors"
+                  title="Edit on the timeline"
+                  onClick={() => selectRange(range.start, range.end)}
+                >
+                  {formatTime(range.start)} - {formatTime(range.end)}
+                  <span className="text-muted-foreground ml-1">
+                    ({formatTime(range.end - range.start)})
+                  </span>
+                </button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7"
+                  onClick={() => handleMoveRange(index, -1)}
+                  disabled={index === 0 || isDownloading}
+                  aria-label="Move up"
+                >
+                  <ArrowUp className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7"
+                  onClick={() => handleMoveRange(index, 1)}
+                  disabled={index === ranges.length - 1 || isDownloading}
+                  aria-label="Move down"
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 text-destructive"
+                  onClick={() => handleRemoveRange(index)}
+                  disabled={isDownloading}
+                  aria-label="Remove range"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+
+            {ranges.length > 0 && (
+              <Select
+                value={rangeMode}
+                onValueChange={(value) => setRangeMode(value as ClipRangeMode)}
+                disabled={isDownloading}
+              >
+                <SelectTrigger className="w-full bg-background/50 border-border/50">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="separate">Separate clips (ZIP)</SelectItem>
+                  <SelectItem value="concat">Single highlight reel</SelectItem>
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+        )}
+
+        {/* What the last download actually cut */}
+        {lastCuts.length > 0 && !isDownloading && (
+          <div className="space-y-1 p-3 bg-muted/20 rounded-lg border border-border/30 text-xs">
+            <div className="font-medium text-foreground">Last download ({lastCuts[0].mode})</div>
+            {lastCuts.map((cut, index) => (
+              <div key={index} className="text-muted-foreground">
+                {lastCuts.length > 1 && `${index + 1}. `}
+                {formatTime(cut.actualStart)} - {formatTime(cut.actualEnd)}
+                {(Math.abs(cut.actualStart - cut.requestedStart) >= 0.05 ||
+                  Math.abs(cut.actualEnd - cut.requestedEnd) >= 0.05) && (
+                  <span className="ml-1 text-amber-500">
+                    (start {formatDrift(cut.actualStart - cut.requestedStart)}, end{" "}
+                    {formatDrift(cut.actualEnd - cut.requestedEnd)})
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Download Progress */}
         {isDownloading && (
           <div className="space-y-2 p-3 bg-primary/5 rounded-lg border border-primary/20 backdrop-blur-sm">
@@ -365,17 +653,41 @@ const TimeRangeSelector: React.FC<TimeRangeSelectorProps> = ({
               Cancel
             </Button>
           ) : (
-            <Button
-              onClick={handleConfirm}
-              disabled={!isValid}
-              size="sm"
-              className={`min-w-[140px] flex-1 transition-all duration-300 hover:scale-105 shadow-md hover:shadow-lg font-semibold ${
-                !isValid ? "opacity-50 cursor-not-allowed" : ""
-              }`}
-            >
-              <Download className="w-4 h-4" />
-              Download Segment
-            </Button>
+            <>
+              {onRangesDownload && ranges.length > 0 && (
+                <Button
+                  onClick={() => onRangesDownload(ranges, rangeMode, trimMode)}
+                  size="sm"
+                  className="min-w-[140px] flex-1 transition-all duration-300 hover:scale-105 shadow-md hover:shadow-lg font-semibold"
+                >
+                  <Download className="w-4 h-4" />
+                  {rangeMode === "concat" ? "Download Reel" : `Download ${ranges.length} Clips`}
+                </Button>
+              )}
+              {chapters.length > 0 && onSplitByChapters && (
+                <Button
+                  onClick={onSplitByChapters}
+                  variant="outline"
+                  size="sm"
+                  className="min-w-[140px] flex-1 transition-all duration-300 hover:scale-105 shadow-md hover:shadow-lg font-semibold"
+                  title={`Download all ${chapters.length} chapters as separate files in a ZIP`}
+                >
+                  <ListOrdered className="w-4 h-4" />
+                  Split by Chapters
+                </Button>
+              )}
+              <Button
+                onClick={handleConfirm}
+                disabled={!isValid}
+                size="sm"
+                className={`min-w-[140px] flex-1 transition-all duration-300 hover:scale-105 shadow-md hover:shadow-lg font-semibold ${
+                  !isValid ? "opacity-50 cursor-not-allowed" : ""
+                }`}
+              >
+                <Download className="w-4 h-4" />
+                Download Segment
+              </Button>
+            </>
           )}
         </div>
       </div>
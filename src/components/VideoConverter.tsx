@@ -6,9 +6,17 @@ import { Progress } from '@/components/ui/progress';
 import { useToast } from '@/hooks/use-toast';
 import { Upload, Download, FileVideo, AlertCircle, CheckCircle2, X, RefreshCw, Video, Loader2, Settings } from 'lucide-react';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { VideoConversionService } from '@/services/VideoConversionService';
+import { VideoConversionService, AdvancedEncoderOptions, VideoTransformOptions, AudioRouting, AudioRoutingPreset, LoudnessMeasurement, LoudnessReport, LoudnessTarget, MediaReport, ProbedAudioChannel, SubtitleOptions, ConversionOverlays, ConvertVideoOptions, AnimationOptions, PackagingOptions } from '@/services/VideoConversionService';
+import AdvancedEncoderSettings from './AdvancedEncoderSettings';
+import AnimationSettings from './AnimationSettings';
+import AudioRoutingMatrix from './AudioRoutingMatrix';
+import LoudnessSettings from './LoudnessSettings';
+import MediaInfoPanel from './MediaInfoPanel';
+import OverlaySettings from './OverlaySettings';
+import PackagingSettings from './PackagingSettings';
+import SubtitleSettings from './SubtitleSettings';
+import VideoTransformSettings from './VideoTransformSettings';
 
-import { API_ENDPOINTS } from '@/config/api';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Badge } from '@/components/ui/badge';
@@ -45,20 +53,44 @@ declare global {
   }
 }
 
-interface AudioChannel {
-  index: number;
-  label: string;
-  description: string;
-}
+// Social formats default to filling the frame rather than letterboxing
+const SOCIAL_RESOLUTIONS = ['1080x1920', '1080x1080'];
+const PRESET_RESOLUTIONS = ['original', '1920x1080', '1280x720', '854x480', ...SOCIAL_RESOLUTIONS];
+
+// Overlays to send with a conversion: none for audio-only output, and a title overlay only once it has text
+const getActiveOverlays = (format: string, overlays: ConversionOverlays): Pick<ConvertVideoOptions, 'watermark' | 'textOverlay'> => {
+  if (['mp3', 'wav'].includes(format)) return {};
+  const text = overlays.text && (overlays.text.content === 'timestamp' || overlays.text.text?.trim()) ? overlays.text : null;
+  return { watermark: overlays.watermark || undefined, textOverlay: text || undefined };
+};
+
+// GIF and animated WebP are silent images: no audio options or encoder settings apply
+const isAnimatedFormat = (format: string) => ['gif', 'webp'].includes(format);
 
 export const VideoConverter = () => {
   const [file, setFile] = useState<File | null>(null);
   const [format, setFormat] = useState('mp4');
   const [quality, setQuality] = useState('medium');
   const [resolution, setResolution] = useState('original');
+  const [isCustomResolution, setIsCustomResolution] = useState(false);
+  const [transform, setTransform] = useState<VideoTransformOptions>({});
+  const [advanced, setAdvanced] = useState<AdvancedEncoderOptions | null>(null);
   const [isConverting, setIsConverting] = useState(false);
   const [progress, setProgress] = useState(0);
-  const [audioChannels, setAudioChannels] = useState<AudioChannel[]>([]);
+  const [audioChannels, setAudioChannels] = useState<ProbedAudioChannel[]>([]);
+  const [mediaInfo, setMediaInfo] = useState<MediaReport | null>(null);
+  const [routingPresets, setRoutingPresets] = useState<AudioRoutingPreset[]>([]);
+  const [audioRouting, setAudioRouting] = useState<AudioRouting | null>(null);
+  const [loudness, setLoudness] = useState<LoudnessTarget | null>(null);
+  const [loudnessReport, setLoudnessReport] = useState<LoudnessReport | null>(null);
+  // Source loudness is measured on request and only shown for the file it was measured on
+  const [sourceLoudness, setSourceLoudness] = useState<{ file: File; measurement: LoudnessMeasurement | null } | null>(null);
+  const [isMeasuringLoudness, setIsMeasuringLoudness] = useState(false);
+  const [subtitleFile, setSubtitleFile] = useState<File | null>(null);
+  const [subtitleOptions, setSubtitleOptions] = useState<SubtitleOptions>({ mode: 'soft' });
+  const [overlays, setOverlays] = useState<ConversionOverlays>(() => VideoConversionService.loadSavedOverlays());
+  const [animation, setAnimation] = useState<AnimationOptions>({});
+  const [packaging, setPackaging] = useState<PackagingOptions | null>(null);
   const [hasAudio, setHasAudio] = useState<boolean | null>(null); // null = not probed yet, false = no audio, true = has audio
   const [leftChannel, setLeftChannel] = useState<number | undefined>(undefined);
   const [rightChannel, setRightChannel] = useState<number | undefined>(undefined);
@@ -97,6 +129,12 @@ export const VideoConverter = () => {
   const resolutionRef = React.useRef(resolution);
   const leftChannelRef = React.useRef(leftChannel);
   const rightChannelRef = React.useRef(rightChannel);
+  const advancedRef = React.useRef(advanced);
+  const audioRoutingRef = React.useRef(audioRouting);
+  const loudnessRef = React.useRef(loudness);
+  const transformRef = React.useRef(transform);
+  const overlaysRef = React.useRef(overlays);
+  const animationRef = React.useRef(animation);
 
   React.useEffect(() => {
     formatRef.current = format;
@@ -104,11 +142,34 @@ export const VideoConverter = () => {
     resolutionRef.current = resolution;
     leftChannelRef.current = leftChannel;
     rightChannelRef.current = rightChannel;
-  }, [format, quality, resolution, leftChannel, rightChannel]);
+    advancedRef.current = advanced;
+    audioRoutingRef.current = audioRouting;
+    loudnessRef.current = loudness;
+    transformRef.current = transform;
+    overlaysRef.current = overlays;
+    animationRef.current = animation;
+  }, [format, quality, resolution, leftChannel, rightChannel, advanced, audioRouting, loudness, transform, overlays, animation]);
 
   const { toast } = useToast();
 
+  // Overlays are a saved setting so watch-folder runs pick them up; warn once per logo that is too big to keep
+  const unsavedWatermarkRef = React.useRef<File | null>(null);
+  React.useEffect(() => {
+    VideoConversionService.saveOverlays(overlays).then((saved) => {
+      const logo = overlays.watermark?.file || null;
+      if (!saved && logo && unsavedWatermarkRef.current !== logo) {
+        unsavedWatermarkRef.current = logo;
+        toast({
+          title: "Watermark Not Saved",
+          description: "The logo is over 1 MB, so it applies to this session only",
+          variant: "destructive",
+        });
+      }
+    });
+  }, [overlays, toast]);
+
   const conversionOptions = VideoConversionService.getConversionOptions();
+  const isPackaged = format === 'mp4' && packaging !== null;
 
   // Filter out audio-only formats if no audio is detected (only after probing is complete)
   const availableFormats = hasAudio === false
@@ -122,11 +183,13 @@ export const VideoConverter = () => {
       const videoTypes = ['video/mp4', 'video/webm', 'video/avi', 'video/mov', 'video/mkv', 'video/flv', 'video/wmv', 'video/m4v', 'application/mxf'];
       if (videoTypes.includes(selectedFile.type) || selectedFile.name.match(/\.(mp4|webm|avi|mov|mkv|flv|wmv|m4v|mxf)$/i)) {
         setFile(selectedFile);
+        setTransform(prev => ({ ...prev, crop: undefined }));
+        setSubtitleFile(null);
         setConversionError(null);
         setHasConverted(false);
 
-        // Probe audio channels
-        await probeAudioChannels(selectedFile);
+        // Inspect streams and audio channels
+        await probeMedia(selectedFile);
       } else {
         toast({
           title: "Invalid File Type",
@@ -137,30 +200,24 @@ export const VideoConverter = () => {
     }
   };
 
-  const probeAudioChannels = async (videoFile: File) => {
+  const probeMedia = async (videoFile: File) => {
     setIsProbing(true);
+    setMediaInfo(null);
+    setLoudnessReport(null);
     setAudioChannels([]);
+    setRoutingPresets([]);
+    setAudioRouting(null);
     setHasAudio(null); // Reset to null during probing
     setLeftChannel(undefined);
     setRightChannel(undefined);
 
     try {
-      const formData = new FormData();
-      formData.append('video', videoFile);
-
-      const response = await fetch(API_ENDPOINTS.PROBE_AUDIO, {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to probe audio channels');
-      }
-
-      const data = await response.json();
+      const data = await VideoConversionService.probeMedia(videoFile);
+      setMediaInfo(data);
 
       if (data.hasAudio && data.channels.length > 0) {
         setAudioChannels(data.channels);
+        setRoutingPresets(data.presets);
         setHasAudio(true);
 
         // Set default channel mapping
@@ -184,23 +241,37 @@ export const VideoConverter = () => {
           setFormat('mp4'); // Default to MP4 for video-only files
         }
 
-        // Show info message if provided by backend
-        if (data.message) {
-          toast({
-            title: "Video-only file detected",
-            description: data.message,
-            variant: "default",
-          });
-        }
+        toast({
+          title: "Video-only file detected",
+          description: "This video file contains no audio streams. Video conversion will proceed without audio processing.",
+          variant: "default",
+        });
       }
     } catch (error) {
-      console.error('Error probing audio channels:', error);
-      setConversionError('Failed to analyze audio channels');
+      console.error('Error probing media:', error);
+      setConversionError('Failed to analyze media streams');
     } finally {
       setIsProbing(false);
     }
   };
 
+  const measureSourceLoudness = async () => {
+    if (!file) return;
+    setIsMeasuringLoudness(true);
+    try {
+      setSourceLoudness({ file, measurement: await VideoConversionService.measureLoudness(file) });
+    } catch (error) {
+      console.error('Error measuring loudness:', error);
+      toast({
+        title: "Loudness analysis failed",
+        description: error instanceof Error ? error.message : "Could not measure the source loudness",
+        variant: "destructive",
+      });
+    } finally {
+      setIsMeasuringLoudness(false);
+    }
+  };
+
   const handleConvert = async () => {
     console.log('🎬 VideoConverter: handleConvert called', { file: file?.name, format, quality });
 
@@ -218,24 +289,38 @@ export const VideoConverter = () => {
     setProgress(0);
     setConversionError(null);
     setHasConverted(true);
+    setLoudnessReport(null);
 
+    // Animated images and streaming packages choose their own encoding and carry no remapped audio
+    const packaged = format === 'mp4' && packaging !== null;
+    const ownEncoding = isAnimatedFormat(format) || packaged;
     try {
       console.log('🚀 VideoConverter: Starting conversion with VideoConversionService');
-      await VideoConversionService.convertVideo(
-        file,
+      await VideoConversionService.convertVideo(file, {
         format,
         quality,
-        (progressValue) => {
+        resolution: packaged ? undefined : resolution,
+        leftChannel: audioRouting || ownEncoding ? undefined : leftChannel,
+        rightChannel: audioRouting || ownEncoding ? undefined : rightChannel,
+        audioRouting: ownEncoding ? undefined : audioRouting || undefined,
+        loudness: ownEncoding ? undefined : loudness || undefined,
+        subtitles: subtitleFile && !['mp3', 'wav'].includes(format) ? { file: subtitleFile, options: subtitleOptions } : undefined,
+        ...getActiveOverlays(format, overlays),
+        animation,
+        packaging: packaged ? packaging : undefined,
+        advanced: ownEncoding ? undefined : advanced || undefined,
+        ...transform,
+        onProgress: (progressValue) => {
           setProgress(progressValue);
         },
-        leftChannel,
-        rightChannel,
-        resolution
-      );
+        onLoudnessReport: setLoudnessReport,
+      });
 
       toast({
         title: "Conversion Complete",
-        description: `Video has been converted to ${format.toUpperCase()} format and downloaded`,
+        description: packaged
+          ? "The streaming package has been created and downloaded as a ZIP"
+          : `Video has been converted to ${format.toUpperCase()} format and downloaded`,
       });
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Conversion failed. Please try again.';
@@ -250,12 +335,31 @@ export const VideoConverter = () => {
     }
   };
 
+  const handleResolutionChange = (value: string) => {
+    if (value === 'custom') {
+      setIsCustomResolution(true);
+      if (resolution === 'original') setResolution('1920x1080');
+      return;
+    }
+    setIsCustomResolution(false);
+    setResolution(value);
+    if (SOCIAL_RESOLUTIONS.includes(value) && !transform.fit) {
+      setTransform(prev => ({ ...prev, fit: 'crop' }));
+    }
+  };
+
   const resetForm = () => {
     setFile(null);
+    setMediaInfo(null);
+    setLoudnessReport(null);
+    setTransform(prev => ({ ...prev, crop: undefined }));
+    setSubtitleFile(null);
     setConversionError(null);
     setHasConverted(false);
     setProgress(0);
     setAudioChannels([]);
+    setRoutingPresets([]);
+    setAudioRouting(null);
     setHasAudio(false);
     setLeftChannel(undefined);
     setRightChannel(undefined);
@@ -440,22 +544,30 @@ export const VideoConverter = () => {
       // Use Ref to check for watch handle (avoids stale closures)
       const currentWatchHandle = watchHandleRef.current;
       const skipDownload = !!currentWatchHandle; // Skip browser download if we have a folder handle
-
-
-      const resultBlob = await VideoConversionService.convertVideo(
-        next.file,
-        formatRef.current, // Use Ref to get latest format
-        qualityRef.current, // Use Ref to get latest quality
-        (progress) => {
+      const animated = isAnimatedFormat(formatRef.current);
+
+
+      const resultBlob = await VideoConversionService.convertVideo(next.file, {
+        format: formatRef.current, // Use Ref to get latest format
+        quality: qualityRef.current, // Use Ref to get latest quality
+        resolution: resolutionRef.current, // Use Ref
+        leftChannel: audioRoutingRef.current || animated ? undefined : leftChannelRef.current, // Use Ref
+        rightChannel: audioRoutingRef.current || animated ? undefined : rightChannelRef.current, // Use Ref
+        audioRouting: animated ? undefined : audioRoutingRef.current || undefined,
+        loudness: animated ? undefined : loudnessRef.current || undefined,
+        ...getActiveOverlays(formatRef.current, overlaysRef.current),
+        animation: animationRef.current,
+        advanced: animated ? undefined : advancedRef.current || undefined,
+        // A crop rectangle belongs to one file, so watched files only get the other transforms
+        ...transformRef.current,
+        crop: undefined,
+        onProgress: (progress) => {
           setWatchQueue(prev => prev.map(i =>
             i.id === next.id ? { ...i, progress } : i
           ));
         },
-        leftChannelRef.current, // Use Ref
-        rightChannelRef.current, // Use Ref
-        resolutionRef.current, // Use Ref
-        skipDownload
-      );
+        skipDownload,
+      });
 
       // Helper to verify permissions
       const verifyPermission = async (fileHandle: FileSystemHandle, readWrite: boolean) => {
@@ -635,6 +747,9 @@ export const VideoConverter = () => {
                     )}
                   </label>
                 </div>
+
+                {/* Media Info */}
+                {mediaInfo && <MediaInfoPanel report={mediaInfo} />}
               </div>
             </Card>
 
@@ -689,7 +804,7 @@ export const VideoConverter = () => {
                 {/* Resolution Selection */}
                 <div className="space-y-2">
                   <label className="text-sm font-medium text-foreground">Resolution</label>
-                  <Select value={resolution} onValueChange={setResolution}>
+                  <Select value={isCustomResolution ? 'custom' : resolution} onValueChange={handleResolutionChange}>
                     <SelectTrigger className="h-12">
                       <SelectValue />
                     </SelectTrigger>
@@ -718,13 +833,117 @@ export const VideoConverter = () => {
                           <span className="text-xs text-muted-foreground">Standard definition</span>
                         </div>
                       </SelectItem>
+                      <SelectItem value="1080x1920">
+                        <div className="flex flex-col">
+                          <span className="font-medium">1080×1920 (9:16 Vertical)</span>
+                          <span className="text-xs text-muted-foreground">Reels, Shorts, TikTok</span>
+                        </div>
+                      </SelectItem>
+                      <SelectItem value="1080x1080">
+                        <div className="flex flex-col">
+                          <span className="font-medium">1080×1080 (1:1 Square)</span>
+                          <span className="text-xs text-muted-foreground">Feed posts</span>
+                        </div>
+                      </SelectItem>
+                      <SelectItem value="custom">
+                        <div className="flex flex-col">
+                          <span className="font-medium">Custom</span>
+                          <span className="text-xs text-muted-foreground">Any width × height (even numbers)</span>
+                        </div>
+                      </SelectItem>
                     </SelectContent>
                   </Select>
+                  {isCustomResolution && (
+                    <div className="flex items-center gap-2">
+                      <Input
+                        type="number"
+                        min={16}
+                        step={2}
+                        value={resolution.split('x')[0]}
+                        onChange={(e) => setResolution(`${e.target.value}x${resolution.split('x')[1]}`)}
+                        aria-label="Width"
+                      />
+                      <span className="text-muted-foreground">×</span>
+                      <Input
+                        type="number"
+                        min={16}
+                        step={2}
+                        value={resolution.split('x')[1]}
+                        onChange={(e) => setResolution(`${resolution.split('x')[0]}x${e.target.value}`)}
+                        aria-label="Height"
+                      />
+                    </div>
+                  )}
                 </div>
               </div>
 
+              {/* Picture Transforms */}
+              {!['mp3', 'wav'].includes(format) && (
+                <div className="mt-6">
+                  <VideoTransformSettings file={file} value={transform} onChange={setTransform} disabled={isConverting} />
+                </div>
+              )}
+
+              {/* Subtitles */}
+              {!['mp3', 'wav'].includes(format) && (
+                <div className="mt-6">
+                  <SubtitleSettings
+                    // Streaming packages only take burned-in subtitles
+                    format={isPackaged ? 'package' : format}
+                    file={subtitleFile}
+                    onFileChange={setSubtitleFile}
+                    value={subtitleOptions}
+                    onChange={setSubtitleOptions}
+                    disabled={isConverting}
+                  />
+                </div>
+              )}
+
+              {/* Watermark & Text Overlay */}
+              {!['mp3', 'wav'].includes(format) && (
+                <div className="mt-6">
+                  <OverlaySettings value={overlays} onChange={setOverlays} disabled={isConverting} />
+                </div>
+              )}
+
+              {/* GIF / WebP Animation */}
+              {isAnimatedFormat(format) && (
+                <div className="mt-6">
+                  <AnimationSettings format={format} value={animation} onChange={setAnimation} disabled={isConverting} />
+                </div>
+              )}
+
+              {/* HLS / DASH Packaging */}
+              {format === 'mp4' && (
+                <div className="mt-6">
+                  <PackagingSettings value={packaging} onChange={setPackaging} disabled={isConverting} />
+                </div>
+              )}
+
+              {/* Advanced Encoder Settings */}
+              {!isAnimatedFormat(format) && !isPackaged && (
+                <div className="mt-6">
+                  <AdvancedEncoderSettings format={format} value={advanced} onChange={setAdvanced} disabled={isConverting} />
+                </div>
+              )}
+
+              {/* Loudness Normalization */}
+              {hasAudio !== false && !isAnimatedFormat(format) && !isPackaged && (
+                <div className="mt-6">
+                  <LoudnessSettings
+                    value={loudness}
+                    onChange={setLoudness}
+                    measured={sourceLoudness?.file === file ? sourceLoudness.measurement : null}
+                    onMeasure={file ? measureSourceLoudness : undefined}
+                    measuring={isMeasuringLoudness}
+                    report={loudnessReport}
+                    disabled={isConverting}
+                  />
+                </div>
+              )}
+
               {/* Audio Channel Selection */}
-              {hasAudio && audioChannels.length > 0 && (
+              {hasAudio && audioChannels.length > 0 && !isAnimatedFormat(format) && !isPackaged && (
                 <div className="mt-6 p-4 bg-muted/30 rounded-lg border">
                   <div className="flex items-center gap-2 mb-4">
                     <div className="w-2 h-2 bg-green-500 rounded-full"></div>
@@ -733,7 +952,18 @@ export const VideoConverter = () => {
                     </h4>
                   </div>
 
-                  {audioChannels.length === 1 && (
+                  <div className="mb-4">
+                    <AudioRoutingMatrix
+                      channels={audioChannels}
+                      presets={routingPresets}
+                      value={audioRouting}
+                      onChange={setAudioRouting}
+                      maxTracks={['mp3', 'wav'].includes(format) ? 1 : 16}
+                      disabled={isConverting}
+                    />
+                  </div>
+
+                  {!audioRouting && audioChannels.length === 1 && (
                     <div className="mb-4 p-3 bg-blue-50 dark:bg-blue-950/30 rounded-md border border-blue-200 dark:border-blue-800">
                       <p className="text-sm text-blue-700 dark:text-blue-300">
                         Mono audio detected. The single channel will be mapped to both left and right output channels.
@@ -741,57 +971,61 @@ export const VideoConverter = () => {
                     </div>
                   )}
 
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {/* Left Channel Selection */}
-                    <div className="space-y-2">
-                      <label className="text-sm font-medium text-foreground">Left Channel</label>
-                      <Select
-                        value={leftChannel?.toString() || ''}
-                        onValueChange={(value) => setLeftChannel(parseInt(value))}
-                      >
-                        <SelectTrigger className="h-10">
-                          <SelectValue placeholder="Select left channel" />
-                        </SelectTrigger>
-                        <SelectContent>
-                          {audioChannels.map((channel) => (
-                            <SelectItem key={channel.index} value={channel.index.toString()}>
-                              <div className="flex flex-col">
-                                <span className="font-medium">{channel.label}</span>
-                                <span className="text-xs text-muted-foreground">{channel.description}</span>
-                              </div>
-                            </SelectItem>
-                          ))}
-                        </SelectContent>
-                      </Select>
-                    </div>
+                  {!audioRouting && (
+                    <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {/* Left Channel Selection */}
+                        <div className="space-y-2">
+                          <label className="text-sm font-medium text-foreground">Left Channel</label>
+                          <Select
+                            value={leftChannel?.toString() || ''}
+                            onValueChange={(value) => setLeftChannel(parseInt(value))}
+                          >
+                            <SelectTrigger className="h-10">
+                              <SelectValue placeholder="Select left channel" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {audioChannels.map((channel) => (
+                                <SelectItem key={channel.index} value={channel.index.toString()}>
+                                  <div className="flex flex-col">
+                                    <span className="font-medium">{channel.label}</span>
+                                    <span className="text-xs text-muted-foreground">{channel.description}</span>
+                                  </div>
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
 
-                    {/* Right Channel Selection */}
-                    <div className="space-y-2">
-                      <label className="text-sm font-medium text-foreground">Right Channel</label>
-                      <Select
-                        value={rightChannel?.toString() || ''}
-                        onValueChange={(value) => setRightChannel(parseInt(value))}
-                      >
-                        <SelectTrigger className="h-10">
-                          <SelectValue placeholder="Select right channel" />
-                        </SelectTrigger>
-                        <SelectContent>
-                          {audioChannels.map((channel) => (
-                            <SelectItem key={channel.index} value={channel.index.toString()}>
-                              <div className="flex flex-col">
-                                <span className="font-medium">{channel.label}</span>
-                                <span className="text-xs text-muted-foreground">{channel.description}</span>
-                              </div>
-                            </SelectItem>
-                          ))}
-                        </SelectContent>
-                      </Select>
-                    </div>
-                  </div>
+                        {/* Right Channel Selection */}
+                        <div className="space-y-2">
+                          <label className="text-sm font-medium text-foreground">Right Channel</label>
+                          <Select
+                            value={rightChannel?.toString() || ''}
+                            onValueChange={(value) => setRightChannel(parseInt(value))}
+                          >
+                            <SelectTrigger className="h-10">
+                              <SelectValue placeholder="Select right channel" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {audioChannels.map((channel) => (
+                                <SelectItem key={channel.index} value={channel.index.toString()}>
+                                  <div className="flex flex-col">
+                                    <span className="font-medium">{channel.label}</span>
+                                    <span className="text-xs text-muted-foreground">{channel.description}</span>
+                                  </div>
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      </div>
 
-                  <p className="text-xs text-muted-foreground mt-3">
-                    Select which audio channels to map to the left and right stereo output channels.
-                  </p>
+                      <p className="text-xs text-muted-foreground mt-3">
+                        Select which audio channels to map to the left and right stereo output channels.
+                      </p>
+                    </>
+                  )}
                 </div>
               )}
 
@@ -801,7 +1035,7 @@ export const VideoConverter = () => {
                   <div className="flex items-center gap-3">
                     <Loader2 className="w-4 h-4 animate-spin text-blue-600" />
                     <span className="text-sm text-blue-700 dark:text-blue-300">
-                      Analyzing audio channels...
+                      Analyzing media streams...
                     </span>
                   </div>
                 </div>
@@ -940,17 +1174,39 @@ export const VideoConverter = () => {
                     </div>
                     <div className="space-y-2">
                       <label className="text-sm font-medium">Resolution</label>
-                      <Select value={resolution} onValueChange={setResolution}>
+                      <Select value={resolution} onValueChange={handleResolutionChange}>
                         <SelectTrigger><SelectValue /></SelectTrigger>
                         <SelectContent>
                           <SelectItem value="original">Original</SelectItem>
                           <SelectItem value="1920x1080">1080p</SelectItem>
                           <SelectItem value="1280x720">720p</SelectItem>
                           <SelectItem value="854x480">480p</SelectItem>
+                          <SelectItem value="1080x1920">9:16 Vertical</SelectItem>
+                          <SelectItem value="1080x1080">1:1 Square</SelectItem>
+                          {!PRESET_RESOLUTIONS.includes(resolution) && <SelectItem value={resolution}>Custom {resolution.replace('x', '×')}</SelectItem>}
                         </SelectContent>
                       </Select>
                     </div>
                   </div>
+                  {isAnimatedFormat(format) ? (
+                    <div className="mt-4">
+                      <AnimationSettings format={format} value={animation} onChange={setAnimation} />
+                    </div>
+                  ) : (
+                    <>
+                      <div className="mt-4">
+                        <AdvancedEncoderSettings format={format} value={advanced} onChange={setAdvanced} />
+                      </div>
+                      <div className="mt-4">
+                        <LoudnessSettings value={loudness} onChange={setLoudness} />
+                      </div>
+                    </>
+                  )}
+                  {!['mp3', 'wav'].includes(format) && (
+                    <div className="mt-4">
+                      <OverlaySettings value={overlays} onChange={setOverlays} />
+                    </div>
+                  )}
                 </Card>
 
                 {/* Watch Drop Zone */}
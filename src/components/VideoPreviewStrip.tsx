@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { ThumbnailFrame, ThumbnailService } from "@/services/ThumbnailService";
+import { formatTime } from "@/utils/timeUtils";
+
+interface VideoPreviewStripProps {
+  url: string;
+  count?: number;
+  // Rendered when no frames could be taken (unsupported page, network error)
+  fallback: React.ReactNode;
+}
+
+// Row of evenly spaced frames from a video URL, fetched once the card scrolls into view
+const VideoPreviewStrip: React.FC<VideoPreviewStripProps> = ({ url, count = 4, fallback }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [frames, setFrames] = useState<ThumbnailFrame[] | null>(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setIsVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: "200px" });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible) return;
+    const controller = new AbortController();
+    setFrames(null);
+    setFailed(false);
+    ThumbnailService.getFilmstrip(url, count, undefined, controller.signal)
+      .then((result) => {
+        if (controller.signal.aborted) return;
+        if (result.length > 0) setFrames(result);
+        else setFailed(true);
+      })
+      .catch(() => !controller.signal.aborted && setFailed(true));
+    // Unmounted or replaced cards drop their request so the server skips it if it is still queued
+    return () => controller.abort();
+  }, [isVisible, url, count]);
+
+  return (
+    <div ref={containerRef} className="w-full h-full">
+      {failed ? (
+        fallback
+      ) : frames ? (
+        <div className="flex w-full h-full">
+          {frames.map((frame) => (
+            <div key={frame.time} className="relative flex-1 min-w-0">
+              <img src={frame.image} alt={`Frame at ${formatTime(frame.time)}`} className="w-full h-full object-cover" />
+              <span className="absolute bottom-1 right-1 px-1 rounded bg-black/60 text-[10px] text-white">
+                {formatTime(frame.time)}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="relative w-full h-full">
+          {fallback}
+          {isVisible && <Loader2 className="absolute top-3 right-3 w-4 h-4 animate-spin text-primary/70" />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoPreviewStrip;
@@ -0,0 +1,347 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Crop, Loader2, X } from "lucide-react";
+import {
+  CropRect,
+  FitMode,
+  FlipMode,
+  PreviewFrame,
+  VideoConversionService,
+  VideoTransformOptions,
+} from "@/services/VideoConversionService";
+
+interface VideoTransformSettingsProps {
+  file: File | null;
+  value: VideoTransformOptions;
+  onChange: (value: VideoTransformOptions) => void;
+  disabled?: boolean;
+}
+
+const FIT_MODES: { value: FitMode; label: string; description: string }[] = [
+  { value: "pad", label: "Fit (pad)", description: "Letterbox or pillarbox with black bars" },
+  { value: "crop", label: "Fill (crop)", description: "Fill the frame and trim the overflow" },
+  { value: "stretch", label: "Stretch", description: "Ignore the aspect ratio" },
+];
+
+const ROTATIONS = [0, 90, 180, 270] as const;
+
+const FRAME_RATES = ["23.976", "24", "25", "29.97", "30", "50", "59.94", "60"];
+
+// Width / height; null means a free rectangle
+const CROP_ASPECTS: { value: string; label: string; ratio: number | null }[] = [
+  { value: "free", label: "Free", ratio: null },
+  { value: "9:16", label: "9:16 (vertical)", ratio: 9 / 16 },
+  { value: "1:1", label: "1:1 (square)", ratio: 1 },
+  { value: "4:5", label: "4:5 (portrait)", ratio: 4 / 5 },
+  { value: "16:9", label: "16:9 (landscape)", ratio: 16 / 9 },
+];
+
+const NONE = "none";
+const MIN_CROP = 16;
+
+const toEven = (value: number) => Math.max(0, Math.floor(value / 2) * 2);
+
+// Clamp a rectangle into the frame and round it to the even sizes the encoders need
+const fitCrop = (rect: CropRect, frame: PreviewFrame): CropRect => {
+  const width = Math.max(MIN_CROP, toEven(Math.min(rect.width, frame.width)));
+  const height = Math.max(MIN_CROP, toEven(Math.min(rect.height, frame.height)));
+  return {
+    x: Math.round(Math.min(Math.max(0, rect.x), frame.width - width)),
+    y: Math.round(Math.min(Math.max(0, rect.y), frame.height - height)),
+    width,
+    height,
+  };
+};
+
+// Largest centred rectangle of the given aspect ratio
+const centredCrop = (ratio: number, frame: PreviewFrame): CropRect => {
+  const width = Math.min(frame.width, frame.height * ratio);
+  const height = width / ratio;
+  return fitCrop({ x: (frame.width - width) / 2, y: (frame.height - height) / 2, width, height }, frame);
+};
+
+const VideoTransformSettings: React.FC<VideoTransformSettingsProps> = ({ file, value, onChange, disabled = false }) => {
+  const deinterlaceId = useId();
+  const [preview, setPreview] = useState<PreviewFrame | null>(null);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+  const [aspect, setAspect] = useState("free");
+  const [dragStart, setDragStart] = useState<{ x: number; y: number } | null>(null);
+  const imageRef = useRef<HTMLImageElement>(null);
+
+  // A new file invalidates the frame
+  useEffect(() => {
+    setPreview(null);
+    setPreviewError(null);
+  }, [file]);
+
+  const selectClassName = "w-full bg-background/50 border-border/50 hover:border-primary/50 transition-colors duration-200";
+  const ratio = CROP_ASPECTS.find((option) => option.value === aspect)?.ratio ?? null;
+
+  const update = (changes: Partial<VideoTransformOptions>) => {
+    const next: VideoTransformOptions = { ...value, ...changes };
+    (Object.keys(next) as (keyof VideoTransformOptions)[]).forEach((key) => next[key] === undefined && delete next[key]);
+    onChange(next);
+  };
+
+  const loadPreview = async (time?: number) => {
+    if (!file) return;
+    setIsLoadingPreview(true);
+    setPreviewError(null);
+    try {
+      setPreview(await VideoConversionService.getPreviewFrame(file, time));
+    } catch (error) {
+      setPreviewError(error instanceof Error ? error.message : "Could not load a preview frame");
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  // Pointer position in source pixels
+  const toSourcePoint = (event: React.PointerEvent) => {
+    const image = imageRef.current;
+    if (!image || !preview) return null;
+    const bounds = image.getBoundingClientRect();
+    return {
+      x: Math.min(preview.width, Math.max(0, ((event.clientX - bounds.left) / bounds.width) * preview.width)),
+      y: Math.min(preview.height, Math.max(0, ((event.clientY - bounds.top) / bounds.height) * preview.height)),
+    };
+  };
+
+  const handlePointerMove = (event: React.PointerEvent) => {
+    const point = toSourcePoint(event);
+    if (!dragStart || !point || !preview) return;
+    let width = Math.abs(point.x - dragStart.x);
+    let height = Math.abs(point.y - dragStart.y);
+    if (ratio) {
+      // Keep the locked aspect ratio, driven by whichever side moved further
+      if (width / height > ratio) height = width / ratio;
+      else width = height * ratio;
+    }
+    update({
+      crop: fitCrop({
+        x: point.x < dragStart.x ? dragStart.x - width : dragStart.x,
+        y: point.y < dragStart.y ? dragStart.y - height : dragStart.y,
+        width,
+        height,
+      }, preview),
+    });
+  };
+
+  const updateCropField = (field: keyof CropRect, input: string) => {
+    if (!value.crop || !preview) return;
+    update({ crop: fitCrop({ ...value.crop, [field]: Number(input) || 0 }, preview) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">Fit Mode</label>
+          <Select value={value.fit || "pad"} onValueChange={(fit) => update({ fit: fit as FitMode })} disabled={disabled}>
+            <SelectTrigger className={selectClassName}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {FIT_MODES.map((mode) => (
+                <SelectItem key={mode.value} value={mode.value}>
+                  <div className="flex flex-col">
+                    <span className="font-medium">{mode.label}</span>
+                    <span className="text-xs text-muted-foreground">{mode.description}</span>
+                  </div>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">Rotate / Flip</label>
+          <div className="grid grid-cols-2 gap-2">
+            <Select
+              value={String(value.rotate || 0)}
+              onValueChange={(rotate) => update({ rotate: Number(rotate) ? (Number(rotate) as VideoTransformOptions["rotate"]) : undefined })}
+              disabled={disabled}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {ROTATIONS.map((degrees) => (
+                  <SelectItem key={degrees} value={String(degrees)}>{degrees === 0 ? "No rotation" : `${degrees}° clockwise`}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select
+              value={value.flip || NONE}
+              onValueChange={(flip) => update({ flip: flip === NONE ? undefined : (flip as FlipMode) })}
+              disabled={disabled}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NONE}>No flip</SelectItem>
+                <SelectItem value="horizontal">Mirror horizontally</SelectItem>
+                <SelectItem value="vertical">Flip vertically</SelectItem>
+                <SelectItem value="both">Both</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-foreground">Frame Rate</label>
+          <Select
+            value={value.fps || NONE}
+            onValueChange={(fps) => update({ fps: fps === NONE ? undefined : fps })}
+            disabled={disabled}
+          >
+            <SelectTrigger className={selectClassName}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NONE}>Keep source frame rate</SelectItem>
+              {FRAME_RATES.map((fps) => (
+                <SelectItem key={fps} value={fps}>{fps} fps</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id={deinterlaceId}
+              checked={Boolean(value.deinterlace)}
+              onCheckedChange={(checked) => update({ deinterlace: checked === true || undefined })}
+              disabled={disabled}
+            />
+            <label htmlFor={deinterlaceId} className="text-sm text-foreground">
+              Deinterlace
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {/* Crop */}
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="text-sm font-medium text-foreground flex items-center gap-2">
+            <Crop className="w-4 h-4" />
+            Crop
+          </label>
+          <Select
+            value={aspect}
+            onValueChange={(next) => {
+              setAspect(next);
+              const nextRatio = CROP_ASPECTS.find((option) => option.value === next)?.ratio;
+              if (nextRatio && preview) update({ crop: centredCrop(nextRatio, preview) });
+            }}
+            disabled={disabled}
+          >
+            <SelectTrigger className="w-44 h-8 bg-background/50 border-border/50">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {CROP_ASPECTS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" onClick={() => loadPreview()} disabled={disabled || !file || isLoadingPreview}>
+            {isLoadingPreview && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            {preview ? "Reload Preview" : "Load Preview Frame"}
+          </Button>
+          {value.crop && (
+            <Button variant="ghost" size="sm" onClick={() => update({ crop: undefined })} disabled={disabled}>
+              <X className="w-4 h-4 mr-1" />
+              Clear Crop
+            </Button>
+          )}
+        </div>
+
+        {previewError && <p className="text-xs text-destructive">{previewError}</p>}
+
+        {preview && (
+          <>
+            <div
+              className="relative inline-block max-w-full select-none touch-none cursor-crosshair"
+              onPointerDown={(event) => {
+                if (disabled) return;
+                const point = toSourcePoint(event);
+                if (point) {
+                  event.currentTarget.setPointerCapture(event.pointerId);
+                  setDragStart(point);
+                }
+              }}
+              onPointerMove={handlePointerMove}
+              onPointerUp={() => setDragStart(null)}
+            >
+              <img
+                ref={imageRef}
+                src={preview.image}
+                alt="Preview frame"
+                className="max-h-80 max-w-full rounded-md border border-border/50"
+                draggable={false}
+              />
+              {value.crop && (
+                <div
+                  className="absolute border-2 border-primary shadow-[0_0_0_9999px_rgba(0,0,0,0.5)] pointer-events-none"
+                  style={{
+                    left: `${(value.crop.x / preview.width) * 100}%`,
+                    top: `${(value.crop.y / preview.height) * 100}%`,
+                    width: `${(value.crop.width / preview.width) * 100}%`,
+                    height: `${(value.crop.height / preview.height) * 100}%`,
+                  }}
+                />
+              )}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+              <span>
+                Source {preview.width}×{preview.height} · frame at {preview.time.toFixed(1)}s
+              </span>
+              <input
+                key={preview.time}
+                type="range"
+                min={0}
+                max={Math.max(0, preview.duration)}
+                step={0.1}
+                defaultValue={preview.time}
+                onPointerUp={(event) => loadPreview(Number(event.currentTarget.value))}
+                onKeyUp={(event) => loadPreview(Number(event.currentTarget.value))}
+                disabled={disabled || isLoadingPreview || !preview.duration}
+                className="flex-1 min-w-32"
+                aria-label="Preview frame time"
+              />
+            </div>
+
+            {value.crop && (
+              <div className="grid grid-cols-4 gap-2">
+                {(["x", "y", "width", "height"] as const).map((field) => (
+                  <div key={field} className="space-y-1">
+                    <label className="text-xs text-muted-foreground">{field === "x" || field === "y" ? field.toUpperCase() : field}</label>
+                    <Input
+                      type="number"
+                      min={0}
+                      value={value.crop?.[field] ?? 0}
+                      onChange={(event) => updateCropField(field, event.target.value)}
+                      disabled={disabled}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <p className="text-xs text-muted-foreground">
+          Drag on the frame to draw a crop. It is applied before rotation and scaling, in source pixels.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VideoTransformSettings;
@@ -70,12 +70,23 @@ export const API_ENDPOINTS = {
   QUALITY_OPTIONS: `${API_BASE_URL}/api/quality-options`,
   DOWNLOAD_VIDEO: `${API_BASE_URL}/api/download-video`,
   DOWNLOAD_DIRECT: `${API_BASE_URL}/api/download-direct`,
+  ANALYZE_PAGE: `${API_BASE_URL}/api/analyze-page`,
+  HEAD_MEDIA: `${API_BASE_URL}/api/head-media`,
+  MANIFEST_INFO: `${API_BASE_URL}/api/manifest-info`,
+  DOWNLOAD_MANIFEST: `${API_BASE_URL}/api/download-manifest`,
   DOWNLOAD_BLOB: `${API_BASE_URL}/api/download-blob`,
   CONVERT_VIDEO: `${API_BASE_URL}/api/convert-video`,
+  ENCODER_OPTIONS: `${API_BASE_URL}/api/encoder-options`,
   CANCEL_DOWNLOAD: `${API_BASE_URL}/api/cancel-download`,
+  JOBS: `${API_BASE_URL}/api/jobs`,
   HEALTH: `${API_BASE_URL}/api/health`,
+  PROBE: `${API_BASE_URL}/api/probe`,
   PROBE_AUDIO: `${API_BASE_URL}/api/probe-audio`,
+  PREVIEW_FRAME: `${API_BASE_URL}/api/preview-frame`,
+  THUMBNAILS: `${API_BASE_URL}/api/thumbnails`,
   VIDEO_INFO: `${API_BASE_URL}/api/video-info`,
+  PLAYLIST_INFO: `${API_BASE_URL}/api/playlist-info`,
+  DOWNLOAD_BATCH: `${API_BASE_URL}/api/download-batch`,
 } as const;
 
 // Fallback API endpoints for YouTube downloads
@@ -83,12 +94,23 @@ export const FALLBACK_API_ENDPOINTS = {
   QUALITY_OPTIONS: `${FALLBACK_API_BASE_URL}/api/quality-options`,
   DOWNLOAD_VIDEO: `${FALLBACK_API_BASE_URL}/api/download-video`,
   DOWNLOAD_DIRECT: `${FALLBACK_API_BASE_URL}/api/download-direct`,
+  ANALYZE_PAGE: `${FALLBACK_API_BASE_URL}/api/analyze-page`,
+  HEAD_MEDIA: `${FALLBACK_API_BASE_URL}/api/head-media`,
+  MANIFEST_INFO: `${FALLBACK_API_BASE_URL}/api/manifest-info`,
+  DOWNLOAD_MANIFEST: `${FALLBACK_API_BASE_URL}/api/download-manifest`,
   DOWNLOAD_BLOB: `${FALLBACK_API_BASE_URL}/api/download-blob`,
   CONVERT_VIDEO: `${FALLBACK_API_BASE_URL}/api/convert-video`,
+  ENCODER_OPTIONS: `${FALLBACK_API_BASE_URL}/api/encoder-options`,
   CANCEL_DOWNLOAD: `${FALLBACK_API_BASE_URL}/api/cancel-download`,
+  JOBS: `${FALLBACK_API_BASE_URL}/api/jobs`,
   HEALTH: `${FALLBACK_API_BASE_URL}/api/health`,
+  PROBE: `${FALLBACK_API_BASE_URL}/api/probe`,
   PROBE_AUDIO: `${FALLBACK_API_BASE_URL}/api/probe-audio`,
+  PREVIEW_FRAME: `${FALLBACK_API_BASE_URL}/api/preview-frame`,
+  THUMBNAILS: `${FALLBACK_API_BASE_URL}/api/thumbnails`,
   VIDEO_INFO: `${FALLBACK_API_BASE_URL}/api/video-info`,
+  PLAYLIST_INFO: `${FALLBACK_API_BASE_URL}/api/playlist-info`,
+  DOWNLOAD_BATCH: `${FALLBACK_API_BASE_URL}/api/download-batch`,
 } as const;
 
 // Helper function to create API URLs
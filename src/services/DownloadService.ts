@@ -1,6 +1,7 @@
 import { saveAs } from 'file-saver';
 import { MediaItem } from './MediaDetectionService';
 import { API_ENDPOINTS, API_BASE_URL, FALLBACK_API_ENDPOINTS } from '../config/api';
+import { ConversionRequest } from './VideoConversionService';
 
 export interface QualityOption {
   value: string;
@@ -8,6 +9,145 @@ export interface QualityOption {
   description: string;
 }
 
+// One row of the yt-dlp format table returned by /api/video-info
+export interface VideoFormat {
+  formatId: string;
+  ext: string;
+  kind: 'video+audio' | 'video' | 'audio';
+  vcodec: string | null;
+  acodec: string | null;
+  width: number | null;
+  height: number | null;
+  resolution: string | null;
+  fps: number | null;
+  dynamicRange: string | null;
+  bitrate: number | null;
+  audioBitrate: number | null;
+  sampleRate: number | null;
+  filesize: number | null;
+  filesizeEstimated: boolean;
+  protocol: string | null;
+  note: string | null;
+}
+
+export interface SubtitleTrack {
+  lang: string;
+  name: string;
+  formats: string[];
+}
+
+// A clip range in seconds
+export interface TimeRange {
+  start: number;
+  end: number;
+}
+
+// Multi-range export: separate clips in a ZIP or one concatenated highlight reel
+export type ClipRangeMode = 'separate' | 'concat';
+
+// 'fast' stream-copies (snaps to keyframes), 'accurate' smart-cuts the boundaries, 'reencode' re-encodes everything
+export type TrimMode = 'fast' | 'accurate' | 'reencode';
+
+// What a trim actually produced; start/end differ from the request when cuts snap to keyframes
+export interface TrimResult {
+  mode: TrimMode;
+  requestedStart: number;
+  requestedEnd: number;
+  actualStart: number;
+  actualEnd: number;
+}
+
+// Chapter boundaries in seconds
+export interface VideoChapter {
+  title: string;
+  start: number;
+  end: number;
+}
+
+export interface VideoInfo {
+  title: string;
+  duration: number;
+  uploader: string;
+  thumbnail?: string;
+  formats?: VideoFormat[];
+  chapters?: VideoChapter[];
+  subtitles?: { manual: SubtitleTrack[]; automatic: SubtitleTrack[] };
+}
+
+export type SubtitleFormat = 'srt' | 'vtt' | 'ass';
+
+export interface SubtitleOptions {
+  langs: string[];
+  format: SubtitleFormat;
+  // Embed as tracks in the video; otherwise the files come back next to it in a ZIP
+  embed: boolean;
+}
+
+export type AudioExportFormat = 'mp3' | 'aac' | 'opus' | 'flac' | 'wav';
+
+// Transcoding for the 'audio' preset; the result is tagged with title, uploader, date and cover art
+export interface AudioExportOptions {
+  format: AudioExportFormat;
+  // kbps, ignored for the lossless FLAC/WAV targets
+  bitrate?: number;
+  // EBU R128 loudness normalization
+  normalize?: boolean;
+}
+
+// What gets embedded into the output; every flag defaults to off
+export interface EmbedOptions {
+  metadata?: boolean;
+  chapters?: boolean;
+  thumbnail?: boolean;
+}
+
+// Tagging and naming of the output, shared by single and batch downloads
+export interface OutputOptions {
+  embed?: EmbedOptions;
+  // e.g. '{uploader}/{date}-{title}.{ext}'; overrides the item filename, folders are kept in batch ZIPs
+  filenameTemplate?: string;
+}
+
+export type DownloadConversionOptions = Omit<ConversionRequest, 'sessionId'>;
+
+// Extra download settings beyond the quality preset
+export interface DownloadOptions extends OutputOptions {
+  // Exact yt-dlp format, optionally paired with a separate audio format (e.g. 'bestaudio')
+  formatId?: string;
+  audioFormatId?: string;
+  subtitles?: SubtitleOptions;
+  audio?: AudioExportOptions;
+  // One file per chapter, returned as a ZIP
+  splitChapters?: boolean;
+  // Several clips from one download (replaces startTime/endTime)
+  ranges?: TimeRange[];
+  rangeMode?: ClipRangeMode;
+  trimMode?: TrimMode;
+  // Convert on the server with the /api/convert-video options; only the converted file comes back
+  convert?: DownloadConversionOptions;
+  // ManifestVariant.id of an HLS/DASH item; the best variant when unset
+  manifestVariant?: number;
+}
+
+// One rendition of an HLS playlist or DASH manifest
+export interface ManifestVariant {
+  id: number;
+  bandwidth?: number;
+  width?: number;
+  height?: number;
+  codecs?: string;
+  frameRate?: number;
+}
+
+// Response of /api/manifest-info; variants are best first
+export interface ManifestInfo {
+  url: string;
+  type: 'hls' | 'dash';
+  live: boolean;
+  duration: number | null;
+  variants: ManifestVariant[];
+}
+
 interface ProgressDetails {
   size?: string;
   speed?: string;
@@ -18,6 +158,39 @@ interface ProgressDetails {
   bitrate?: string;
 }
 
+export interface DownloadJob {
+  id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  stage: string;
+  progress: number;
+  url: string;
+  error?: {
+    statusCode: number;
+    error: string;
+    details?: string;
+    platform?: string;
+    isProduction?: boolean;
+    suggestion?: string;
+  } | null;
+  file?: { name: string; size: number; contentType: string } | null;
+  failures?: { index: number; url: string; error: string }[];
+  cuts?: TrimResult[];
+}
+
+// Jobs the browser is still waiting on, persisted so a reload can pick them back up
+interface PendingJob {
+  jobId: string;
+  jobsEndpoint: string;
+  cancelEndpoint: string;
+  url: string;
+  filename: string;
+  batchKey?: string;
+  // Save under the server's name (the filename came from a template)
+  useServerFilename?: boolean;
+}
+
+export type BatchDownloadMode = 'zip' | 'jobs';
+
 interface DownloadRequest {
   url: string;
   filename: string;
@@ -25,6 +198,17 @@ interface DownloadRequest {
   sessionId?: string;
   startTime?: string | number;
   endTime?: string | number;
+  formatId?: string;
+  audioFormatId?: string;
+  subtitles?: SubtitleOptions;
+  audio?: AudioExportOptions;
+  embed?: EmbedOptions;
+  filenameTemplate?: string;
+  splitChapters?: boolean;
+  ranges?: TimeRange[];
+  rangeMode?: ClipRangeMode;
+  trimMode?: TrimMode;
+  convert?: DownloadConversionOptions;
 }
 
 export class DownloadService {
@@ -32,6 +216,8 @@ export class DownloadService {
   private static ws: WebSocket | null = null;
   private static progressCallbacks = new Map<string, (progress: number, details?: ProgressDetails) => void>();
   private static sessionId: string = '';
+  private static readonly PENDING_JOBS_KEY = 'mediaHarvest.pendingJobs';
+  private static readonly JOB_POLL_INTERVAL = 1000;
 
   // Test WebSocket connection
   static testWebSocketConnection(): void {
@@ -166,7 +352,8 @@ export class DownloadService {
     };
   }
 
-  static async downloadMedia(item: MediaItem, quality?: string, onProgress?: (progress: number) => void, startTime?: string | number, endTime?: string | number): Promise<void> {
+  // Resolves with the finished server job for platform downloads (e.g. to read the achieved trim)
+  static async downloadMedia(item: MediaItem, quality?: string, onProgress?: (progress: number) => void, startTime?: string | number, endTime?: string | number, options: DownloadOptions = {}): Promise<DownloadJob | void> {
     const timestamp = new Date().toISOString();
     // console.log(`📥 DownloadService: downloadMedia called at ${timestamp}`, { filename: item.filename, quality, hasProgressCallback: !!onProgress, sessionId: this.sessionId, url: item.url });
     // console.log('📥 DownloadService: Current active downloads:', Array.from(this.activeDownloads.keys()));
@@ -215,8 +402,10 @@ export class DownloadService {
       // Handle different types of media downloads
       if (item.type === 'video' && item.url.includes('blob:')) {
         await this.downloadBlobVideo(item);
+      } else if (item.streaming) {
+        return await this.downloadManifestMedia(item, abortController.signal, onProgress, options.manifestVariant);
       } else if (this.isSupportedPlatform(item.url)) {
-        await this.downloadEmbeddedVideo(item, quality, abortController.signal, onProgress, startTime, endTime);
+        return await this.downloadEmbeddedVideo(item, quality, abortController.signal, onProgress, startTime, endTime, options);
       } else {
         await this.downloadDirectMedia(item, abortController.signal);
       }
@@ -235,19 +424,32 @@ export class DownloadService {
   static async cancelDownload(itemUrl: string): Promise<void> {
     const abortController = this.activeDownloads.get(itemUrl);
     if (abortController) {
-      // First abort the fetch request
+      // First stop polling the job
       abortController.abort();
       this.activeDownloads.delete(itemUrl);
 
-      // Then call the backend cancel endpoint
+      // Then cancel the job(s) on the backend that owns them (a batch key covers all of its jobs)
+      const pendingJobs = this.getPendingJobs().filter(job => job.url === itemUrl || job.batchKey === itemUrl);
       try {
-        await fetch(API_ENDPOINTS.CANCEL_DOWNLOAD, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ url: itemUrl }),
-        });
+        if (pendingJobs.length === 0) {
+          await fetch(API_ENDPOINTS.CANCEL_DOWNLOAD, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ url: itemUrl }),
+          });
+        }
+        for (const pendingJob of pendingJobs) {
+          await fetch(pendingJob.cancelEndpoint, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ url: pendingJob.url, jobId: pendingJob.jobId }),
+          });
+          this.removePendingJob(pendingJob.jobId);
+        }
         // Download cancellation request sent to backend
       } catch (error) {
         console.error('Failed to send cancellation request to backend:', error);
@@ -284,7 +486,7 @@ export class DownloadService {
     }
   }
 
-  static async getVideoInfo(url: string): Promise<{ title: string; duration: number; uploader: string; thumbnail?: string } | null> {
+  static async getVideoInfo(url: string): Promise<VideoInfo | null> {
     try {
       console.log('🔍 getVideoInfo called with URL:', url);
       console.log('🔍 API_ENDPOINTS.VIDEO_INFO:', API_ENDPOINTS.VIDEO_INFO);
@@ -332,11 +534,14 @@ export class DownloadService {
       const data = JSON.parse(responseText);
       console.log('🔍 Parsed response data:', data);
 
-      const result = {
+      const result: VideoInfo = {
         title: data.title || 'Unknown Title',
         duration: data.duration || 0,
         uploader: data.uploader || 'Unknown',
-        thumbnail: data.thumbnail
+        thumbnail: data.thumbnail,
+        formats: data.formats || [],
+        chapters: data.chapters || [],
+        subtitles: data.subtitles || { manual: [], automatic: [] }
       };
 
       console.log('✅ getVideoInfo returning:', result);
@@ -388,6 +593,59 @@ export class DownloadService {
     }
   }
 
+  // HLS/DASH streams are remuxed into one file by a server job, cancelled and fetched like other downloads
+  private static async downloadManifestMedia(item: MediaItem, signal?: AbortSignal, onProgress?: (progress: number) => void, variant?: number): Promise<DownloadJob> {
+    const response = await fetch(API_ENDPOINTS.DOWNLOAD_MANIFEST, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        url: item.url,
+        variant,
+        filename: item.filename,
+        sessionId: this.sessionId
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: response.statusText }));
+      throw new Error(errorData.details || errorData.error);
+    }
+
+    const { jobId } = await response.json();
+    this.addPendingJob({ jobId, jobsEndpoint: API_ENDPOINTS.JOBS, cancelEndpoint: API_ENDPOINTS.CANCEL_DOWNLOAD, url: item.url, filename: item.filename, useServerFilename: true });
+
+    const job = await this.waitForJob(API_ENDPOINTS.JOBS, jobId, signal, onProgress);
+    if (job.status !== 'completed') {
+      this.removePendingJob(jobId);
+      throw this.createDownloadError(job.error?.statusCode || 499, job.error || { error: `Download job ${job.status}` }, 'manifest');
+    }
+
+    // The server picks the container (.mp4 or .m4a), so keep its filename
+    await this.saveJobFile(API_ENDPOINTS.JOBS, jobId, item.filename, signal, true);
+    this.removePendingJob(jobId);
+    return job;
+  }
+
+  static async getManifestInfo(url: string): Promise<ManifestInfo> {
+    const response = await fetch(API_ENDPOINTS.MANIFEST_INFO, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ url })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: response.statusText }));
+      throw new Error(errorData.details || errorData.error);
+    }
+
+    return response.json();
+  }
+
   private static async downloadBlobVideo(item: MediaItem): Promise<void> {
     try {
       // For blob URLs, we need to handle them client-side since they're browser-specific
@@ -421,14 +679,13 @@ export class DownloadService {
     }
   }
 
-  private static async downloadEmbeddedVideo(item: MediaItem, quality?: string, signal?: AbortSignal, onProgress?: (progress: number) => void, startTime?: string | number, endTime?: string | number): Promise<void> {
+  private static async downloadEmbeddedVideo(item: MediaItem, quality?: string, signal?: AbortSignal, onProgress?: (progress: number) => void, startTime?: string | number, endTime?: string | number, options: DownloadOptions = {}): Promise<DownloadJob | void> {
     // Downloading video from supported platform
 
     // Handle all supported platforms using the unified backend
     if (this.isSupportedPlatform(item.url)) {
       try {
-        await this.downloadFromPlatform(item, quality, signal, onProgress, startTime, endTime);
-        return;
+        return await this.downloadFromPlatform(item, quality, signal, onProgress, startTime, endTime, options);
       } catch (error) {
         console.error('Platform download failed:', error);
         throw new Error(`Failed to download video from ${this.getPlatformName(item.url)}`);
@@ -472,7 +729,7 @@ export class DownloadService {
     return url.includes('youtube.com') || url.includes('youtu.be');
   }
 
-  static async checkIfLongVideo(url: string): Promise<{ isLong: boolean; duration: number; videoInfo?: { title: string; duration: number; uploader: string; thumbnail?: string } }> {
+  static async checkIfLongVideo(url: string): Promise<{ isLong: boolean; duration: number; videoInfo?: VideoInfo }> {
     if (!this.isYouTubeUrl(url)) {
       return { isLong: false, duration: 0 };
     }
@@ -528,18 +785,18 @@ export class DownloadService {
     }
   }
 
-  private static async downloadFromPlatform(item: MediaItem, quality: string = 'high', signal?: AbortSignal, onProgress?: (progress: number) => void, startTime?: string | number, endTime?: string | number): Promise<void> {
+  private static async downloadFromPlatform(item: MediaItem, quality: string = 'high', signal?: AbortSignal, onProgress?: (progress: number) => void, startTime?: string | number, endTime?: string | number, options: DownloadOptions = {}): Promise<DownloadJob> {
     const isYouTube = this.isYouTubeUrl(item.url);
 
     const downloadServices = [
       // Service 1: Try primary backend (Vercel serverless or local)
       async () => {
-        return this.tryDownloadWithEndpoint(API_ENDPOINTS.DOWNLOAD_VIDEO, item, quality, signal, startTime, endTime, 'primary');
+        return this.tryDownloadWithEndpoint(API_ENDPOINTS.DOWNLOAD_VIDEO, API_ENDPOINTS.JOBS, API_ENDPOINTS.CANCEL_DOWNLOAD, item, quality, signal, startTime, endTime, 'primary', onProgress, options);
       },
       // Service 2: Fallback backend for YouTube when primary fails with 403
       ...(isYouTube ? [async () => {
         console.log('🔄 DownloadService: Trying fallback backend for YouTube download');
-        return this.tryDownloadWithEndpoint(FALLBACK_API_ENDPOINTS.DOWNLOAD_VIDEO, item, quality, signal, startTime, endTime, 'fallback');
+        return this.tryDownloadWithEndpoint(FALLBACK_API_ENDPOINTS.DOWNLOAD_VIDEO, FALLBACK_API_ENDPOINTS.JOBS, FALLBACK_API_ENDPOINTS.CANCEL_DOWNLOAD, item, quality, signal, startTime, endTime, 'fallback', onProgress, options);
       }] : [])
     ];
 
@@ -547,8 +804,7 @@ export class DownloadService {
 
     for (let i = 0; i < downloadServices.length; i++) {
       try {
-        await downloadServices[i]();
-        return;
+        return await downloadServices[i]();
       } catch (error) {
         lastError = error as Error;
         console.log(`❌ DownloadService: Service ${i + 1} failed:`, lastError.message);
@@ -574,14 +830,18 @@ export class DownloadService {
 
   private static async tryDownloadWithEndpoint(
     endpoint: string,
+    jobsEndpoint: string,
+    cancelEndpoint: string,
     item: MediaItem,
     quality: string,
     signal?: AbortSignal,
     startTime?: string | number,
     endTime?: string | number,
-    serviceName: string = 'unknown'
-  ): Promise<void> {
-    // Create a timeout controller for large file downloads (5 minutes)
+    serviceName: string = 'unknown',
+    onProgress?: (progress: number) => void,
+    options: DownloadOptions = {}
+  ): Promise<DownloadJob> {
+    // Create a timeout controller for submitting the job (5 minutes)
     const timeoutController = new AbortController();
     const timeoutId = setTimeout(() => timeoutController.abort(), 300000);
 
@@ -605,7 +865,8 @@ export class DownloadService {
         quality: quality,
         sessionId: this.sessionId,
         ...(startTime !== undefined && { startTime }),
-        ...(endTime !== undefined && { endTime })
+        ...(endTime !== undefined && { endTime }),
+        ...options
       };
 
       console.log(`📡 DownloadService: Making fetch request to ${endpoint} (${serviceName})`);
@@ -618,6 +879,17 @@ export class DownloadService {
           sessionId: requestBody.sessionId,
           startTime: requestBody.startTime,
           endTime: requestBody.endTime,
+          formatId: requestBody.formatId,
+          audioFormatId: requestBody.audioFormatId,
+          subtitles: requestBody.subtitles,
+          audio: requestBody.audio,
+          embed: requestBody.embed,
+          filenameTemplate: requestBody.filenameTemplate,
+          splitChapters: requestBody.splitChapters,
+          ranges: requestBody.ranges,
+          rangeMode: requestBody.rangeMode,
+          trimMode: requestBody.trimMode,
+          convert: requestBody.convert,
         });
       } catch (e) {
         // Non-blocking: ensure logging doesn't interfere with download
@@ -638,34 +910,164 @@ export class DownloadService {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw this.createDownloadError(response.status, errorData, serviceName, response.statusText);
+      }
 
-        // Handle authentication errors for Instagram/Facebook/YouTube with helpful messages
-        if (response.status === 403 && errorData.platform) {
-          let errorMessage = '';
-          if (errorData.platform === 'youtube') {
-            errorMessage = `🚫 ${errorData.error}\n\n${errorData.details}\n\n💡 ${errorData.suggestion}`;
-          } else if (errorData.platform === 'instagram' || errorData.platform === 'facebook') {
-            errorMessage = errorData.isProduction
-              ? `🚫 ${errorData.error}\n\n${errorData.details}\n\n💡 ${errorData.suggestion}`
-              : `${errorData.error}\n\n${errorData.details}\n\n💡 ${errorData.suggestion}`;
-          }
-          throw new Error(errorMessage);
-        }
+      // The backend queues a job and answers right away; wait for it to finish
+      const { jobId } = await response.json();
+      console.log(`🧾 DownloadService: Download job ${jobId} queued (${serviceName})`);
 
-        throw new Error(`Backend download failed (${serviceName}): ${errorData.error || response.statusText}`);
+      const useServerFilename = Boolean(options.filenameTemplate);
+      this.addPendingJob({ jobId, jobsEndpoint, cancelEndpoint, url: item.url, filename: item.filename, useServerFilename });
+
+      const job = await this.waitForJob(jobsEndpoint, jobId, signal, onProgress);
+      if (job.status !== 'completed') {
+        this.removePendingJob(jobId);
+        const errorData = job.error || { statusCode: 499, error: `Download job ${job.status}` };
+        throw this.createDownloadError(errorData.statusCode, errorData, serviceName);
       }
 
-      // Get the file as a blob and save it
-      const blob = await response.blob();
-      saveAs(blob, item.filename);
+      await this.saveJobFile(jobsEndpoint, jobId, item.filename, signal, useServerFilename);
+      this.removePendingJob(jobId);
       console.log(`✅ DownloadService: Successfully downloaded via ${serviceName}`);
-      return;
+      return job;
     } catch (error) {
       clearTimeout(timeoutId);
       throw error;
     }
   }
 
+  // Build the user-facing error for a failed download request or job
+  private static createDownloadError(
+    status: number,
+    errorData: { error?: string; details?: string; platform?: string; isProduction?: boolean; suggestion?: string },
+    serviceName: string,
+    statusText: string = ''
+  ): Error {
+    // Handle authentication errors for Instagram/Facebook/YouTube with helpful messages
+    if (status === 403 && errorData.platform) {
+      let errorMessage = '';
+      if (errorData.platform === 'youtube') {
+        errorMessage = `🚫 ${errorData.error}\n\n${errorData.details}\n\n💡 ${errorData.suggestion}`;
+      } else if (errorData.platform === 'instagram' || errorData.platform === 'facebook') {
+        errorMessage = errorData.isProduction
+          ? `🚫 ${errorData.error}\n\n${errorData.details}\n\n💡 ${errorData.suggestion}`
+          : `${errorData.error}\n\n${errorData.details}\n\n💡 ${errorData.suggestion}`;
+      }
+      return new Error(errorMessage);
+    }
+
+    return new Error(`Backend download failed (${serviceName}) [${status}]: ${errorData.error || statusText}`);
+  }
+
+  static async getJob(jobsEndpoint: string, jobId: string, signal?: AbortSignal): Promise<DownloadJob | null> {
+    const query = this.sessionId ? `?sessionId=${encodeURIComponent(this.sessionId)}` : '';
+    const response = await fetch(`${jobsEndpoint}/${jobId}${query}`, { signal });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch job status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Poll a job until it settles. Progress also arrives over WebSocket when connected;
+  // polling keeps it moving when the socket is unavailable (e.g. Vercel) or was reconnected.
+  private static async waitForJob(jobsEndpoint: string, jobId: string, signal?: AbortSignal, onProgress?: (progress: number) => void): Promise<DownloadJob> {
+    while (true) {
+      if (signal?.aborted) {
+        throw new DOMException('Download cancelled', 'AbortError');
+      }
+
+      const job = await this.getJob(jobsEndpoint, jobId, signal);
+      if (!job) {
+        throw new Error(`Download job ${jobId} no longer exists`);
+      }
+
+      if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
+        return job;
+      }
+
+      if (onProgress && this.ws?.readyState !== WebSocket.OPEN) {
+        onProgress(job.progress);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.JOB_POLL_INTERVAL));
+    }
+  }
+
+  private static async saveJobFile(jobsEndpoint: string, jobId: string, filename: string, signal?: AbortSignal, useServerFilename: boolean = false): Promise<void> {
+    const response = await fetch(`${jobsEndpoint}/${jobId}/file`, { signal });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: response.statusText }));
+      throw new Error(`Failed to fetch job file: ${errorData.error}`);
+    }
+
+    // Prefer the server's name when it produced a different artifact (e.g. a carousel ZIP or an MP3 export)
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const serverFilename = disposition.match(/filename="([^"]+)"/)?.[1];
+    const getExtension = (name: string) => name.split('.').pop()?.toLowerCase();
+    const blob = await response.blob();
+    saveAs(blob, serverFilename && (useServerFilename || getExtension(serverFilename) !== getExtension(filename)) ? serverFilename : filename);
+  }
+
+  private static getPendingJobs(): PendingJob[] {
+    try {
+      return JSON.parse(localStorage.getItem(this.PENDING_JOBS_KEY) || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  private static setPendingJobs(jobs: PendingJob[]): void {
+    try {
+      localStorage.setItem(this.PENDING_JOBS_KEY, JSON.stringify(jobs));
+    } catch (error) {
+      console.warn('Failed to persist pending download jobs:', error);
+    }
+  }
+
+  private static addPendingJob(job: PendingJob): void {
+    this.setPendingJobs([...this.getPendingJobs().filter(j => j.url !== job.url), job]);
+  }
+
+  private static removePendingJob(jobId: string): void {
+    this.setPendingJobs(this.getPendingJobs().filter(j => j.jobId !== jobId));
+  }
+
+  // Finish downloads whose jobs were still running when the page was closed or reloaded.
+  // Returns the filenames that were saved.
+  static async resumePendingJobs(): Promise<string[]> {
+    const saved: string[] = [];
+
+    for (const pending of this.getPendingJobs()) {
+      if (this.activeDownloads.has(pending.url)) continue;
+
+      const abortController = new AbortController();
+      this.activeDownloads.set(pending.url, abortController);
+
+      try {
+        const job = await this.waitForJob(pending.jobsEndpoint, pending.jobId, abortController.signal);
+        if (job.status === 'completed') {
+          await this.saveJobFile(pending.jobsEndpoint, pending.jobId, pending.filename, abortController.signal, pending.useServerFilename);
+          saved.push(pending.filename);
+        }
+        this.removePendingJob(pending.jobId);
+      } catch (error) {
+        console.error(`Failed to resume download job ${pending.jobId}:`, error);
+        if (!abortController.signal.aborted) {
+          this.removePendingJob(pending.jobId);
+        }
+      } finally {
+        this.activeDownloads.delete(pending.url);
+      }
+    }
+
+    return saved;
+  }
+
   private static createDownloadLink(url: string, filename: string): void {
     try {
       // Create a temporary download link
@@ -744,6 +1146,91 @@ export class DownloadService {
     return result;
   }
 
+  // Download several items in one request, e.g. selected playlist entries.
+  // 'zip' waits for a single archive; 'jobs' queues one job per item and saves each file as it finishes.
+  // batchKey identifies the batch for cancelDownload(). Returns the number of files that failed.
+  static async downloadBatch(
+    items: MediaItem[],
+    batchKey: string,
+    quality: string = 'high',
+    mode: BatchDownloadMode = 'zip',
+    archiveName: string = 'playlist',
+    onProgress?: (progress: number) => void,
+    options: OutputOptions = {}
+  ): Promise<{ failed: number }> {
+    this.initWebSocket();
+
+    const abortController = new AbortController();
+    this.activeDownloads.set(batchKey, abortController);
+    const { signal } = abortController;
+
+    try {
+      const response = await fetch(API_ENDPOINTS.DOWNLOAD_BATCH, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          entries: items.map(item => ({ url: item.url, filename: item.filename })),
+          quality,
+          mode,
+          archiveName,
+          ...options,
+          sessionId: this.sessionId
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(`Batch download failed: ${errorData.error || response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      if (mode === 'zip') {
+        const jobId: string = data.jobId;
+        if (onProgress) {
+          this.progressCallbacks.set(`batch_${jobId}`, onProgress);
+        }
+        this.addPendingJob({ jobId, jobsEndpoint: API_ENDPOINTS.JOBS, cancelEndpoint: API_ENDPOINTS.CANCEL_DOWNLOAD, url: batchKey, filename: `${archiveName}.zip`, batchKey });
+
+        try {
+          const job = await this.waitForJob(API_ENDPOINTS.JOBS, jobId, signal, onProgress);
+          if (job.status !== 'completed') {
+            throw new Error(`Batch download ${job.status}: ${job.error?.error || 'unknown error'}`);
+          }
+          await this.saveJobFile(API_ENDPOINTS.JOBS, jobId, `${archiveName}.zip`, signal);
+          return { failed: job.failures?.length || 0 };
+        } finally {
+          this.progressCallbacks.delete(`batch_${jobId}`);
+          this.removePendingJob(jobId);
+        }
+      }
+
+      // Sequence of jobs: they run on the server in parallel, files are saved in playlist order
+      const jobs: DownloadJob[] = data.jobs;
+      jobs.forEach((job, index) => {
+        this.addPendingJob({ jobId: job.id, jobsEndpoint: API_ENDPOINTS.JOBS, cancelEndpoint: API_ENDPOINTS.CANCEL_DOWNLOAD, url: items[index].url, filename: items[index].filename, batchKey, useServerFilename: Boolean(options.filenameTemplate) });
+      });
+
+      let failed = 0;
+      for (let i = 0; i < jobs.length; i++) {
+        const job = await this.waitForJob(API_ENDPOINTS.JOBS, jobs[i].id, signal);
+        if (job.status === 'completed') {
+          await this.saveJobFile(API_ENDPOINTS.JOBS, job.id, items[i].filename, signal, Boolean(options.filenameTemplate));
+        } else {
+          failed++;
+        }
+        this.removePendingJob(job.id);
+        onProgress?.(Math.round(((i + 1) / jobs.length) * 100));
+      }
+      return { failed };
+    } finally {
+      this.activeDownloads.delete(batchKey);
+    }
+  }
+
   static async downloadAll(items: MediaItem[]): Promise<void> {
     const downloadPromises = items.map(item => this.downloadMedia(item));
 
@@ -1,24 +1,77 @@
+import { formatFileSize } from '../utils/formatUtils';
+
+// One resolution or format of a responsive image (srcset candidate or <picture> source)
+export interface MediaVariant {
+  url: string;
+  // srcset w descriptor, in pixels
+  width?: number;
+  // srcset x descriptor
+  density?: number;
+  // type of the <picture> source
+  mimeType?: string;
+  // media query of the <picture> source
+  media?: string;
+}
+
 export interface MediaItem {
   url: string;
   type: 'image' | 'video' | 'audio' | 'other';
   filename: string;
   size?: string;
   dimensions?: string;
+  // From the pre-flight (preflightMedia); size and dimensions are their display forms
+  mimeType?: string;
+  bytes?: number;
+  width?: number;
+  height?: number;
   thumbnail?: string;
+  duration?: number;
+  // From the page's structured data (JSON-LD)
+  title?: string;
+  uploadDate?: string;
+  playlistIndex?: number;
+  playlistTitle?: string;
+  // Every variant of a responsive image, largest first; url is the first of them
+  alternatives?: MediaVariant[];
+  // url is an HLS playlist or DASH manifest, downloaded as one MP4
+  streaming?: 'hls' | 'dash';
+}
+
+// Response of /api/analyze-page
+interface PageAnalysis {
+  // After redirects
+  url: string;
+  items: MediaItem[];
+  // The page was larger than the server reads, so only its beginning was analyzed
+  truncated: boolean;
 }
 
+// One entry of /api/head-media; fields are missing when the server couldn't tell
+interface MediaPreflight {
+  url: string;
+  contentType?: string;
+  bytes?: number;
+  width?: number;
+  height?: number;
+  duration?: number;
+  error?: string;
+}
+
+// The server's per-request limit
+const PREFLIGHT_BATCH_SIZE = 100;
+
 export class MediaDetectionService {
-  private static readonly CORS_PROXY = 'https://api.allorigins.win/raw?url=';
   private static fileCounter = 1;
   
   static async detectMedia(url: string): Promise<MediaItem[]> {
     // Reset counter for each new page analysis
     this.fileCounter = 1;
     
-    const mediaItems: MediaItem[] = [];
-    
     // Handle social media platform URLs specially
     if (url.includes('youtube.com') || url.includes('youtu.be')) {
+      if (this.isYouTubePlaylistUrl(url)) {
+        return await this.handlePlaylistUrl(url);
+      }
       return await this.handleYouTubeUrl(url);
     }
     
@@ -39,49 +92,26 @@ export class MediaDetectionService {
     }
     
     try {
-      // Use CORS proxy to fetch the webpage content
-      const proxyUrl = `${this.CORS_PROXY}${encodeURIComponent(url)}`;
-      const response = await fetch(proxyUrl);
+      // The backend fetches and parses the page, so page URLs never go to a third-party proxy
+      const { API_ENDPOINTS } = await import('../config/api');
+      const response = await fetch(API_ENDPOINTS.ANALYZE_PAGE, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url })
+      });
       
       if (!response.ok) {
-        throw new Error(`Failed to fetch webpage: ${response.status}`);
+        const errorData = await response.json().catch(() => ({ error: `Failed to fetch webpage: ${response.status}` }));
+        throw new Error(errorData.details || errorData.error);
       }
       
-      let htmlContent;
-      if (response.headers.get('content-type')?.includes('application/json')) {
-        const data = await response.json();
-        htmlContent = data.contents;
-      } else {
-        // For raw endpoint, we get the HTML directly
-        htmlContent = await response.text();
+      const analysis: PageAnalysis = await response.json();
+      if (analysis.truncated) {
+        console.warn(`Page ${analysis.url} was too large; only its beginning was analyzed`);
       }
-      
-      // Parse HTML content
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(htmlContent, 'text/html');
-      
-      // Extract images
-      const images = this.extractImages(doc, url);
-      mediaItems.push(...images);
-      
-      // Extract videos
-      const videos = this.extractVideos(doc, url);
-      mediaItems.push(...videos);
-      
-      // Extract audio
-      const audio = this.extractAudio(doc, url);
-      mediaItems.push(...audio);
-      
-      // Extract media from CSS background images
-      const cssMedia = this.extractCSSMedia(doc, url);
-      mediaItems.push(...cssMedia);
-      
-      // Remove duplicates based on URL
-      const uniqueMedia = mediaItems.filter((item, index, self) => 
-        index === self.findIndex(t => t.url === item.url)
-      );
-      
-      return uniqueMedia;
+      return analysis.items;
     } catch (error) {
       console.error('Error detecting media:', error);
       
@@ -90,6 +120,57 @@ export class MediaDetectionService {
     }
   }
   
+  // Fill in type, byte size, pixel size and duration without downloading anything (HEAD or ranged requests
+  // on the server). Playlist entries and blob: URLs are skipped; the same array comes back when nothing changed.
+  static async preflightMedia(items: MediaItem[]): Promise<MediaItem[]> {
+    const urls = items
+      .filter(item => item.playlistIndex === undefined && /^https?:\/\//.test(item.url))
+      .map(item => item.url);
+    if (urls.length === 0) return items;
+
+    const results = new Map<string, MediaPreflight>();
+    try {
+      const { API_ENDPOINTS } = await import('../config/api');
+      for (let start = 0; start < urls.length; start += PREFLIGHT_BATCH_SIZE) {
+        const response = await fetch(API_ENDPOINTS.HEAD_MEDIA, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ urls: urls.slice(start, start + PREFLIGHT_BATCH_SIZE) })
+        });
+        if (!response.ok) {
+          throw new Error(`Pre-flight failed: ${response.status}`);
+        }
+        const batch: { results: MediaPreflight[] } = await response.json();
+        batch.results.forEach(result => results.set(result.url, result));
+      }
+    } catch (error) {
+      console.warn('Media pre-flight failed:', error);
+    }
+    if (results.size === 0) return items;
+
+    return items.map(item => {
+      const result = results.get(item.url);
+      // Platform pages answer with HTML, which says nothing about the media behind them
+      if (!result || result.error || !(item.streaming || /^(image|video|audio)\//.test(result.contentType || ''))) {
+        return item;
+      }
+      const width = result.width ?? item.width;
+      const height = result.height ?? item.height;
+      return {
+        ...item,
+        mimeType: result.contentType,
+        bytes: result.bytes ?? item.bytes,
+        size: result.bytes ? formatFileSize(result.bytes) : item.size,
+        width,
+        height,
+        dimensions: width && height ? `${width}x${height}` : item.dimensions,
+        duration: result.duration ?? item.duration
+      };
+    });
+  }
+
   private static async handleYouTubeUrl(url: string): Promise<MediaItem[]> {
     console.log('🎬 handleYouTubeUrl called with:', url);
     
@@ -147,6 +228,42 @@ export class MediaDetectionService {
     }
   }
   
+  // Playlist and channel pages (a watch URL with &list= stays a single video)
+  private static isYouTubePlaylistUrl(url: string): boolean {
+    return /youtube\.com\/(playlist\?|@|channel\/|c\/|user\/)/.test(url);
+  }
+  
+  private static async handlePlaylistUrl(url: string): Promise<MediaItem[]> {
+    console.log('📃 handlePlaylistUrl called with:', url);
+    
+    const { API_ENDPOINTS } = await import('../config/api');
+    const response = await fetch(API_ENDPOINTS.PLAYLIST_INFO, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ url })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: response.statusText }));
+      throw new Error(`Failed to list playlist: ${errorData.error}`);
+    }
+    
+    const playlist = await response.json();
+    console.log(`📃 Playlist "${playlist.title}" has ${playlist.entryCount} entries`);
+    
+    return playlist.entries.map((entry: { index: number; title: string; url: string; duration: number | null; thumbnail: string | null }) => ({
+      url: entry.url,
+      type: 'video' as const,
+      filename: `${entry.title}.mp4`,
+      thumbnail: entry.thumbnail || undefined,
+      duration: entry.duration || undefined,
+      playlistIndex: entry.index,
+      playlistTitle: playlist.title
+    }));
+  }
+  
   private static handleInstagramUrl(url: string): MediaItem[] {
     const filename = this.extractFilename(url);
     
@@ -278,209 +395,10 @@ export class MediaDetectionService {
     return null;
   }
   
-  private static extractImages(doc: Document, baseUrl: string): MediaItem[] {
-    const images: MediaItem[] = [];
-    const imgElements = doc.querySelectorAll('img');
-    
-    imgElements.forEach(img => {
-      const src = img.getAttribute('src') || img.getAttribute('data-src');
-      if (src) {
-        const absoluteUrl = this.resolveUrl(src, baseUrl);
-        const filename = this.extractFilename(absoluteUrl) || 'image';
-        
-        images.push({
-          url: absoluteUrl,
-          type: 'image',
-          filename: `${filename}.${this.getFileExtension(absoluteUrl) || 'jpg'}`,
-          dimensions: img.naturalWidth && img.naturalHeight ? 
-            `${img.naturalWidth}x${img.naturalHeight}` : undefined,
-          thumbnail: absoluteUrl
-        });
-      }
-    });
-    
-    return images;
-  }
-  
-  private static extractVideos(doc: Document, baseUrl: string): MediaItem[] {
-    const videos: MediaItem[] = [];
-    
-    // Extract from video elements
-    const videoElements = doc.querySelectorAll('video');
-    videoElements.forEach(video => {
-      const src = video.getAttribute('src');
-      if (src) {
-        const absoluteUrl = this.resolveUrl(src, baseUrl);
-        videos.push({
-          url: absoluteUrl,
-          type: 'video',
-          filename: `${this.extractFilename(absoluteUrl) || 'video'}.${this.getFileExtension(absoluteUrl) || 'mp4'}`,
-          thumbnail: video.getAttribute('poster') ? this.resolveUrl(video.getAttribute('poster')!, baseUrl) : undefined
-        });
-      }
-      
-      // Check source elements
-      const sources = video.querySelectorAll('source');
-      sources.forEach(source => {
-        const src = source.getAttribute('src');
-        if (src) {
-          const absoluteUrl = this.resolveUrl(src, baseUrl);
-          videos.push({
-            url: absoluteUrl,
-            type: 'video',
-            filename: `${this.extractFilename(absoluteUrl) || 'video'}.${this.getFileExtension(absoluteUrl) || 'mp4'}`,
-            thumbnail: video.getAttribute('poster') ? this.resolveUrl(video.getAttribute('poster')!, baseUrl) : undefined
-          });
-        }
-      });
-    });
-    
-    // Extract from meta tags (Open Graph, Twitter Cards)
-    const metaTags = doc.querySelectorAll('meta');
-    metaTags.forEach(meta => {
-      const property = meta.getAttribute('property') || meta.getAttribute('name');
-      const content = meta.getAttribute('content');
-      
-      if (content && property) {
-        // Open Graph video tags
-        if (property === 'og:video' || property === 'og:video:url' || property === 'og:video:secure_url') {
-          const absoluteUrl = this.resolveUrl(content, baseUrl);
-          videos.push({
-            url: absoluteUrl,
-            type: 'video',
-            filename: `${this.extractFilename(absoluteUrl) || 'og-video'}.${this.getFileExtension(absoluteUrl) || 'mp4'}`
-          });
-        }
-        
-        // Twitter Card video tags
-        if (property === 'twitter:player' || property === 'twitter:player:stream') {
-          const absoluteUrl = this.resolveUrl(content, baseUrl);
-          videos.push({
-            url: absoluteUrl,
-            type: 'video',
-            filename: `${this.extractFilename(absoluteUrl) || 'twitter-video'}.${this.getFileExtension(absoluteUrl) || 'mp4'}`
-          });
-        }
-      }
-    });
-    
-    // Extract from iframes (YouTube, Vimeo, Dailymotion, etc.)
-    const iframes = doc.querySelectorAll('iframe');
-    iframes.forEach(iframe => {
-      const src = iframe.getAttribute('src');
-      if (src) {
-        const videoHosts = [
-          'youtube.com', 'youtu.be', 'vimeo.com', 'dailymotion.com', 
-          'twitch.tv', 'streamable.com', 'wistia.com', 'brightcove.com',
-          'jwplayer.com', 'kaltura.com', 'vidyard.com'
-        ];
-        
-        if (videoHosts.some(host => src.includes(host))) {
-          videos.push({
-            url: src,
-            type: 'video',
-            filename: `${this.extractFilename(src) || 'embedded-video'}.mp4`
-          });
-        }
-      }
-    });
-    
-    // Extract from data attributes and common video patterns
-    const elementsWithVideoData = doc.querySelectorAll('[data-video-url], [data-src*=".mp4"], [data-src*=".webm"], [data-src*=".mov"], [data-src*=".avi"]');
-    elementsWithVideoData.forEach(element => {
-      const videoUrl = element.getAttribute('data-video-url') || element.getAttribute('data-src');
-      if (videoUrl) {
-        const absoluteUrl = this.resolveUrl(videoUrl, baseUrl);
-        videos.push({
-          url: absoluteUrl,
-          type: 'video',
-          filename: `${this.extractFilename(absoluteUrl) || 'data-video'}.${this.getFileExtension(absoluteUrl) || 'mp4'}`
-        });
-      }
-    });
-    
-    // Extract from links pointing to video files
-    const videoLinks = doc.querySelectorAll('a[href*=".mp4"], a[href*=".webm"], a[href*=".mov"], a[href*=".avi"], a[href*=".mkv"], a[href*=".flv"], a[href*=".wmv"]');
-    videoLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      if (href) {
-        const absoluteUrl = this.resolveUrl(href, baseUrl);
-        videos.push({
-          url: absoluteUrl,
-          type: 'video',
-          filename: `${this.extractFilename(absoluteUrl) || 'linked-video'}.${this.getFileExtension(absoluteUrl) || 'mp4'}`
-        });
-      }
-    });
-    
-    return videos;
-  }
-  
-  private static extractAudio(doc: Document, baseUrl: string): MediaItem[] {
-    const audio: MediaItem[] = [];
-    
-    const audioElements = doc.querySelectorAll('audio');
-    audioElements.forEach(audioEl => {
-      const src = audioEl.getAttribute('src');
-      if (src) {
-        const absoluteUrl = this.resolveUrl(src, baseUrl);
-        audio.push({
-          url: absoluteUrl,
-          type: 'audio',
-          filename: `${this.extractFilename(absoluteUrl) || 'audio'}.${this.getFileExtension(absoluteUrl) || 'mp3'}`
-        });
-      }
-    });
-    
-    return audio;
-  }
-  
-  private static extractCSSMedia(doc: Document, baseUrl: string): MediaItem[] {
-    const media: MediaItem[] = [];
-    
-    // Extract background images from style attributes and CSS
-    const elementsWithStyle = doc.querySelectorAll('[style*="background"]');
-    elementsWithStyle.forEach(element => {
-      const style = element.getAttribute('style') || '';
-      const bgImageMatch = style.match(/background-image:\s*url\(['"]?([^'"]+)['"]?\)/);
-      if (bgImageMatch) {
-        const url = this.resolveUrl(bgImageMatch[1], baseUrl);
-        media.push({
-          url,
-          type: 'image',
-          filename: `${this.extractFilename(url) || 'background'}.${this.getFileExtension(url) || 'jpg'}`,
-          thumbnail: url
-        });
-      }
-    });
-    
-    return media;
-  }
-  
-  private static resolveUrl(url: string, baseUrl: string): string {
-    try {
-      return new URL(url, baseUrl).href;
-    } catch {
-      return url;
-    }
-  }
-  
   private static extractFilename(url: string): string {
     const filename = `MediaHarvest${this.fileCounter}`;
     this.fileCounter++;
     return filename;
   }
-  
-  private static getFileExtension(url: string): string | null {
-    try {
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-      const match = pathname.match(/\.([^.]+)$/);
-      return match ? match[1] : null;
-    } catch {
-      return null;
-    }
-  }
-  
 
 }
\ No newline at end of file
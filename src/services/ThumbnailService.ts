@@ -0,0 +1,116 @@
+import { API_ENDPOINTS } from '../config/api';
+
+export type ThumbnailMode = 'frame' | 'frames' | 'sheet' | 'animated';
+export type AnimatedPreviewFormat = 'webp' | 'gif';
+
+// Options per mode; unset values use the server defaults (640px single frames, 320px otherwise)
+export type ThumbnailRequest =
+  | { mode: 'frame'; time?: number; width?: number }
+  | { mode: 'frames'; count?: number; width?: number }
+  // width is per tile
+  | { mode: 'sheet'; columns?: number; rows?: number; width?: number; timestamps?: boolean }
+  | { mode: 'animated'; format?: AnimatedPreviewFormat; start?: number; duration?: number; fps?: number; width?: number };
+
+export interface ThumbnailFrame {
+  time: number;
+  // JPEG data URL
+  image: string;
+}
+
+// /api/thumbnails response; image fields are data URLs
+export interface ThumbnailResult {
+  mode: ThumbnailMode;
+  // Source display size and duration (0 when unknown, e.g. live streams)
+  width: number;
+  height: number;
+  duration: number;
+  image?: string;
+  // frame
+  time?: number;
+  // frames
+  frames?: ThumbnailFrame[];
+  // sheet
+  columns?: number;
+  rows?: number;
+  times?: number[];
+  // animated
+  format?: AnimatedPreviewFormat;
+  start?: number;
+  length?: number;
+}
+
+interface FilmstripRequest {
+  frames: Promise<ThumbnailFrame[]>;
+  controller: AbortController;
+  // Callers still waiting on the request; callers without a signal keep it alive for good
+  waiting: number;
+  settled: boolean;
+}
+
+export class ThumbnailService {
+  // Filmstrips are requested by several components for the same URL
+  private static filmstripCache = new Map<string, FilmstripRequest>();
+
+  // Source is an uploaded file, a media or page URL, or { jobId } of a completed download
+  static async getThumbnails(source: File | string | { jobId: string }, request: ThumbnailRequest, signal?: AbortSignal): Promise<ThumbnailResult> {
+    let response: Response;
+    if (source instanceof File) {
+      const formData = new FormData();
+      formData.append('video', source);
+      Object.entries(request).forEach(([key, value]) => value !== undefined && formData.append(key, String(value)));
+      response = await fetch(API_ENDPOINTS.THUMBNAILS, { method: 'POST', body: formData, signal });
+    } else {
+      response = await fetch(API_ENDPOINTS.THUMBNAILS, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...request, ...(typeof source === 'string' ? { url: source } : source) }),
+        signal,
+      });
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(errorData.details || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // Evenly spaced frames of a URL, cached per URL and size; failures are not cached so they can be retried.
+  // The shared request is aborted (and forgotten) once every caller that passed a signal has aborted it.
+  static getFilmstrip(url: string, count: number = 8, width: number = 160, signal?: AbortSignal): Promise<ThumbnailFrame[]> {
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException('The filmstrip request was aborted', 'AbortError'));
+    }
+
+    const key = `${url}|${count}|${width}`;
+    let filmstrip = this.filmstripCache.get(key);
+    if (!filmstrip) {
+      const controller = new AbortController();
+      const request: FilmstripRequest = {
+        frames: this.getThumbnails(url, { mode: 'frames', count, width }, controller.signal).then((result) => result.frames || []),
+        controller,
+        waiting: 0,
+        settled: false,
+      };
+      request.frames
+        .catch(() => this.filmstripCache.get(key) === request && this.filmstripCache.delete(key))
+        .finally(() => {
+          request.settled = true;
+        });
+      this.filmstripCache.set(key, request);
+      filmstrip = request;
+    }
+
+    const shared = filmstrip;
+    shared.waiting++;
+    signal?.addEventListener('abort', () => {
+      shared.waiting--;
+      if (shared.waiting === 0 && !shared.settled) {
+        shared.controller.abort();
+        if (this.filmstripCache.get(key) === shared) this.filmstripCache.delete(key);
+      }
+    }, { once: true });
+    return shared.frames;
+  }
+}
@@ -1,14 +1,311 @@
 import { API_ENDPOINTS, API_BASE_URL } from '../config/api';
 
-export interface ConversionRequest {
+export type VideoCodec = 'h264' | 'hevc' | 'vp9' | 'av1';
+export type AudioCodec = 'aac' | 'mp3' | 'opus' | 'vorbis' | 'flac' | 'pcm';
+
+// Encoder controls that override the quality preset; anything left out keeps the preset's value
+export interface AdvancedEncoderOptions {
+  videoCodec?: VideoCodec;
+  // Constant quality; mutually exclusive with videoBitrate
+  crf?: number;
+  // kbps
+  videoBitrate?: number;
+  // Requires videoBitrate (h264, hevc and vp9 only)
+  twoPass?: boolean;
+  // x264/x265 preset, libvpx deadline or SVT-AV1 preset number
+  preset?: string;
+  profile?: string;
+  level?: string;
+  // Keyframe interval in frames
+  gop?: number;
+  pixelFormat?: string;
+  audioCodec?: AudioCodec;
+  // kbps, lossy codecs only
+  audioBitrate?: number;
+  sampleRate?: number;
+}
+
+export type FitMode = 'pad' | 'crop' | 'stretch';
+export type FlipMode = 'horizontal' | 'vertical' | 'both';
+
+// Source pixels, in display orientation; width and height must be even
+export interface CropRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// Picture transforms, applied in order: deinterlace, crop, rotate/flip, scale to resolution, frame rate
+export interface VideoTransformOptions {
+  // How the picture fills a target resolution: letterbox, crop to fill or stretch
+  fit?: FitMode;
+  crop?: CropRect;
+  // Degrees clockwise
+  rotate?: 0 | 90 | 180 | 270;
+  flip?: FlipMode;
+  deinterlace?: boolean;
+  // e.g. '25', '29.97' or '30000/1001'
+  fps?: string;
+}
+
+export type RoutedTrackLayout = 'mono' | 'stereo' | '5.1';
+
+// One source channel feeding an output channel; channel is the global index from /api/probe-audio
+export interface RoutedSource {
+  channel: number;
+  // dB, -60 to +24
+  gain?: number;
+}
+
+export interface RoutedTrack {
+  layout: RoutedTrackLayout;
+  // One source list per output channel, in layout order (L R C LFE Ls Rs); an empty list is silent
+  channels: RoutedSource[][];
+  title?: string;
+  // ISO 639-2, e.g. 'eng'
+  language?: string;
+}
+
+// Each track becomes a separate audio stream in the output; replaces leftChannel/rightChannel
+export interface AudioRouting {
+  tracks: RoutedTrack[];
+}
+
+// A source channel as listed by /api/probe-audio
+export interface ProbedAudioChannel {
+  index: number;
+  label: string;
+  description: string;
+  stream?: number;
+  // ffmpeg position code (FL, FC, LFE, ...), null for mono tracks and unknown layouts
+  position?: string | null;
+}
+
+export interface AudioRoutingPreset {
+  id: string;
+  label: string;
+  tracks: RoutedTrack[];
+}
+
+export type LoudnessPreset = 'ebu-r128' | 'atsc-a85' | 'streaming' | 'podcast';
+
+// Two-pass loudnorm target; explicit values override the preset (EBU R128 when omitted)
+export interface LoudnessTarget {
+  preset?: LoudnessPreset;
+  // LUFS, -70 to -5
+  integrated?: number;
+  // dBTP, -9 to 0
+  truePeak?: number;
+  // LU, 1 to 50
+  lra?: number;
+}
+
+// Values are null for digital silence
+export interface LoudnessMeasurement {
+  integrated: number | null;
+  truePeak: number | null;
+  lra: number | null;
+  threshold: number | null;
+}
+
+// Sent back in the X-Loudness-Report header of /api/convert-video (and on download jobs)
+export interface LoudnessReport {
+  target: Required<Omit<LoudnessTarget, 'preset'>>;
+  tracks: {
+    before: LoudnessMeasurement;
+    after: LoudnessMeasurement | null;
+    // 'linear' or 'dynamic' (loudnorm falls back to dynamic when the target can't be met with gain alone)
+    normalization: string | null;
+  }[];
+}
+
+export type SubtitleMode = 'soft' | 'burn';
+export type SubtitlePosition = 'bottom' | 'middle' | 'top';
+
+// How an uploaded SRT/VTT/ASS file is attached: a selectable track (MP4, MOV, MKV, WebM) or burned into the picture
+export interface SubtitleOptions {
+  mode: SubtitleMode;
+  // soft
+  language?: string;
+  title?: string;
+  default?: boolean;
+  // burn; unset values keep the file's own style (ASS) or libass defaults
+  fontSize?: number;
+  position?: SubtitlePosition;
+  outline?: number;
+  // Vertical margin in script pixels
+  marginV?: number;
+  // '#rrggbb'
+  color?: string;
+}
+
+export type OverlayPosition = 'top-left' | 'top' | 'top-right' | 'center' | 'bottom-left' | 'bottom' | 'bottom-right';
+
+// Placement of an uploaded logo; unset values use the server defaults (top-right, 20px margin, native size, opaque)
+export interface WatermarkOptions {
+  position?: OverlayPosition;
+  // Pixels from the nearest edges
+  margin?: number;
+  // Logo width as a fraction of the output width (0.01-1)
+  scale?: number;
+  opacity?: number;
+}
+
+// A line of text drawn on the picture: a fixed title or the running source timestamp
+export interface TextOverlayOptions {
+  content: 'title' | 'timestamp';
+  text?: string;
+  position?: OverlayPosition;
+  margin?: number;
+  fontSize?: number;
+  // '#rrggbb'
+  color?: string;
+  opacity?: number;
+  // Semi-transparent black box behind the text
+  box?: boolean;
+}
+
+// Watermark and text overlay applied to conversions; saved in the browser so watch-folder mode reuses them
+export interface ConversionOverlays {
+  watermark: { file: File; options: WatermarkOptions } | null;
+  text: TextOverlayOptions | null;
+}
+
+// GIF / animated WebP output; unset values use the server defaults (12 fps, 480px wide unless a resolution is set, loop forever)
+export interface AnimationOptions {
+  // 1-30
+  fps?: number;
+  // 16-1920, height follows the aspect ratio
+  width?: number;
+  // 0 loops forever, otherwise the number of plays
+  loop?: number;
+}
+
+export type PackagingRendition = 'low' | 'medium' | 'high' | 'maximum';
+
+// Adaptive streaming package returned as a ZIP: an HLS ladder, or DASH with matching HLS playlists
+export interface PackagingOptions {
+  dash?: boolean;
+  // Quality presets to encode (480p, 720p, 1080p, 2160p); ones above the source size are skipped
+  renditions?: PackagingRendition[];
+  // Seconds, 2-10
+  segmentDuration?: number;
+}
+
+// ConversionOverlays as persisted in localStorage, with the image inlined as a data URL
+interface StoredConversionOverlays {
+  watermark: { name: string; type: string; dataUrl: string; options: WatermarkOptions } | null;
+  text: TextOverlayOptions | null;
+}
+
+export interface ConversionRequest extends VideoTransformOptions {
   format: string;
   quality: string;
   leftChannel?: number;
   rightChannel?: number;
+  audioRouting?: AudioRouting;
+  loudness?: LoudnessTarget;
+  textOverlay?: TextOverlayOptions;
+  // gif and webp only
+  animation?: AnimationOptions;
+  // A preset or any even 'WIDTHxHEIGHT', e.g. '1080x1920'
   resolution?: string;
+  advanced?: AdvancedEncoderOptions;
   sessionId?: string;
 }
 
+// Arguments of convertVideo: the /api/convert-video fields, with the subtitle and watermark files
+// that are uploaded next to the video, and how the result is handled in the browser
+export interface ConvertVideoOptions extends Omit<ConversionRequest, 'sessionId'> {
+  subtitles?: { file: File; options: SubtitleOptions };
+  watermark?: { file: File; options: WatermarkOptions };
+  packaging?: PackagingOptions;
+  onProgress?: (progress: number) => void;
+  onLoudnessReport?: (report: LoudnessReport) => void;
+  // Return the blob without saving it (e.g. when a watch folder writes it)
+  skipDownload?: boolean;
+}
+
+export type MediaStreamType = 'video' | 'audio' | 'subtitle' | 'data' | 'attachment';
+
+// One stream of a /api/probe report; the type-specific fields are only set for that type
+export interface MediaStreamInfo {
+  index: number;
+  type: MediaStreamType;
+  codec: string;
+  codecLong: string | null;
+  profile: string | null;
+  // bits per second
+  bitRate: number | null;
+  duration: number | null;
+  language: string | null;
+  title: string | null;
+  default: boolean;
+  forced: boolean;
+  // video
+  attachedPic?: boolean;
+  width?: number | null;
+  height?: number | null;
+  // After rotation metadata
+  displayWidth?: number | null;
+  displayHeight?: number | null;
+  sampleAspectRatio?: string | null;
+  displayAspectRatio?: string | null;
+  fps?: number | null;
+  pixelFormat?: string | null;
+  bitDepth?: number | null;
+  fieldOrder?: string | null;
+  color?: {
+    range: string | null;
+    space: string | null;
+    transfer: string | null;
+    primaries: string | null;
+  };
+  hdr?: 'HDR10' | 'HDR10+' | 'HLG' | 'Dolby Vision' | null;
+  // audio
+  sampleRate?: number | null;
+  channels?: number;
+  channelLayout?: string | null;
+  // attachment
+  filename?: string | null;
+}
+
+export interface MediaReport {
+  container: {
+    format: string | null;
+    formatLong: string | null;
+    size: number | null;
+    bitRate: number | null;
+    startTime: number | null;
+    title: string | null;
+    encoder: string | null;
+    creationTime: string | null;
+  };
+  duration: number | null;
+  timecode: string | null;
+  streams: MediaStreamInfo[];
+  // Attached pictures are counted separately
+  counts: Record<MediaStreamType, number>;
+  attachedPictures: { index: number; codec: string; width: number | null; height: number | null }[];
+  hasVideo: boolean;
+  hasAudio: boolean;
+  // Routing sources and presets for the audio streams
+  channels: ProbedAudioChannel[];
+  presets: AudioRoutingPreset[];
+  // First audio stream, only measured on request (see measureLoudness); null otherwise
+  loudness?: LoudnessMeasurement | null;
+}
+
+export interface PreviewFrame {
+  // Image URL (data or object URL)
+  image: string;
+  width: number;
+  height: number;
+  time: number;
+  duration: number;
+}
+
 interface ProgressDetails {
   currentTime?: string;
   totalTime?: string;
@@ -30,11 +327,39 @@ export interface ConversionOptions {
   }>;
 }
 
+// Choices for the advanced encoder form, as validated by the server
+export interface EncoderOptions {
+  containers: Record<string, { video: VideoCodec[]; audio: AudioCodec[] }>;
+  presets: Record<VideoCodec, string[]>;
+  profiles: Record<VideoCodec, string[]>;
+  maxCrf: Record<VideoCodec, number>;
+  pixelFormats: string[];
+  sampleRates: number[];
+}
+
+export interface LoudnessPresetOption {
+  value: LoudnessPreset;
+  label: string;
+  integrated: number;
+  truePeak: number;
+  lra: number;
+}
+
+// GET /api/encoder-options
+interface EncoderOptionsResponse {
+  encoders: EncoderOptions;
+  loudnessPresets: LoudnessPresetOption[];
+}
+
 export class VideoConversionService {
   private static activeConversions = new Map<string, AbortController>();
   private static ws: WebSocket | null = null;
   private static progressCallbacks = new Map<string, (progress: number, details?: ProgressDetails) => void>();
   private static sessionId: string = Math.random().toString(36).substring(2, 15);
+  private static readonly OVERLAYS_KEY = 'mediaHarvest.overlays';
+  // Keeps the inlined logo well inside the localStorage quota
+  private static readonly MAX_SAVED_WATERMARK_BYTES = 1024 * 1024;
+  private static encoderOptionsRequest: Promise<EncoderOptionsResponse> | null = null;
 
   static {
     console.log('🔧 CLIENT DEBUG: VideoConversionService sessionId generated:', this.sessionId);
@@ -129,6 +454,8 @@ export class VideoConversionService {
         { value: 'mkv', label: 'MKV', description: 'Matroska video format' },
         { value: 'mp3', label: 'MP3', description: 'Audio only (MP3)' },
         { value: 'wav', label: 'WAV', description: 'Audio only (WAV)' },
+        { value: 'gif', label: 'GIF', description: 'Animated image, no audio' },
+        { value: 'webp', label: 'WebP', description: 'Animated WebP image, no audio' },
       ],
       qualities: [
         { value: 'low', label: 'Low Quality', description: 'Smaller file size, faster conversion' },
@@ -138,16 +465,50 @@ export class VideoConversionService {
     };
   }
 
-  static async convertVideo(
-    file: File,
-    format: string,
-    quality: string,
-    onProgress?: (progress: number) => void,
-    leftChannel?: number,
-    rightChannel?: number,
-    resolution?: string,
-    skipDownload: boolean = false
-  ): Promise<Blob | void> {
+  // Encoder choices and loudness presets come from the server tables that validate them; fetched once per page
+  private static loadEncoderOptions(): Promise<EncoderOptionsResponse> {
+    if (!this.encoderOptionsRequest) {
+      this.encoderOptionsRequest = fetch(API_ENDPOINTS.ENCODER_OPTIONS).then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to fetch encoder options: ${response.status}`);
+        }
+        return response.json();
+      });
+      this.encoderOptionsRequest.catch(() => {
+        this.encoderOptionsRequest = null;
+      });
+    }
+    return this.encoderOptionsRequest;
+  }
+
+  static async getLoudnessPresets(): Promise<LoudnessPresetOption[]> {
+    return (await this.loadEncoderOptions()).loudnessPresets;
+  }
+
+  static async getEncoderOptions(): Promise<EncoderOptions> {
+    return (await this.loadEncoderOptions()).encoders;
+  }
+
+  static async convertVideo(file: File, options: ConvertVideoOptions): Promise<Blob | void> {
+    const {
+      format,
+      quality,
+      resolution,
+      leftChannel,
+      rightChannel,
+      audioRouting,
+      loudness,
+      subtitles,
+      watermark,
+      textOverlay,
+      animation,
+      packaging,
+      advanced,
+      onProgress,
+      onLoudnessReport,
+      skipDownload = false,
+      ...transform
+    } = options;
     console.log('🔧 CLIENT DEBUG: VideoConversionService: Starting conversion', { file: file.name, format, quality, sessionId: this.sessionId });
 
     const conversionId = file.name;
@@ -197,11 +558,54 @@ export class VideoConversionService {
         formData.append('rightChannel', rightChannel.toString());
       }
 
+      // A routing matrix takes the place of the left/right pair
+      if (audioRouting && audioRouting.tracks.length > 0) {
+        formData.append('audioRouting', JSON.stringify(audioRouting));
+      }
+
+      if (loudness) {
+        formData.append('loudness', JSON.stringify(loudness));
+      }
+
+      if (subtitles) {
+        formData.append('subtitle', subtitles.file);
+        formData.append('subtitles', JSON.stringify(subtitles.options));
+      }
+
+      if (watermark) {
+        formData.append('watermarkImage', watermark.file);
+        formData.append('watermark', JSON.stringify(watermark.options));
+      }
+
+      if (textOverlay) {
+        formData.append('textOverlay', JSON.stringify(textOverlay));
+      }
+
+      if (animation && ['gif', 'webp'].includes(format)) {
+        formData.append('animation', JSON.stringify(animation));
+      }
+
+      if (packaging) {
+        formData.append('packaging', JSON.stringify(packaging));
+      }
+
       // Add resolution if specified
       if (resolution && resolution !== 'original') {
         formData.append('resolution', resolution);
       }
 
+      // Advanced encoder options travel as JSON in the multipart body
+      if (advanced && Object.keys(advanced).length > 0) {
+        formData.append('advanced', JSON.stringify(advanced));
+      }
+
+      if (transform.fit) formData.append('fit', transform.fit);
+      if (transform.crop) formData.append('crop', JSON.stringify(transform.crop));
+      if (transform.rotate) formData.append('rotate', transform.rotate.toString());
+      if (transform.flip) formData.append('flip', transform.flip);
+      if (transform.deinterlace) formData.append('deinterlace', 'true');
+      if (transform.fps) formData.append('fps', transform.fps);
+
       console.log('VideoConversionService: Making fetch request to', API_ENDPOINTS.CONVERT_VIDEO);
       const response = await fetch(API_ENDPOINTS.CONVERT_VIDEO, {
         method: 'POST',
@@ -215,6 +619,15 @@ export class VideoConversionService {
         throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
       }
 
+      const loudnessHeader = response.headers.get('X-Loudness-Report');
+      if (loudnessHeader && onLoudnessReport) {
+        try {
+          onLoudnessReport(JSON.parse(loudnessHeader));
+        } catch (error) {
+          console.warn('VideoConversionService: Could not parse loudness report', error);
+        }
+      }
+
       // Handle file download
       const blob = await response.blob();
 
@@ -257,6 +670,160 @@ export class VideoConversionService {
     }
   }
 
+  static loadSavedOverlays(): ConversionOverlays {
+    try {
+      const stored: StoredConversionOverlays | null = JSON.parse(localStorage.getItem(this.OVERLAYS_KEY) || 'null');
+      if (!stored) {
+        return { watermark: null, text: null };
+      }
+      let watermark: ConversionOverlays['watermark'] = null;
+      if (stored.watermark) {
+        const bytes = Uint8Array.from(atob(stored.watermark.dataUrl.split(',')[1]), char => char.charCodeAt(0));
+        const file = new File([bytes], stored.watermark.name, { type: stored.watermark.type });
+        watermark = { file, options: stored.watermark.options };
+      }
+      return { watermark, text: stored.text };
+    } catch (error) {
+      console.warn('Failed to load saved overlays:', error);
+      return { watermark: null, text: null };
+    }
+  }
+
+  // Returns false when the logo is too large to keep; the text overlay is saved either way
+  static async saveOverlays(settings: ConversionOverlays): Promise<boolean> {
+    let watermark: StoredConversionOverlays['watermark'] = null;
+    const fitsStorage = !settings.watermark || settings.watermark.file.size <= this.MAX_SAVED_WATERMARK_BYTES;
+    if (settings.watermark && fitsStorage) {
+      const { file, options } = settings.watermark;
+      const dataUrl = await new Promise<string>((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result as string);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      watermark = { name: file.name, type: file.type, dataUrl, options };
+    }
+
+    try {
+      localStorage.setItem(this.OVERLAYS_KEY, JSON.stringify({ watermark, text: settings.text }));
+      return fitsStorage;
+    } catch (error) {
+      console.warn('Failed to save overlays:', error);
+      return false;
+    }
+  }
+
+  // One ffprobe run on the server describing every stream of the file
+  static async probeMedia(file: File): Promise<MediaReport> {
+    const formData = new FormData();
+    formData.append('video', file);
+
+    const response = await fetch(API_ENDPOINTS.PROBE, {
+      method: 'POST',
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(errorData.details || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // Loudness of the first audio stream. A full decode on the server, so it is a separate request from probeMedia.
+  static async measureLoudness(file: File): Promise<LoudnessMeasurement | null> {
+    const formData = new FormData();
+    formData.append('video', file);
+    formData.append('loudness', 'true');
+
+    const response = await fetch(API_ENDPOINTS.PROBE, {
+      method: 'POST',
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(errorData.details || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    const report: MediaReport = await response.json();
+    return report.loudness ?? null;
+  }
+
+  // A frame to place crop rectangles on. The browser decodes what it can (MP4, WebM, most MOV);
+  // anything else (MXF, AVI, interlaced broadcast files) is rendered by the server.
+  static async getPreviewFrame(file: File, time?: number): Promise<PreviewFrame> {
+    try {
+      return await this.captureFrameInBrowser(file, time);
+    } catch (error) {
+      console.log('VideoConversionService: Browser could not decode preview, asking the server', error);
+    }
+
+    const formData = new FormData();
+    formData.append('video', file);
+    if (time !== undefined) {
+      formData.append('time', time.toString());
+    }
+
+    const response = await fetch(API_ENDPOINTS.PREVIEW_FRAME, {
+      method: 'POST',
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+      throw new Error(errorData.details || errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  private static captureFrameInBrowser(file: File, time?: number): Promise<PreviewFrame> {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      const sourceUrl = URL.createObjectURL(file);
+      const timeout = setTimeout(() => finish(new Error('Timed out decoding the video')), 10000);
+
+      const finish = (error: Error | null, frame?: PreviewFrame) => {
+        clearTimeout(timeout);
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(sourceUrl);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(frame as PreviewFrame);
+        }
+      };
+
+      video.muted = true;
+      video.preload = 'auto';
+      video.onerror = () => finish(new Error('The browser cannot decode this video'));
+      video.onloadedmetadata = () => {
+        if (!video.videoWidth || !video.videoHeight) {
+          finish(new Error('No decodable video track'));
+          return;
+        }
+        video.currentTime = time !== undefined ? Math.min(time, video.duration) : video.duration * 0.1;
+      };
+      video.onseeked = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d')?.drawImage(video, 0, 0);
+        finish(null, {
+          image: canvas.toDataURL('image/jpeg', 0.85),
+          width: video.videoWidth,
+          height: video.videoHeight,
+          time: video.currentTime,
+          duration: video.duration,
+        });
+      };
+      video.src = sourceUrl;
+    });
+  }
+
   static cancelConversion(conversionId: string): void {
     const controller = this.activeConversions.get(conversionId);
     if (controller) {
@@ -0,0 +1,28 @@
+/**
+ * Utility functions for formatting media metadata
+ */
+
+/**
+ * Convert a byte count to a human readable size
+ * @param bytes - Size in bytes
+ * @returns Formatted size string (e.g. "12.3 MB")
+ */
+export function formatFileSize(bytes: number | null | undefined): string {
+  if (!bytes || bytes <= 0) return 'Unknown size';
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Convert a bitrate in kbit/s to a readable string
+ * @param kbps - Bitrate in kbit/s
+ * @returns Formatted bitrate (e.g. "2.5 Mbps" or "128 kbps")
+ */
+export function formatBitrate(kbps: number | null | undefined): string {
+  if (!kbps || kbps <= 0) return '';
+  return kbps >= 1000 ? `${(kbps / 1000).toFixed(1)} Mbps` : `${Math.round(kbps)} kbps`;
+}
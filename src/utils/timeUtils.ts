@@ -85,4 +85,13 @@ export function getDurationString(seconds: number): string {
   }
   
   return parts.join(' ');
-}
\ No newline at end of file
+}
+
+/**
+ * Format the difference between an achieved and a requested timestamp
+ * @param seconds - Signed difference in seconds
+ * @returns Signed string such as "+0.42s" or "-2.00s"
+ */
+export function formatDrift(seconds: number): string {
+  return `${seconds >= 0 ? '+' : '-'}${Math.abs(seconds).toFixed(2)}s`;
+}
@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { postJson, serveFixtures, startServer } from './helpers.js';
+
+describe('/api/analyze-page', () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    [server, fixtures] = await Promise.all([startServer(), serveFixtures()]);
+  });
+
+  after(async () => {
+    await Promise.all([server?.stop(), fixtures?.stop()]);
+  });
+
+  const analyze = async (fixture) => {
+    const { status, body } = await postJson(server.baseUrl, '/api/analyze-page', { url: `${fixtures.baseUrl}/${fixture}` });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body;
+  };
+
+  test('lists the media of a page in detection order, resolved against <base>', async () => {
+    const { url, items, truncated } = await analyze('page.html');
+    const media = `${fixtures.baseUrl}/media`;
+
+    assert.equal(url, `${fixtures.baseUrl}/page.html`);
+    assert.equal(truncated, false);
+    // Commented-out markup, markup inside scripts, links to pages and the duplicate photo are left out
+    assert.deepEqual(items.map(item => [item.type, item.url]), [
+      ['image', `${media}/photo.jpg`],
+      ['video', `${media}/clip.webm`],
+      ['video', `${media}/clip.mp4`],
+      ['video', 'https://cdn.example.com/trailer.mp4'],
+      ['video', 'https://cdn.example.com/player/feature.mp4'],
+      ['video', 'https://videos.example.com/talk.mov'],
+      ['audio', `${media}/song.mp3`],
+      ['image', `${media}/backdrop.png`]
+    ]);
+
+    const [photo, webm, mp4] = items;
+    assert.equal(photo.dimensions, '640x480');
+    assert.equal(photo.thumbnail, `${media}/photo.jpg`);
+    assert.equal(webm.thumbnail, `${media}/poster.jpg`);
+    assert.equal(mp4.thumbnail, `${media}/poster.jpg`);
+    assert.deepEqual(items.map(item => item.filename.split('.').pop()), ['jpg', 'webm', 'mp4', 'mp4', 'mp4', 'mov', 'mp3', 'png']);
+  });
+
+  test('picks the largest srcset and <picture> candidate and lists the others as alternatives', async () => {
+    const { items } = await analyze('srcset.html');
+    const base = fixtures.baseUrl;
+
+    // medium.jpg is already a variant of the first image
+    assert.deepEqual(items.map(item => item.url), [
+      'https://cdn.example.com/c_fill,w_1600/large.jpg',
+      `${base}/logo@3x.png`,
+      `${base}/lazy-1200.jpg`,
+      `${base}/hero.avif`
+    ]);
+    const [responsive, logo, lazy, hero] = items;
+
+    assert.deepEqual(responsive.alternatives, [
+      { url: 'https://cdn.example.com/c_fill,w_1600/large.jpg', width: 1600 },
+      { url: `${base}/medium.jpg`, width: 800 },
+      { url: `${base}/small.jpg`, width: 480 }
+    ]);
+    // Scaled from the width and height attributes to the chosen candidate
+    assert.equal(responsive.dimensions, '1600x1067');
+    assert.equal(responsive.thumbnail, responsive.url);
+
+    assert.deepEqual(logo.alternatives.map(variant => variant.url), [`${base}/logo@3x.png`, `${base}/logo@2x.png`, `${base}/logo.png`]);
+    assert.equal(logo.dimensions, '300x120');
+
+    // The inline placeholder is dropped once real candidates exist
+    assert.deepEqual(lazy.alternatives.map(variant => variant.url), [`${base}/lazy-1200.jpg`, `${base}/lazy-400.jpg`]);
+    assert.equal(lazy.dimensions, undefined);
+
+    assert.deepEqual(hero.alternatives, [
+      { url: `${base}/hero.avif`, width: 2000, mimeType: 'image/avif' },
+      { url: `${base}/hero-wide.jpg`, width: 1800, media: '(min-width: 800px)' },
+      { url: `${base}/hero-narrow.jpg`, width: 900, media: '(min-width: 800px)' },
+      { url: `${base}/hero-fallback.jpg` }
+    ]);
+  });
+
+  test('marks HLS and DASH manifests from tags, links and scripts as streaming', async () => {
+    const { items } = await analyze('streams.html');
+
+    assert.deepEqual(items.map(({ url, type, streaming, filename }) => ({ url, type, streaming, filename: filename.split('.').pop() })), [
+      { url: `${fixtures.baseUrl}/hls/master.m3u8`, type: 'video', streaming: 'hls', filename: 'mp4' },
+      // JSON-escaped slashes are unescaped
+      { url: 'https://cdn.example.com/live/stream.m3u8?token=abc', type: 'video', streaming: 'hls', filename: 'mp4' },
+      { url: `${fixtures.baseUrl}/manifest.mpd`, type: 'video', streaming: 'dash', filename: 'mp4' },
+      { url: 'https://radio.example.com/station.m3u8', type: 'audio', streaming: 'hls', filename: 'm4a' }
+    ]);
+  });
+
+  test('reads JSON-LD media objects and maps player embeds to their watch pages', async () => {
+    const { items } = await analyze('structured-data.html');
+
+    // The vimeo iframe repeats the JSON-LD interview; the malformed JSON-LD block is skipped
+    assert.deepEqual(items.map(item => [item.type, item.url]), [
+      ['video', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+      ['video', 'https://cdn.example.com/launch.mp4'],
+      ['video', 'https://vimeo.com/76979871/8272103f6e'],
+      ['audio', 'https://cdn.example.com/episode.mp3'],
+      ['video', 'https://www.youtube.com/playlist?list=PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs'],
+      ['video', 'https://www.dailymotion.com/video/x8abc12']
+    ]);
+
+    const [, launch, interview, podcast] = items;
+    assert.equal(launch.title, 'Launch & landing');
+    assert.equal(launch.duration, 125);
+    assert.equal(launch.uploadDate, '2024-03-01');
+    assert.equal(launch.dimensions, '1920x1080');
+    assert.equal(launch.thumbnail, `${fixtures.baseUrl}/thumbs/launch.jpg`);
+    assert.equal(interview.title, 'Interview');
+    assert.equal(podcast.title, 'Podcast');
+  });
+
+  test('answers a manifest URL with one streaming item', async () => {
+    const { items } = await analyze('manifest.mpd');
+    assert.deepEqual(items, [{ url: `${fixtures.baseUrl}/manifest.mpd`, type: 'video', filename: 'MediaHarvest1.mp4', streaming: 'dash' }]);
+  });
+
+  test('answers a media URL with that single item', async () => {
+    const { items } = await analyze('media/song.mp3');
+    assert.equal(items.length, 1);
+    assert.equal(items[0].url, `${fixtures.baseUrl}/media/song.mp3`);
+  });
+
+  test('rejects URLs that are not http(s)', async () => {
+    const { status } = await postJson(server.baseUrl, '/api/analyze-page', { url: 'file:///etc/passwd' });
+    assert.equal(status, 400);
+  });
+});
+
+describe('/api/analyze-page without ALLOW_PRIVATE_NETWORK_FETCH', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ ALLOW_PRIVATE_NETWORK_FETCH: 'false' });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('refuses private network targets', async () => {
+    for (const url of ['http://127.0.0.1/', 'http://localhost/', 'http://169.254.169.254/latest/meta-data/', 'http://[::ffff:10.0.0.1]/']) {
+      const { status, body } = await postJson(server.baseUrl, '/api/analyze-page', { url });
+      assert.equal(status, 403, url);
+      assert.equal(body.error, 'URL not allowed');
+    }
+  });
+});
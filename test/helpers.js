@@ -0,0 +1,99 @@
+// Shared setup for the API tests. The server runs as a child process in a scratch directory (it keeps
+// jobs/ and uploads/ in its working directory); fixtures are served by a local HTTP server, so the
+// server under test is started with ALLOW_PRIVATE_NETWORK_FETCH unless a test says otherwise.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixturesDir = path.join(rootDir, 'test', 'fixtures');
+
+const FIXTURE_CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.mp3': 'audio/mpeg'
+};
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start server.js; resolves with { baseUrl, stop }
+export async function startServer(env = {}) {
+  const port = await getFreePort();
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'media-harvest-test-'));
+  const child = spawn(process.execPath, [path.join(rootDir, 'server.js')], {
+    cwd,
+    env: { ...process.env, PORT: String(port), BACKEND_ONLY: 'true', ALLOW_PRIVATE_NETWORK_FETCH: 'true', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', (data) => { output += data.toString(); });
+  child.stderr.on('data', (data) => { output += data.toString(); });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start within 20 seconds:\n${output}`)), 20000);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+    child.stdout.on('data', () => {
+      if (output.includes(`Server running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.removeAllListeners('exit');
+      child.once('exit', () => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill();
+    })
+  };
+}
+
+// Serve test/fixtures over HTTP; resolves with { baseUrl, stop }
+export async function serveFixtures() {
+  const server = http.createServer((req, res) => {
+    const filePath = path.join(fixturesDir, path.normalize(decodeURIComponent(new URL(req.url, 'http://fixtures').pathname)));
+    if (!filePath.startsWith(fixturesDir) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return res.writeHead(404).end();
+    }
+    res.writeHead(200, { 'Content-Type': FIXTURE_CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// POST a JSON body; resolves with { status, body }
+export async function postJson(baseUrl, route, payload) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  return { status: response.status, body: await response.json() };
+}
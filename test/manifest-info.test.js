@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { postJson, serveFixtures, startServer } from './helpers.js';
+
+describe('/api/manifest-info', () => {
+  let server;
+  let fixtures;
+
+  before(async () => {
+    [server, fixtures] = await Promise.all([startServer(), serveFixtures()]);
+  });
+
+  after(async () => {
+    await Promise.all([server?.stop(), fixtures?.stop()]);
+  });
+
+  const manifestInfo = (fixture) => postJson(server.baseUrl, '/api/manifest-info', { url: `${fixtures.baseUrl}/${fixture}` });
+
+  test('lists the variants of an HLS master playlist, best first', async () => {
+    const { status, body } = await manifestInfo('hls/master.m3u8');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.type, 'hls');
+    // Duration and live state come from the first media playlist
+    assert.equal(body.live, false);
+    assert.equal(body.duration, 24.5);
+    assert.deepEqual(body.variants, [
+      { id: 2, bandwidth: 5000000, width: 1920, height: 1080, codecs: 'avc1.640028,mp4a.40.2', frameRate: 60 },
+      { id: 1, bandwidth: 2800000, width: 1280, height: 720, codecs: 'avc1.4d401f,mp4a.40.2', frameRate: 29.97 },
+      { id: 0, bandwidth: 800000, width: 640, height: 360, codecs: 'avc1.4d401e,mp4a.40.2' }
+    ]);
+  });
+
+  test('treats a media playlist without an end tag as one live variant', async () => {
+    const { status, body } = await manifestInfo('hls/live.m3u8');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.live, true);
+    assert.deepEqual(body.variants, [{ id: 0 }]);
+  });
+
+  test('lists the video representations of a DASH manifest, numbered in manifest order', async () => {
+    const { status, body } = await manifestInfo('manifest.mpd');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.type, 'dash');
+    assert.equal(body.live, false);
+    assert.equal(body.duration, 90.5);
+    assert.deepEqual(body.variants, [
+      { id: 1, bandwidth: 4500000, width: 1920, height: 1080, codecs: 'avc1.640028', frameRate: 29.97 },
+      { id: 2, bandwidth: 2500000, width: 1280, height: 720, codecs: 'avc1.4d401f', frameRate: 29.97 },
+      { id: 0, bandwidth: 1000000, width: 854, height: 480, codecs: 'avc1.4d401e', frameRate: 29.97 }
+    ]);
+  });
+
+  test('answers 415 for anything else', async () => {
+    const { status, body } = await manifestInfo('page.html');
+    assert.equal(status, 415);
+    assert.equal(body.error, 'Not a streaming manifest');
+  });
+});